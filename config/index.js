@@ -3,17 +3,188 @@ require('dotenv').config();
 module.exports = {
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
+  // Express "trust proxy" setting, so rate limits see client IPs behind a
+  // load balancer (e.g. 1 for one proxy hop); unset trusts no proxy
+  trustProxy: process.env.TRUST_PROXY,
+  // On SIGTERM/SIGINT, how long open requests may take to finish, and
+  // then how long buffered telemetry may take to be written
+  shutdownTimeoutMs: parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 5000,
+  
+  // Structured (JSON) logs
+  logging: {
+    // Lowest level written: debug | info | warn | error
+    level: process.env.LOG_LEVEL || 'info',
+  },
   
   supabase: {
     url: process.env.SUPABASE_URL,
     anonKey: process.env.SUPABASE_ANON_KEY,
     serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY,
+    // Used to sign short-lived user JWTs for API key requests
+    jwtSecret: process.env.SUPABASE_JWT_SECRET,
+  },
+  
+  // Data access backend for projects, devices and channels:
+  // 'supabase', or 'memory' for offline testing
+  data: {
+    backend: process.env.DATA_BACKEND || 'supabase',
   },
   
   // MQTT config for Week 2
   emqx: {
+    // Where devices connect (returned by /api/provision); the public EMQX
+    // broker unless set
+    brokerHost: process.env.EMQX_BROKER_HOST || 'broker.emqx.io',
+    brokerPort: parseInt(process.env.EMQX_BROKER_PORT, 10) || 8883,
     apiUrl: process.env.EMQX_API_URL,
     apiKey: process.env.EMQX_API_KEY,
     apiSecret: process.env.EMQX_API_SECRET,
+    // Shared secret EMQX sends with auth/ACL webhook calls
+    webhookSecret: process.env.EMQX_WEBHOOK_SECRET,
+  },
+  
+  // Factory registration of devices for zero-touch claiming
+  factory: {
+    // Shared secret manufacturing sends in X-Factory-Secret
+    apiSecret: process.env.FACTORY_API_SECRET,
+  },
+  
+  // X.509 device certificates (mutual TLS)
+  certificates: {
+    // Encrypts project CA private keys at rest; required to create a CA
+    keyEncryptionKey: process.env.CA_KEY_ENCRYPTION_KEY,
+    caValidityDays: parseInt(process.env.CA_VALIDITY_DAYS, 10) || 3650,
+    deviceValidityDays: parseInt(process.env.DEVICE_CERT_VALIDITY_DAYS, 10) || 365,
+    // Devices are told to renew this long before expiry
+    renewBeforeDays: parseInt(process.env.DEVICE_CERT_RENEW_BEFORE_DAYS, 10) || 30,
+    crlValidityHours: parseInt(process.env.CRL_VALIDITY_HOURS, 10) || 24,
+    // Public base URL of this API, for CRL distribution points in certificates
+    publicUrl: process.env.API_PUBLIC_URL,
+  },
+  
+  // Rate limits and brute-force lockouts
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // Authenticated API and device requests per client IP, counted before the
+    // token or device credentials are checked
+    ip: {
+      max: parseInt(process.env.RATE_LIMIT_IP_MAX, 10) || 300,
+      windowMs: 60 * 1000,
+    },
+    // API requests per user (or API key owner)
+    user: {
+      max: parseInt(process.env.RATE_LIMIT_USER_MAX, 10) || 600,
+      windowMs: 60 * 1000,
+    },
+    // Device API requests (telemetry, commands, OTA) per device
+    device: {
+      max: parseInt(process.env.RATE_LIMIT_DEVICE_MAX, 10) || 300,
+      windowMs: 60 * 1000,
+    },
+    // Provisioning requests per client IP
+    provisionIp: {
+      max: parseInt(process.env.RATE_LIMIT_PROVISION_IP_MAX, 10) || 30,
+      windowMs: 60 * 1000,
+    },
+    // Public CA certificate and CRL fetches per client IP
+    pkiIp: {
+      max: parseInt(process.env.RATE_LIMIT_PKI_IP_MAX, 10) || 60,
+      windowMs: 60 * 1000,
+    },
+    // Provisioning attempts per device_token prefix
+    provisionToken: {
+      max: parseInt(process.env.RATE_LIMIT_PROVISION_TOKEN_MAX, 10) || 5,
+      windowMs: 60 * 1000,
+    },
+    // Failed provisioning attempts: from the threshold-th failure within
+    // windowMs, lock out for baseMs, doubling on each further failure
+    lockout: {
+      threshold: parseInt(process.env.LOCKOUT_THRESHOLD, 10) || 5,
+      baseMs: parseInt(process.env.LOCKOUT_BASE_MS, 10) || 60 * 1000,
+      maxMs: parseInt(process.env.LOCKOUT_MAX_MS, 10) || 60 * 60 * 1000,
+      windowMs: parseInt(process.env.LOCKOUT_WINDOW_MS, 10) || 24 * 60 * 60 * 1000,
+    },
+  },
+  
+  // Project invitations
+  invitations: {
+    ttlDays: parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7,
+  },
+  
+  // Device commands
+  commands: {
+    defaultTtlSeconds: parseInt(process.env.COMMAND_DEFAULT_TTL_SECONDS, 10) || 300,
+    maxTtlSeconds: parseInt(process.env.COMMAND_MAX_TTL_SECONDS, 10) || 86400,
+  },
+  
+  // Outbound webhooks
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    // First retry delay; doubles on each attempt
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 10000,
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 60 * 60 * 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000,
+    // Let receivers on loopback/private addresses through, for local
+    // testing; never in production
+    allowPrivateAddresses: process.env.NODE_ENV !== 'production'
+      && process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true',
+  },
+  
+  // OTA firmware
+  firmware: {
+    // Supabase Storage bucket for firmware images
+    bucket: process.env.FIRMWARE_BUCKET || 'firmware',
+    maxSizeBytes: parseInt(process.env.FIRMWARE_MAX_SIZE_BYTES, 10) || 16 * 1024 * 1024,
+    // Lifetime of the signed download URL handed to devices
+    downloadUrlTtlSeconds: parseInt(process.env.FIRMWARE_DOWNLOAD_URL_TTL_SECONDS, 10) || 900,
+    // Finished devices a rollout needs before its failure rate can halt it
+    rolloutMinSample: parseInt(process.env.FIRMWARE_ROLLOUT_MIN_SAMPLE, 10) || 5,
+  },
+  
+  // Group jobs (bulk device operations)
+  jobs: {
+    // Largest group a job can target
+    maxDevices: parseInt(process.env.JOB_MAX_DEVICES, 10) || 5000,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5000,
+  },
+  
+  // Real-time event streams (Server-Sent Events)
+  events: {
+    // Recent events kept per project for Last-Event-ID resume
+    bufferSize: parseInt(process.env.EVENTS_BUFFER_SIZE, 10) || 1000,
+    // A project's buffer is dropped once it has had no events for this
+    // long and no stream is open
+    replayWindowMs: parseInt(process.env.EVENTS_REPLAY_WINDOW_MS, 10) || 60 * 60 * 1000,
+    heartbeatMs: parseInt(process.env.EVENTS_HEARTBEAT_MS, 10) || 25000,
+    // How often open streams re-check the viewer's access
+    recheckMs: parseInt(process.env.EVENTS_RECHECK_MS, 10) || 60000,
+    ticketTtlSeconds: parseInt(process.env.EVENTS_TICKET_TTL_SECONDS, 10) || 300,
+  },
+  
+  // API reference (/api/docs)
+  docs: {
+    // Where the docs page loads Swagger UI (swagger-ui-dist) from
+    assetsUrl: process.env.DOCS_ASSETS_URL || 'https://unpkg.com/swagger-ui-dist@5',
+  },
+  
+  // Alerting
+  alerts: {
+    // How often no_data and offline rules are checked
+    checkIntervalMs: parseInt(process.env.ALERT_CHECK_INTERVAL_MS, 10) || 30000,
+  },
+  
+  // Channel validation error log (device_errors)
+  deviceErrors: {
+    // Rows older than this are deleted
+    retentionDays: parseInt(process.env.DEVICE_ERROR_RETENTION_DAYS, 10) || 30,
+    cleanupIntervalMs: parseInt(process.env.DEVICE_ERROR_CLEANUP_INTERVAL_MS, 10) || 60 * 60 * 1000,
+  },
+  
+  // Telemetry ingestion batching
+  telemetry: {
+    batchSize: parseInt(process.env.TELEMETRY_BATCH_SIZE, 10) || 500,
+    flushIntervalMs: parseInt(process.env.TELEMETRY_FLUSH_INTERVAL_MS, 10) || 1000,
+    maxBuffer: parseInt(process.env.TELEMETRY_MAX_BUFFER, 10) || 10000,
   },
 };
@@ -1,17 +1,53 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
+const crypto = require('crypto');
 const config = require('../config');
+const { version } = require('../package.json');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/requestLog');
+const { notFoundHandler, errorHandler } = require('./middleware/errors');
+const { logger } = require('./utils/logger');
+const webhooks = require('./services/webhooks');
+const alerts = require('./services/alerts');
+const jobs = require('./services/jobs');
+const telemetry = require('./services/telemetry');
+const channelSchema = require('./services/channelSchema');
+const openapi = require('./utils/openapi');
 
 // Import routes
 const projectsRouter = require('./routes/projects');
+const apiKeysRouter = require('./routes/apiKeys');
+const membersRouter = require('./routes/members');
+const webhooksRouter = require('./routes/webhooks');
+const alertRulesRouter = require('./routes/alertRules');
+const alertsRouter = require('./routes/alerts');
+const firmwareRouter = require('./routes/firmware');
+const rolloutsRouter = require('./routes/rollouts');
+const groupsRouter = require('./routes/groups');
+const jobsRouter = require('./routes/jobs');
+const eventsRouter = require('./routes/events');
+const invitationsRouter = require('./routes/invitations');
 const devicesRouter = require('./routes/devices');
+const channelsRouter = require('./routes/channels');
 const provisionRouter = require('./routes/provision');
+const emqxRouter = require('./routes/emqx');
+const telemetryRouter = require('./routes/telemetry');
+const commandsRouter = require('./routes/commands');
+const otaRouter = require('./routes/ota');
+const factoryRouter = require('./routes/factory');
+const certificatesRouter = require('./routes/certificates');
+const pkiRouter = require('./routes/pki');
 
 // Create Express app
 const app = express();
 
+// Client IPs from X-Forwarded-For, for rate limiting behind a proxy
+if (config.trustProxy) {
+  const hops = Number(config.trustProxy);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : config.trustProxy === 'true' || config.trustProxy);
+}
+
 // ===================
 // Middleware
 // ===================
@@ -27,8 +63,11 @@ app.use(cors({
   credentials: true,
 }));
 
-// Request logging
-app.use(morgan(config.nodeEnv === 'production' ? 'combined' : 'dev'));
+// Request IDs (X-Request-Id)
+app.use(requestId);
+
+// Request logging (JSON, tagged with the request ID)
+app.use(requestLogger);
 
 // Parse JSON bodies
 app.use(express.json());
@@ -46,34 +85,104 @@ app.get('/health', (req, res) => {
   });
 });
 
+// API reference, generated from the routers' input schemas and docs() declarations
+// (keep the mount paths in step with app.use() below)
+const { spec: apiSpec, problems: apiSpecProblems } = openapi.buildSpec({
+  title: 'IoT PaaS Platform API',
+  version,
+  description: 'Requests over the rate limits get a 429 with a Retry-After header.',
+  mounts: [
+    { path: '/api/projects', router: projectsRouter, tag: 'Projects' },
+    { path: '/api/projects/:projectId/members', router: membersRouter, tag: 'Members' },
+    { path: '/api/invitations', router: invitationsRouter, tag: 'Members' },
+    { path: '/api/projects/:projectId/api-keys', router: apiKeysRouter, tag: 'API keys' },
+    { path: '/api/devices', router: devicesRouter, tag: 'Devices' },
+    { path: '/api/devices/:deviceId/channels', router: channelsRouter, tag: 'Devices' },
+    { path: '/api/projects/:projectId/groups', router: groupsRouter, tag: 'Groups and jobs' },
+    { path: '/api/projects/:projectId/jobs', router: jobsRouter, tag: 'Groups and jobs' },
+    { path: '/api/projects/:projectId/events', router: eventsRouter, tag: 'Events' },
+    { path: '/api/projects/:projectId/webhooks', router: webhooksRouter, tag: 'Webhooks' },
+    { path: '/api/projects/:projectId/alert-rules', router: alertRulesRouter, tag: 'Alerts' },
+    { path: '/api/alerts', router: alertsRouter, tag: 'Alerts' },
+    { path: '/api/projects/:projectId/firmware', router: firmwareRouter, tag: 'Firmware' },
+    { path: '/api/projects/:projectId/rollouts', router: rolloutsRouter, tag: 'Firmware' },
+    { path: '/api/projects/:projectId/pki', router: certificatesRouter, tag: 'Certificates' },
+    { path: '/api/pki', router: pkiRouter, tag: 'Certificates' },
+    { path: '/api/provision', router: provisionRouter, tag: 'Provisioning' },
+    { path: '/api/factory', router: factoryRouter, tag: 'Provisioning' },
+    { path: '/api/telemetry', router: telemetryRouter, tag: 'Device API' },
+    { path: '/api/commands', router: commandsRouter, tag: 'Device API' },
+    { path: '/api/ota', router: otaRouter, tag: 'Device API' },
+    { path: '/api/emqx', router: emqxRouter, tag: 'Broker' },
+  ],
+});
+
+// Served as far as it goes; test/openapi.test.js fails on these
+for (const problem of apiSpecProblems) {
+  logger.warn('OpenAPI document is incomplete', { problem });
+}
+app.locals.apiSpecProblems = apiSpecProblems;
+
+app.get('/api/openapi.json', (req, res) => {
+  res.json(apiSpec);
+});
+
+// Interactive docs (Swagger UI)
+app.get('/api/docs', (req, res) => {
+  const nonce = crypto.randomBytes(16).toString('base64');
+  const assetsUrl = config.docs.assetsUrl.replace(/\/$/, '');
+  const assetsOrigin = /^https?:\/\//.test(assetsUrl) ? new URL(assetsUrl).origin : "'self'";
+  
+  // Helmet's default policy would block the Swagger UI assets
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src 'nonce-${nonce}' ${assetsOrigin}`,
+    `style-src 'self' 'unsafe-inline' ${assetsOrigin}`,
+    `img-src 'self' data: ${assetsOrigin}`,
+    "connect-src 'self'",
+  ].join('; '));
+  res.type('html').send(openapi.docsPage({
+    title: apiSpec.info.title,
+    specUrl: '/api/openapi.json',
+    assetsUrl,
+    nonce,
+  }));
+});
+
 // API routes
+app.use('/api/projects/:projectId/api-keys', apiKeysRouter);
+app.use('/api/projects/:projectId/members', membersRouter);
+app.use('/api/projects/:projectId/webhooks', webhooksRouter);
+app.use('/api/projects/:projectId/alert-rules', alertRulesRouter);
+app.use('/api/projects/:projectId/firmware', firmwareRouter);
+app.use('/api/projects/:projectId/rollouts', rolloutsRouter);
+app.use('/api/projects/:projectId/pki', certificatesRouter);
+app.use('/api/projects/:projectId/groups', groupsRouter);
+app.use('/api/projects/:projectId/jobs', jobsRouter);
+app.use('/api/projects/:projectId/events', eventsRouter);
 app.use('/api/projects', projectsRouter);
+app.use('/api/invitations', invitationsRouter);
+app.use('/api/alerts', alertsRouter);
+// Mounted before /api/devices so channel requests authenticate only once
+app.use('/api/devices/:deviceId/channels', channelsRouter);
 app.use('/api/devices', devicesRouter);
 app.use('/api/provision', provisionRouter);
+app.use('/api/emqx', emqxRouter);
+app.use('/api/telemetry', telemetryRouter);
+app.use('/api/commands', commandsRouter);
+app.use('/api/ota', otaRouter);
+app.use('/api/factory', factoryRouter);
+app.use('/api/pki', pkiRouter);
 
 // ===================
 // Error Handling
 // ===================
 
 // 404 handler
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.path} not found`,
-  });
-});
+app.use(notFoundHandler);
 
-// Global error handler
-app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
-  
-  res.status(err.status || 500).json({
-    error: err.name || 'Internal Server Error',
-    message: config.nodeEnv === 'production' 
-      ? 'An unexpected error occurred' 
-      : err.message,
-  });
-});
+// Global error handler: standard error body (see utils/errors.js)
+app.use(errorHandler);
 
 // ===================
 // Start Server
@@ -81,24 +190,73 @@ app.use((err, req, res, next) => {
 
 const PORT = config.port;
 
-app.listen(PORT, () => {
-  console.log(`
+// Listen only when run directly (node src/index.js); tests require the
+// app and listen on a port of their own, without the workers
+if (require.main === module) {
+  const server = app.listen(PORT, () => {
+    // Retry failed webhook deliveries in the background
+    webhooks.startWorker();
+    // Check no-data and offline alert rules
+    alerts.startWorker();
+    // Run queued group jobs, including any interrupted by a restart
+    jobs.startWorker();
+    // Delete channel validation errors past their retention
+    channelSchema.startWorker();
+    
+    logger.info('Server started', {
+      port: Number(PORT),
+      environment: config.nodeEnv,
+      version,
+      docs: '/api/docs',
+    });
+    
+    // Behind a proxy every client would share the proxy's address, and a
+    // few wrong device tokens would lock all of them out of provisioning
+    if (config.rateLimit.enabled && !config.trustProxy) {
+      logger.warn('TRUST_PROXY is not set: rate limits and lockouts count by the connecting address; set it when running behind a proxy or load balancer');
+    }
+    
+    // Endpoints straight from the OpenAPI document, so the list stays current
+    const endpoints = [
+      'GET    /health',
+      ...openapi.operations(apiSpec).map(({ method, path }) => `${method.padEnd(6)} ${path}`),
+    ];
+    
+    console.log(`
 ╔═══════════════════════════════════════════════════╗
 ║           IoT PaaS Platform API                   ║
 ╠═══════════════════════════════════════════════════╣
 ║  Status:      Running                             ║
 ║  Port:        ${PORT}                                ║
 ║  Environment: ${config.nodeEnv.padEnd(11)}                        ║
+║  Docs:        /api/docs                           ║
 ╠═══════════════════════════════════════════════════╣
 ║  Endpoints:                                       ║
-║  • GET  /health                                   ║
-║  • GET  /api/projects                             ║
-║  • POST /api/projects                             ║
-║  • GET  /api/devices                              ║
-║  • POST /api/devices                              ║
-║  • POST /api/provision                            ║
+${endpoints.map(endpoint => `║  • ${endpoint.padEnd(47)}║`).join('\n')}
 ╚═══════════════════════════════════════════════════╝
-  `);
-});
+    `);
+  });
+  
+  // Readings are answered with 202 before they're written, so a deploy
+  // must not exit with them still buffered: stop taking requests, let
+  // open ones finish, then write the buffer
+  const shutdown = signal => {
+    logger.info('Shutting down', { signal });
+    webhooks.stopWorker();
+    alerts.stopWorker();
+    jobs.stopWorker();
+    channelSchema.stopWorker();
+    
+    server.close(async () => {
+      await telemetry.close(config.shutdownTimeoutMs);
+      process.exit(0);
+    });
+    server.closeIdleConnections();
+    // Event streams and slow clients don't get to hold the exit up
+    setTimeout(() => server.closeAllConnections(), config.shutdownTimeoutMs).unref();
+  };
+  process.once('SIGTERM', shutdown);
+  process.once('SIGINT', shutdown);
+}
 
 module.exports = app;
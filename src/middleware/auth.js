@@ -1,51 +1,157 @@
-const { supabaseAdmin, createUserClient } = require('../services/supabase');
+const { createUserClient, signUserToken } = require('../services/supabase');
+const repositories = require('../repositories');
+const apiKeys = require('../services/apiKeys');
+const { checkLimit } = require('./rateLimit');
+const { sendError } = require('./errors');
+const config = require('../../config');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
 /**
  * Authentication middleware
- * Validates the Supabase JWT and attaches user info to the request
+ * Validates the Supabase JWT (or a project API key) and attaches
+ * user info to the request
  * 
  * After this middleware:
  * - req.user = { id, email, ... }
  * - req.supabase = Supabase client with user's permissions (RLS-aware)
+ * - req.repos = repositories acting as the user (see repositories/)
  * - req.accessToken = raw JWT token
+ * - req.apiKey = { id, project_id, name, scopes } for API key requests,
+ *   otherwise undefined. req.user is then the key's creator, who is
+ *   still a project admin (see services/apiKeys.js).
+ * 
+ * Requests are rate limited per client IP before the token is checked,
+ * and per user after (config.rateLimit.ip / .user).
  */
 async function authenticate(req, res, next) {
   try {
+    if (!(await checkLimit(req, res, 'ip', req.ip, config.rateLimit.ip))) return;
+    
     // Get token from Authorization header
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Missing or invalid Authorization header',
-      });
+      return sendError(req, res, 401, 'Missing or invalid Authorization header');
     }
     
     const token = authHeader.split(' ')[1];
     
-    // Verify the token with Supabase
-    const { data: { user }, error } = await supabaseAdmin.auth.getUser(token);
+    if (apiKeys.isApiKey(token)) {
+      return await authenticateApiKey(req, res, next, token);
+    }
+    
+    // Verify the token with the data backend (Supabase Auth by default)
+    const user = await repositories.verifyUserToken(token);
     
-    if (error || !user) {
-      return res.status(401).json({
-        error: 'Unauthorized',
-        message: 'Invalid or expired token',
-      });
+    if (!user) {
+      return sendError(req, res, 401, 'Invalid or expired token');
     }
     
     // Attach user info and authenticated client to request
     req.user = user;
     req.accessToken = token;
     req.supabase = createUserClient(token);
+    req.repos = repositories.forUser(user.id, req.supabase);
+    
+    if (!(await checkLimit(req, res, 'user', user.id, config.rateLimit.user))) return;
     
     next();
   } catch (err) {
-    console.error('Auth middleware error:', err);
-    return res.status(500).json({
-      error: 'Internal Server Error',
-      message: 'Authentication failed',
+    req.log.error('Auth middleware error', { err });
+    return sendError(req, res, 500, 'Authentication failed');
+  }
+}
+
+/**
+ * API key branch of authenticate()
+ * Requests run as the key's creator through a short-lived JWT, so RLS
+ * and their current role still apply; routes narrow them further to
+ * the key's project
+ */
+async function authenticateApiKey(req, res, next, token) {
+  const key = await apiKeys.verifyKey(token);
+  
+  if (!key) {
+    return sendError(req, res, 401, 'Invalid, expired or revoked API key');
+  }
+  
+  const accessToken = signUserToken(key.created_by);
+  
+  req.user = { id: key.created_by };
+  req.apiKey = {
+    id: key.id,
+    project_id: key.project_id,
+    name: key.name,
+    scopes: key.scopes,
+  };
+  req.accessToken = accessToken;
+  req.supabase = createUserClient(accessToken);
+  req.repos = repositories.forUser(req.user.id, req.supabase);
+  
+  // API keys share their creator's budget
+  if (!(await checkLimit(req, res, 'user', req.user.id, config.rateLimit.user))) return;
+  
+  next();
+}
+
+/**
+ * Require an API key scope (user JWTs pass unconditionally)
+ */
+function requireScope(scope) {
+  const middleware = (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return sendError(req, res, 403, `API key is missing the "${scope}" scope`, { code: 'missing_scope' });
+    }
+    next();
+  };
+  // For the OpenAPI document
+  middleware.scope = scope;
+  return middleware;
+}
+
+/**
+ * Reject API keys - for routes only a logged-in user may call
+ */
+function requireUser(req, res, next) {
+  if (req.apiKey) {
+    return sendError(req, res, 403, 'This endpoint requires a user session, not an API key', {
+      code: 'user_session_required',
     });
   }
+  next();
+}
+
+/**
+ * router.param handler: keep API keys inside their own project
+ * Answers 404 for projects other than the key's
+ */
+function restrictProjectParam(req, res, next, projectId) {
+  if (req.apiKey && projectId !== req.apiKey.project_id) {
+    return sendError(req, res, 404, 'Project not found');
+  }
+  next();
+}
+
+/**
+ * router.param handler: keep API keys to devices in their own project
+ * Answers 404 for devices in other projects
+ */
+async function restrictDeviceParam(req, res, next, deviceId) {
+  // Malformed IDs are left to the route's validators
+  if (!req.apiKey || !UUID_PATTERN.test(deviceId)) return next();
+  
+  try {
+    const projectId = await repositories.admin().devices.projectIdOf(deviceId);
+    
+    if (projectId !== req.apiKey.project_id) {
+      return sendError(req, res, 404, 'Device not found');
+    }
+    next();
+  } catch (err) {
+    req.log.error('API key device check error', { err });
+    return sendError(req, res, 500, 'Authentication failed');
+  }
 }
 
 /**
@@ -59,6 +165,7 @@ async function optionalAuth(req, res, next) {
     // No token, continue without user
     req.user = null;
     req.supabase = null;
+    req.repos = null;
     return next();
   }
   
@@ -69,4 +176,8 @@ async function optionalAuth(req, res, next) {
 module.exports = {
   authenticate,
   optionalAuth,
+  requireScope,
+  requireUser,
+  restrictProjectParam,
+  restrictDeviceParam,
 };
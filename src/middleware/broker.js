@@ -0,0 +1,32 @@
+const config = require('../../config');
+const { safeEqual } = require('../utils/secureCompare');
+const { sendError } = require('./errors');
+
+/**
+ * Broker webhook middleware
+ * Verifies that a request really comes from EMQX by checking the
+ * shared secret in the X-Webhook-Secret header
+ * 
+ * Configure the header on every EMQX HTTP authenticator/authorizer
+ * and rule-engine action that points at this API.
+ */
+function authenticateBroker(req, res, next) {
+  const secret = config.emqx.webhookSecret;
+  
+  if (!secret) {
+    req.log.error('Broker webhook called but EMQX_WEBHOOK_SECRET is not set');
+    return sendError(req, res, 503, 'Broker webhooks are not configured');
+  }
+  
+  const provided = req.headers['x-webhook-secret'];
+  
+  if (typeof provided !== 'string' || !safeEqual(provided, secret)) {
+    return sendError(req, res, 401, 'Invalid webhook secret');
+  }
+  
+  next();
+}
+
+module.exports = {
+  authenticateBroker,
+};
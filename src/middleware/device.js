@@ -0,0 +1,55 @@
+const { verifyDeviceCredentials } = require('../services/deviceAuth');
+const { checkLimit } = require('./rateLimit');
+const { sendError } = require('./errors');
+const config = require('../../config');
+
+/**
+ * Device authentication middleware
+ * Validates the device's MQTT credentials sent as HTTP Basic auth
+ * (mqtt_username:mqtt_password, as returned by /api/provision)
+ * 
+ * After this middleware:
+ * - req.device = { id, project_id, mqtt_username, project: { user_id } }
+ * 
+ * Requests are rate limited per client IP before the credentials are
+ * checked (sharing the user API's budget), and per device after
+ * (config.rateLimit.ip / .device). Successful checks are cached
+ * briefly by services/deviceAuth.js, so scrypt doesn't run on every
+ * request.
+ */
+async function authenticateDevice(req, res, next) {
+  try {
+    if (!(await checkLimit(req, res, 'ip', req.ip, config.rateLimit.ip))) return;
+    
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader || !authHeader.startsWith('Basic ')) {
+      return sendError(req, res, 401, 'Missing or invalid Authorization header');
+    }
+    
+    const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+    const separator = decoded.indexOf(':');
+    
+    const device = separator > 0
+      ? await verifyDeviceCredentials(decoded.slice(0, separator), decoded.slice(separator + 1))
+      : null;
+    
+    if (!device) {
+      return sendError(req, res, 401, 'Invalid device credentials');
+    }
+    
+    // Never carry the hash further than auth
+    req.device = { ...device, mqtt_password_hash: undefined };
+    
+    if (!(await checkLimit(req, res, 'device', device.id, config.rateLimit.device))) return;
+    
+    next();
+  } catch (err) {
+    req.log.error('Device auth middleware error', { err });
+    return sendError(req, res, 500, 'Authentication failed');
+  }
+}
+
+module.exports = {
+  authenticateDevice,
+};
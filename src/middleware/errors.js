@@ -0,0 +1,76 @@
+const { validationResult } = require('express-validator');
+const { ApiError, toApiError, errorBody } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+/**
+ * Error handling for routes (see utils/errors.js for the body format)
+ * 
+ * Route handlers throw ApiErrors (or let database errors propagate)
+ * instead of sending error responses themselves; errorHandler turns
+ * whatever was thrown into the standard body and logs server errors.
+ */
+
+/**
+ * Wrap an async route handler so a rejection reaches errorHandler
+ * (express 4 ignores rejected promises)
+ */
+function asyncHandler(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+/**
+ * Reject the request if any express-validator check failed
+ * details lists each failure: [{ type, location, path, msg, value }]
+ */
+function validate(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ApiError(400, 'Invalid request parameters', {
+      code: 'validation_failed',
+      details: errors.array(),
+    }));
+  }
+  next();
+}
+
+/**
+ * Send an error response outside a route handler (e.g. in middleware
+ * that answers directly)
+ */
+function sendError(req, res, status, message, options) {
+  return res.status(status).json(errorBody(new ApiError(status, message, options), req.id));
+}
+
+/**
+ * 404 for requests no route matched
+ */
+function notFoundHandler(req, res) {
+  sendError(req, res, 404, `Route ${req.method} ${req.path} not found`, { code: 'route_not_found' });
+}
+
+/**
+ * Final error middleware (express tells it apart by its four arguments)
+ */
+function errorHandler(err, req, res, next) {
+  const apiError = toApiError(err);
+  const log = req.log || logger;
+  
+  if (apiError.status >= 500) {
+    log.error('Request failed', { err, method: req.method, path: req.originalUrl.split('?')[0] });
+  }
+  
+  // A streaming response can only be cut off
+  if (res.headersSent) return res.end();
+  
+  // Unexpected errors answer with a generic message; what went wrong is
+  // only in the log, under the same request ID
+  res.status(apiError.status).json(errorBody(apiError, req.id));
+}
+
+module.exports = {
+  asyncHandler,
+  validate,
+  sendError,
+  notFoundHandler,
+  errorHandler,
+};
@@ -0,0 +1,29 @@
+const config = require('../../config');
+const { safeEqual } = require('../utils/secureCompare');
+const { sendError } = require('./errors');
+
+/**
+ * Factory middleware
+ * Verifies that a request comes from manufacturing by checking the
+ * shared secret in the X-Factory-Secret header
+ */
+function authenticateFactory(req, res, next) {
+  const secret = config.factory.apiSecret;
+  
+  if (!secret) {
+    req.log.error('Factory API called but FACTORY_API_SECRET is not set');
+    return sendError(req, res, 503, 'Factory registration is not configured');
+  }
+  
+  const provided = req.headers['x-factory-secret'];
+  
+  if (typeof provided !== 'string' || !safeEqual(provided, secret)) {
+    return sendError(req, res, 401, 'Invalid factory secret');
+  }
+  
+  next();
+}
+
+module.exports = {
+  authenticateFactory,
+};
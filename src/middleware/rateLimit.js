@@ -0,0 +1,135 @@
+const rateLimits = require('../services/rateLimit');
+const { sendError } = require('./errors');
+const config = require('../../config');
+
+/**
+ * Key functions pick what a limit counts by
+ * They return null to leave a request uncounted
+ */
+const byIp = req => req.ip || null;
+
+/**
+ * First characters of a token in the request body
+ */
+function byTokenPrefix(field, length = 8) {
+  return req => {
+    const token = req.body && req.body[field];
+    return typeof token === 'string' && token.length >= length ? token.slice(0, length) : null;
+  };
+}
+
+/**
+ * Set RateLimit-* headers (IETF draft)
+ * Several limits can apply to one request; the tightest is reported
+ */
+function setHeaders(res, result, windowMs) {
+  const current = res.get('RateLimit-Remaining');
+  if (current !== undefined && Number(current) < result.remaining) return;
+  
+  res.set('RateLimit-Limit', String(result.limit));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+  res.set('RateLimit-Policy', `${result.limit};w=${Math.ceil(windowMs / 1000)}`);
+}
+
+function tooManyRequests(req, res, retryAfterMs, message, code) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return sendError(req, res, 429, message, { code, details: { retry_after_seconds: retryAfter } });
+}
+
+/**
+ * Count a request against a limit from inside other middleware
+ * Returns true if the request may continue; otherwise the 429 has
+ * been sent. Store failures let the request through.
+ */
+async function checkLimit(req, res, name, key, { max, windowMs }) {
+  if (!config.rateLimit.enabled || !key) return true;
+  
+  let result;
+  try {
+    result = await rateLimits.hit(name, key, { max, windowMs });
+  } catch (err) {
+    req.log.error('Rate limit store error', { err, limit: name });
+    return true;
+  }
+  
+  setHeaders(res, result, windowMs);
+  
+  if (!result.allowed) {
+    tooManyRequests(req, res, result.resetMs, 'Rate limit exceeded, try again later', 'rate_limited');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Rate limit middleware
+ * options: { name, key, max, windowMs } - key is a key function
+ */
+function rateLimit({ name, key, max, windowMs }) {
+  return async (req, res, next) => {
+    if (await checkLimit(req, res, name, key(req), { max, windowMs })) next();
+  };
+}
+
+/**
+ * Lockouts after repeated failures, with exponential backoff
+ * (thresholds in config.rateLimit.lockout)
+ * 
+ * keys: key functions; a request is refused if any of its keys is
+ * locked out, and failures count against all of them
+ * 
+ * Returns {
+ *   check,   // middleware - 429 while locked out
+ *   fail,    // async (req) - record a failed attempt
+ *   clear,   // async (req) - forget failures after a success
+ * }
+ */
+function lockout(name, keys) {
+  const keysOf = req => keys.map(key => key(req)).filter(Boolean);
+  
+  // Lockouts are a safety net; store trouble shouldn't fail the request
+  const forEachKey = action => async req => {
+    if (!config.rateLimit.enabled) return;
+    try {
+      for (const key of keysOf(req)) {
+        await action(name, key);
+      }
+    } catch (err) {
+      req.log.error('Lockout store error', { err, lockout: name });
+    }
+  };
+  
+  async function check(req, res, next) {
+    if (!config.rateLimit.enabled) return next();
+    
+    let retryAfterMs = 0;
+    try {
+      for (const key of keysOf(req)) {
+        retryAfterMs = Math.max(retryAfterMs, await rateLimits.lockedFor(name, key));
+      }
+    } catch (err) {
+      req.log.error('Lockout store error', { err, lockout: name });
+    }
+    
+    if (retryAfterMs > 0) {
+      return tooManyRequests(req, res, retryAfterMs, 'Too many failed attempts, try again later', 'locked_out');
+    }
+    next();
+  }
+  
+  return {
+    check,
+    fail: forEachKey(rateLimits.recordFailure),
+    clear: forEachKey(rateLimits.clearFailures),
+  };
+}
+
+module.exports = {
+  byIp,
+  byTokenPrefix,
+  checkLimit,
+  rateLimit,
+  lockout,
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+
+// Accept a caller-supplied ID only if it looks sane
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Reuses the incoming X-Request-Id header or generates one, and echoes
+ * it back on the response
+ * 
+ * After this middleware:
+ * - req.id = request ID
+ * - req.log = logger that tags every entry with the request ID
+ */
+function requestId(req, res, next) {
+  const incoming = req.headers['x-request-id'];
+  
+  req.id = typeof incoming === 'string' && VALID_REQUEST_ID.test(incoming)
+    ? incoming
+    : crypto.randomUUID();
+  
+  req.log = logger.child({ request_id: req.id });
+  
+  res.setHeader('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = {
+  requestId,
+};
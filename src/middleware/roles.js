@@ -0,0 +1,69 @@
+const roles = require('../services/roles');
+const { sendError } = require('./errors');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Role middleware - use after authenticate
+ * Requires the user to hold at least minRole in the project the
+ * request targets. Non-members get a 404, so project and device IDs
+ * don't leak.
+ * 
+ * target: { projectParam } | { deviceParam } | { projectBody } | { projectQuery }
+ * 
+ * After this middleware:
+ * - req.projectId = ID of the targeted project
+ * - req.projectRole = the user's role in it
+ */
+function requireRole(minRole, target) {
+  const notFound = target.deviceParam ? 'Device not found' : 'Project not found';
+  
+  const middleware = async (req, res, next) => {
+    try {
+      let projectId;
+      
+      if (target.deviceParam) {
+        const deviceId = req.params[target.deviceParam];
+        // Malformed IDs are left to the route's validators
+        if (!UUID_PATTERN.test(deviceId || '')) return next();
+        projectId = await roles.getDeviceProjectId(deviceId);
+      } else {
+        if (target.projectParam) {
+          projectId = req.params[target.projectParam];
+        } else if (target.projectQuery) {
+          projectId = req.query[target.projectQuery];
+        } else {
+          projectId = req.body && req.body[target.projectBody];
+        }
+        // Malformed IDs are left to the route's validators
+        if (typeof projectId !== 'string' || !UUID_PATTERN.test(projectId)) return next();
+      }
+      
+      const role = projectId ? await roles.getProjectRole(req.user.id, projectId) : null;
+      
+      if (!role) {
+        return sendError(req, res, 404, notFound);
+      }
+      
+      if (!roles.roleAtLeast(role, minRole)) {
+        return sendError(req, res, 403, `This action requires the ${minRole} role or higher`, {
+          code: 'insufficient_role',
+        });
+      }
+      
+      req.projectId = projectId;
+      req.projectRole = role;
+      next();
+    } catch (err) {
+      req.log.error('Role check error', { err });
+      return sendError(req, res, 500, 'Permission check failed');
+    }
+  };
+  // For the OpenAPI document
+  middleware.role = minRole;
+  return middleware;
+}
+
+module.exports = {
+  requireRole,
+};
@@ -0,0 +1,176 @@
+const config = require('../../config');
+const { createSupabaseBackend } = require('./supabase');
+const { createMemoryBackend } = require('./memory');
+
+/**
+ * Data access for projects, devices and their data
+ * 
+ * Routes and services go through repositories rather than querying
+ * Supabase directly, so the storage can be swapped: DATA_BACKEND picks
+ * the backend at startup, and useBackend() replaces it (e.g. in tests).
+ * 
+ * A backend implements:
+ * - forUser(userId, client) -> repositories limited to what the user
+ *     may see and change (client: their Supabase RLS client)
+ * - admin() -> repositories that bypass ownership rules
+ * - verifyUserToken(token) -> { id, email, ... } | null (async)
+ * 
+ * Repositories (all methods async; a missing or invisible row is null,
+ * or false for removes):
+ * - projects: list({ projectId, search, sort, limit, cursor }) -> page,
+ *     get(id, { deviceCount }), create(fields), update(id, updates),
+ *     remove(id) -> project, memberRole(projectId, userId) -> role
+ *     create/update return { ok, project } or { ok: false, reason }
+ *     with reason 'not_found' or 'duplicate' (slug taken)
+ * - devices: list(filters, { sort, limit, cursor }) -> page,
+ *     listByProject(projectId, columns, { id, hardware_type }),
+ *     idsInProject(projectId, ids), listInGroup(group, { sort, limit,
+ *     cursor }) -> page, countInGroup(group), idsInGroup(group, limit),
+ *     get(id, { project, channels }),
+ *     findByToken(token), findByMqttUsername(username), findWithOwner(id),
+ *     projectIdOf(id), create(fields), createMany(rows),
+ *     update(id, updates, expected) -> null unless the row still has the
+ *     expected values, updatePresence(id, updates) -> false if the device
+ *     has seen something after updates.last_seen_at, remove(id) -> boolean
+ * - channels: list(deviceId), get(deviceId, id), create(fields),
+ *     update(deviceId, id, updates), remove(deviceId, id) -> boolean
+ *     create/update return { ok, channel } or { ok: false, reason }
+ *     with reason 'not_found' or 'duplicate' (key taken)
+ * - tokens: generate() -> a new device token
+ * - telemetry: list(deviceId, { from, to, channels, limit }),
+ *     buckets(deviceId, { from, to, bucketSeconds, channels }),
+ *     latest(deviceIds, { channel }) -> [{ device_id, ts }] (devices
+ *     without readings left out), insert(rows)
+ * - commands: list(deviceId, { status, limit }), get(deviceId, id),
+ *     create(fields), update(id, updates, { statuses }),
+ *     expire(deviceId, { statuses, before })
+ * - shadows: get(deviceId), create(fields) -> null if there is one,
+ *     updateIfVersion(deviceId, versionField, version, updates)
+ * - deviceErrors: list(deviceId, { since, action, limit }), insert(rows),
+ *     removeBefore(before) -> number of rows deleted
+ * - connections: list(deviceId, { limit }), insert(fields)
+ * - authorities (project CAs): get(projectId), listValid(validAt),
+ *     create(fields) -> { ok, authority } or { ok: false, reason: 'duplicate' },
+ *     remove(projectId) -> boolean
+ * - certificates (device certificates): list(projectId, { deviceId, status }),
+ *     countActive(projectId, validAt), listRevoked(projectId, validAt),
+ *     findByFingerprint(fingerprint),
+ *     create(fields), update(id, updates),
+ *     revoke({ id, projectId, deviceId, keep }, { reason, at }) -> rows
+ * - factoryDevices: list({ status, limit }, columns), find({ mac_address }
+ *     or { serial_number }), findClaimable(claimCodeHash),
+ *     createMany(rows, columns), update(id, updates, expected) -> null
+ *     unless the row still has the expected values, remove(id) -> boolean
+ * - auditLog: list(projectId, filters, { limit, before }), insert(entry)
+ * - members: list(projectId), findByEmail(projectId, email),
+ *     countOwners(projectId), create(fields), updateRole(projectId,
+ *     userId, role), remove(projectId, userId) -> boolean
+ * - invitations: listOpen(projectId, at), listOpenForEmail(email, at),
+ *     get(id), create(fields), update(id, updates),
+ *     removeOpen(projectId, id) -> boolean
+ * - apiKeys: list(projectId), get(id), findByPrefix(prefix) (with
+ *     secret_hash and created_by), create(fields),
+ *     revoke(projectId, id, at) -> boolean, touch(id, at)
+ * - groups: list(projectId, { type }), get(projectId, id), create(fields),
+ *     update(id, updates), remove(id) -> boolean, addMembers(groupId,
+ *     deviceIds), removeMember(groupId, deviceId) -> boolean
+ * - jobs: list(projectId, filters, { limit }), get(projectId, id),
+ *     create(fields), update(id, updates, expected), remove(id),
+ *     listDue(staleBefore, limit), addResults(jobId, deviceIds),
+ *     pendingResults(jobId, limit) -> device IDs, updateResult(jobId,
+ *     deviceId, updates, { status }) -> false unless the result still
+ *     has status, countResults(jobId) -> { pending, succeeded,
+ *     failed }, listResults(projectId, jobId, { status, after, limit }),
+ *     listTokens(jobId) -> [{ device_id, name, device_token }],
+ *     purgeTokens(jobId)
+ * - firmwareReleases: list(projectId, { hardwareType }), get(projectId, id),
+ *     find(projectId, hardwareType, version), create(fields),
+ *     remove(projectId, id) -> release
+ * - rollouts: list(projectId, { status }), get(id, { projectId, release }),
+ *     create(fields) -> { ok, rollout } or { ok: false, reason:
+ *     'duplicate' } (one running per hardware type), remove(id),
+ *     update(id, updates, { statuses }), countForRelease(releaseId)
+ * - firmwareUpdates: createMany(rows), statuses(rolloutId),
+ *     list(projectId, rolloutId, { status }), findOpen(deviceId, statuses),
+ *     get(deviceId, id), update(id, changes, { status })
+ * - alertRules: list(projectId), listEnabled({ projectId, types }),
+ *     get(projectId, id), create(fields), update(projectId, id, updates),
+ *     remove(projectId, id) -> rule
+ * - alerts: list(filters, { limit }), get(id), create(fields) -> null if
+ *     the rule has an open alert for the device, update(id, updates,
+ *     { statuses }), resolveOpen({ ruleId, deviceId }, at)
+ * - webhooks (never with their secret): list(projectId), get(projectId, id),
+ *     listSubscribed(projectId, type) -> IDs of enabled webhooks with the
+ *     event type, create(fields), update(projectId, id, updates),
+ *     remove(projectId, id) -> webhook
+ * - webhookDeliveries: list(projectId, webhookId, { status, limit }),
+ *     get(projectId, webhookId, id), createMany(rows),
+ *     listDue(now, staleBefore, limit) -> [{ id, status }],
+ *     claim(id, status, at) -> the delivery with its webhook (url and
+ *     secret) unless it left status, update(id, updates, { statuses })
+ * - firmwareImages (the firmware bucket): upload(path, image),
+ *     remove(path), signedUrl(path, expiresIn) -> a download URL
+ * 
+ * Emails in members and invitations are lower-cased, as stored.
+ * 
+ * Times are passed as ISO 8601 strings.
+ * 
+ * Pages are { rows, total, limit, nextCursor }, as from
+ * pagination.fetchPage(). Other database errors are thrown.
+ */
+
+const BACKENDS = {
+  supabase: createSupabaseBackend,
+  memory: createMemoryBackend,
+};
+
+function createBackend(name) {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown DATA_BACKEND "${name}" (expected ${Object.keys(BACKENDS).join(' or ')})`);
+  }
+  return BACKENDS[name]();
+}
+
+let backend = createBackend(config.data.backend);
+
+/**
+ * Replace the backend (call before the server starts)
+ */
+function useBackend(newBackend) {
+  backend = newBackend;
+}
+
+function currentBackend() {
+  return backend;
+}
+
+/**
+ * Repositories acting as a user
+ */
+function forUser(userId, client) {
+  return backend.forUser(userId, client);
+}
+
+/**
+ * Repositories that bypass ownership rules
+ */
+function admin() {
+  return backend.admin();
+}
+
+/**
+ * The user a bearer token belongs to, or null
+ */
+function verifyUserToken(token) {
+  return backend.verifyUserToken(token);
+}
+
+module.exports = {
+  createMemoryBackend,
+  createSupabaseBackend,
+  useBackend,
+  currentBackend,
+  forUser,
+  admin,
+  verifyUserToken,
+};
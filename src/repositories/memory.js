@@ -0,0 +1,2244 @@
+const crypto = require('crypto');
+const { verifyUserToken } = require('../services/supabase');
+const pagination = require('../utils/pagination');
+
+/**
+ * In-memory backend, for running the API and its tests without a
+ * Supabase project
+ * 
+ * It applies the same ownership rules as the database's row-level
+ * security policies:
+ * 
+ *   projects  read: members       create: as yourself (becoming owner)
+ *             update: admin+      delete: owner
+ *   devices   read: members       create/delete: admin+   update: operator+
+ *   channels  read: members       create/update/delete: admin+
+ *   commands  read: members       create: operator+
+ *   telemetry, shadows, device errors, connections and certificates
+ *             read: members
+ *   audit log read: admin+
+ *   API keys  read/create/update: admin+
+ *   webhooks and their deliveries
+ *             read: admin+
+ *   groups and their members, jobs, firmware releases, rollouts and
+ *   updates, alert rules and alerts
+ *             read: members
+ * 
+ * Everything else (members, invitations, CAs, the factory registry,
+ * job results, firmware images, and any other write) is for the
+ * service role only.
+ * 
+ * Rows a user can't read are invisible (updates and deletes find
+ * nothing); inserts they may not make fail like an RLS violation.
+ * Admin repositories bypass the rules, like the service role.
+ * 
+ * Users are identified by JWTs signed with SUPABASE_JWT_SECRET (see
+ * signUserToken); there's no sign-up, so add members with addMember().
+ */
+
+const ROLES_WRITE = {
+  projects: { update: ['owner', 'admin'], delete: ['owner'] },
+  devices: { insert: ['owner', 'admin'], update: ['owner', 'admin', 'operator'], delete: ['owner', 'admin'] },
+  device_channels: { insert: ['owner', 'admin'], update: ['owner', 'admin'], delete: ['owner', 'admin'] },
+  device_commands: { insert: ['owner', 'admin', 'operator'] },
+  api_keys: { insert: ['owner', 'admin'], update: ['owner', 'admin'] },
+};
+
+const AUDIT_READERS = ['owner', 'admin'];
+
+const API_KEY_READERS = ['owner', 'admin'];
+
+// Never the secret hash
+const API_KEY_FIELDS = ['id', 'project_id', 'name', 'prefix', 'scopes', 'expires_at', 'last_used_at', 'revoked_at', 'created_at'];
+
+// Members never read a device's secrets, and change only what PATCH
+// /api/devices/:id changes (the column grants on devices)
+const DEVICE_SECRET_FIELDS = ['device_token', 'mqtt_password_hash'];
+const DEVICE_MEMBER_UPDATES = ['name', 'hardware_type', 'tags', 'labels'];
+
+const PROJECT_DEFAULTS = {
+  description: null,
+  invalid_value_policy: 'reject',
+};
+
+const DEVICE_DEFAULTS = {
+  hardware_type: 'ESP32',
+  tags: [],
+  labels: {},
+  is_provisioned: false,
+  provisioned_at: null,
+  auth_method: 'password',
+  mqtt_username: null,
+  mqtt_password_hash: null,
+  mac_address: null,
+  firmware_version: null,
+  online: false,
+  last_seen_at: null,
+  last_ip: null,
+};
+
+const CHANNEL_DEFAULTS = {
+  name: null,
+  data_type: 'number',
+  unit: null,
+  direction: 'sensor',
+  min_value: null,
+  max_value: null,
+};
+
+const COMMAND_DEFAULTS = {
+  payload: null,
+  status: 'queued',
+  result: null,
+  error: null,
+  created_by: null,
+  sent_at: null,
+  acked_at: null,
+};
+
+const SHADOW_DEFAULTS = {
+  reported: {},
+  reported_version: 0,
+  reported_at: null,
+  desired: {},
+  desired_version: 0,
+  updated_at: null,
+};
+
+const CERTIFICATE_DEFAULTS = {
+  status: 'active',
+  revoked_at: null,
+  revocation_reason: null,
+  replaced_by: null,
+};
+
+const FACTORY_DEVICE_DEFAULTS = {
+  mac_address: null,
+  serial_number: null,
+  hardware_type: 'ESP32',
+  status: 'registered',
+  bootstrap_secret_hash: null,
+  firmware_version: null,
+  first_seen_at: null,
+  last_seen_at: null,
+  project_id: null,
+  device_id: null,
+  claimed_by: null,
+  claimed_at: null,
+};
+
+const GROUP_DEFAULTS = {
+  description: null,
+  query: null,
+  created_by: null,
+};
+
+const JOB_DEFAULTS = {
+  group_id: null,
+  params: {},
+  status: 'queued',
+  total: 0,
+  succeeded: 0,
+  failed: 0,
+  actor_id: null,
+  created_by: null,
+  claimed_at: null,
+  tokens_collected_at: null,
+  started_at: null,
+  completed_at: null,
+};
+
+const RELEASE_DEFAULTS = {
+  signature: null,
+  signature_algorithm: null,
+  notes: null,
+  created_by: null,
+};
+
+const ROLLOUT_DEFAULTS = {
+  target_percentage: 100,
+  target_tag: null,
+  status: 'active',
+  max_failure_percent: 10,
+  halted_reason: null,
+  created_by: null,
+};
+
+// Like firmware_rollouts_running_idx
+const RUNNING_ROLLOUT_STATUSES = ['active', 'paused'];
+
+const FIRMWARE_UPDATE_FIELDS = ['id', 'rollout_id', 'device_id', 'from_version', 'status', 'error', 'started_at', 'completed_at', 'updated_at'];
+
+const ALERT_RULE_DEFAULTS = {
+  device_id: null,
+  channel: null,
+  operator: null,
+  threshold: null,
+  hysteresis: 0,
+  duration_seconds: 0,
+  severity: 'warning',
+  enabled: true,
+  created_by: null,
+};
+
+const ALERT_DEFAULTS = {
+  status: 'firing',
+  value: null,
+  acknowledged_at: null,
+  acknowledged_by: null,
+  resolved_at: null,
+};
+
+const WEBHOOK_READERS = ['owner', 'admin'];
+
+// Never the signing secret
+const WEBHOOK_FIELDS = ['id', 'project_id', 'url', 'events', 'enabled', 'description', 'created_at', 'updated_at'];
+
+const WEBHOOK_DEFAULTS = {
+  description: null,
+  enabled: true,
+  created_by: null,
+};
+
+const WEBHOOK_DELIVERY_DEFAULTS = {
+  status: 'pending',
+  attempts: 0,
+  claimed_at: null,
+  last_status_code: null,
+  last_error: null,
+  last_attempt_at: null,
+  delivered_at: null,
+};
+
+// Errors shaped like the ones PostgREST returns
+function databaseError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function rlsViolation(table) {
+  return databaseError('42501', `new row violates row-level security policy for table "${table}"`);
+}
+
+// Tables without insert policies are written with the service role only
+function serviceOnly(userId, table) {
+  if (userId !== null) throw rlsViolation(table);
+}
+
+function pick(row, columns) {
+  return Object.fromEntries(columns.map(column => [column, row[column] === undefined ? null : row[column]]));
+}
+
+function copy(row) {
+  return row && structuredClone(row);
+}
+
+function time(value) {
+  return new Date(value).getTime();
+}
+
+function compareValues(a, b) {
+  if (a < b) return -1;
+  if (a > b) return 1;
+  return 0;
+}
+
+/**
+ * Comparator for a sort order: the field (nulls last), then id
+ */
+function sortComparator(sort) {
+  const direction = sort.ascending ? 1 : -1;
+  
+  return (a, b) => {
+    const x = a[sort.field] === undefined ? null : a[sort.field];
+    const y = b[sort.field] === undefined ? null : b[sort.field];
+    
+    if (x === null && y !== null) return 1;
+    if (y === null && x !== null) return -1;
+    
+    return direction * ((x === null ? 0 : compareValues(x, y)) || compareValues(a.id, b.id));
+  };
+}
+
+/**
+ * One page of rows, like pagination.fetchPage()
+ */
+function page(rows, { sort, limit = pagination.DEFAULT_LIMIT, cursor }) {
+  const compare = sortComparator(sort);
+  let sorted = [...rows].sort(compare);
+  
+  if (cursor) {
+    const last = { [sort.field]: cursor.value, id: cursor.id };
+    sorted = sorted.filter(row => compare(row, last) > 0);
+  }
+  
+  const pageRows = sorted.slice(0, limit);
+  const nextCursor = sorted.length > limit
+    ? pagination.encodeCursor(pageRows[pageRows.length - 1], sort)
+    : null;
+  
+  return { rows: pageRows, total: rows.length, limit, nextCursor };
+}
+
+function matchesSearch(value, search) {
+  return typeof value === 'string' && value.toLowerCase().includes(search.toLowerCase());
+}
+
+function createMemoryBackend() {
+  const projects = new Map();
+  const devices = new Map();
+  const channels = new Map();
+  // projectId -> Map of userId -> { role, email, created_at }
+  const members = new Map();
+  const invitations = new Map();
+  const apiKeys = new Map();
+  const telemetry = [];
+  const commands = new Map();
+  // deviceId -> shadow
+  const shadows = new Map();
+  const deviceErrors = [];
+  const connections = [];
+  // projectId -> CA
+  const authorities = new Map();
+  const certificates = new Map();
+  const factoryDevices = new Map();
+  const auditLog = [];
+  const groups = new Map();
+  const groupMembers = [];
+  const jobs = new Map();
+  const jobResults = [];
+  const firmwareReleases = new Map();
+  const rollouts = new Map();
+  const firmwareUpdates = new Map();
+  const alertRules = new Map();
+  const alerts = new Map();
+  const webhooks = new Map();
+  const webhookDeliveries = new Map();
+  // Storage objects in the firmware bucket
+  const firmwareImages = new Map();
+  // For bigint identity columns
+  let lastId = 0;
+  
+  const nextId = () => ++lastId;
+  
+  function roleOf(projectId, userId) {
+    const member = members.get(projectId) && members.get(projectId).get(userId);
+    return member ? member.role : null;
+  }
+  
+  function addMember(projectId, userId, role, email = null) {
+    if (!members.has(projectId)) members.set(projectId, new Map());
+    members.get(projectId).set(userId, { role, email, created_at: new Date().toISOString() });
+  }
+  
+  function deviceProjectId(deviceId) {
+    const device = devices.get(deviceId);
+    return device ? device.project_id : null;
+  }
+  
+  // A static group's members, or the devices matching a dynamic group's query
+  function inGroup(group, device) {
+    if (device.project_id !== group.project_id) return false;
+    
+    if (group.type === 'static') {
+      return groupMembers.some(member => member.group_id === group.id && member.device_id === device.id);
+    }
+    
+    const { labels, tags, hardware_type } = group.query;
+    return (!labels || Object.entries(labels).every(([key, value]) => (device.labels || {})[key] === value))
+      && (!tags || tags.every(tag => (device.tags || []).includes(tag)))
+      && (!hardware_type || device.hardware_type === hardware_type);
+  }
+  
+  /**
+   * Row-level security for one viewer (userId null: the service role)
+   */
+  function policies(userId) {
+    const isAdmin = userId === null;
+    
+    const allowed = (projectId, roles) => {
+      if (isAdmin) return true;
+      const role = roleOf(projectId, userId);
+      return roles ? roles.includes(role) : role !== null;
+    };
+    
+    return {
+      canRead: (projectId, roles) => allowed(projectId, roles),
+      canWrite: (table, action, projectId) => allowed(projectId, ROLES_WRITE[table][action]),
+    };
+  }
+  
+  function projectsRepository(userId) {
+    const { canRead, canWrite } = policies(userId);
+    
+    const visible = () => [...projects.values()].filter(project => canRead(project.id));
+    
+    const slugTaken = (project, slug) => [...projects.values()].some(other =>
+      other.id !== project.id && other.user_id === project.user_id && other.slug === slug
+    );
+    
+    return {
+      async list({ projectId, search, sort, limit, cursor }) {
+        const rows = visible()
+          .filter(project => !projectId || project.id === projectId)
+          .filter(project => !search || matchesSearch(project.name, search));
+        
+        const result = page(rows, { sort, limit, cursor });
+        return { ...result, rows: result.rows.map(copy) };
+      },
+      
+      async get(id, { deviceCount = false } = {}) {
+        const project = projects.get(id);
+        if (!project || !canRead(id)) return null;
+        
+        if (!deviceCount) return copy(project);
+        const count = [...devices.values()].filter(device => device.project_id === id).length;
+        return { ...copy(project), devices: [{ count }] };
+      },
+      
+      async create(fields) {
+        if (userId !== null && fields.user_id !== userId) throw rlsViolation('projects');
+        
+        const project = {
+          id: crypto.randomUUID(),
+          ...PROJECT_DEFAULTS,
+          ...fields,
+          created_at: new Date().toISOString(),
+        };
+        if (slugTaken(project, project.slug)) return { ok: false, reason: 'duplicate' };
+        
+        projects.set(project.id, project);
+        // Like the projects_add_owner trigger
+        addMember(project.id, project.user_id, 'owner');
+        
+        return { ok: true, project: copy(project) };
+      },
+      
+      async update(id, updates) {
+        const project = projects.get(id);
+        if (!project || !canRead(id) || !canWrite('projects', 'update', id)) {
+          return { ok: false, reason: 'not_found' };
+        }
+        if (updates.slug && slugTaken(project, updates.slug)) return { ok: false, reason: 'duplicate' };
+        
+        Object.assign(project, updates);
+        return { ok: true, project: copy(project) };
+      },
+      
+      async remove(id) {
+        const project = projects.get(id);
+        if (!project || !canWrite('projects', 'delete', id)) return null;
+        
+        // Cascades to devices (and what cascades from them), members
+        // and certificates; the audit log is kept
+        for (const device of [...devices.values()].filter(device => device.project_id === id)) {
+          removeDevice(device.id);
+        }
+        for (const certificate of [...certificates.values()].filter(row => row.project_id === id)) {
+          certificates.delete(certificate.id);
+        }
+        for (const entry of factoryDevices.values()) {
+          if (entry.project_id === id) entry.project_id = null;
+        }
+        // Group members, job results, firmware updates and alerts went
+        // with the devices
+        for (const table of [invitations, apiKeys, groups, jobs, rollouts, firmwareReleases, alertRules, webhooks, webhookDeliveries]) {
+          for (const row of [...table.values()].filter(row => row.project_id === id)) {
+            table.delete(row.id);
+          }
+        }
+        authorities.delete(id);
+        projects.delete(id);
+        members.delete(id);
+        
+        return copy(project);
+      },
+      
+      async memberRole(projectId, memberId) {
+        return roleOf(projectId, memberId);
+      },
+    };
+  }
+  
+  function removeDevice(id) {
+    for (const channel of [...channels.values()].filter(channel => channel.device_id === id)) {
+      channels.delete(channel.id);
+    }
+    for (const command of [...commands.values()].filter(command => command.device_id === id)) {
+      commands.delete(command.id);
+    }
+    for (const rows of [telemetry, deviceErrors, connections, groupMembers, jobResults]) {
+      rows.splice(0, rows.length, ...rows.filter(row => row.device_id !== id));
+    }
+    for (const table of [firmwareUpdates, alerts, alertRules]) {
+      for (const row of [...table.values()].filter(row => row.device_id === id)) {
+        table.delete(row.id);
+      }
+    }
+    shadows.delete(id);
+    
+    // Certificates stay on the CRL
+    for (const certificate of certificates.values()) {
+      if (certificate.device_id === id) certificate.device_id = null;
+    }
+    // Like the release_factory_device trigger
+    for (const entry of factoryDevices.values()) {
+      if (entry.device_id === id) {
+        Object.assign(entry, {
+          status: 'registered',
+          project_id: null,
+          device_id: null,
+          claimed_by: null,
+          claimed_at: null,
+        });
+      }
+    }
+    
+    devices.delete(id);
+  }
+  
+  function devicesRepository(userId) {
+    const { canRead, canWrite } = policies(userId);
+    
+    const visible = () => [...devices.values()].filter(device => canRead(device.project_id));
+    
+    const projectSummary = device => pick(projects.get(device.project_id), ['id', 'name', 'slug']);
+    
+    const readable = device => {
+      const row = copy(device);
+      if (userId !== null) {
+        for (const field of DEVICE_SECRET_FIELDS) delete row[field];
+      }
+      return row;
+    };
+    
+    const checkUpdate = updates => {
+      if (userId !== null && Object.keys(updates).some(field => !DEVICE_MEMBER_UPDATES.includes(field))) {
+        throw databaseError('42501', 'permission denied for table devices');
+      }
+    };
+    
+    const newDevice = fields => {
+      if (!canWrite('devices', 'insert', fields.project_id)) throw rlsViolation('devices');
+      if (!projects.has(fields.project_id)) {
+        throw databaseError('23503', 'insert or update on table "devices" violates foreign key constraint');
+      }
+      
+      return {
+        id: crypto.randomUUID(),
+        ...structuredClone(DEVICE_DEFAULTS),
+        ...fields,
+        created_at: new Date().toISOString(),
+      };
+    };
+    
+    return {
+      async list(filters, { sort, limit, cursor }) {
+        const rows = visible().filter(device =>
+          ['project_id', 'online', 'hardware_type', 'firmware_version', 'is_provisioned']
+            .every(field => filters[field] === undefined || device[field] === filters[field])
+          && (!filters.tags || filters.tags.every(tag => (device.tags || []).includes(tag)))
+          && (!filters.labels || Object.entries(filters.labels)
+            .every(([key, value]) => (device.labels || {})[key] === value))
+          && (!filters.search || matchesSearch(device.name, filters.search))
+        );
+        
+        const result = page(rows, { sort, limit, cursor });
+        return {
+          ...result,
+          rows: result.rows.map(device => ({ ...readable(device), project: projectSummary(device) })),
+        };
+      },
+      
+      async listByProject(projectId, columns, filters = {}) {
+        return visible()
+          .filter(device => device.project_id === projectId)
+          .filter(device => ['id', 'hardware_type']
+            .every(field => filters[field] === undefined || device[field] === filters[field]))
+          .sort((a, b) => compareValues(a.created_at, b.created_at))
+          .map(device => pick(device, columns));
+      },
+      
+      async idsInProject(projectId, ids) {
+        return visible()
+          .filter(device => device.project_id === projectId && ids.includes(device.id))
+          .map(device => device.id);
+      },
+      
+      async listInGroup(group, { sort, limit, cursor }) {
+        const result = page(visible().filter(device => inGroup(group, device)), { sort, limit, cursor });
+        return { ...result, rows: result.rows.map(readable) };
+      },
+      
+      async countInGroup(group) {
+        return visible().filter(device => inGroup(group, device)).length;
+      },
+      
+      async idsInGroup(group, limit) {
+        return visible()
+          .filter(device => inGroup(group, device))
+          .map(device => device.id)
+          .sort(compareValues)
+          .slice(0, limit);
+      },
+      
+      async get(id, { project = false, channels: withChannels = false } = {}) {
+        const device = devices.get(id);
+        if (!device || !canRead(device.project_id)) return null;
+        
+        const row = readable(device);
+        if (project) row.project = projectSummary(device);
+        if (withChannels) {
+          row.channels = [...channels.values()].filter(channel => channel.device_id === id).map(copy);
+        }
+        return row;
+      },
+      
+      async findByToken(deviceToken) {
+        const device = visible().find(row => row.device_token === deviceToken);
+        if (!device) return null;
+        
+        return { ...copy(device), project: pick(projects.get(device.project_id), ['user_id']) };
+      },
+      
+      async findByMqttUsername(username) {
+        const device = visible().find(row => row.mqtt_username === username);
+        if (!device) return null;
+        
+        return {
+          ...pick(device, ['id', 'project_id', 'mqtt_username', 'mqtt_password_hash', 'is_provisioned']),
+          project: pick(projects.get(device.project_id), ['user_id']),
+        };
+      },
+      
+      async findWithOwner(id) {
+        const device = devices.get(id);
+        if (!device || !canRead(device.project_id)) return null;
+        
+        return { ...readable(device), project: pick(projects.get(device.project_id), ['user_id']) };
+      },
+      
+      async projectIdOf(id) {
+        const device = devices.get(id);
+        return device && canRead(device.project_id) ? device.project_id : null;
+      },
+      
+      async create(fields) {
+        const device = newDevice(fields);
+        devices.set(device.id, device);
+        return readable(device);
+      },
+      
+      // All or nothing, like one insert
+      async createMany(rows) {
+        const created = rows.map(newDevice);
+        for (const device of created) devices.set(device.id, device);
+        return created.map(readable);
+      },
+      
+      async update(id, updates, expected = {}) {
+        checkUpdate(updates);
+        
+        const device = devices.get(id);
+        if (!device || !canRead(device.project_id) || !canWrite('devices', 'update', device.project_id)) {
+          return null;
+        }
+        if (Object.entries(expected).some(([field, value]) => (device[field] === undefined ? null : device[field]) !== value)) {
+          return null;
+        }
+        
+        Object.assign(device, structuredClone(updates));
+        return readable(device);
+      },
+      
+      // Skipped if the device has seen something newer than updates.last_seen_at
+      async updatePresence(id, updates) {
+        checkUpdate(updates);
+        
+        const device = devices.get(id);
+        if (!device || !canRead(device.project_id) || !canWrite('devices', 'update', device.project_id)) {
+          return false;
+        }
+        if (device.last_seen_at && time(device.last_seen_at) > time(updates.last_seen_at)) return false;
+        
+        Object.assign(device, structuredClone(updates));
+        return true;
+      },
+      
+      async remove(id) {
+        const device = devices.get(id);
+        if (!device || !canWrite('devices', 'delete', device.project_id)) return false;
+        
+        removeDevice(id);
+        return true;
+      },
+    };
+  }
+  
+  function channelsRepository(userId) {
+    const { canRead, canWrite } = policies(userId);
+    
+    const find = (deviceId, id) => {
+      const channel = channels.get(id);
+      return channel && channel.device_id === deviceId && canRead(deviceProjectId(deviceId))
+        ? channel
+        : null;
+    };
+    
+    const keyTaken = (deviceId, key, id) => [...channels.values()].some(channel =>
+      channel.id !== id && channel.device_id === deviceId && channel.key === key
+    );
+    
+    return {
+      async list(deviceId) {
+        if (!canRead(deviceProjectId(deviceId))) return [];
+        
+        return [...channels.values()]
+          .filter(channel => channel.device_id === deviceId)
+          .sort((a, b) => compareValues(a.key, b.key))
+          .map(copy);
+      },
+      
+      async get(deviceId, id) {
+        return copy(find(deviceId, id));
+      },
+      
+      async create(fields) {
+        const projectId = deviceProjectId(fields.device_id);
+        if (!canWrite('device_channels', 'insert', projectId)) throw rlsViolation('device_channels');
+        if (!projectId) {
+          throw databaseError('23503', 'insert or update on table "device_channels" violates foreign key constraint');
+        }
+        if (keyTaken(fields.device_id, fields.key)) return { ok: false, reason: 'duplicate' };
+        
+        const channel = {
+          id: crypto.randomUUID(),
+          ...CHANNEL_DEFAULTS,
+          ...fields,
+          created_at: new Date().toISOString(),
+        };
+        channels.set(channel.id, channel);
+        
+        return { ok: true, channel: copy(channel) };
+      },
+      
+      async update(deviceId, id, updates) {
+        const channel = find(deviceId, id);
+        if (!channel || !canWrite('device_channels', 'update', deviceProjectId(deviceId))) {
+          return { ok: false, reason: 'not_found' };
+        }
+        if (updates.key && keyTaken(deviceId, updates.key, id)) return { ok: false, reason: 'duplicate' };
+        
+        Object.assign(channel, updates);
+        return { ok: true, channel: copy(channel) };
+      },
+      
+      async remove(deviceId, id) {
+        const channel = find(deviceId, id);
+        if (!channel || !canWrite('device_channels', 'delete', deviceProjectId(deviceId))) return false;
+        
+        channels.delete(id);
+        return true;
+      },
+    };
+  }
+  
+  // Rows of a device's tables (telemetry, commands, ...) a viewer can read
+  const deviceRows = (rows, deviceId, canRead) => (canRead(deviceProjectId(deviceId))
+    ? rows.filter(row => row.device_id === deviceId)
+    : []);
+  
+  function telemetryRepository(userId) {
+    const { canRead } = policies(userId);
+    
+    const inRange = (deviceId, { from, to, channels }) => deviceRows(telemetry, deviceId, canRead)
+      .filter(row => time(row.ts) >= time(from) && time(row.ts) < time(to))
+      .filter(row => !channels || channels.includes(row.channel));
+    
+    return {
+      async list(deviceId, { from, to, channels, limit }) {
+        return inRange(deviceId, { from, to, channels })
+          .sort((a, b) => time(a.ts) - time(b.ts))
+          .slice(0, limit)
+          .map(row => pick(row, ['channel', 'value', 'ts']));
+      },
+      
+      // Like the telemetry_buckets() function
+      async buckets(deviceId, { from, to, bucketSeconds, channels }) {
+        const groups = new Map();
+        
+        for (const row of inRange(deviceId, { from, to, channels })) {
+          const bucketMs = Math.floor(time(row.ts) / (bucketSeconds * 1000)) * bucketSeconds * 1000;
+          const key = `${bucketMs}\u0000${row.channel}`;
+          if (!groups.has(key)) groups.set(key, { bucketMs, channel: row.channel, values: [], count: 0 });
+          
+          const group = groups.get(key);
+          group.count++;
+          if (row.value_num !== null && row.value_num !== undefined) group.values.push(row.value_num);
+        }
+        
+        return [...groups.values()]
+          .sort((a, b) => a.bucketMs - b.bucketMs || compareValues(a.channel, b.channel))
+          .map(({ bucketMs, channel, values, count }) => ({
+            bucket: new Date(bucketMs).toISOString(),
+            channel,
+            min: values.length > 0 ? Math.min(...values) : null,
+            max: values.length > 0 ? Math.max(...values) : null,
+            avg: values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null,
+            count,
+          }));
+      },
+      
+      // Like the telemetry_latest() function
+      async latest(deviceIds, { channel } = {}) {
+        const latest = [];
+        
+        for (const deviceId of deviceIds) {
+          const times = deviceRows(telemetry, deviceId, canRead)
+            .filter(row => !channel || row.channel === channel)
+            .map(row => time(row.ts));
+          if (times.length > 0) {
+            latest.push({ device_id: deviceId, ts: new Date(Math.max(...times)).toISOString() });
+          }
+        }
+        
+        return latest;
+      },
+      
+      async insert(rows) {
+        serviceOnly(userId, 'telemetry');
+        for (const row of rows) {
+          telemetry.push({ id: nextId(), flagged: false, ...copy(row), received_at: new Date().toISOString() });
+        }
+      },
+    };
+  }
+  
+  function commandsRepository(userId) {
+    const { canRead, canWrite } = policies(userId);
+    
+    const find = (deviceId, id) => {
+      const command = commands.get(id);
+      return command && command.device_id === deviceId && canRead(deviceProjectId(deviceId)) ? command : null;
+    };
+    
+    return {
+      async list(deviceId, { status, limit }) {
+        return deviceRows([...commands.values()], deviceId, canRead)
+          .filter(command => !status || command.status === status)
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .slice(0, limit)
+          .map(copy);
+      },
+      
+      async get(deviceId, id) {
+        return copy(find(deviceId, id));
+      },
+      
+      async create(fields) {
+        const projectId = deviceProjectId(fields.device_id);
+        if (!canWrite('device_commands', 'insert', projectId) || (userId !== null && fields.created_by !== userId)) {
+          throw rlsViolation('device_commands');
+        }
+        
+        const command = {
+          id: crypto.randomUUID(),
+          ...COMMAND_DEFAULTS,
+          ...structuredClone(fields),
+          created_at: new Date().toISOString(),
+        };
+        commands.set(command.id, command);
+        
+        return copy(command);
+      },
+      
+      async update(id, updates, { statuses } = {}) {
+        const command = commands.get(id);
+        if (!command || userId !== null) return null;
+        if (statuses && !statuses.includes(command.status)) return null;
+        
+        Object.assign(command, structuredClone(updates));
+        return copy(command);
+      },
+      
+      async expire(deviceId, { statuses, before }) {
+        if (userId !== null) return;
+        
+        for (const command of commands.values()) {
+          if (command.device_id === deviceId && statuses.includes(command.status)
+            && time(command.expires_at) < time(before)) {
+            command.status = 'expired';
+          }
+        }
+      },
+    };
+  }
+  
+  function shadowsRepository(userId) {
+    const { canRead } = policies(userId);
+    
+    return {
+      async get(deviceId) {
+        const shadow = shadows.get(deviceId);
+        return shadow && canRead(deviceProjectId(deviceId)) ? copy(shadow) : null;
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'device_shadows');
+        if (shadows.has(fields.device_id)) return null;
+        
+        const shadow = { ...SHADOW_DEFAULTS, ...structuredClone(fields) };
+        shadows.set(shadow.device_id, shadow);
+        
+        return copy(shadow);
+      },
+      
+      async updateIfVersion(deviceId, versionField, version, updates) {
+        const shadow = shadows.get(deviceId);
+        if (!shadow || userId !== null || shadow[versionField] !== version) return null;
+        
+        Object.assign(shadow, structuredClone(updates));
+        return copy(shadow);
+      },
+    };
+  }
+  
+  function deviceErrorsRepository(userId) {
+    const { canRead } = policies(userId);
+    
+    return {
+      async list(deviceId, { since, action, limit }) {
+        return deviceRows(deviceErrors, deviceId, canRead)
+          .filter(row => !since || time(row.created_at) >= time(since))
+          .filter(row => !action || row.action === action)
+          .sort((a, b) => compareValues(b.created_at, a.created_at) || b.id - a.id)
+          .slice(0, limit)
+          .map(copy);
+      },
+      
+      async insert(rows) {
+        serviceOnly(userId, 'device_errors');
+        for (const row of rows) {
+          deviceErrors.push({ id: nextId(), ...copy(row), created_at: new Date().toISOString() });
+        }
+      },
+      
+      async removeBefore(before) {
+        serviceOnly(userId, 'device_errors');
+        const kept = deviceErrors.filter(row => time(row.created_at) >= time(before));
+        const removed = deviceErrors.length - kept.length;
+        deviceErrors.splice(0, deviceErrors.length, ...kept);
+        return removed;
+      },
+    };
+  }
+  
+  function connectionsRepository(userId) {
+    const { canRead } = policies(userId);
+    
+    return {
+      async list(deviceId, { limit }) {
+        return deviceRows(connections, deviceId, canRead)
+          .sort((a, b) => time(b.occurred_at) - time(a.occurred_at) || b.id - a.id)
+          .slice(0, limit)
+          .map(row => pick(row, ['event', 'ip', 'reason', 'occurred_at']));
+      },
+      
+      async insert(fields) {
+        serviceOnly(userId, 'device_connections');
+        connections.push({ id: nextId(), ...copy(fields), received_at: new Date().toISOString() });
+      },
+    };
+  }
+  
+  // CAs are only ever read by the API (service role)
+  function authoritiesRepository(userId) {
+    const serviceRole = userId === null;
+    
+    return {
+      async get(projectId) {
+        return serviceRole ? copy(authorities.get(projectId)) || null : null;
+      },
+      
+      async listValid(validAt) {
+        if (!serviceRole) return [];
+        
+        return [...authorities.values()]
+          .filter(authority => time(authority.not_after) > time(validAt))
+          .sort((a, b) => compareValues(a.created_at, b.created_at))
+          .map(copy);
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'project_certificate_authorities');
+        if (authorities.has(fields.project_id)) return { ok: false, reason: 'duplicate' };
+        
+        const authority = { ...copy(fields), created_at: new Date().toISOString() };
+        authorities.set(authority.project_id, authority);
+        
+        return { ok: true, authority: copy(authority) };
+      },
+      
+      async remove(projectId) {
+        return serviceRole && authorities.delete(projectId);
+      },
+    };
+  }
+  
+  function certificatesRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const visible = () => [...certificates.values()].filter(certificate => canRead(certificate.project_id));
+    
+    const withDevice = (certificate, columns, { owner = false } = {}) => {
+      const device = certificate.device_id && devices.get(certificate.device_id);
+      const embedded = device ? pick(device, columns) : null;
+      if (embedded && owner) embedded.project = pick(projects.get(device.project_id), ['user_id']);
+      return { ...copy(certificate), device: embedded };
+    };
+    
+    return {
+      async list(projectId, { deviceId, status } = {}) {
+        return visible()
+          .filter(certificate => certificate.project_id === projectId)
+          .filter(certificate => !deviceId || certificate.device_id === deviceId)
+          .filter(certificate => !status || certificate.status === status)
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .map(copy);
+      },
+      
+      async countActive(projectId, validAt) {
+        return visible().filter(certificate => certificate.project_id === projectId
+          && certificate.status === 'active' && time(certificate.not_after) > time(validAt)).length;
+      },
+      
+      async listRevoked(projectId, validAt) {
+        return visible()
+          .filter(certificate => certificate.project_id === projectId
+            && certificate.status === 'revoked' && time(certificate.not_after) > time(validAt))
+          .sort((a, b) => time(a.revoked_at) - time(b.revoked_at))
+          .map(certificate => pick(certificate, ['serial_number', 'revoked_at', 'revocation_reason']));
+      },
+      
+      async findByFingerprint(fingerprint) {
+        const certificate = visible().find(row => row.fingerprint_sha256 === fingerprint);
+        return certificate
+          ? withDevice(certificate, ['id', 'project_id', 'mqtt_username', 'is_provisioned', 'auth_method'], { owner: true })
+          : null;
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'device_certificates');
+        
+        const certificate = {
+          id: crypto.randomUUID(),
+          ...CERTIFICATE_DEFAULTS,
+          ...copy(fields),
+          created_at: new Date().toISOString(),
+        };
+        certificates.set(certificate.id, certificate);
+        
+        return copy(certificate);
+      },
+      
+      async update(id, updates) {
+        const certificate = certificates.get(id);
+        if (certificate && serviceRole) Object.assign(certificate, structuredClone(updates));
+      },
+      
+      async revoke({ id, projectId, deviceId, keep = [] }, { reason, at }) {
+        if (!serviceRole) return [];
+        
+        const revoked = [...certificates.values()].filter(certificate => certificate.status === 'active'
+          && (!id || certificate.id === id)
+          && (!projectId || certificate.project_id === projectId)
+          && (!deviceId || certificate.device_id === deviceId)
+          && !keep.includes(certificate.id));
+        
+        for (const certificate of revoked) {
+          Object.assign(certificate, { status: 'revoked', revoked_at: at, revocation_reason: reason });
+        }
+        return revoked.map(copy);
+      },
+    };
+  }
+  
+  // Managed by the API with the service role only
+  function factoryDevicesRepository(userId) {
+    const serviceRole = userId === null;
+    
+    const all = () => (serviceRole ? [...factoryDevices.values()] : []);
+    
+    return {
+      async list({ status, limit }, columns) {
+        return all()
+          .filter(entry => !status || entry.status === status)
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .slice(0, limit)
+          .map(entry => pick(entry, columns));
+      },
+      
+      async find(identity) {
+        const [field, value] = Object.entries(identity)[0];
+        return copy(all().find(entry => entry[field] === value)) || null;
+      },
+      
+      async findClaimable(claimCodeHash) {
+        return copy(all().find(entry => entry.claim_code_hash === claimCodeHash
+          && ['registered', 'pending_claim'].includes(entry.status))) || null;
+      },
+      
+      // All or nothing, like one insert
+      async createMany(rows, columns) {
+        serviceOnly(userId, 'factory_devices');
+        
+        const created = [];
+        for (const row of rows) {
+          for (const field of ['mac_address', 'serial_number', 'claim_code_hash']) {
+            const taken = row[field] && [...factoryDevices.values(), ...created].some(entry => entry[field] === row[field]);
+            if (taken) {
+              throw databaseError('23505', `duplicate key value violates unique constraint "factory_devices_${field}_key"`);
+            }
+          }
+          created.push({
+            id: crypto.randomUUID(),
+            ...FACTORY_DEVICE_DEFAULTS,
+            ...copy(row),
+            created_at: new Date().toISOString(),
+          });
+        }
+        
+        for (const entry of created) factoryDevices.set(entry.id, entry);
+        return created.map(entry => pick(entry, columns));
+      },
+      
+      async update(id, updates, expected = {}) {
+        const entry = serviceRole && factoryDevices.get(id);
+        if (!entry) return null;
+        if (Object.entries(expected).some(([field, value]) => (entry[field] === undefined ? null : entry[field]) !== value)) {
+          return null;
+        }
+        
+        Object.assign(entry, structuredClone(updates));
+        return copy(entry);
+      },
+      
+      async remove(id) {
+        const entry = serviceRole && factoryDevices.get(id);
+        if (!entry || entry.status === 'claimed') return false;
+        
+        factoryDevices.delete(id);
+        return true;
+      },
+    };
+  }
+  
+  // Written by the API (service role); admins read their project's entries
+  function auditLogRepository(userId) {
+    const { canRead } = policies(userId);
+    
+    return {
+      async list(projectId, filters, { limit, before }) {
+        if (!canRead(projectId, AUDIT_READERS)) return [];
+        
+        return auditLog
+          .filter(entry => entry.project_id === projectId)
+          .filter(entry => ['action', 'actor_type', 'actor_id', 'target_type', 'target_id']
+            .every(field => !filters[field] || entry[field] === filters[field]))
+          .filter(entry => !filters.from || time(entry.created_at) >= time(filters.from))
+          .filter(entry => !filters.to || time(entry.created_at) < time(filters.to))
+          .filter(entry => before === undefined || entry.id < before)
+          .sort((a, b) => b.id - a.id)
+          .slice(0, limit)
+          .map(copy);
+      },
+      
+      async insert(entry) {
+        serviceOnly(userId, 'audit_log');
+        auditLog.push({ id: nextId(), ...copy(entry), created_at: new Date().toISOString() });
+      },
+    };
+  }
+  
+  // Managed by the API with the service role only
+  function membersRepository(userId) {
+    const serviceRole = userId === null;
+    
+    const rows = projectId => (serviceRole && members.has(projectId)
+      ? [...members.get(projectId)].map(([memberId, member]) => ({ user_id: memberId, ...copy(member) }))
+      : []);
+    
+    return {
+      async list(projectId) {
+        return rows(projectId).sort((a, b) => compareValues(a.created_at, b.created_at));
+      },
+      
+      async findByEmail(projectId, email) {
+        return rows(projectId).find(member => member.email === email) || null;
+      },
+      
+      async countOwners(projectId) {
+        return rows(projectId).filter(member => member.role === 'owner').length;
+      },
+      
+      async create({ project_id, user_id, email = null, role }) {
+        serviceOnly(userId, 'project_members');
+        if (!projects.has(project_id)) {
+          throw databaseError('23503', 'insert or update on table "project_members" violates foreign key constraint');
+        }
+        if (roleOf(project_id, user_id)) {
+          throw databaseError('23505', 'duplicate key value violates unique constraint "project_members_pkey"');
+        }
+        
+        addMember(project_id, user_id, role, email);
+        return { project_id, ...rows(project_id).find(member => member.user_id === user_id) };
+      },
+      
+      async updateRole(projectId, memberId, role) {
+        const member = serviceRole && members.has(projectId) && members.get(projectId).get(memberId);
+        if (!member) return null;
+        
+        member.role = role;
+        return rows(projectId).find(row => row.user_id === memberId);
+      },
+      
+      async remove(projectId, memberId) {
+        return Boolean(serviceRole && members.has(projectId) && members.get(projectId).delete(memberId));
+      },
+    };
+  }
+  
+  // Managed by the API with the service role only
+  function invitationsRepository(userId) {
+    const serviceRole = userId === null;
+    
+    const all = () => (serviceRole ? [...invitations.values()] : []);
+    
+    const open = at => all()
+      .filter(invitation => invitation.accepted_at === null && time(invitation.expires_at) > time(at))
+      .sort((a, b) => compareValues(b.created_at, a.created_at));
+    
+    return {
+      async listOpen(projectId, at) {
+        return open(at)
+          .filter(invitation => invitation.project_id === projectId)
+          .map(invitation => pick(invitation, ['id', 'email', 'role', 'invited_by', 'expires_at', 'created_at']));
+      },
+      
+      async listOpenForEmail(email, at) {
+        return open(at)
+          .filter(invitation => invitation.email === email)
+          .map(invitation => ({
+            ...pick(invitation, ['id', 'role', 'expires_at', 'created_at']),
+            project: pick(projects.get(invitation.project_id), ['id', 'name', 'slug']),
+          }));
+      },
+      
+      async get(id) {
+        const invitation = serviceRole && invitations.get(id);
+        return invitation
+          ? pick(invitation, ['id', 'project_id', 'email', 'role', 'expires_at', 'accepted_at'])
+          : null;
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'project_invitations');
+        if (!projects.has(fields.project_id)) {
+          throw databaseError('23503', 'insert or update on table "project_invitations" violates foreign key constraint');
+        }
+        // Like project_invitations_open_idx
+        const taken = [...invitations.values()].some(invitation => invitation.project_id === fields.project_id
+          && invitation.email.toLowerCase() === fields.email.toLowerCase()
+          && invitation.accepted_at === null);
+        if (taken) {
+          throw databaseError('23505', 'duplicate key value violates unique constraint "project_invitations_open_idx"');
+        }
+        
+        const invitation = {
+          id: crypto.randomUUID(),
+          invited_by: null,
+          accepted_at: null,
+          accepted_by: null,
+          ...copy(fields),
+          created_at: new Date().toISOString(),
+        };
+        invitations.set(invitation.id, invitation);
+        
+        return pick(invitation, ['id', 'email', 'role', 'expires_at', 'created_at']);
+      },
+      
+      async update(id, updates) {
+        const invitation = serviceRole && invitations.get(id);
+        if (!invitation) return null;
+        
+        Object.assign(invitation, structuredClone(updates));
+        return pick(invitation, ['id']);
+      },
+      
+      async removeOpen(projectId, id) {
+        const invitation = serviceRole && invitations.get(id);
+        if (!invitation || invitation.project_id !== projectId || invitation.accepted_at !== null) return false;
+        
+        invitations.delete(id);
+        return true;
+      },
+    };
+  }
+  
+  function apiKeysRepository(userId) {
+    const { canRead, canWrite } = policies(userId);
+    
+    const find = id => {
+      const key = apiKeys.get(id);
+      return key && canRead(key.project_id, API_KEY_READERS) ? key : null;
+    };
+    
+    return {
+      async list(projectId) {
+        if (!canRead(projectId, API_KEY_READERS)) return [];
+        
+        return [...apiKeys.values()]
+          .filter(key => key.project_id === projectId)
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .map(key => pick(key, API_KEY_FIELDS));
+      },
+      
+      async get(id) {
+        const key = find(id);
+        return key ? pick(key, API_KEY_FIELDS) : null;
+      },
+      
+      async findByPrefix(prefix) {
+        const key = [...apiKeys.values()].find(row => row.prefix === prefix && canRead(row.project_id, API_KEY_READERS));
+        return key ? pick(key, [...API_KEY_FIELDS, 'secret_hash', 'created_by']) : null;
+      },
+      
+      async create(fields) {
+        if (!canWrite('api_keys', 'insert', fields.project_id)) throw rlsViolation('api_keys');
+        if (!projects.has(fields.project_id)) {
+          throw databaseError('23503', 'insert or update on table "api_keys" violates foreign key constraint');
+        }
+        
+        const key = {
+          id: crypto.randomUUID(),
+          expires_at: null,
+          last_used_at: null,
+          revoked_at: null,
+          created_by: null,
+          ...copy(fields),
+          created_at: new Date().toISOString(),
+        };
+        apiKeys.set(key.id, key);
+        
+        return pick(key, API_KEY_FIELDS);
+      },
+      
+      async revoke(projectId, id, at) {
+        const key = find(id);
+        if (!key || key.project_id !== projectId || key.revoked_at !== null
+          || !canWrite('api_keys', 'update', projectId)) {
+          return false;
+        }
+        
+        key.revoked_at = at;
+        return true;
+      },
+      
+      async touch(id, at) {
+        const key = find(id);
+        if (key && canWrite('api_keys', 'update', key.project_id)) key.last_used_at = at;
+      },
+    };
+  }
+  
+  // Written by the API (service role); members can read
+  function groupsRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const find = (projectId, id) => {
+      const group = groups.get(id);
+      return group && group.project_id === projectId && canRead(projectId) ? group : null;
+    };
+    
+    // Like the unique (project_id, name) constraint
+    const checkName = (projectId, name, id) => {
+      const taken = [...groups.values()].some(group =>
+        group.id !== id && group.project_id === projectId && group.name === name
+      );
+      if (taken) {
+        throw databaseError('23505', 'duplicate key value violates unique constraint "device_groups_project_id_name_key"');
+      }
+    };
+    
+    return {
+      async list(projectId, { type } = {}) {
+        if (!canRead(projectId)) return [];
+        
+        return [...groups.values()]
+          .filter(group => group.project_id === projectId && (!type || group.type === type))
+          .sort((a, b) => compareValues(a.name, b.name))
+          .map(copy);
+      },
+      
+      async get(projectId, id) {
+        return copy(find(projectId, id));
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'device_groups');
+        if (!projects.has(fields.project_id)) {
+          throw databaseError('23503', 'insert or update on table "device_groups" violates foreign key constraint');
+        }
+        checkName(fields.project_id, fields.name);
+        
+        const now = new Date().toISOString();
+        const group = {
+          id: crypto.randomUUID(),
+          ...GROUP_DEFAULTS,
+          ...copy(fields),
+          created_at: now,
+          updated_at: now,
+        };
+        groups.set(group.id, group);
+        
+        return copy(group);
+      },
+      
+      async update(id, updates) {
+        const group = serviceRole && groups.get(id);
+        if (!group) return null;
+        if (updates.name) checkName(group.project_id, updates.name, id);
+        
+        Object.assign(group, structuredClone(updates));
+        return copy(group);
+      },
+      
+      // Jobs keep their results, without the group
+      async remove(id) {
+        if (!serviceRole || !groups.delete(id)) return false;
+        
+        groupMembers.splice(0, groupMembers.length, ...groupMembers.filter(member => member.group_id !== id));
+        for (const job of jobs.values()) {
+          if (job.group_id === id) job.group_id = null;
+        }
+        return true;
+      },
+      
+      async addMembers(groupId, deviceIds) {
+        serviceOnly(userId, 'device_group_members');
+        
+        for (const deviceId of deviceIds) {
+          const member = groupMembers.some(row => row.group_id === groupId && row.device_id === deviceId);
+          if (!member) {
+            groupMembers.push({ group_id: groupId, device_id: deviceId, added_at: new Date().toISOString() });
+          }
+        }
+      },
+      
+      async removeMember(groupId, deviceId) {
+        const index = groupMembers.findIndex(row => row.group_id === groupId && row.device_id === deviceId);
+        if (!serviceRole || index === -1) return false;
+        
+        groupMembers.splice(index, 1);
+        return true;
+      },
+    };
+  }
+  
+  // Written by the API (service role); members can read jobs, results
+  // are for the service role only
+  function jobsRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const find = (projectId, id) => {
+      const job = jobs.get(id);
+      return job && job.project_id === projectId && canRead(projectId) ? job : null;
+    };
+    
+    const results = jobId => (serviceRole ? jobResults.filter(result => result.job_id === jobId) : []);
+    
+    return {
+      async list(projectId, filters, { limit }) {
+        if (!canRead(projectId)) return [];
+        
+        return [...jobs.values()]
+          .filter(job => job.project_id === projectId)
+          .filter(job => ['group_id', 'type', 'status'].every(field => !filters[field] || job[field] === filters[field]))
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .slice(0, limit)
+          .map(copy);
+      },
+      
+      async get(projectId, id) {
+        return copy(find(projectId, id));
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'device_jobs');
+        if (!projects.has(fields.project_id)) {
+          throw databaseError('23503', 'insert or update on table "device_jobs" violates foreign key constraint');
+        }
+        
+        const job = {
+          id: crypto.randomUUID(),
+          ...JOB_DEFAULTS,
+          ...copy(fields),
+          created_at: new Date().toISOString(),
+        };
+        jobs.set(job.id, job);
+        
+        return copy(job);
+      },
+      
+      async update(id, updates, expected = {}) {
+        const job = serviceRole && jobs.get(id);
+        if (!job) return null;
+        if (Object.entries(expected).some(([field, value]) => (job[field] === undefined ? null : job[field]) !== value)) {
+          return null;
+        }
+        
+        Object.assign(job, structuredClone(updates));
+        return copy(job);
+      },
+      
+      async remove(id) {
+        if (!serviceRole) return;
+        
+        jobs.delete(id);
+        jobResults.splice(0, jobResults.length, ...jobResults.filter(result => result.job_id !== id));
+      },
+      
+      async listDue(staleBefore, limit) {
+        if (!serviceRole) return [];
+        
+        return [...jobs.values()]
+          .filter(job => (job.status === 'queued' && job.claimed_at === null)
+            || (['queued', 'running'].includes(job.status) && job.claimed_at !== null
+              && time(job.claimed_at) < time(staleBefore)))
+          .sort((a, b) => compareValues(a.created_at, b.created_at))
+          .slice(0, limit)
+          .map(job => pick(job, ['id', 'status', 'claimed_at', 'started_at']));
+      },
+      
+      async addResults(jobId, deviceIds) {
+        serviceOnly(userId, 'device_job_results');
+        
+        for (const deviceId of deviceIds) {
+          jobResults.push({
+            job_id: jobId,
+            device_id: deviceId,
+            status: 'pending',
+            result: null,
+            error: null,
+            device_token: null,
+            completed_at: null,
+          });
+        }
+      },
+      
+      async pendingResults(jobId, limit) {
+        return results(jobId)
+          .filter(result => result.status === 'pending')
+          .slice(0, limit)
+          .map(result => result.device_id);
+      },
+      
+      async updateResult(jobId, deviceId, updates, { status } = {}) {
+        const result = results(jobId).find(row => row.device_id === deviceId);
+        if (!result || (status && result.status !== status)) return false;
+        
+        Object.assign(result, structuredClone(updates));
+        return true;
+      },
+      
+      async countResults(jobId) {
+        const counts = { pending: 0, succeeded: 0, failed: 0 };
+        for (const result of results(jobId)) counts[result.status] += 1;
+        return counts;
+      },
+      
+      async listTokens(jobId) {
+        return results(jobId)
+          .filter(result => result.status === 'succeeded' && result.device_token !== null)
+          .sort((a, b) => compareValues(a.device_id, b.device_id))
+          .map(result => ({
+            device_id: result.device_id,
+            name: devices.get(result.device_id).name,
+            device_token: result.device_token,
+          }));
+      },
+      
+      async purgeTokens(jobId) {
+        for (const result of results(jobId)) result.device_token = null;
+      },
+      
+      async listResults(projectId, jobId, { status, after, limit }) {
+        if (!find(projectId, jobId)) return [];
+        
+        return results(jobId)
+          .filter(result => !status || result.status === status)
+          .filter(result => !after || result.device_id > after)
+          .sort((a, b) => compareValues(a.device_id, b.device_id))
+          .slice(0, limit)
+          .map(({ device_token: deviceToken, ...result }) => ({
+            ...copy(result),
+            device: pick(devices.get(result.device_id), ['id', 'name']),
+          }));
+      },
+    };
+  }
+  
+  // Written by the API (service role); members can read
+  function firmwareReleasesRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const visible = projectId => (canRead(projectId)
+      ? [...firmwareReleases.values()].filter(release => release.project_id === projectId)
+      : []);
+    
+    return {
+      async list(projectId, { hardwareType } = {}) {
+        return visible(projectId)
+          .filter(release => !hardwareType || release.hardware_type === hardwareType)
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .map(copy);
+      },
+      
+      async get(projectId, id) {
+        return copy(visible(projectId).find(release => release.id === id)) || null;
+      },
+      
+      async find(projectId, hardwareType, version) {
+        return copy(visible(projectId).find(release =>
+          release.hardware_type === hardwareType && release.version === version
+        )) || null;
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'firmware_releases');
+        if (!projects.has(fields.project_id)) {
+          throw databaseError('23503', 'insert or update on table "firmware_releases" violates foreign key constraint');
+        }
+        const taken = [...firmwareReleases.values()].some(release => release.project_id === fields.project_id
+          && release.hardware_type === fields.hardware_type && release.version === fields.version);
+        if (taken) {
+          throw databaseError('23505', 'duplicate key value violates unique constraint "firmware_releases_project_id_hardware_type_version_key"');
+        }
+        
+        const release = {
+          id: crypto.randomUUID(),
+          ...RELEASE_DEFAULTS,
+          ...copy(fields),
+          created_at: new Date().toISOString(),
+        };
+        firmwareReleases.set(release.id, release);
+        
+        return copy(release);
+      },
+      
+      // Rollouts keep their release (on delete restrict)
+      async remove(projectId, id) {
+        const release = serviceRole && firmwareReleases.get(id);
+        if (!release || release.project_id !== projectId) return null;
+        if ([...rollouts.values()].some(rollout => rollout.release_id === id)) {
+          throw databaseError('23503', 'update or delete on table "firmware_releases" violates foreign key constraint');
+        }
+        
+        firmwareReleases.delete(id);
+        return copy(release);
+      },
+    };
+  }
+  
+  const releaseSummary = (releaseId, columns) => pick(firmwareReleases.get(releaseId), columns);
+  
+  // Written by the API (service role); members can read
+  function rolloutsRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const runningTaken = rollout => RUNNING_ROLLOUT_STATUSES.includes(rollout.status)
+      && [...rollouts.values()].some(other => other.id !== rollout.id
+        && other.project_id === rollout.project_id && other.hardware_type === rollout.hardware_type
+        && RUNNING_ROLLOUT_STATUSES.includes(other.status));
+    
+    return {
+      async list(projectId, { status } = {}) {
+        if (!canRead(projectId)) return [];
+        
+        return [...rollouts.values()]
+          .filter(rollout => rollout.project_id === projectId && (!status || rollout.status === status))
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .map(rollout => ({
+            ...copy(rollout),
+            release: releaseSummary(rollout.release_id, ['id', 'version', 'hardware_type']),
+          }));
+      },
+      
+      async get(id, { projectId, release = false } = {}) {
+        const rollout = rollouts.get(id);
+        if (!rollout || !canRead(rollout.project_id) || (projectId && rollout.project_id !== projectId)) {
+          return null;
+        }
+        
+        const row = copy(rollout);
+        if (release) {
+          row.release = releaseSummary(rollout.release_id, ['id', 'version', 'hardware_type', 'sha256', 'size_bytes']);
+        }
+        return row;
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'firmware_rollouts');
+        if (!firmwareReleases.has(fields.release_id)) {
+          throw databaseError('23503', 'insert or update on table "firmware_rollouts" violates foreign key constraint');
+        }
+        
+        const now = new Date().toISOString();
+        const rollout = {
+          id: crypto.randomUUID(),
+          ...ROLLOUT_DEFAULTS,
+          ...copy(fields),
+          created_at: now,
+          updated_at: now,
+        };
+        if (runningTaken(rollout)) return { ok: false, reason: 'duplicate' };
+        
+        rollouts.set(rollout.id, rollout);
+        return { ok: true, rollout: copy(rollout) };
+      },
+      
+      async remove(id) {
+        if (!serviceRole || !rollouts.delete(id)) return;
+        
+        for (const update of [...firmwareUpdates.values()].filter(row => row.rollout_id === id)) {
+          firmwareUpdates.delete(update.id);
+        }
+      },
+      
+      async update(id, updates, { statuses } = {}) {
+        const rollout = serviceRole && rollouts.get(id);
+        if (!rollout) return null;
+        if (statuses && !statuses.includes(rollout.status)) return null;
+        if (runningTaken({ ...rollout, ...updates })) {
+          throw databaseError('23505', 'duplicate key value violates unique constraint "firmware_rollouts_running_idx"');
+        }
+        
+        Object.assign(rollout, structuredClone(updates));
+        return copy(rollout);
+      },
+      
+      async countForRelease(releaseId) {
+        return [...rollouts.values()]
+          .filter(rollout => rollout.release_id === releaseId && canRead(rollout.project_id))
+          .length;
+      },
+    };
+  }
+  
+  // Written by the API (service role); members can read
+  function firmwareUpdatesRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const visible = () => [...firmwareUpdates.values()].filter(update => canRead(deviceProjectId(update.device_id)));
+    
+    const latestFirst = (a, b) => compareValues(b.updated_at, a.updated_at);
+    
+    return {
+      // All or nothing, like one insert
+      async createMany(rows) {
+        serviceOnly(userId, 'firmware_updates');
+        
+        const created = [];
+        for (const row of rows) {
+          const taken = [...firmwareUpdates.values(), ...created].some(update =>
+            update.rollout_id === row.rollout_id && update.device_id === row.device_id
+          );
+          if (taken) {
+            throw databaseError('23505', 'duplicate key value violates unique constraint "firmware_updates_rollout_id_device_id_key"');
+          }
+          created.push({
+            id: crypto.randomUUID(),
+            from_version: null,
+            status: 'pending',
+            error: null,
+            started_at: null,
+            completed_at: null,
+            ...copy(row),
+            updated_at: new Date().toISOString(),
+          });
+        }
+        
+        for (const update of created) firmwareUpdates.set(update.id, update);
+      },
+      
+      async statuses(rolloutId) {
+        return visible()
+          .filter(update => update.rollout_id === rolloutId)
+          .map(update => update.status);
+      },
+      
+      async list(projectId, rolloutId, { status } = {}) {
+        const rollout = rollouts.get(rolloutId);
+        if (!rollout || rollout.project_id !== projectId) return [];
+        
+        return visible()
+          .filter(update => update.rollout_id === rolloutId && (!status || update.status === status))
+          .sort(latestFirst)
+          .map(update => ({
+            ...copy(update),
+            device: pick(devices.get(update.device_id), ['id', 'name', 'firmware_version']),
+          }));
+      },
+      
+      async findOpen(deviceId, statuses) {
+        const update = visible()
+          .filter(row => row.device_id === deviceId && statuses.includes(row.status)
+            && rollouts.get(row.rollout_id).status === 'active')
+          .sort(latestFirst)[0];
+        if (!update) return null;
+        
+        const rollout = rollouts.get(update.rollout_id);
+        return {
+          ...pick(update, ['id', 'status', 'from_version']),
+          rollout: {
+            ...pick(rollout, ['id', 'status']),
+            release: releaseSummary(rollout.release_id, [
+              'id', 'version', 'hardware_type', 'storage_path', 'size_bytes', 'sha256', 'signature', 'signature_algorithm',
+            ]),
+          },
+        };
+      },
+      
+      async get(deviceId, id) {
+        const update = firmwareUpdates.get(id);
+        if (!update || update.device_id !== deviceId || !canRead(deviceProjectId(deviceId))) return null;
+        
+        const rollout = rollouts.get(update.rollout_id);
+        return {
+          ...copy(update),
+          rollout: { id: rollout.id, release: releaseSummary(rollout.release_id, ['version']) },
+        };
+      },
+      
+      async update(id, changes, { status }) {
+        const update = serviceRole && firmwareUpdates.get(id);
+        if (!update || update.status !== status) return null;
+        
+        Object.assign(update, structuredClone(changes));
+        return pick(update, FIRMWARE_UPDATE_FIELDS);
+      },
+    };
+  }
+  
+  // Written by the API (service role); members can read
+  function alertRulesRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const find = (projectId, id) => {
+      const rule = alertRules.get(id);
+      return rule && rule.project_id === projectId && canRead(projectId) ? rule : null;
+    };
+    
+    return {
+      async list(projectId) {
+        if (!canRead(projectId)) return [];
+        
+        return [...alertRules.values()]
+          .filter(rule => rule.project_id === projectId)
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .map(copy);
+      },
+      
+      async listEnabled({ projectId, types }) {
+        return [...alertRules.values()]
+          .filter(rule => rule.enabled && canRead(rule.project_id))
+          .filter(rule => (!projectId || rule.project_id === projectId) && (!types || types.includes(rule.type)))
+          .map(copy);
+      },
+      
+      async get(projectId, id) {
+        return copy(find(projectId, id));
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'alert_rules');
+        if (!projects.has(fields.project_id)) {
+          throw databaseError('23503', 'insert or update on table "alert_rules" violates foreign key constraint');
+        }
+        
+        const now = new Date().toISOString();
+        const rule = {
+          id: crypto.randomUUID(),
+          ...ALERT_RULE_DEFAULTS,
+          ...copy(fields),
+          created_at: now,
+          updated_at: now,
+        };
+        alertRules.set(rule.id, rule);
+        
+        return copy(rule);
+      },
+      
+      async update(projectId, id, updates) {
+        const rule = serviceRole && find(projectId, id);
+        if (!rule) return null;
+        
+        Object.assign(rule, structuredClone(updates));
+        return copy(rule);
+      },
+      
+      // Cascades to the rule's alerts
+      async remove(projectId, id) {
+        const rule = serviceRole && find(projectId, id);
+        if (!rule) return null;
+        
+        alertRules.delete(id);
+        for (const alert of [...alerts.values()].filter(row => row.rule_id === id)) {
+          alerts.delete(alert.id);
+        }
+        return copy(rule);
+      },
+    };
+  }
+  
+  // Written by the API (service role); members can read
+  function alertsRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const open = alert => alert.status !== 'resolved';
+    
+    return {
+      async list(filters, { limit }) {
+        return [...alerts.values()]
+          .filter(alert => canRead(alert.project_id) && filters.statuses.includes(alert.status))
+          .filter(alert => ['project_id', 'device_id', 'severity'].every(field => !filters[field] || alert[field] === filters[field]))
+          .sort((a, b) => compareValues(b.fired_at, a.fired_at))
+          .slice(0, limit)
+          .map(alert => ({
+            ...copy(alert),
+            rule: pick(alertRules.get(alert.rule_id), ['id', 'name', 'type']),
+            device: pick(devices.get(alert.device_id), ['id', 'name']),
+          }));
+      },
+      
+      async get(id) {
+        const alert = alerts.get(id);
+        return alert && canRead(alert.project_id) ? copy(alert) : null;
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'alerts');
+        // Like alerts_open_idx
+        const taken = [...alerts.values()].some(alert => open(alert)
+          && alert.rule_id === fields.rule_id && alert.device_id === fields.device_id);
+        if (taken) return null;
+        
+        const now = new Date().toISOString();
+        const alert = {
+          id: crypto.randomUUID(),
+          ...ALERT_DEFAULTS,
+          ...copy(fields),
+          fired_at: now,
+          created_at: now,
+        };
+        alerts.set(alert.id, alert);
+        
+        return copy(alert);
+      },
+      
+      async update(id, updates, { statuses } = {}) {
+        const alert = serviceRole && alerts.get(id);
+        if (!alert) return null;
+        if (statuses && !statuses.includes(alert.status)) return null;
+        
+        Object.assign(alert, structuredClone(updates));
+        return copy(alert);
+      },
+      
+      async resolveOpen({ ruleId, deviceId }, at) {
+        if (!serviceRole) return;
+        
+        for (const alert of alerts.values()) {
+          if (alert.rule_id === ruleId && (!deviceId || alert.device_id === deviceId) && open(alert)) {
+            Object.assign(alert, { status: 'resolved', resolved_at: at });
+          }
+        }
+      },
+    };
+  }
+  
+  // Written by the API (service role); admins can read
+  function webhooksRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const find = (projectId, id) => {
+      const webhook = webhooks.get(id);
+      return webhook && webhook.project_id === projectId && canRead(projectId, WEBHOOK_READERS) ? webhook : null;
+    };
+    
+    return {
+      async list(projectId) {
+        if (!canRead(projectId, WEBHOOK_READERS)) return [];
+        
+        return [...webhooks.values()]
+          .filter(webhook => webhook.project_id === projectId)
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .map(webhook => pick(webhook, WEBHOOK_FIELDS));
+      },
+      
+      async get(projectId, id) {
+        const webhook = find(projectId, id);
+        return webhook ? pick(webhook, WEBHOOK_FIELDS) : null;
+      },
+      
+      async listSubscribed(projectId, type) {
+        if (!canRead(projectId, WEBHOOK_READERS)) return [];
+        
+        return [...webhooks.values()]
+          .filter(webhook => webhook.project_id === projectId && webhook.enabled && webhook.events.includes(type))
+          .map(webhook => webhook.id);
+      },
+      
+      async create(fields) {
+        serviceOnly(userId, 'webhooks');
+        if (!projects.has(fields.project_id)) {
+          throw databaseError('23503', 'insert or update on table "webhooks" violates foreign key constraint');
+        }
+        
+        const now = new Date().toISOString();
+        const webhook = {
+          id: crypto.randomUUID(),
+          ...WEBHOOK_DEFAULTS,
+          ...copy(fields),
+          created_at: now,
+          updated_at: now,
+        };
+        webhooks.set(webhook.id, webhook);
+        
+        return pick(webhook, WEBHOOK_FIELDS);
+      },
+      
+      async update(projectId, id, updates) {
+        const webhook = serviceRole && find(projectId, id);
+        if (!webhook) return null;
+        
+        Object.assign(webhook, structuredClone(updates));
+        return pick(webhook, WEBHOOK_FIELDS);
+      },
+      
+      // Cascades to the webhook's deliveries
+      async remove(projectId, id) {
+        const webhook = serviceRole && find(projectId, id);
+        if (!webhook) return null;
+        
+        webhooks.delete(id);
+        for (const delivery of [...webhookDeliveries.values()].filter(row => row.webhook_id === id)) {
+          webhookDeliveries.delete(delivery.id);
+        }
+        return pick(webhook, WEBHOOK_FIELDS);
+      },
+    };
+  }
+  
+  // Written by the API (service role); admins can read
+  function webhookDeliveriesRepository(userId) {
+    const { canRead } = policies(userId);
+    const serviceRole = userId === null;
+    
+    const visible = () => [...webhookDeliveries.values()]
+      .filter(delivery => canRead(delivery.project_id, WEBHOOK_READERS));
+    
+    return {
+      async list(projectId, webhookId, { status, limit }) {
+        return visible()
+          .filter(delivery => delivery.project_id === projectId && delivery.webhook_id === webhookId)
+          .filter(delivery => !status || delivery.status === status)
+          .sort((a, b) => compareValues(b.created_at, a.created_at))
+          .slice(0, limit)
+          .map(copy);
+      },
+      
+      async get(projectId, webhookId, id) {
+        const delivery = webhookDeliveries.get(id);
+        if (!delivery || delivery.project_id !== projectId || delivery.webhook_id !== webhookId
+          || !canRead(projectId, WEBHOOK_READERS)) {
+          return null;
+        }
+        return copy(delivery);
+      },
+      
+      async createMany(rows) {
+        serviceOnly(userId, 'webhook_deliveries');
+        
+        const now = new Date().toISOString();
+        for (const row of rows) {
+          const delivery = {
+            id: crypto.randomUUID(),
+            ...WEBHOOK_DELIVERY_DEFAULTS,
+            next_attempt_at: now,
+            ...copy(row),
+            created_at: now,
+          };
+          webhookDeliveries.set(delivery.id, delivery);
+        }
+      },
+      
+      async listDue(now, staleBefore, limit) {
+        return visible()
+          .filter(delivery => (delivery.status === 'pending' && time(delivery.next_attempt_at) <= time(now))
+            || (delivery.status === 'in_flight' && time(delivery.claimed_at) < time(staleBefore)))
+          .sort((a, b) => compareValues(a.next_attempt_at, b.next_attempt_at))
+          .slice(0, limit)
+          .map(delivery => pick(delivery, ['id', 'status']));
+      },
+      
+      async claim(id, status, at) {
+        const delivery = serviceRole && webhookDeliveries.get(id);
+        if (!delivery || delivery.status !== status) return null;
+        
+        Object.assign(delivery, { status: 'in_flight', claimed_at: at });
+        const webhook = webhooks.get(delivery.webhook_id);
+        return {
+          ...copy(delivery),
+          webhook: webhook ? pick(webhook, ['id', 'url', 'secret', 'enabled']) : null,
+        };
+      },
+      
+      async update(id, updates, { statuses } = {}) {
+        const delivery = serviceRole && webhookDeliveries.get(id);
+        if (!delivery) return null;
+        if (statuses && !statuses.includes(delivery.status)) return null;
+        
+        Object.assign(delivery, structuredClone(updates));
+        return copy(delivery);
+      },
+    };
+  }
+  
+  // Objects in the firmware bucket: path -> Buffer
+  function firmwareImagesRepository(userId) {
+    return {
+      async upload(path, image) {
+        serviceOnly(userId, 'objects');
+        if (firmwareImages.has(path)) throw new Error('The resource already exists');
+        
+        firmwareImages.set(path, Buffer.from(image));
+      },
+      
+      async remove(path) {
+        serviceOnly(userId, 'objects');
+        firmwareImages.delete(path);
+      },
+      
+      // A data: URL, since there's nothing to serve the image from
+      async signedUrl(path) {
+        const image = firmwareImages.get(path);
+        if (!image) throw new Error('Object not found');
+        
+        return `data:application/octet-stream;base64,${image.toString('base64')}`;
+      },
+    };
+  }
+
+  // Same format as the database's generate_device_token(): 64 hex characters
+  const tokensRepository = {
+    async generate() {
+      return crypto.randomBytes(32).toString('hex');
+    },
+  };
+  
+  function repositories(userId) {
+    return {
+      projects: projectsRepository(userId),
+      devices: devicesRepository(userId),
+      channels: channelsRepository(userId),
+      tokens: tokensRepository,
+      telemetry: telemetryRepository(userId),
+      commands: commandsRepository(userId),
+      shadows: shadowsRepository(userId),
+      deviceErrors: deviceErrorsRepository(userId),
+      connections: connectionsRepository(userId),
+      authorities: authoritiesRepository(userId),
+      certificates: certificatesRepository(userId),
+      factoryDevices: factoryDevicesRepository(userId),
+      auditLog: auditLogRepository(userId),
+      members: membersRepository(userId),
+      invitations: invitationsRepository(userId),
+      apiKeys: apiKeysRepository(userId),
+      groups: groupsRepository(userId),
+      jobs: jobsRepository(userId),
+      firmwareReleases: firmwareReleasesRepository(userId),
+      rollouts: rolloutsRepository(userId),
+      firmwareUpdates: firmwareUpdatesRepository(userId),
+      alertRules: alertRulesRepository(userId),
+      alerts: alertsRepository(userId),
+      webhooks: webhooksRepository(userId),
+      webhookDeliveries: webhookDeliveriesRepository(userId),
+      firmwareImages: firmwareImagesRepository(userId),
+    };
+  }
+  
+  return {
+    name: 'memory',
+    
+    forUser(userId) {
+      return repositories(userId);
+    },
+    
+    admin() {
+      return repositories(null);
+    },
+    
+    async verifyUserToken(token) {
+      const claims = verifyUserToken(token);
+      return claims ? { id: claims.sub, email: claims.email || null } : null;
+    },
+    
+    // Seeding, for tests and local runs
+    addMember,
+    
+    // Forget everything
+    reset() {
+      projects.clear();
+      devices.clear();
+      channels.clear();
+      members.clear();
+      invitations.clear();
+      apiKeys.clear();
+      telemetry.length = 0;
+      commands.clear();
+      shadows.clear();
+      deviceErrors.length = 0;
+      connections.length = 0;
+      authorities.clear();
+      certificates.clear();
+      factoryDevices.clear();
+      auditLog.length = 0;
+      groups.clear();
+      groupMembers.length = 0;
+      jobs.clear();
+      jobResults.length = 0;
+      firmwareReleases.clear();
+      rollouts.clear();
+      firmwareUpdates.clear();
+      alertRules.clear();
+      alerts.clear();
+      webhooks.clear();
+      webhookDeliveries.clear();
+      firmwareImages.clear();
+      lastId = 0;
+    },
+  };
+}
+
+module.exports = {
+  createMemoryBackend,
+};
@@ -0,0 +1,2141 @@
+const config = require('../../config');
+const { supabaseAdmin } = require('../services/supabase');
+const pagination = require('../utils/pagination');
+
+/**
+ * Supabase backend: PostgREST queries, with row-level security doing
+ * the ownership checks for user repositories
+ */
+
+// PostgREST's "no rows" error for .single()
+const NO_ROWS = 'PGRST116';
+// Postgres unique violation
+const UNIQUE_VIOLATION = '23505';
+
+const MEMBER_FIELDS = 'user_id, email, role, created_at';
+
+// What members may read of a device: never its token or password hash
+// (column grants on devices); the service role reads everything
+const DEVICE_FIELDS = `
+  id, project_id, name, hardware_type, tags, labels, mqtt_username, mac_address,
+  firmware_version, is_provisioned, provisioned_at, auth_method, online, last_seen_at,
+  last_ip, created_at
+`;
+
+// Never the secret hash
+const API_KEY_FIELDS = 'id, project_id, name, prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+// Never the signing secret
+const WEBHOOK_FIELDS = 'id, project_id, url, events, enabled, description, created_at, updated_at';
+
+// PostgREST returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+// Rows inserted per request for big batches
+const INSERT_CHUNK = 500;
+
+/**
+ * Run a .single() query; null if there's no row
+ */
+async function single(queryBuilder) {
+  const { data, error } = await queryBuilder.single();
+  
+  if (error) {
+    if (error.code === NO_ROWS) return null;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Run an insert/update that may hit a unique constraint
+ * Returns { ok: true, row } or { ok: false, reason: 'not_found' | 'duplicate' }
+ */
+async function write(queryBuilder) {
+  const { data, error } = await queryBuilder.single();
+  
+  if (error) {
+    if (error.code === NO_ROWS) return { ok: false, reason: 'not_found' };
+    if (error.code === UNIQUE_VIOLATION) return { ok: false, reason: 'duplicate' };
+    throw error;
+  }
+  return { ok: true, row: data };
+}
+
+function projectsRepository(client) {
+  return {
+    async list({ projectId, search, sort, limit, cursor }) {
+      return pagination.fetchPage((columns, options) => {
+        let queryBuilder = client
+          .from('projects')
+          .select(columns, options);
+        
+        if (projectId) {
+          queryBuilder = queryBuilder.eq('id', projectId);
+        }
+        if (search) {
+          queryBuilder = queryBuilder.ilike('name', pagination.searchPattern(search));
+        }
+        
+        return queryBuilder;
+      }, { select: '*', sort, limit, cursor });
+    },
+    
+    async get(id, { deviceCount = false } = {}) {
+      return single(client
+        .from('projects')
+        .select(deviceCount ? '*, devices(count)' : '*')
+        .eq('id', id));
+    },
+    
+    async create(fields) {
+      const result = await write(client.from('projects').insert(fields).select());
+      return result.ok ? { ok: true, project: result.row } : result;
+    },
+    
+    async update(id, updates) {
+      const result = await write(client.from('projects').update(updates).eq('id', id).select());
+      return result.ok ? { ok: true, project: result.row } : result;
+    },
+    
+    async remove(id) {
+      const { data, error } = await client
+        .from('projects')
+        .delete()
+        .eq('id', id)
+        .select();
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+    
+    async memberRole(projectId, userId) {
+      const { data, error } = await client
+        .from('project_members')
+        .select('role')
+        .eq('project_id', projectId)
+        .eq('user_id', userId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data ? data.role : null;
+    },
+  };
+}
+
+/**
+ * Query the devices of a group: a static group's members, or the
+ * project's devices matching a dynamic group's query
+ */
+function groupDevicesQuery(client, group, columns, options) {
+  if (group.type === 'static') {
+    // Inner join on the membership table: only the group's devices
+    return client
+      .from('devices')
+      .select(`${columns}, device_group_members!inner(group_id)`, options)
+      .eq('project_id', group.project_id)
+      .eq('device_group_members.group_id', group.id);
+  }
+  
+  let queryBuilder = client
+    .from('devices')
+    .select(columns, options)
+    .eq('project_id', group.project_id);
+  
+  if (group.query.labels) {
+    queryBuilder = queryBuilder.contains('labels', group.query.labels);
+  }
+  if (group.query.tags) {
+    queryBuilder = queryBuilder.contains('tags', group.query.tags);
+  }
+  if (group.query.hardware_type) {
+    queryBuilder = queryBuilder.eq('hardware_type', group.query.hardware_type);
+  }
+  
+  return queryBuilder;
+}
+
+function devicesRepository(client) {
+  const deviceFields = client === supabaseAdmin ? '*' : DEVICE_FIELDS;
+  
+  return {
+    async list(filters, { sort, limit, cursor }) {
+      return pagination.fetchPage((columns, options) => {
+        let queryBuilder = client
+          .from('devices')
+          .select(columns, options);
+        
+        for (const field of ['project_id', 'online', 'hardware_type', 'firmware_version', 'is_provisioned']) {
+          if (filters[field] !== undefined) {
+            queryBuilder = queryBuilder.eq(field, filters[field]);
+          }
+        }
+        if (filters.tags) {
+          queryBuilder = queryBuilder.contains('tags', filters.tags);
+        }
+        if (filters.labels) {
+          queryBuilder = queryBuilder.contains('labels', filters.labels);
+        }
+        if (filters.search) {
+          queryBuilder = queryBuilder.ilike('name', pagination.searchPattern(filters.search));
+        }
+        
+        return queryBuilder;
+      }, {
+        select: `
+          ${deviceFields},
+          project:projects(id, name, slug)
+        `,
+        sort,
+        limit,
+        cursor,
+      });
+    },
+    
+    // filters: { id, hardware_type }
+    async listByProject(projectId, columns, filters = {}) {
+      let queryBuilder = client
+        .from('devices')
+        .select(columns.join(', '))
+        .eq('project_id', projectId);
+      
+      for (const field of ['id', 'hardware_type']) {
+        if (filters[field] !== undefined) {
+          queryBuilder = queryBuilder.eq(field, filters[field]);
+        }
+      }
+      
+      const { data, error } = await queryBuilder.order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Those of ids that are devices of the project
+    async idsInProject(projectId, ids) {
+      const { data, error } = await client
+        .from('devices')
+        .select('id')
+        .eq('project_id', projectId)
+        .in('id', ids);
+      
+      if (error) throw error;
+      return data.map(device => device.id);
+    },
+    
+    async listInGroup(group, { sort, limit, cursor }) {
+      const result = await pagination.fetchPage(
+        (columns, options) => groupDevicesQuery(client, group, columns, options),
+        { select: deviceFields, sort, limit, cursor }
+      );
+      
+      return {
+        ...result,
+        rows: result.rows.map(({ device_group_members, ...device }) => device),
+      };
+    },
+    
+    async countInGroup(group) {
+      const { count, error } = await groupDevicesQuery(client, group, 'id', { count: 'exact', head: true });
+      
+      if (error) throw error;
+      return count;
+    },
+    
+    // In ID order, at most limit
+    async idsInGroup(group, limit) {
+      const ids = [];
+      
+      while (ids.length < limit) {
+        const { data, error } = await groupDevicesQuery(client, group, 'id')
+          .order('id', { ascending: true })
+          .range(ids.length, Math.min(ids.length + PAGE_SIZE, limit) - 1);
+        
+        if (error) throw error;
+        
+        ids.push(...data.map(device => device.id));
+        if (data.length < PAGE_SIZE) break;
+      }
+      
+      return ids;
+    },
+    
+    async get(id, { project = false, channels = false } = {}) {
+      const embeds = [
+        project && 'project:projects(id, name, slug)',
+        channels && 'channels:device_channels(*)',
+      ].filter(Boolean);
+      
+      return single(client
+        .from('devices')
+        .select([deviceFields, ...embeds].join(', '))
+        .eq('id', id));
+    },
+    
+    async findByToken(deviceToken) {
+      return single(client
+        .from('devices')
+        .select(`
+          *,
+          project:projects(user_id)
+        `)
+        .eq('device_token', deviceToken));
+    },
+    
+    async findByMqttUsername(username) {
+      return single(client
+        .from('devices')
+        .select(`
+          id,
+          project_id,
+          mqtt_username,
+          mqtt_password_hash,
+          is_provisioned,
+          project:projects(user_id)
+        `)
+        .eq('mqtt_username', username));
+    },
+    
+    async findWithOwner(id) {
+      return single(client
+        .from('devices')
+        .select(`
+          *,
+          project:projects(user_id)
+        `)
+        .eq('id', id));
+    },
+    
+    async projectIdOf(id) {
+      const { data, error } = await client
+        .from('devices')
+        .select('project_id')
+        .eq('id', id)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data ? data.project_id : null;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('devices')
+        .insert(fields)
+        .select(deviceFields)
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // One insert, so the batch is created completely or not at all
+    async createMany(rows) {
+      const { data, error } = await client
+        .from('devices')
+        .insert(rows)
+        .select(deviceFields);
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async update(id, updates, expected = {}) {
+      let queryBuilder = client
+        .from('devices')
+        .update(updates)
+        .eq('id', id);
+      
+      for (const [field, value] of Object.entries(expected)) {
+        queryBuilder = value === null ? queryBuilder.is(field, null) : queryBuilder.eq(field, value);
+      }
+      
+      return single(queryBuilder.select(deviceFields));
+    },
+    
+    // Skipped if the device has seen something newer than updates.last_seen_at
+    async updatePresence(id, updates) {
+      const { data, error } = await client
+        .from('devices')
+        .update(updates)
+        .eq('id', id)
+        .or(`last_seen_at.is.null,last_seen_at.lte."${updates.last_seen_at}"`)
+        .select('id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+    
+    async remove(id) {
+      const { data, error } = await client
+        .from('devices')
+        .delete()
+        .eq('id', id)
+        .select('id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+  };
+}
+
+function channelsRepository(client) {
+  return {
+    async list(deviceId) {
+      const { data, error } = await client
+        .from('device_channels')
+        .select('*')
+        .eq('device_id', deviceId)
+        .order('key', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(deviceId, id) {
+      return single(client
+        .from('device_channels')
+        .select('*')
+        .eq('id', id)
+        .eq('device_id', deviceId));
+    },
+    
+    async create(fields) {
+      const result = await write(client.from('device_channels').insert(fields).select());
+      return result.ok ? { ok: true, channel: result.row } : result;
+    },
+    
+    async update(deviceId, id, updates) {
+      const result = await write(client
+        .from('device_channels')
+        .update(updates)
+        .eq('id', id)
+        .eq('device_id', deviceId)
+        .select());
+      return result.ok ? { ok: true, channel: result.row } : result;
+    },
+    
+    async remove(deviceId, id) {
+      const { data, error } = await client
+        .from('device_channels')
+        .delete()
+        .eq('id', id)
+        .eq('device_id', deviceId)
+        .select('id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+  };
+}
+
+function telemetryRepository(client) {
+  return {
+    async list(deviceId, { from, to, channels, limit }) {
+      let queryBuilder = client
+        .from('telemetry')
+        .select('channel, value, ts')
+        .eq('device_id', deviceId)
+        .gte('ts', from)
+        .lt('ts', to)
+        .order('ts', { ascending: true })
+        .limit(limit);
+      
+      if (channels) {
+        queryBuilder = queryBuilder.in('channel', channels);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async buckets(deviceId, { from, to, bucketSeconds, channels }) {
+      const { data, error } = await client.rpc('telemetry_buckets', {
+        p_device_id: deviceId,
+        p_from: from,
+        p_to: to,
+        p_bucket_seconds: bucketSeconds,
+        p_channels: channels,
+      });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async latest(deviceIds, { channel } = {}) {
+      const { data, error } = await client.rpc('telemetry_latest', {
+        p_device_ids: deviceIds,
+        p_channel: channel || null,
+      });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async insert(rows) {
+      const { error } = await client.from('telemetry').insert(rows);
+      
+      if (error) throw error;
+    },
+  };
+}
+
+function commandsRepository(client) {
+  return {
+    async list(deviceId, { status, limit }) {
+      let queryBuilder = client
+        .from('device_commands')
+        .select('*')
+        .eq('device_id', deviceId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(deviceId, id) {
+      const { data, error } = await client
+        .from('device_commands')
+        .select('*')
+        .eq('id', id)
+        .eq('device_id', deviceId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('device_commands')
+        .insert(fields)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // statuses: only update a command that is in one of them
+    async update(id, updates, { statuses } = {}) {
+      let queryBuilder = client
+        .from('device_commands')
+        .update(updates)
+        .eq('id', id);
+      
+      if (statuses) {
+        queryBuilder = queryBuilder.in('status', statuses);
+      }
+      
+      const { data, error } = await queryBuilder.select().maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async expire(deviceId, { statuses, before }) {
+      const { error } = await client
+        .from('device_commands')
+        .update({ status: 'expired' })
+        .eq('device_id', deviceId)
+        .in('status', statuses)
+        .lt('expires_at', before);
+      
+      if (error) throw error;
+    },
+  };
+}
+
+function shadowsRepository(client) {
+  return {
+    async get(deviceId) {
+      const { data, error } = await client
+        .from('device_shadows')
+        .select('*')
+        .eq('device_id', deviceId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // null if the device already has a shadow
+    async create(fields) {
+      const result = await write(client.from('device_shadows').insert(fields).select());
+      return result.ok ? result.row : null;
+    },
+    
+    // null unless the shadow is still at version (of versionField)
+    async updateIfVersion(deviceId, versionField, version, updates) {
+      const { data, error } = await client
+        .from('device_shadows')
+        .update(updates)
+        .eq('device_id', deviceId)
+        .eq(versionField, version)
+        .select()
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+  };
+}
+
+function deviceErrorsRepository(client) {
+  return {
+    async list(deviceId, { since, action, limit }) {
+      let queryBuilder = client
+        .from('device_errors')
+        .select('*')
+        .eq('device_id', deviceId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      if (since) {
+        queryBuilder = queryBuilder.gte('created_at', since);
+      }
+      if (action) {
+        queryBuilder = queryBuilder.eq('action', action);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async insert(rows) {
+      const { error } = await client.from('device_errors').insert(rows);
+      
+      if (error) throw error;
+    },
+    
+    async removeBefore(before) {
+      const { count, error } = await client
+        .from('device_errors')
+        .delete({ count: 'exact' })
+        .lt('created_at', before);
+      
+      if (error) throw error;
+      return count;
+    },
+  };
+}
+
+function connectionsRepository(client) {
+  return {
+    async list(deviceId, { limit }) {
+      const { data, error } = await client
+        .from('device_connections')
+        .select('event, ip, reason, occurred_at')
+        .eq('device_id', deviceId)
+        .order('occurred_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async insert(fields) {
+      const { error } = await client.from('device_connections').insert(fields);
+      
+      if (error) throw error;
+    },
+  };
+}
+
+function authoritiesRepository(client) {
+  return {
+    async get(projectId) {
+      const { data, error } = await client
+        .from('project_certificate_authorities')
+        .select('*')
+        .eq('project_id', projectId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Unexpired at validAt, oldest first
+    async listValid(validAt) {
+      const { data, error } = await client
+        .from('project_certificate_authorities')
+        .select('*')
+        .gt('not_after', validAt)
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const result = await write(client.from('project_certificate_authorities').insert(fields).select());
+      return result.ok ? { ok: true, authority: result.row } : result;
+    },
+    
+    async remove(projectId) {
+      const { data, error } = await client
+        .from('project_certificate_authorities')
+        .delete()
+        .eq('project_id', projectId)
+        .select('project_id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+  };
+}
+
+function certificatesRepository(client) {
+  return {
+    async list(projectId, { deviceId, status } = {}) {
+      let queryBuilder = client
+        .from('device_certificates')
+        .select('*')
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false });
+      
+      if (deviceId) {
+        queryBuilder = queryBuilder.eq('device_id', deviceId);
+      }
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async countActive(projectId, validAt) {
+      const { count, error } = await client
+        .from('device_certificates')
+        .select('id', { count: 'exact', head: true })
+        .eq('project_id', projectId)
+        .eq('status', 'active')
+        .gt('not_after', validAt);
+      
+      if (error) throw error;
+      return count;
+    },
+    
+    // Revoked and unexpired at validAt, in revocation order
+    async listRevoked(projectId, validAt) {
+      const { data, error } = await client
+        .from('device_certificates')
+        .select('serial_number, revoked_at, revocation_reason')
+        .eq('project_id', projectId)
+        .eq('status', 'revoked')
+        .gt('not_after', validAt)
+        .order('revoked_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // With device: { id, project_id, mqtt_username, is_provisioned,
+    // auth_method, project: { user_id } }
+    async findByFingerprint(fingerprint) {
+      const { data, error } = await client
+        .from('device_certificates')
+        .select(`
+          *,
+          device:devices(
+            id,
+            project_id,
+            mqtt_username,
+            is_provisioned,
+            auth_method,
+            project:projects(user_id)
+          )
+        `)
+        .eq('fingerprint_sha256', fingerprint)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('device_certificates')
+        .insert(fields)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async update(id, updates) {
+      const { error } = await client
+        .from('device_certificates')
+        .update(updates)
+        .eq('id', id);
+      
+      if (error) throw error;
+    },
+    
+    // Revoke the active certificates matching { id, projectId, deviceId },
+    // except those in keep; returns the revoked rows
+    async revoke({ id, projectId, deviceId, keep = [] }, { reason, at }) {
+      let queryBuilder = client
+        .from('device_certificates')
+        .update({ status: 'revoked', revoked_at: at, revocation_reason: reason })
+        .eq('status', 'active');
+      
+      if (id) queryBuilder = queryBuilder.eq('id', id);
+      if (projectId) queryBuilder = queryBuilder.eq('project_id', projectId);
+      if (deviceId) queryBuilder = queryBuilder.eq('device_id', deviceId);
+      if (keep.length > 0) queryBuilder = queryBuilder.not('id', 'in', `(${keep.join(',')})`);
+      
+      const { data, error } = await queryBuilder.select();
+      
+      if (error) throw error;
+      return data;
+    },
+  };
+}
+
+function factoryDevicesRepository(client) {
+  return {
+    async list({ status, limit }, columns) {
+      let queryBuilder = client
+        .from('factory_devices')
+        .select(columns.join(', '))
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // identity: { mac_address } or { serial_number }
+    async find(identity) {
+      const [field, value] = Object.entries(identity)[0];
+      
+      const { data, error } = await client
+        .from('factory_devices')
+        .select('*')
+        .eq(field, value)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async findClaimable(claimCodeHash) {
+      const { data, error } = await client
+        .from('factory_devices')
+        .select('*')
+        .eq('claim_code_hash', claimCodeHash)
+        .in('status', ['registered', 'pending_claim'])
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // One insert, so the batch is registered completely or not at all
+    async createMany(rows, columns) {
+      const { data, error } = await client
+        .from('factory_devices')
+        .insert(rows)
+        .select(columns.join(', '));
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // expected: column values the row must still have (null: is null);
+    // null if it doesn't
+    async update(id, updates, expected = {}) {
+      let queryBuilder = client
+        .from('factory_devices')
+        .update(updates)
+        .eq('id', id);
+      
+      for (const [field, value] of Object.entries(expected)) {
+        queryBuilder = value === null ? queryBuilder.is(field, null) : queryBuilder.eq(field, value);
+      }
+      
+      const { data, error } = await queryBuilder.select().maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Unclaimed registrations only
+    async remove(id) {
+      const { data, error } = await client
+        .from('factory_devices')
+        .delete()
+        .eq('id', id)
+        .neq('status', 'claimed')
+        .select('id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+  };
+}
+
+function auditLogRepository(client) {
+  return {
+    // Newest first; before: only entries with a smaller id
+    async list(projectId, filters, { limit, before }) {
+      let queryBuilder = client
+        .from('audit_log')
+        .select('*')
+        .eq('project_id', projectId)
+        .order('id', { ascending: false })
+        .limit(limit);
+      
+      for (const field of ['action', 'actor_type', 'actor_id', 'target_type', 'target_id']) {
+        if (filters[field]) {
+          queryBuilder = queryBuilder.eq(field, filters[field]);
+        }
+      }
+      if (filters.from) {
+        queryBuilder = queryBuilder.gte('created_at', filters.from);
+      }
+      if (filters.to) {
+        queryBuilder = queryBuilder.lt('created_at', filters.to);
+      }
+      if (before !== undefined) {
+        queryBuilder = queryBuilder.lt('id', before);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async insert(entry) {
+      const { error } = await client.from('audit_log').insert(entry);
+      
+      if (error) throw error;
+    },
+  };
+}
+
+// Managed by the API with the service role (no user policies)
+function membersRepository(client) {
+  return {
+    async list(projectId) {
+      const { data, error } = await client
+        .from('project_members')
+        .select(MEMBER_FIELDS)
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: true });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // email: lower-cased, as stored
+    async findByEmail(projectId, email) {
+      const { data, error } = await client
+        .from('project_members')
+        .select(MEMBER_FIELDS)
+        .eq('project_id', projectId)
+        .eq('email', email)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async countOwners(projectId) {
+      const { count, error } = await client
+        .from('project_members')
+        .select('user_id', { count: 'exact', head: true })
+        .eq('project_id', projectId)
+        .eq('role', 'owner');
+      
+      if (error) throw error;
+      return count;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('project_members')
+        .insert(fields)
+        .select(`project_id, ${MEMBER_FIELDS}`)
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async updateRole(projectId, userId, role) {
+      return single(client
+        .from('project_members')
+        .update({ role })
+        .eq('project_id', projectId)
+        .eq('user_id', userId)
+        .select(MEMBER_FIELDS));
+    },
+    
+    async remove(projectId, userId) {
+      const { data, error } = await client
+        .from('project_members')
+        .delete()
+        .eq('project_id', projectId)
+        .eq('user_id', userId)
+        .select('user_id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+  };
+}
+
+// Managed by the API with the service role (no user policies)
+function invitationsRepository(client) {
+  return {
+    // Unaccepted and unexpired at `at`, newest first
+    async listOpen(projectId, at) {
+      const { data, error } = await client
+        .from('project_invitations')
+        .select('id, email, role, invited_by, expires_at, created_at')
+        .eq('project_id', projectId)
+        .is('accepted_at', null)
+        .gt('expires_at', at)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // email: lower-cased, as stored
+    async listOpenForEmail(email, at) {
+      const { data, error } = await client
+        .from('project_invitations')
+        .select(`
+          id,
+          role,
+          expires_at,
+          created_at,
+          project:projects(id, name, slug)
+        `)
+        .eq('email', email)
+        .is('accepted_at', null)
+        .gt('expires_at', at)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(id) {
+      const { data, error } = await client
+        .from('project_invitations')
+        .select('id, project_id, email, role, expires_at, accepted_at')
+        .eq('id', id)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('project_invitations')
+        .insert(fields)
+        .select('id, email, role, expires_at, created_at')
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async update(id, updates) {
+      return single(client
+        .from('project_invitations')
+        .update(updates)
+        .eq('id', id)
+        .select('id'));
+    },
+    
+    // Only while unaccepted
+    async removeOpen(projectId, id) {
+      const { data, error } = await client
+        .from('project_invitations')
+        .delete()
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .is('accepted_at', null)
+        .select('id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+  };
+}
+
+function apiKeysRepository(client) {
+  return {
+    async list(projectId) {
+      const { data, error } = await client
+        .from('api_keys')
+        .select(API_KEY_FIELDS)
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(id) {
+      const { data, error } = await client
+        .from('api_keys')
+        .select(API_KEY_FIELDS)
+        .eq('id', id)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // With secret_hash and created_by, to verify a presented key
+    async findByPrefix(prefix) {
+      const { data, error } = await client
+        .from('api_keys')
+        .select(`${API_KEY_FIELDS}, secret_hash, created_by`)
+        .eq('prefix', prefix)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('api_keys')
+        .insert(fields)
+        .select(API_KEY_FIELDS)
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Only keys not revoked yet
+    async revoke(projectId, id, at) {
+      const { data, error } = await client
+        .from('api_keys')
+        .update({ revoked_at: at })
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .is('revoked_at', null)
+        .select('id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+    
+    async touch(id, at) {
+      const { error } = await client
+        .from('api_keys')
+        .update({ last_used_at: at })
+        .eq('id', id);
+      
+      if (error) throw error;
+    },
+  };
+}
+
+function groupsRepository(client) {
+  return {
+    async list(projectId, { type } = {}) {
+      let queryBuilder = client
+        .from('device_groups')
+        .select('*')
+        .eq('project_id', projectId)
+        .order('name', { ascending: true });
+      
+      if (type) {
+        queryBuilder = queryBuilder.eq('type', type);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(projectId, id) {
+      const { data, error } = await client
+        .from('device_groups')
+        .select('*')
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('device_groups')
+        .insert(fields)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async update(id, updates) {
+      return single(client
+        .from('device_groups')
+        .update(updates)
+        .eq('id', id)
+        .select());
+    },
+    
+    async remove(id) {
+      const { data, error } = await client
+        .from('device_groups')
+        .delete()
+        .eq('id', id)
+        .select('id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+    
+    // Devices already in the group are left alone
+    async addMembers(groupId, deviceIds) {
+      const { error } = await client
+        .from('device_group_members')
+        .upsert(
+          deviceIds.map(deviceId => ({ group_id: groupId, device_id: deviceId })),
+          { onConflict: 'group_id,device_id', ignoreDuplicates: true }
+        );
+      
+      if (error) throw error;
+    },
+    
+    async removeMember(groupId, deviceId) {
+      const { data, error } = await client
+        .from('device_group_members')
+        .delete()
+        .eq('group_id', groupId)
+        .eq('device_id', deviceId)
+        .select('device_id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+  };
+}
+
+function jobsRepository(client) {
+  return {
+    // Newest first; filters: { group_id, type, status }
+    async list(projectId, filters, { limit }) {
+      let queryBuilder = client
+        .from('device_jobs')
+        .select('*')
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      for (const field of ['group_id', 'type', 'status']) {
+        if (filters[field]) {
+          queryBuilder = queryBuilder.eq(field, filters[field]);
+        }
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(projectId, id) {
+      const { data, error } = await client
+        .from('device_jobs')
+        .select('*')
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('device_jobs')
+        .insert(fields)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // expected: column values the row must still have (null: is null);
+    // null if it doesn't
+    async update(id, updates, expected = {}) {
+      let queryBuilder = client
+        .from('device_jobs')
+        .update(updates)
+        .eq('id', id);
+      
+      for (const [field, value] of Object.entries(expected)) {
+        queryBuilder = value === null ? queryBuilder.is(field, null) : queryBuilder.eq(field, value);
+      }
+      
+      const { data, error } = await queryBuilder.select().maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async remove(id) {
+      const { error } = await client
+        .from('device_jobs')
+        .delete()
+        .eq('id', id);
+      
+      if (error) throw error;
+    },
+    
+    // Queued and unclaimed, or claimed before staleBefore; oldest first
+    async listDue(staleBefore, limit) {
+      const { data, error } = await client
+        .from('device_jobs')
+        .select('id, status, claimed_at, started_at')
+        .in('status', ['queued', 'running'])
+        .or(`and(status.eq.queued,claimed_at.is.null),claimed_at.lt."${staleBefore}"`)
+        .order('created_at', { ascending: true })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // One pending result per device
+    async addResults(jobId, deviceIds) {
+      for (let i = 0; i < deviceIds.length; i += INSERT_CHUNK) {
+        const { error } = await client
+          .from('device_job_results')
+          .insert(deviceIds.slice(i, i + INSERT_CHUNK).map(deviceId => ({
+            job_id: jobId,
+            device_id: deviceId,
+          })));
+        
+        if (error) throw error;
+      }
+    },
+    
+    // Device IDs of pending results
+    async pendingResults(jobId, limit) {
+      const { data, error } = await client
+        .from('device_job_results')
+        .select('device_id')
+        .eq('job_id', jobId)
+        .eq('status', 'pending')
+        .limit(limit);
+      
+      if (error) throw error;
+      return data.map(result => result.device_id);
+    },
+    
+    // false if the result isn't there or has left status
+    async updateResult(jobId, deviceId, updates, { status } = {}) {
+      let queryBuilder = client
+        .from('device_job_results')
+        .update(updates)
+        .eq('job_id', jobId)
+        .eq('device_id', deviceId);
+      
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      
+      const { data, error } = await queryBuilder.select('device_id');
+      
+      if (error) throw error;
+      return data.length > 0;
+    },
+    
+    // { pending, succeeded, failed }
+    async countResults(jobId) {
+      const counts = {};
+      
+      for (const status of ['pending', 'succeeded', 'failed']) {
+        const { count, error } = await client
+          .from('device_job_results')
+          .select('device_id', { count: 'exact', head: true })
+          .eq('job_id', jobId)
+          .eq('status', status);
+        
+        if (error) throw error;
+        counts[status] = count;
+      }
+      
+      return counts;
+    },
+    
+    // New device tokens of succeeded results, by device ID:
+    // [{ device_id, name, device_token }]
+    async listTokens(jobId) {
+      const tokens = [];
+      
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await client
+          .from('device_job_results')
+          .select('device_id, device_token, device:devices(name)')
+          .eq('job_id', jobId)
+          .eq('status', 'succeeded')
+          .not('device_token', 'is', null)
+          .order('device_id', { ascending: true })
+          .range(from, from + PAGE_SIZE - 1);
+        
+        if (error) throw error;
+        tokens.push(...data.map(({ device, ...result }) => ({ ...result, name: device.name })));
+        if (data.length < PAGE_SIZE) return tokens;
+      }
+    },
+    
+    async purgeTokens(jobId) {
+      const { error } = await client
+        .from('device_job_results')
+        .update({ device_token: null })
+        .eq('job_id', jobId)
+        .not('device_token', 'is', null);
+      
+      if (error) throw error;
+    },
+    
+    // By device ID, starting after the device ID `after`; with
+    // device: { id, name }; never with the new device tokens
+    async listResults(projectId, jobId, { status, after, limit }) {
+      let queryBuilder = client
+        .from('device_job_results')
+        .select(`
+          job_id, device_id, status, result, error, completed_at,
+          job:device_jobs!inner(project_id),
+          device:devices(id, name)
+        `)
+        .eq('job_id', jobId)
+        .eq('job.project_id', projectId)
+        .order('device_id', { ascending: true })
+        .limit(limit);
+      
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      if (after) {
+        queryBuilder = queryBuilder.gt('device_id', after);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data.map(({ job, ...result }) => result);
+    },
+  };
+}
+
+function firmwareReleasesRepository(client) {
+  return {
+    // Newest first
+    async list(projectId, { hardwareType } = {}) {
+      let queryBuilder = client
+        .from('firmware_releases')
+        .select('*')
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false });
+      
+      if (hardwareType) {
+        queryBuilder = queryBuilder.eq('hardware_type', hardwareType);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(projectId, id) {
+      const { data, error } = await client
+        .from('firmware_releases')
+        .select('*')
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async find(projectId, hardwareType, version) {
+      const { data, error } = await client
+        .from('firmware_releases')
+        .select('*')
+        .eq('project_id', projectId)
+        .eq('hardware_type', hardwareType)
+        .eq('version', version)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('firmware_releases')
+        .insert(fields)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // The removed release, or null
+    async remove(projectId, id) {
+      const { data, error } = await client
+        .from('firmware_releases')
+        .delete()
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .select();
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+  };
+}
+
+function rolloutsRepository(client) {
+  return {
+    // Newest first, with release: { id, version, hardware_type }
+    async list(projectId, { status } = {}) {
+      let queryBuilder = client
+        .from('firmware_rollouts')
+        .select(`
+          *,
+          release:firmware_releases(id, version, hardware_type)
+        `)
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false });
+      
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // projectId: only a rollout of that project; release: embed
+    // { id, version, hardware_type, sha256, size_bytes }
+    async get(id, { projectId, release = false } = {}) {
+      let queryBuilder = client
+        .from('firmware_rollouts')
+        .select(release ? '*, release:firmware_releases(id, version, hardware_type, sha256, size_bytes)' : '*')
+        .eq('id', id);
+      
+      if (projectId) {
+        queryBuilder = queryBuilder.eq('project_id', projectId);
+      }
+      
+      const { data, error } = await queryBuilder.maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // 'duplicate': another rollout is running for the hardware type
+    // (firmware_rollouts_running_idx)
+    async create(fields) {
+      const result = await write(client.from('firmware_rollouts').insert(fields).select());
+      return result.ok ? { ok: true, rollout: result.row } : result;
+    },
+    
+    async remove(id) {
+      const { error } = await client
+        .from('firmware_rollouts')
+        .delete()
+        .eq('id', id);
+      
+      if (error) throw error;
+    },
+    
+    // statuses: only update a rollout in one of them; null if it isn't
+    async update(id, updates, { statuses } = {}) {
+      let queryBuilder = client
+        .from('firmware_rollouts')
+        .update(updates)
+        .eq('id', id);
+      
+      if (statuses) {
+        queryBuilder = queryBuilder.in('status', statuses);
+      }
+      
+      const { data, error } = await queryBuilder.select().maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async countForRelease(releaseId) {
+      const { count, error } = await client
+        .from('firmware_rollouts')
+        .select('id', { count: 'exact', head: true })
+        .eq('release_id', releaseId);
+      
+      if (error) throw error;
+      return count;
+    },
+  };
+}
+
+const FIRMWARE_UPDATE_FIELDS = 'id, rollout_id, device_id, from_version, status, error, started_at, completed_at, updated_at';
+
+function firmwareUpdatesRepository(client) {
+  return {
+    async createMany(rows) {
+      const { error } = await client.from('firmware_updates').insert(rows);
+      
+      if (error) throw error;
+    },
+    
+    // The status of each of a rollout's updates
+    async statuses(rolloutId) {
+      const { data, error } = await client
+        .from('firmware_updates')
+        .select('status')
+        .eq('rollout_id', rolloutId);
+      
+      if (error) throw error;
+      return data.map(update => update.status);
+    },
+    
+    // Latest change first, with device: { id, name, firmware_version }
+    async list(projectId, rolloutId, { status } = {}) {
+      let queryBuilder = client
+        .from('firmware_updates')
+        .select(`
+          *,
+          rollout:firmware_rollouts!inner(project_id),
+          device:devices(id, name, firmware_version)
+        `)
+        .eq('rollout_id', rolloutId)
+        .eq('rollout.project_id', projectId)
+        .order('updated_at', { ascending: false });
+      
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data.map(({ rollout, ...update }) => update);
+    },
+    
+    // The device's most recently changed update in one of statuses,
+    // from an active rollout, with rollout: { id, status, release }
+    async findOpen(deviceId, statuses) {
+      const { data, error } = await client
+        .from('firmware_updates')
+        .select(`
+          id,
+          status,
+          from_version,
+          rollout:firmware_rollouts!inner(
+            id,
+            status,
+            release:firmware_releases(id, version, hardware_type, storage_path, size_bytes, sha256, signature, signature_algorithm)
+          )
+        `)
+        .eq('device_id', deviceId)
+        .in('status', statuses)
+        .eq('rollout.status', 'active')
+        .order('updated_at', { ascending: false })
+        .limit(1);
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+    
+    // With rollout: { id, release: { version } }
+    async get(deviceId, id) {
+      const { data, error } = await client
+        .from('firmware_updates')
+        .select(`
+          *,
+          rollout:firmware_rollouts(id, release:firmware_releases(version))
+        `)
+        .eq('id', id)
+        .eq('device_id', deviceId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // null unless the update still has status
+    async update(id, changes, { status }) {
+      const { data, error } = await client
+        .from('firmware_updates')
+        .update(changes)
+        .eq('id', id)
+        .eq('status', status)
+        .select(FIRMWARE_UPDATE_FIELDS)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+  };
+}
+
+function alertRulesRepository(client) {
+  return {
+    // Newest first
+    async list(projectId) {
+      const { data, error } = await client
+        .from('alert_rules')
+        .select('*')
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Enabled rules of a project and/or of some types
+    async listEnabled({ projectId, types }) {
+      let queryBuilder = client
+        .from('alert_rules')
+        .select('*')
+        .eq('enabled', true);
+      
+      if (projectId) {
+        queryBuilder = queryBuilder.eq('project_id', projectId);
+      }
+      if (types) {
+        queryBuilder = queryBuilder.in('type', types);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(projectId, id) {
+      const { data, error } = await client
+        .from('alert_rules')
+        .select('*')
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('alert_rules')
+        .insert(fields)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async update(projectId, id, updates) {
+      return single(client
+        .from('alert_rules')
+        .update(updates)
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .select());
+    },
+    
+    // The removed rule, or null
+    async remove(projectId, id) {
+      const { data, error } = await client
+        .from('alert_rules')
+        .delete()
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .select();
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+  };
+}
+
+function alertsRepository(client) {
+  return {
+    // Newest first, with rule: { id, name, type } and device: { id, name };
+    // filters: { statuses, project_id, device_id, severity }
+    async list(filters, { limit }) {
+      let queryBuilder = client
+        .from('alerts')
+        .select(`
+          *,
+          rule:alert_rules(id, name, type),
+          device:devices(id, name)
+        `)
+        .in('status', filters.statuses)
+        .order('fired_at', { ascending: false })
+        .limit(limit);
+      
+      for (const field of ['project_id', 'device_id', 'severity']) {
+        if (filters[field]) {
+          queryBuilder = queryBuilder.eq(field, filters[field]);
+        }
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(id) {
+      const { data, error } = await client
+        .from('alerts')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // null if the rule already has an open alert for the device
+    // (alerts_open_idx)
+    async create(fields) {
+      const result = await write(client.from('alerts').insert(fields).select());
+      return result.ok ? result.row : null;
+    },
+    
+    // statuses: only update an alert in one of them; null if it isn't
+    async update(id, updates, { statuses } = {}) {
+      let queryBuilder = client
+        .from('alerts')
+        .update(updates)
+        .eq('id', id);
+      
+      if (statuses) {
+        queryBuilder = queryBuilder.in('status', statuses);
+      }
+      
+      const { data, error } = await queryBuilder.select().maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Resolve the open alerts of a rule (for one device, if given)
+    async resolveOpen({ ruleId, deviceId }, at) {
+      let queryBuilder = client
+        .from('alerts')
+        .update({ status: 'resolved', resolved_at: at })
+        .eq('rule_id', ruleId)
+        .neq('status', 'resolved');
+      
+      if (deviceId) {
+        queryBuilder = queryBuilder.eq('device_id', deviceId);
+      }
+      
+      const { error } = await queryBuilder;
+      
+      if (error) throw error;
+    },
+  };
+}
+
+function webhooksRepository(client) {
+  return {
+    // Newest first
+    async list(projectId) {
+      const { data, error } = await client
+        .from('webhooks')
+        .select(WEBHOOK_FIELDS)
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false });
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(projectId, id) {
+      const { data, error } = await client
+        .from('webhooks')
+        .select(WEBHOOK_FIELDS)
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // IDs of the project's enabled webhooks subscribed to an event type
+    async listSubscribed(projectId, type) {
+      const { data, error } = await client
+        .from('webhooks')
+        .select('id')
+        .eq('project_id', projectId)
+        .eq('enabled', true)
+        .contains('events', [type]);
+      
+      if (error) throw error;
+      return data.map(webhook => webhook.id);
+    },
+    
+    async create(fields) {
+      const { data, error } = await client
+        .from('webhooks')
+        .insert(fields)
+        .select(WEBHOOK_FIELDS)
+        .single();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async update(projectId, id, updates) {
+      return single(client
+        .from('webhooks')
+        .update(updates)
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .select(WEBHOOK_FIELDS));
+    },
+    
+    // The removed webhook, or null
+    async remove(projectId, id) {
+      const { data, error } = await client
+        .from('webhooks')
+        .delete()
+        .eq('id', id)
+        .eq('project_id', projectId)
+        .select(WEBHOOK_FIELDS);
+      
+      if (error) throw error;
+      return data[0] || null;
+    },
+  };
+}
+
+function webhookDeliveriesRepository(client) {
+  return {
+    // Newest first
+    async list(projectId, webhookId, { status, limit }) {
+      let queryBuilder = client
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('webhook_id', webhookId)
+        .eq('project_id', projectId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+      
+      if (status) {
+        queryBuilder = queryBuilder.eq('status', status);
+      }
+      
+      const { data, error } = await queryBuilder;
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async get(projectId, webhookId, id) {
+      const { data, error } = await client
+        .from('webhook_deliveries')
+        .select('*')
+        .eq('id', id)
+        .eq('webhook_id', webhookId)
+        .eq('project_id', projectId)
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async createMany(rows) {
+      const { error } = await client.from('webhook_deliveries').insert(rows);
+      
+      if (error) throw error;
+    },
+    
+    // Pending deliveries due by now and in-flight ones claimed before
+    // staleBefore, as { id, status }
+    async listDue(now, staleBefore, limit) {
+      const { data, error } = await client
+        .from('webhook_deliveries')
+        .select('id, status')
+        .or(`and(status.eq.pending,next_attempt_at.lte."${now}"),and(status.eq.in_flight,claimed_at.lt."${staleBefore}")`)
+        .order('next_attempt_at', { ascending: true })
+        .limit(limit);
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    // Mark in flight if still in status; with webhook: { id, url,
+    // secret, enabled } (null once deleted)
+    async claim(id, status, at) {
+      const { data, error } = await client
+        .from('webhook_deliveries')
+        .update({ status: 'in_flight', claimed_at: at })
+        .eq('id', id)
+        .eq('status', status)
+        .select('*, webhook:webhooks(id, url, secret, enabled)')
+        .maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+    
+    async update(id, updates, { statuses } = {}) {
+      let queryBuilder = client
+        .from('webhook_deliveries')
+        .update(updates)
+        .eq('id', id);
+      
+      if (statuses) {
+        queryBuilder = queryBuilder.in('status', statuses);
+      }
+      
+      const { data, error } = await queryBuilder.select().maybeSingle();
+      
+      if (error) throw error;
+      return data;
+    },
+  };
+}
+
+// Objects in the firmware Storage bucket
+function firmwareImagesRepository(client) {
+  const bucket = () => client.storage.from(config.firmware.bucket);
+  
+  return {
+    async upload(path, image) {
+      const { error } = await bucket().upload(path, image, {
+        contentType: 'application/octet-stream',
+        upsert: false,
+      });
+      
+      if (error) throw error;
+    },
+    
+    async remove(path) {
+      const { error } = await bucket().remove([path]);
+      
+      if (error) throw error;
+    },
+    
+    async signedUrl(path, expiresIn) {
+      const { data, error } = await bucket().createSignedUrl(path, expiresIn);
+      
+      if (error) throw error;
+      return data.signedUrl;
+    },
+  };
+}
+
+// Device tokens come from the database so they match its format checks
+const tokensRepository = {
+  async generate() {
+    const { data, error } = await supabaseAdmin.rpc('generate_device_token');
+    
+    if (error) throw error;
+    return data;
+  },
+};
+
+function repositories(client) {
+  return {
+    projects: projectsRepository(client),
+    devices: devicesRepository(client),
+    channels: channelsRepository(client),
+    tokens: tokensRepository,
+    telemetry: telemetryRepository(client),
+    commands: commandsRepository(client),
+    shadows: shadowsRepository(client),
+    deviceErrors: deviceErrorsRepository(client),
+    connections: connectionsRepository(client),
+    authorities: authoritiesRepository(client),
+    certificates: certificatesRepository(client),
+    factoryDevices: factoryDevicesRepository(client),
+    auditLog: auditLogRepository(client),
+    members: membersRepository(client),
+    invitations: invitationsRepository(client),
+    apiKeys: apiKeysRepository(client),
+    groups: groupsRepository(client),
+    jobs: jobsRepository(client),
+    firmwareReleases: firmwareReleasesRepository(client),
+    rollouts: rolloutsRepository(client),
+    firmwareUpdates: firmwareUpdatesRepository(client),
+    alertRules: alertRulesRepository(client),
+    alerts: alertsRepository(client),
+    webhooks: webhooksRepository(client),
+    webhookDeliveries: webhookDeliveriesRepository(client),
+    firmwareImages: firmwareImagesRepository(client),
+  };
+}
+
+function createSupabaseBackend() {
+  const admin = repositories(supabaseAdmin);
+  
+  return {
+    name: 'supabase',
+    
+    // client: the user's RLS client (req.supabase)
+    forUser(userId, client) {
+      return repositories(client);
+    },
+    
+    admin() {
+      return admin;
+    },
+    
+    async verifyUserToken(token) {
+      const { data, error } = await supabaseAdmin.auth.getUser(token);
+      return error || !data.user ? null : data.user;
+    },
+  };
+}
+
+module.exports = {
+  createSupabaseBackend,
+};
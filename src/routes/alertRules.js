@@ -0,0 +1,291 @@
+const express = require('express');
+const { authenticate, requireUser } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const repositories = require('../repositories');
+const alerts = require('../services/alerts');
+const audit = require('../services/audit');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/alert-rules
+const router = express.Router({ mergeParams: true });
+
+// Rules are managed by users only, never by API keys
+router.use(authenticate, requireUser);
+
+const EDITABLE_FIELDS = [
+  'name',
+  'device_id',
+  'channel',
+  'operator',
+  'threshold',
+  'hysteresis',
+  'duration_seconds',
+  'severity',
+  'enabled',
+];
+
+/**
+ * Check the fields a rule's type needs, and that its device is in the project
+ * Returns an error message, or null if the rule is fine
+ */
+async function checkRule(projectId, rule) {
+  if (rule.type === 'threshold' || rule.type === 'rate_of_change') {
+    if (!rule.channel || !rule.operator || rule.threshold === null || rule.threshold === undefined) {
+      return `${rule.type} rules need channel, operator and threshold`;
+    }
+  }
+  if (rule.type === 'offline' && rule.channel) {
+    return 'offline rules don\'t take a channel';
+  }
+  
+  if (rule.device_id) {
+    const deviceProjectId = await repositories.admin().devices.projectIdOf(rule.device_id);
+    if (deviceProjectId !== projectId) return 'device_id is not a device in this project';
+  }
+  
+  return null;
+}
+
+/**
+ * GET /api/projects/:projectId/alert-rules
+ * List alert rules
+ */
+router.get('/',
+  docs({
+    summary: 'List alert rules',
+    responses: {
+      200: 'The project\'s alert rules',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().alertRules.list(req.projectId);
+    
+    res.json({ alert_rules: data });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/alert-rules
+ * Create an alert rule
+ * 
+ * Request body:
+ * {
+ *   "name": "Freezer too warm",
+ *   "type": "threshold",
+ *   "device_id": "uuid",          // optional, default: every device
+ *   "channel": "temperature",
+ *   "operator": "gt",
+ *   "threshold": -10,
+ *   "hysteresis": 1,
+ *   "duration_seconds": 300,
+ *   "severity": "critical"
+ * }
+ */
+router.post('/',
+  docs({
+    summary: 'Create an alert rule',
+    responses: {
+      201: 'The new rule',
+      400: 'Fields missing or not allowed for the rule\'s type, or a device from another project',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    body: {
+      name: { isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      type: { isIn: { options: [alerts.RULE_TYPES] } },
+      device_id: { optional: { options: { values: 'null' } }, isUUID: true },
+      channel: {
+        optional: { options: { values: 'null' } },
+        isString: true,
+        trim: true,
+        isLength: { options: { min: 1, max: 100 } },
+      },
+      operator: { optional: { options: { values: 'null' } }, isIn: { options: [alerts.OPERATORS] } },
+      threshold: { optional: { options: { values: 'null' } }, isFloat: true, toFloat: true },
+      hysteresis: { optional: true, isFloat: { options: { min: 0 } }, toFloat: true },
+      duration_seconds: { optional: true, isInt: { options: { min: 0, max: 7 * 86400 } }, toInt: true },
+      severity: { optional: true, isIn: { options: [alerts.SEVERITIES] } },
+      enabled: { optional: true, isBoolean: true, toBoolean: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const rule = {
+      project_id: req.projectId,
+      type: req.body.type,
+      ...Object.fromEntries(
+        EDITABLE_FIELDS
+          .filter(field => req.body[field] !== undefined)
+          .map(field => [field, req.body[field]])
+      ),
+      created_by: req.user.id,
+    };
+    
+    const problem = await checkRule(req.projectId, rule);
+    if (problem) {
+      throw new ApiError(400, problem);
+    }
+    
+    const data = await repositories.admin().alertRules.create(rule);
+    
+    alerts.invalidate(req.projectId);
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'alert_rule.created',
+      targetType: 'alert_rule',
+      targetId: data.id,
+      after: data,
+    });
+    
+    res.status(201).json({ alert_rule: data });
+  })
+);
+
+/**
+ * PATCH /api/projects/:projectId/alert-rules/:ruleId
+ * Update a rule (its type can't change)
+ * Disabling a rule resolves its open alerts
+ */
+router.patch('/:ruleId',
+  docs({
+    summary: 'Update a rule (its type can\'t change)',
+    responses: {
+      200: 'The updated rule',
+      400: 'No valid fields to update, or fields that don\'t fit the rule\'s type',
+      404: 'Alert rule not found',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      ruleId: { isUUID: true },
+    },
+    body: {
+      name: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      device_id: { optional: { options: { values: 'null' } }, isUUID: true },
+      channel: {
+        optional: { options: { values: 'null' } },
+        isString: true,
+        trim: true,
+        isLength: { options: { min: 1, max: 100 } },
+      },
+      operator: { optional: { options: { values: 'null' } }, isIn: { options: [alerts.OPERATORS] } },
+      threshold: { optional: { options: { values: 'null' } }, isFloat: true, toFloat: true },
+      hysteresis: { optional: true, isFloat: { options: { min: 0 } }, toFloat: true },
+      duration_seconds: { optional: true, isInt: { options: { min: 0, max: 7 * 86400 } }, toInt: true },
+      severity: { optional: true, isIn: { options: [alerts.SEVERITIES] } },
+      enabled: { optional: true, isBoolean: true, toBoolean: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const updates = Object.fromEntries(
+      EDITABLE_FIELDS
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]])
+    );
+    
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError(400, 'No valid fields to update');
+    }
+    
+    const repos = repositories.admin();
+    
+    const before = await repos.alertRules.get(req.projectId, req.params.ruleId);
+    
+    if (!before) {
+      throw new ApiError(404, 'Alert rule not found');
+    }
+    
+    const problem = await checkRule(req.projectId, { ...before, ...updates });
+    if (problem) {
+      throw new ApiError(400, problem);
+    }
+    
+    const data = await repos.alertRules.update(req.projectId, req.params.ruleId, {
+      ...updates,
+      updated_at: new Date().toISOString(),
+    });
+    
+    if (!data) {
+      throw new ApiError(404, 'Alert rule not found');
+    }
+    
+    alerts.invalidate(req.projectId);
+    if (data.enabled) {
+      alerts.resetRule(data.id);
+    } else {
+      await alerts.resolveRule(data.id);
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'alert_rule.updated',
+      targetType: 'alert_rule',
+      targetId: data.id,
+      before,
+      after: data,
+    });
+    
+    res.json({ alert_rule: data });
+  })
+);
+
+/**
+ * DELETE /api/projects/:projectId/alert-rules/:ruleId
+ * Delete a rule (and its alerts)
+ */
+router.delete('/:ruleId',
+  docs({
+    summary: 'Delete a rule (and its alerts)',
+    responses: {
+      204: 'Deleted',
+      404: 'Alert rule not found',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      ruleId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const rule = await repositories.admin().alertRules.remove(req.projectId, req.params.ruleId);
+    
+    if (!rule) {
+      throw new ApiError(404, 'Alert rule not found');
+    }
+    
+    alerts.invalidate(req.projectId);
+    alerts.resetRule(req.params.ruleId);
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'alert_rule.deleted',
+      targetType: 'alert_rule',
+      targetId: req.params.ruleId,
+      before: rule,
+    });
+    
+    res.status(204).send();
+  })
+);
+
+module.exports = router;
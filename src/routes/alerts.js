@@ -0,0 +1,193 @@
+const express = require('express');
+const { authenticate, requireScope, requireUser } = require('../middleware/auth');
+const { asyncHandler, validate } = require('../middleware/errors');
+const repositories = require('../repositories');
+const roles = require('../services/roles');
+const alerts = require('../services/alerts');
+const audit = require('../services/audit');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const STATUSES = ['firing', 'acknowledged', 'resolved'];
+const ACTIVE_STATUSES = ['firing', 'acknowledged'];
+
+/**
+ * Load an alert the user may act on as operator or higher
+ * Throws a 404 or 403 ApiError otherwise
+ */
+async function loadAlert(req) {
+  const alert = await repositories.admin().alerts.get(req.params.id);
+  
+  const role = alert ? await roles.getProjectRole(req.user.id, alert.project_id) : null;
+  
+  if (!role) {
+    throw new ApiError(404, 'Alert not found');
+  }
+  
+  if (!roles.roleAtLeast(role, 'operator')) {
+    throw new ApiError(403, 'This action requires the operator role or higher', { code: 'insufficient_role' });
+  }
+  
+  return alert;
+}
+
+/**
+ * GET /api/alerts
+ * Alerts across the user's projects, newest first
+ * 
+ * Query params:
+ * - status: firing | acknowledged | resolved (default: firing and acknowledged)
+ * - project_id, device_id, severity
+ * - limit: default 50, max 200
+ */
+router.get('/',
+  docs({
+    summary: 'Alerts across the user\'s projects, newest first',
+    responses: {
+      200: 'Open alerts, or those with the given status',
+    },
+  }),
+  requireScope('devices:read'),
+  validateInput({
+    query: {
+      status: { optional: true, isIn: { options: [STATUSES] } },
+      project_id: { optional: true, isUUID: true },
+      device_id: { optional: true, isUUID: true },
+      severity: { optional: true, isIn: { options: [alerts.SEVERITIES] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: 200 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const filters = {
+      statuses: req.query.status ? [req.query.status] : ACTIVE_STATUSES,
+      project_id: req.query.project_id,
+      device_id: req.query.device_id,
+      severity: req.query.severity,
+    };
+    
+    // API keys only see their own project
+    if (req.apiKey) {
+      if (filters.project_id && filters.project_id !== req.apiKey.project_id) {
+        return res.json({ alerts: [] });
+      }
+      filters.project_id = req.apiKey.project_id;
+    }
+    
+    const data = await req.repos.alerts.list(filters, { limit: req.query.limit || 50 });
+    
+    res.json({ alerts: data });
+  })
+);
+
+/**
+ * POST /api/alerts/:id/acknowledge
+ * Acknowledge a firing alert - it stays open until resolved
+ */
+router.post('/:id/acknowledge',
+  docs({
+    summary: 'Acknowledge a firing alert - it stays open until resolved',
+    responses: {
+      200: 'The acknowledged alert',
+      403: 'Needs the operator role or higher in the alert\'s project',
+      404: 'Alert not found',
+      409: 'Alert is no longer firing',
+    },
+  }),
+  requireUser,
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const alert = await loadAlert(req);
+    
+    if (alert.status !== 'firing') {
+      throw new ApiError(409, `Alert is already ${alert.status}`);
+    }
+    
+    const data = await repositories.admin().alerts.update(alert.id, {
+      status: 'acknowledged',
+      acknowledged_at: new Date().toISOString(),
+      acknowledged_by: req.user.id,
+    }, { statuses: ['firing'] });
+    
+    if (!data) {
+      throw new ApiError(409, 'Alert changed, try again');
+    }
+    
+    await audit.record(req, {
+      projectId: alert.project_id,
+      action: 'alert.acknowledged',
+      targetType: 'alert',
+      targetId: alert.id,
+      before: { status: alert.status },
+      after: { status: data.status },
+    });
+    
+    res.json({ alert: data });
+  })
+);
+
+/**
+ * POST /api/alerts/:id/resolve
+ * Resolve an alert by hand
+ * It fires again if the condition still holds
+ */
+router.post('/:id/resolve',
+  docs({
+    summary: 'Resolve an alert by hand',
+    responses: {
+      200: 'The resolved alert',
+      403: 'Needs the operator role or higher in the alert\'s project',
+      404: 'Alert not found',
+      409: 'Alert is already resolved',
+    },
+  }),
+  requireUser,
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const alert = await loadAlert(req);
+    
+    if (alert.status === 'resolved') {
+      throw new ApiError(409, 'Alert is already resolved');
+    }
+    
+    const data = await repositories.admin().alerts.update(alert.id, {
+      status: 'resolved',
+      resolved_at: new Date().toISOString(),
+    }, { statuses: ACTIVE_STATUSES });
+    
+    if (!data) {
+      throw new ApiError(409, 'Alert is already resolved');
+    }
+    
+    // Re-evaluate from scratch so a persisting condition fires anew
+    alerts.resetRule(alert.rule_id);
+    
+    await audit.record(req, {
+      projectId: alert.project_id,
+      action: 'alert.resolved',
+      targetType: 'alert',
+      targetId: alert.id,
+      before: { status: alert.status },
+      after: { status: data.status },
+    });
+    
+    res.json({ alert: data });
+  })
+);
+
+module.exports = router;
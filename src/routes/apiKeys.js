@@ -0,0 +1,159 @@
+const express = require('express');
+const { authenticate, requireUser } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const apiKeys = require('../services/apiKeys');
+const audit = require('../services/audit');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/api-keys
+const router = express.Router({ mergeParams: true });
+
+// Keys are managed by project admins only - an API key can't mint more keys
+router.use(authenticate, requireUser, requireRole('admin', { projectParam: 'projectId' }));
+
+/**
+ * Check the project exists and belongs to the user (RLS)
+ * Throws a 404 ApiError if it doesn't
+ */
+async function ensureProject(req) {
+  if (!(await req.repos.projects.get(req.params.projectId))) {
+    throw new ApiError(404, 'Project not found');
+  }
+}
+
+/**
+ * GET /api/projects/:projectId/api-keys
+ * List a project's API keys (without secrets)
+ */
+router.get('/',
+  docs({
+    summary: 'List a project\'s API keys (without secrets)',
+    responses: {
+      200: 'The project\'s API keys',
+      404: 'Project not found',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    await ensureProject(req);
+    
+    res.json({ api_keys: await req.repos.apiKeys.list(req.params.projectId) });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/api-keys
+ * Create an API key
+ * Returns the key (only time it's visible!)
+ * 
+ * Request body:
+ * {
+ *   "name": "CI deploy job",
+ *   "scopes": ["devices:read", "telemetry:read"],
+ *   "expires_at": "2025-01-01T00:00:00Z"   // optional
+ * }
+ */
+router.post('/',
+  docs({
+    summary: 'Create an API key',
+    responses: {
+      201: 'The new key, with its secret (shown only this once)',
+      400: 'expires_at must be in the future',
+      404: 'Project not found',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    body: {
+      name: { isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      scopes: { isArray: { options: { min: 1 } } },
+      'scopes.*': { isIn: { options: [apiKeys.SCOPES] } },
+      expires_at: { optional: { options: { values: 'null' } }, isISO8601: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { name, scopes, expires_at } = req.body;
+    
+    if (expires_at && new Date(expires_at) <= new Date()) {
+      throw new ApiError(400, 'expires_at must be in the future');
+    }
+    
+    await ensureProject(req);
+    
+    const { key, prefix, secretHash } = apiKeys.generateKey();
+    
+    const data = await req.repos.apiKeys.create({
+      project_id: req.params.projectId,
+      name,
+      prefix,
+      secret_hash: secretHash,
+      scopes: [...new Set(scopes)],
+      expires_at: expires_at || null,
+      created_by: req.user.id,
+    });
+    
+    await audit.record(req, {
+      projectId: req.params.projectId,
+      action: 'api_key.created',
+      targetType: 'api_key',
+      targetId: data.id,
+      after: data,
+    });
+    
+    // Return key (only time user sees it)
+    res.status(201).json({
+      api_key: data,
+      key,
+      message: 'Save this key! It will not be shown again.',
+    });
+  })
+);
+
+/**
+ * DELETE /api/projects/:projectId/api-keys/:keyId
+ * Revoke an API key (it stops working immediately)
+ */
+router.delete('/:keyId',
+  docs({
+    summary: 'Revoke an API key (it stops working immediately)',
+    responses: {
+      204: 'Revoked',
+      404: 'API key not found',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      keyId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const revoked = await req.repos.apiKeys.revoke(req.params.projectId, req.params.keyId, new Date().toISOString());
+    
+    if (!revoked) {
+      throw new ApiError(404, 'API key not found');
+    }
+    
+    await audit.record(req, {
+      projectId: req.params.projectId,
+      action: 'api_key.revoked',
+      targetType: 'api_key',
+      targetId: req.params.keyId,
+    });
+    
+    res.status(204).send();
+  })
+);
+
+module.exports = router;
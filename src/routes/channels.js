@@ -0,0 +1,304 @@
+const express = require('express');
+const {
+  authenticate,
+  requireScope,
+  restrictDeviceParam,
+} = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const channelSchema = require('../services/channelSchema');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/devices/:deviceId/channels
+const router = express.Router({ mergeParams: true });
+
+// All routes require authentication
+router.use(authenticate);
+
+// API keys only reach devices in their own project
+router.param('deviceId', restrictDeviceParam);
+
+const DATA_TYPES = ['number', 'boolean', 'string', 'json'];
+const DIRECTIONS = ['sensor', 'actuator'];
+
+// Channel keys double as telemetry channel names and topic levels
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check the device exists and belongs to the user
+ * Throws a 404 if it doesn't
+ */
+async function ensureDevice(req) {
+  if (!(await req.repos.devices.get(req.params.deviceId))) {
+    throw new ApiError(404, 'Device not found');
+  }
+}
+
+/**
+ * min/max only make sense for numbers, and min must not exceed max
+ * Returns an error message, or null if the bounds are fine
+ */
+function checkBounds({ data_type, min_value, max_value }) {
+  const hasBounds = (min_value !== null && min_value !== undefined)
+    || (max_value !== null && max_value !== undefined);
+  
+  if (hasBounds && data_type !== 'number') {
+    return 'min_value/max_value are only allowed for number channels';
+  }
+  if (min_value != null && max_value != null && min_value > max_value) {
+    return 'min_value must not be greater than max_value';
+  }
+  return null;
+}
+
+/**
+ * GET /api/devices/:deviceId/channels
+ * List a device's channels
+ */
+router.get('/',
+  docs({
+    summary: 'List a device\'s channels',
+    responses: {
+      200: 'The device\'s channels',
+      404: 'Device not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { deviceParam: 'deviceId' }),
+  validateInput({
+    params: {
+      deviceId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    await ensureDevice(req);
+    
+    const data = await req.repos.channels.list(req.params.deviceId);
+    
+    res.json({ channels: data });
+  })
+);
+
+/**
+ * GET /api/devices/:deviceId/channels/:channelId
+ * Get a single channel
+ */
+router.get('/:channelId',
+  docs({
+    summary: 'Get a single channel',
+    responses: {
+      200: 'The channel',
+      404: 'Channel not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { deviceParam: 'deviceId' }),
+  validateInput({
+    params: {
+      deviceId: { isUUID: true },
+      channelId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await req.repos.channels.get(req.params.deviceId, req.params.channelId);
+    
+    if (!data) {
+      throw new ApiError(404, 'Channel not found');
+    }
+    
+    res.json({ channel: data });
+  })
+);
+
+/**
+ * POST /api/devices/:deviceId/channels
+ * Create a channel
+ * 
+ * Request body:
+ * {
+ *   "key": "temperature",
+ *   "name": "Temperature",
+ *   "data_type": "number",
+ *   "unit": "°C",
+ *   "direction": "sensor",
+ *   "min_value": -40,
+ *   "max_value": 85
+ * }
+ */
+router.post('/',
+  docs({
+    summary: 'Create a channel',
+    responses: {
+      201: 'The new channel',
+      400: 'min_value/max_value on a non-number channel, or min_value above max_value',
+      404: 'Device not found',
+      409: 'A channel with this key already exists on this device',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('admin', { deviceParam: 'deviceId' }),
+  validateInput({
+    params: {
+      deviceId: { isUUID: true },
+    },
+    body: {
+      key: { isString: true, matches: { options: KEY_PATTERN } },
+      name: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      data_type: { isIn: { options: [DATA_TYPES] } },
+      unit: {
+        optional: { options: { values: 'null' } },
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 20 } },
+      },
+      direction: { optional: true, isIn: { options: [DIRECTIONS] } },
+      min_value: { optional: { options: { values: 'null' } }, isFloat: true, toFloat: true },
+      max_value: { optional: { options: { values: 'null' } }, isFloat: true, toFloat: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const channel = {
+      device_id: req.params.deviceId,
+      key: req.body.key,
+      name: req.body.name || req.body.key,
+      data_type: req.body.data_type,
+      unit: req.body.unit ?? null,
+      direction: req.body.direction || 'sensor',
+      min_value: req.body.min_value ?? null,
+      max_value: req.body.max_value ?? null,
+    };
+    
+    const boundsError = checkBounds(channel);
+    if (boundsError) {
+      throw new ApiError(400, boundsError);
+    }
+    
+    await ensureDevice(req);
+    
+    const result = await req.repos.channels.create(channel);
+    
+    if (!result.ok) {
+      // Handle duplicate key on this device
+      throw new ApiError(409, 'A channel with this key already exists on this device', {
+        code: 'channel_key_taken',
+      });
+    }
+    
+    channelSchema.invalidate(req.params.deviceId);
+    
+    res.status(201).json({ channel: result.channel });
+  })
+);
+
+/**
+ * PATCH /api/devices/:deviceId/channels/:channelId
+ * Update a channel
+ */
+router.patch('/:channelId',
+  docs({
+    summary: 'Update a channel',
+    responses: {
+      200: 'The updated channel',
+      400: 'No valid fields to update, or invalid bounds',
+      404: 'Channel not found',
+      409: 'A channel with this key already exists on this device',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('admin', { deviceParam: 'deviceId' }),
+  validateInput({
+    params: {
+      deviceId: { isUUID: true },
+      channelId: { isUUID: true },
+    },
+    body: {
+      key: { optional: true, isString: true, matches: { options: KEY_PATTERN } },
+      name: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      data_type: { optional: true, isIn: { options: [DATA_TYPES] } },
+      unit: {
+        optional: { options: { values: 'null' } },
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 20 } },
+      },
+      direction: { optional: true, isIn: { options: [DIRECTIONS] } },
+      min_value: { optional: { options: { values: 'null' } }, isFloat: true, toFloat: true },
+      max_value: { optional: { options: { values: 'null' } }, isFloat: true, toFloat: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const updates = {};
+    for (const field of ['key', 'name', 'data_type', 'unit', 'direction', 'min_value', 'max_value']) {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError(400, 'No valid fields to update');
+    }
+    
+    const current = await req.repos.channels.get(req.params.deviceId, req.params.channelId);
+    
+    if (!current) {
+      throw new ApiError(404, 'Channel not found');
+    }
+    
+    const boundsError = checkBounds({ ...current, ...updates });
+    if (boundsError) {
+      throw new ApiError(400, boundsError);
+    }
+    
+    const result = await req.repos.channels.update(req.params.deviceId, req.params.channelId, updates);
+    
+    if (!result.ok) {
+      if (result.reason === 'not_found') {
+        throw new ApiError(404, 'Channel not found');
+      }
+      throw new ApiError(409, 'A channel with this key already exists on this device', {
+        code: 'channel_key_taken',
+      });
+    }
+    
+    channelSchema.invalidate(req.params.deviceId);
+    
+    res.json({ channel: result.channel });
+  })
+);
+
+/**
+ * DELETE /api/devices/:deviceId/channels/:channelId
+ * Delete a channel (telemetry already stored under its key is kept)
+ */
+router.delete('/:channelId',
+  docs({
+    summary: 'Delete a channel (telemetry already stored under its key is kept)',
+    responses: {
+      204: 'Deleted',
+      404: 'Channel not found',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('admin', { deviceParam: 'deviceId' }),
+  validateInput({
+    params: {
+      deviceId: { isUUID: true },
+      channelId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (!(await req.repos.channels.remove(req.params.deviceId, req.params.channelId))) {
+      throw new ApiError(404, 'Channel not found');
+    }
+    
+    channelSchema.invalidate(req.params.deviceId);
+    
+    res.status(204).send();
+  })
+);
+
+module.exports = router;
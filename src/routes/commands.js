@@ -0,0 +1,67 @@
+const express = require('express');
+const { authenticateDevice } = require('../middleware/device');
+const { asyncHandler, validate } = require('../middleware/errors');
+const commands = require('../services/commands');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// All routes are called by devices
+router.use(authenticateDevice);
+
+// Status, code and message for each acknowledge() failure reason
+const ACK_FAILURES = {
+  not_found: [404, 'not_found', 'Command not found'],
+  expired: [410, 'command_expired', 'Command has expired'],
+  completed: [409, 'command_completed', 'Command was already acknowledged'],
+};
+
+/**
+ * POST /api/commands/:id/ack
+ * Device acknowledges a command it received
+ * 
+ * Auth: HTTP Basic with the device's MQTT username and password
+ * 
+ * Request body:
+ * {
+ *   "status": "acked" | "failed",
+ *   "result": { ... }   // optional
+ * }
+ */
+router.post('/:id/ack',
+  docs({
+    summary: 'Device acknowledges a command it received',
+    responses: {
+      200: 'The acknowledged command',
+      404: 'Command not found',
+      409: 'Command was already acknowledged',
+      410: 'Command has expired',
+    },
+  }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    body: {
+      status: { optional: true, isIn: { options: [['acked', 'failed']] } },
+      result: { optional: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const outcome = await commands.acknowledge(req.device.id, req.params.id, {
+      status: req.body.status || 'acked',
+      result: req.body.result,
+    });
+    
+    if (!outcome.ok) {
+      const [status, code, message] = ACK_FAILURES[outcome.reason];
+      throw new ApiError(status, message, { code });
+    }
+    
+    res.json({ command: outcome.command });
+  })
+);
+
+module.exports = router;
@@ -1,60 +1,312 @@
 const express = require('express');
-const { body, param, query, validationResult } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
-const { supabaseAdmin } = require('../services/supabase');
+const {
+  authenticate,
+  requireScope,
+  restrictDeviceParam,
+} = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const { emqx } = require('../services/emqx');
+const commands = require('../services/commands');
+const shadow = require('../services/shadow');
+const audit = require('../services/audit');
+const webhooks = require('../services/webhooks');
+const events = require('../services/events');
+const claims = require('../services/claims');
+const groups = require('../services/groups');
+const certificates = require('../services/certificates');
+const repositories = require('../repositories');
+const config = require('../../config');
+const { deviceTopicBase } = require('../utils/topics');
+const csv = require('../utils/csv');
+const pagination = require('../utils/pagination');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
-// Validation helper
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  next();
+// API keys only reach devices in their own project
+router.param('id', restrictDeviceParam);
+
+// Downsampling bucket sizes accepted by GET /:id/telemetry
+const BUCKET_SECONDS = {
+  '1m': 60,
+  '5m': 300,
+  '15m': 900,
+  '1h': 3600,
+  '6h': 21600,
+  '1d': 86400,
 };
 
+// express-validator custom validator for a device's labels
+function validLabels(value) {
+  const message = groups.checkLabels(value);
+  if (message) throw new Error(message);
+  return true;
+}
+
+// ?labels=floor:2,room:kitchen -> { floor: '2', room: 'kitchen' }; a pair
+// without a value gets null, which fails validation
+function parseLabelQuery(value) {
+  return Object.fromEntries(value.split(',').map(pair => {
+    const separator = pair.indexOf(':');
+    return separator === -1 ? [pair.trim(), null] : [pair.slice(0, separator).trim(), pair.slice(separator + 1).trim()];
+  }));
+}
+
+// Fields GET / can sort by
+const DEVICE_SORT_FIELDS = ['created_at', 'name', 'hardware_type', 'firmware_version', 'last_seen_at'];
+
+// Rows accepted by POST /bulk in one request
+const MAX_BULK_DEVICES = 500;
+
+// Inventory columns for GET /export - never tokens or hashes
+const EXPORT_COLUMNS = [
+  'id',
+  'name',
+  'hardware_type',
+  'tags',
+  'firmware_version',
+  'mac_address',
+  'is_provisioned',
+  'online',
+  'last_seen_at',
+  'provisioned_at',
+  'created_at',
+];
+
+/**
+ * Check and normalize one bulk-import row: { name, hardware_type?, tags? }
+ * tags may be an array or a ;-separated string (CSV)
+ * Returns { device, errors } - errors lists { field, message }
+ */
+function normalizeImportRow(row) {
+  const errors = [];
+  
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { device: null, errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+  
+  const name = typeof row.name === 'string' ? row.name.trim() : '';
+  if (name.length === 0 || name.length > 100) {
+    errors.push({ field: 'name', message: 'Name is required (1-100 characters)' });
+  }
+  
+  let hardwareType = 'ESP32';
+  if (row.hardware_type !== undefined && row.hardware_type !== null && row.hardware_type !== '') {
+    if (typeof row.hardware_type !== 'string' || row.hardware_type.trim().length > 100) {
+      errors.push({ field: 'hardware_type', message: 'Hardware type must be a string (up to 100 characters)' });
+    } else {
+      hardwareType = row.hardware_type.trim() || 'ESP32';
+    }
+  }
+  
+  let tags = [];
+  if (typeof row.tags === 'string') {
+    tags = row.tags.split(';');
+  } else if (Array.isArray(row.tags)) {
+    tags = row.tags;
+  } else if (row.tags !== undefined && row.tags !== null) {
+    errors.push({ field: 'tags', message: 'Tags must be an array or a ;-separated string' });
+  }
+  
+  tags = tags.map(tag => (typeof tag === 'string' ? tag.trim() : tag)).filter(tag => tag !== '');
+  if (tags.some(tag => typeof tag !== 'string' || tag.length > 50)) {
+    errors.push({ field: 'tags', message: 'Each tag must be a string of up to 50 characters' });
+  } else if (new Set(tags).size > 20) {
+    errors.push({ field: 'tags', message: 'At most 20 tags per device' });
+  }
+  
+  return {
+    device: { name, hardware_type: hardwareType, tags: [...new Set(tags)] },
+    errors,
+  };
+}
+
+/**
+ * A device with its project's owner (project.user_id), who its MQTT
+ * topics are under; null if the user can't see the device
+ */
+async function findWithOwner(repos, id) {
+  const device = await repos.devices.get(id);
+  if (!device) return null;
+  
+  const project = await repos.projects.get(device.project_id);
+  return { ...device, project: { user_id: project.user_id } };
+}
+
+/**
+ * Remove a device's broker user and kick its live session
+ * Returns false if the broker couldn't be reached, so the caller
+ * can abort before touching the database
+ */
+async function revokeBrokerAccess(req, device) {
+  if (!emqx.isConfigured()) return true;
+  
+  try {
+    await emqx.revokeDevice({
+      mqttUsername: device.mqtt_username,
+      clientId: device.id,
+    });
+    return true;
+  } catch (err) {
+    req.log.error('EMQX revoke failed', { err, device_id: device.id });
+    return false;
+  }
+}
+
 /**
  * GET /api/devices
- * List all devices (optionally filtered by project)
+ * List devices, a page at a time
+ * 
+ * Query params:
+ * - project_id
+ * - status: online | offline
+ * - hardware_type, firmware_version
+ * - is_provisioned: true | false
+ * - tags: comma-separated, devices must have all of them (tag: just one)
+ * - labels: comma-separated key:value pairs, all must match
+ * - search: text in the name
+ * - sort: created_at | name | hardware_type | firmware_version | last_seen_at,
+ *   prefix - for descending (default -created_at)
+ * - limit: default 50, max 200
+ * - cursor: next_cursor from the previous page
  */
 router.get('/',
-  query('project_id').optional().isUUID(),
+  docs({
+    summary: 'List devices, a page at a time',
+    responses: {
+      200: 'A page of devices',
+      400: 'Invalid cursor',
+    },
+  }),
+  requireScope('devices:read'),
+  validateInput({
+    query: {
+      project_id: { optional: true, isUUID: true },
+      status: { optional: true, isIn: { options: [['online', 'offline']] } },
+      hardware_type: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { min: 1, max: 100 } },
+      },
+      firmware_version: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { min: 1, max: 100 } },
+      },
+      is_provisioned: { optional: true, isBoolean: true, toBoolean: true },
+      tag: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 50 } } },
+      tags: {
+        optional: true,
+        isString: true,
+        customSanitizer: { options: value => value.split(',').map(tag => tag.trim()).filter(Boolean) },
+        custom: {
+          options: tags => tags.length > 0 && tags.length <= 20 && tags.every(tag => tag.length <= 50),
+          errorMessage: 'tags must be 1-20 comma-separated tags of up to 50 characters',
+        },
+      },
+      labels: {
+        optional: true,
+        isString: true,
+        customSanitizer: { options: parseLabelQuery },
+        custom: {
+          options: labels => groups.checkLabels(labels) === null && Object.keys(labels).length > 0,
+          errorMessage: 'labels must be comma-separated key:value pairs',
+        },
+      },
+      search: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      sort: { optional: true, isIn: { options: [pagination.sortOptions(DEVICE_SORT_FIELDS)] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: pagination.MAX_LIMIT } }, toInt: true },
+      cursor: { optional: true, isBase64: { options: { urlSafe: true } } },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      let queryBuilder = req.supabase
-        .from('devices')
-        .select(`
-          *,
-          project:projects(id, name, slug)
-        `)
-        .order('created_at', { ascending: false });
-      
-      if (req.query.project_id) {
-        queryBuilder = queryBuilder.eq('project_id', req.query.project_id);
-      }
-      
-      const { data, error } = await queryBuilder;
-      
-      if (error) throw error;
-      
-      // Don't expose sensitive fields
-      const sanitized = data.map(device => ({
-        ...device,
-        device_token: undefined,  // Hide token
-        mqtt_password_hash: undefined,  // Hide password hash
+  asyncHandler(async (req, res) => {
+    const sort = pagination.parseSort(req.query.sort, '-created_at');
+    const cursor = req.query.cursor && pagination.decodeCursor(req.query.cursor, sort);
+    
+    if (req.query.cursor && !cursor) {
+      throw new ApiError(400, 'Invalid cursor', { code: 'invalid_cursor' });
+    }
+    
+    // API keys only see their own project
+    if (req.apiKey && req.query.project_id && req.query.project_id !== req.apiKey.project_id) {
+      return res.json(pagination.envelope('devices', {
+        rows: [],
+        total: 0,
+        limit: req.query.limit || pagination.DEFAULT_LIMIT,
+        nextCursor: null,
       }));
-      
-      res.json({ devices: sanitized });
-    } catch (err) {
-      console.error('Error fetching devices:', err);
-      res.status(500).json({ error: 'Failed to fetch devices' });
     }
-  }
+    
+    const tags = [...(req.query.tags || []), ...(req.query.tag ? [req.query.tag] : [])];
+    
+    const page = await req.repos.devices.list({
+      project_id: req.apiKey ? req.apiKey.project_id : req.query.project_id,
+      online: req.query.status ? req.query.status === 'online' : undefined,
+      hardware_type: req.query.hardware_type,
+      firmware_version: req.query.firmware_version,
+      is_provisioned: req.query.is_provisioned,
+      tags: tags.length > 0 ? tags : undefined,
+      labels: req.query.labels,
+      search: req.query.search,
+    }, { sort, limit: req.query.limit, cursor });
+    
+    // Don't expose sensitive fields
+    const sanitized = page.rows.map(device => ({
+      ...device,
+      device_token: undefined,  // Hide token
+      mqtt_password_hash: undefined,  // Hide password hash
+    }));
+    
+    res.json(pagination.envelope('devices', page, sanitized));
+  })
+);
+
+/**
+ * GET /api/devices/export
+ * Device inventory of a project, without tokens or password hashes
+ * 
+ * Query params:
+ * - project_id (required)
+ * - format: csv (default) | json
+ */
+router.get('/export',
+  docs({
+    summary: 'Device inventory of a project, without tokens or password hashes',
+    responses: {
+      200: 'The project\'s devices, as CSV or JSON',
+      404: 'Project not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { projectQuery: 'project_id' }),
+  validateInput({
+    query: {
+      project_id: { isUUID: true },
+      format: { optional: true, isIn: { options: [['csv', 'json']] } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (req.apiKey && req.query.project_id !== req.apiKey.project_id) {
+      throw new ApiError(404, 'Project not found');
+    }
+    
+    const data = await req.repos.devices.listByProject(req.query.project_id, EXPORT_COLUMNS);
+    
+    if (req.query.format === 'json') {
+      return res.json({ devices: data });
+    }
+    
+    csv.send(res, `devices-${req.query.project_id}.csv`, EXPORT_COLUMNS, data);
+  })
 );
 
 /**
@@ -62,40 +314,37 @@ router.get('/',
  * Get a single device with its channels
  */
 router.get('/:id',
-  param('id').isUUID(),
+  docs({
+    summary: 'Get a single device with its channels',
+    responses: {
+      200: 'The device, with its project and channels',
+      404: 'Device not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      const { data, error } = await req.supabase
-        .from('devices')
-        .select(`
-          *,
-          project:projects(id, name, slug),
-          channels:device_channels(*)
-        `)
-        .eq('id', req.params.id)
-        .single();
-      
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({ error: 'Device not found' });
-        }
-        throw error;
-      }
-      
-      // Don't expose sensitive fields
-      const sanitized = {
-        ...data,
-        device_token: undefined,
-        mqtt_password_hash: undefined,
-      };
-      
-      res.json({ device: sanitized });
-    } catch (err) {
-      console.error('Error fetching device:', err);
-      res.status(500).json({ error: 'Failed to fetch device' });
+  asyncHandler(async (req, res) => {
+    const data = await req.repos.devices.get(req.params.id, { project: true, channels: true });
+    
+    if (!data) {
+      throw new ApiError(404, 'Device not found');
     }
-  }
+    
+    // Don't expose sensitive fields
+    const sanitized = {
+      ...data,
+      device_token: undefined,
+      mqtt_password_hash: undefined,
+    };
+    
+    res.json({ device: sanitized });
+  })
 );
 
 /**
@@ -104,171 +353,878 @@ router.get('/:id',
  * Returns the device_token (only time it's visible!)
  */
 router.post('/',
-  body('project_id').isUUID(),
-  body('name').isString().trim().isLength({ min: 1, max: 100 }),
-  body('hardware_type').optional().isString().trim(),
+  docs({
+    summary: 'Create a new device',
+    responses: {
+      201: 'The new device, with its device_token',
+      404: 'Project not found',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('admin', { projectBody: 'project_id' }),
+  validateInput({
+    body: {
+      project_id: { isUUID: true },
+      name: { isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      hardware_type: { optional: true, isString: true, trim: true },
+      tags: { optional: true, isArray: { options: { max: 20 } } },
+      'tags.*': { isString: true, trim: true, isLength: { options: { min: 1, max: 50 } } },
+      labels: { optional: true, custom: { options: validLabels } },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      const { project_id, name, hardware_type } = req.body;
-      
-      // Verify project belongs to user
-      const { data: project, error: projectError } = await req.supabase
-        .from('projects')
-        .select('id')
-        .eq('id', project_id)
-        .single();
-      
-      if (projectError || !project) {
-        return res.status(404).json({ error: 'Project not found' });
+  asyncHandler(async (req, res) => {
+    const { project_id, name, hardware_type, tags, labels } = req.body;
+    
+    if (req.apiKey && project_id !== req.apiKey.project_id) {
+      throw new ApiError(404, 'Project not found');
+    }
+    
+    // Verify project belongs to user
+    const project = await req.repos.projects.get(project_id);
+    
+    if (!project) {
+      throw new ApiError(404, 'Project not found');
+    }
+    
+    const deviceToken = await req.repos.tokens.generate();
+    
+    // Create the device; members can't read its token back
+    const created = await req.repos.devices.create({
+      project_id,
+      name,
+      hardware_type: hardware_type || 'ESP32',
+      tags: tags ? [...new Set(tags)] : [],
+      labels: labels || {},
+      device_token: deviceToken,
+    });
+    const data = { ...created, device_token: deviceToken };
+    
+    await audit.record(req, {
+      projectId: data.project_id,
+      action: 'device.created',
+      targetType: 'device',
+      targetId: data.id,
+      after: data,
+    });
+    await webhooks.emit(data.project_id, 'device.created', webhooks.devicePayload(data));
+    events.publishDevice('device.created', data);
+    
+    // Return device WITH token (only time user sees it)
+    res.status(201).json({
+      device: {
+        ...data,
+        mqtt_password_hash: undefined,
+      },
+      message: 'Save this device_token! It will not be shown again.',
+    });
+  })
+);
+
+/**
+ * POST /api/devices/bulk?project_id=xxx
+ * Create many devices at once (e.g. a manufacturing run)
+ * Returns every device_token (only time they're visible!)
+ * 
+ * Body, either:
+ * - JSON: { "devices": [{ "name": "...", "hardware_type": "ESP32", "tags": ["a"] }] }
+ * - CSV (Content-Type: text/csv) with a header row: name,hardware_type,tags
+ *   (tags ;-separated)
+ * 
+ * Every row is validated first; if any is invalid nothing is created
+ * and the response lists the errors by row number.
+ * 
+ * Query params:
+ * - format: json | csv - defaults to the format of the upload; csv
+ *   returns id,name,hardware_type,tags,device_token as a download
+ */
+router.post('/bulk',
+  docs({
+    summary: 'Create many devices at once (e.g. a manufacturing run)',
+    responses: {
+      201: 'The new devices with their device tokens, as JSON or CSV',
+      400: 'Invalid CSV, JSON body or device count, or invalid rows (details lists them; nothing was created)',
+      404: 'Project not found',
+    },
+  }),
+  requireScope('devices:write'),
+  express.text({ type: 'text/csv', limit: '1mb' }),
+  requireRole('admin', { projectQuery: 'project_id' }),
+  validateInput({
+    query: {
+      project_id: { isUUID: true },
+      format: { optional: true, isIn: { options: [['json', 'csv']] } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const projectId = req.query.project_id;
+    const isCsv = req.is('text/csv') === 'text/csv';
+    
+    if (req.apiKey && projectId !== req.apiKey.project_id) {
+      throw new ApiError(404, 'Project not found');
+    }
+    
+    let rows;
+    if (isCsv) {
+      let parsed;
+      try {
+        parsed = csv.parseRecords(typeof req.body === 'string' ? req.body : '');
+      } catch (err) {
+        throw new ApiError(400, `Invalid CSV: ${err.message}`);
       }
-      
-      // Generate device token using the database function
-      const { data: tokenResult } = await supabaseAdmin.rpc('generate_device_token');
-      const deviceToken = tokenResult;
-      
-      // Create the device
-      const { data, error } = await req.supabase
-        .from('devices')
-        .insert({
-          project_id,
-          name,
-          hardware_type: hardware_type || 'ESP32',
-          device_token: deviceToken,
-        })
-        .select()
-        .single();
-      
-      if (error) throw error;
-      
-      // Return device WITH token (only time user sees it)
-      res.status(201).json({
-        device: {
-          ...data,
-          mqtt_password_hash: undefined,
-        },
-        message: 'Save this device_token! It will not be shown again.',
+      if (!parsed.columns.includes('name')) {
+        throw new ApiError(400, 'CSV needs a header row with a name column');
+      }
+      rows = parsed.records;
+    } else {
+      rows = req.body && req.body.devices;
+      if (!Array.isArray(rows)) {
+        throw new ApiError(400, 'Body must be { "devices": [...] } or a CSV file');
+      }
+    }
+    
+    if (rows.length === 0 || rows.length > MAX_BULK_DEVICES) {
+      throw new ApiError(400, `Send between 1 and ${MAX_BULK_DEVICES} devices`);
+    }
+    
+    const devices = [];
+    const errors = [];
+    rows.forEach((row, index) => {
+      const result = normalizeImportRow(row);
+      devices.push(result.device);
+      // Rows are numbered from 1, not counting a CSV header
+      errors.push(...result.errors.map(problem => ({ row: index + 1, ...problem })));
+    });
+    
+    if (errors.length > 0) {
+      throw new ApiError(400, 'Invalid rows, no devices were created', {
+        code: 'invalid_rows',
+        details: errors,
       });
-    } catch (err) {
-      console.error('Error creating device:', err);
-      res.status(500).json({ error: 'Failed to create device' });
     }
-  }
+    
+    // Verify project belongs to user
+    const project = await req.repos.projects.get(projectId);
+    
+    if (!project) {
+      throw new ApiError(404, 'Project not found');
+    }
+    
+    for (const device of devices) {
+      device.project_id = projectId;
+      device.device_token = await req.repos.tokens.generate();
+    }
+    
+    // Created completely or not at all; rows come back in insert order,
+    // without the tokens members can't read
+    const data = (await req.repos.devices.createMany(devices))
+      .map((device, index) => ({ ...device, device_token: devices[index].device_token }));
+    
+    for (const device of data) {
+      await audit.record(req, {
+        projectId,
+        action: 'device.created',
+        targetType: 'device',
+        targetId: device.id,
+        after: device,
+        metadata: { bulk: true },
+      });
+      await webhooks.emit(projectId, 'device.created', webhooks.devicePayload(device));
+      events.publishDevice('device.created', device);
+    }
+    
+    if ((req.query.format || (isCsv ? 'csv' : 'json')) === 'csv') {
+      return csv.send(
+        res.status(201),
+        `device-tokens-${projectId}.csv`,
+        ['id', 'name', 'hardware_type', 'tags', 'device_token'],
+        data
+      );
+    }
+    
+    // Return devices WITH tokens (only time user sees them)
+    res.status(201).json({
+      devices: data.map(device => ({ ...device, mqtt_password_hash: undefined })),
+      message: 'Save these device tokens! They will not be shown again.',
+    });
+  })
+);
+
+/**
+ * POST /api/devices/claim
+ * Claim a factory-registered device into a project with its claim code
+ * 
+ * The device picks up its device_token at its next bootstrap check-in
+ * (POST /api/provision/bootstrap), so no token is returned here.
+ * 
+ * Request body:
+ * {
+ *   "project_id": "uuid",
+ *   "claim_code": "7K3M-9QXD-2HTR",
+ *   "name": "Greenhouse sensor"   // optional, defaults to hardware type + MAC/serial
+ * }
+ */
+router.post('/claim',
+  docs({
+    summary: 'Claim a factory-registered device into a project with its claim code',
+    responses: {
+      201: 'The claimed device',
+      404: 'Project not found, or an invalid or already used claim code',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('admin', { projectBody: 'project_id' }),
+  validateInput({
+    body: {
+      project_id: { isUUID: true },
+      claim_code: {
+        isString: true,
+        custom: { options: value => claims.isValidClaimCode(value), errorMessage: 'Invalid claim code' },
+      },
+      name: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { project_id, claim_code, name } = req.body;
+    
+    if (req.apiKey && project_id !== req.apiKey.project_id) {
+      throw new ApiError(404, 'Project not found');
+    }
+    
+    // Verify project belongs to user
+    const project = await req.repos.projects.get(project_id);
+    
+    if (!project) {
+      throw new ApiError(404, 'Project not found');
+    }
+    
+    const outcome = await claims.claim(req.repos, {
+      projectId: project_id,
+      claimCode: claim_code,
+      name,
+      userId: req.user.id,
+    });
+    
+    if (!outcome.ok) {
+      throw new ApiError(404, 'Invalid or already used claim code', { code: 'invalid_claim_code' });
+    }
+    
+    const { device, entry } = outcome;
+    
+    await audit.record(req, {
+      projectId: device.project_id,
+      action: 'device.claimed',
+      targetType: 'device',
+      targetId: device.id,
+      after: device,
+      metadata: {
+        factory_device_id: entry.id,
+        mac_address: entry.mac_address,
+        serial_number: entry.serial_number,
+      },
+    });
+    await webhooks.emit(device.project_id, 'device.created', webhooks.devicePayload(device));
+    events.publishDevice('device.created', device);
+    
+    res.status(201).json({
+      device: {
+        ...device,
+        device_token: undefined,
+        mqtt_password_hash: undefined,
+      },
+    });
+  })
 );
 
 /**
  * PATCH /api/devices/:id
- * Update a device (name, hardware_type only)
+ * Update a device (name, hardware_type, tags, labels only)
  */
 router.patch('/:id',
-  param('id').isUUID(),
-  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
-  body('hardware_type').optional().isString().trim(),
+  docs({
+    summary: 'Update a device (name, hardware_type, tags, labels only)',
+    responses: {
+      200: 'The updated device',
+      400: 'No valid fields to update',
+      404: 'Device not found',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('operator', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    body: {
+      name: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      hardware_type: { optional: true, isString: true, trim: true },
+      tags: { optional: true, isArray: { options: { max: 20 } } },
+      'tags.*': { isString: true, trim: true, isLength: { options: { min: 1, max: 50 } } },
+      labels: { optional: true, custom: { options: validLabels } },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      const updates = {};
-      if (req.body.name) updates.name = req.body.name;
-      if (req.body.hardware_type) updates.hardware_type = req.body.hardware_type;
-      
-      if (Object.keys(updates).length === 0) {
-        return res.status(400).json({ error: 'No valid fields to update' });
-      }
-      
-      const { data, error } = await req.supabase
-        .from('devices')
-        .update(updates)
-        .eq('id', req.params.id)
-        .select()
-        .single();
-      
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({ error: 'Device not found' });
-        }
-        throw error;
-      }
-      
-      res.json({
-        device: {
-          ...data,
-          device_token: undefined,
-          mqtt_password_hash: undefined,
-        },
-      });
-    } catch (err) {
-      console.error('Error updating device:', err);
-      res.status(500).json({ error: 'Failed to update device' });
+  asyncHandler(async (req, res) => {
+    const updates = {};
+    if (req.body.name) updates.name = req.body.name;
+    if (req.body.hardware_type) updates.hardware_type = req.body.hardware_type;
+    if (req.body.tags) updates.tags = [...new Set(req.body.tags)];
+    if (req.body.labels) updates.labels = req.body.labels;
+    
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError(400, 'No valid fields to update');
     }
-  }
+    
+    const before = await req.repos.devices.get(req.params.id);
+    
+    const data = await req.repos.devices.update(req.params.id, updates);
+    
+    if (!data) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    await audit.record(req, {
+      projectId: data.project_id,
+      action: 'device.updated',
+      targetType: 'device',
+      targetId: data.id,
+      before,
+      after: data,
+    });
+    events.publishDevice('device.updated', data, { changed: Object.keys(updates) });
+    
+    res.json({
+      device: {
+        ...data,
+        device_token: undefined,
+        mqtt_password_hash: undefined,
+      },
+    });
+  })
 );
 
 /**
  * DELETE /api/devices/:id
  * Delete a device (cascades to channels)
+ * Also removes its MQTT user and disconnects it from the broker
  */
 router.delete('/:id',
-  param('id').isUUID(),
+  docs({
+    summary: 'Delete a device (cascades to channels)',
+    responses: {
+      204: 'Device deleted',
+      404: 'Device not found',
+      502: 'Failed to revoke device on MQTT broker',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('admin', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      const { error } = await req.supabase
-        .from('devices')
-        .delete()
-        .eq('id', req.params.id);
-      
-      if (error) throw error;
-      
-      res.status(204).send();
-    } catch (err) {
-      console.error('Error deleting device:', err);
-      res.status(500).json({ error: 'Failed to delete device' });
+  asyncHandler(async (req, res) => {
+    const device = await req.repos.devices.get(req.params.id);
+    
+    if (!device) {
+      throw new ApiError(404, 'Device not found');
     }
-  }
+    
+    if (!(await revokeBrokerAccess(req, device))) {
+      throw new ApiError(502, 'Failed to revoke device on MQTT broker');
+    }
+    
+    // Revoked certificates stay on the CRL after the device is gone
+    await certificates.revokeDeviceCertificates(device.id, 'cessationOfOperation');
+    
+    await req.repos.devices.remove(req.params.id);
+    
+    await audit.record(req, {
+      projectId: device.project_id,
+      action: 'device.deleted',
+      targetType: 'device',
+      targetId: device.id,
+      before: device,
+    });
+    await webhooks.emit(device.project_id, 'device.deleted', webhooks.devicePayload(device));
+    events.publishDevice('device.deleted', device);
+    
+    res.status(204).send();
+  })
 );
 
 /**
  * POST /api/devices/:id/regenerate-token
  * Generate a new device token (invalidates old one)
+ * Also removes its MQTT user, revokes its certificates and disconnects
+ * it from the broker
  */
 router.post('/:id/regenerate-token',
-  param('id').isUUID(),
+  docs({
+    summary: 'Generate a new device token (invalidates old one)',
+    responses: {
+      200: 'The device with its new device_token',
+      404: 'Device not found',
+      502: 'Failed to revoke device on MQTT broker',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('admin', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      // Generate new token
-      const { data: tokenResult } = await supabaseAdmin.rpc('generate_device_token');
-      const newToken = tokenResult;
-      
-      // Update device (also resets provisioning status)
-      const { data, error } = await req.supabase
-        .from('devices')
-        .update({
-          device_token: newToken,
-          is_provisioned: false,
-          mqtt_username: null,
-          mqtt_password_hash: null,
-        })
-        .eq('id', req.params.id)
-        .select()
-        .single();
-      
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({ error: 'Device not found' });
-        }
-        throw error;
-      }
-      
-      res.json({
-        device: data,
-        message: 'New device_token generated. Save it! The old token is now invalid.',
+  asyncHandler(async (req, res) => {
+    const device = await req.repos.devices.get(req.params.id);
+    
+    if (!device) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    // Old MQTT credentials stop working on the broker right away
+    if (!(await revokeBrokerAccess(req, device))) {
+      throw new ApiError(502, 'Failed to revoke device on MQTT broker');
+    }
+    
+    await certificates.revokeDeviceCertificates(device.id, 'superseded');
+    
+    // Generate new token
+    const newToken = await req.repos.tokens.generate();
+    
+    // Update device (also resets provisioning status); credentials are
+    // written with the service role only, after the admin check above
+    const data = await repositories.admin().devices.update(req.params.id, {
+      device_token: newToken,
+      is_provisioned: false,
+      mqtt_username: null,
+      mqtt_password_hash: null,
+      auth_method: 'password',
+    });
+    
+    if (!data) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    await audit.record(req, {
+      projectId: data.project_id,
+      action: 'device.token_regenerated',
+      targetType: 'device',
+      targetId: data.id,
+      before: device,
+      after: data,
+    });
+    await webhooks.emit(data.project_id, 'device.token_regenerated', webhooks.devicePayload(data));
+    events.publishDevice('device.token_regenerated', data);
+    
+    res.json({
+      device: data,
+      message: 'New device_token generated. Save it! The old token is now invalid.',
+    });
+  })
+);
+
+/**
+ * GET /api/devices/:id/telemetry
+ * Query a device's telemetry
+ * 
+ * Query params:
+ * - from, to: ISO 8601 time range (default: last 24 hours)
+ * - channel: comma-separated channel keys (default: all)
+ * - bucket: 1m | 5m | 15m | 1h | 6h | 1d - return min/max/avg per bucket
+ *   instead of raw readings
+ * - limit: max raw readings (default 1000, max 10000)
+ */
+router.get('/:id/telemetry',
+  docs({
+    summary: 'Query a device\'s telemetry',
+    responses: {
+      200: 'Raw readings, or aggregates per bucket',
+      400: '"from" must be before "to"',
+      404: 'Device not found',
+    },
+  }),
+  requireScope('telemetry:read'),
+  requireRole('viewer', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    query: {
+      from: { optional: true, isISO8601: true },
+      to: { optional: true, isISO8601: true },
+      channel: { optional: true, isString: true },
+      bucket: { optional: true, isIn: { options: [Object.keys(BUCKET_SECONDS)] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: 10000 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+    
+    if (from >= to) {
+      throw new ApiError(400, '"from" must be before "to"');
+    }
+    
+    const channels = req.query.channel
+      ? req.query.channel.split(',').map(c => c.trim()).filter(Boolean)
+      : null;
+    
+    // Check the device exists and belongs to the user (RLS)
+    if (!(await req.repos.devices.get(req.params.id))) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    const range = { from: from.toISOString(), to: to.toISOString(), channels };
+    
+    let data;
+    
+    if (req.query.bucket) {
+      data = await req.repos.telemetry.buckets(req.params.id, {
+        ...range,
+        bucketSeconds: BUCKET_SECONDS[req.query.bucket],
       });
-    } catch (err) {
-      console.error('Error regenerating token:', err);
-      res.status(500).json({ error: 'Failed to regenerate token' });
+    } else {
+      data = await req.repos.telemetry.list(req.params.id, { ...range, limit: req.query.limit || 1000 });
     }
-  }
+    
+    res.json({
+      telemetry: data,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      bucket: req.query.bucket || null,
+    });
+  })
+);
+
+/**
+ * POST /api/devices/:id/commands
+ * Send a command to a device
+ * 
+ * Request body:
+ * {
+ *   "name": "reboot",
+ *   "payload": { "delay": 5 },
+ *   "ttl_seconds": 300
+ * }
+ * 
+ * Published to u/{user_id}/d/{device_id}/cmd/{name} as
+ * { "id", "name", "payload", "expires_at" }. The device acknowledges
+ * with the command id (see /api/commands/:id/ack).
+ * 
+ * Names starting with "_" are reserved (cmd/_shadow/delta).
+ */
+router.post('/:id/commands',
+  docs({
+    summary: 'Send a command to a device',
+    responses: {
+      201: 'The command, sent or queued for the device',
+      404: 'Device not found',
+      409: 'Device is not provisioned',
+      502: 'Failed to send command (details.command is the failed command)',
+      503: 'MQTT broker is not configured',
+    },
+  }),
+  requireScope('commands:send'),
+  requireRole('operator', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    body: {
+      name: { isString: true, matches: { options: /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/ } },
+      payload: { optional: true },
+      ttl_seconds: {
+        optional: true,
+        isInt: { options: { min: 1, max: config.commands.maxTtlSeconds } },
+        toInt: true,
+      },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (!emqx.isConfigured()) {
+      throw new ApiError(503, 'MQTT broker is not configured');
+    }
+    
+    const device = await findWithOwner(req.repos, req.params.id);
+    
+    if (!device) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    if (!device.is_provisioned) {
+      throw new ApiError(409, 'Device is not provisioned', { code: 'device_not_provisioned' });
+    }
+    
+    const ttlSeconds = req.body.ttl_seconds || config.commands.defaultTtlSeconds;
+    
+    const command = await req.repos.commands.create({
+      device_id: device.id,
+      name: req.body.name,
+      payload: req.body.payload === undefined ? null : req.body.payload,
+      status: 'queued',
+      expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+      created_by: req.user.id,
+    });
+    
+    const sent = await commands.dispatch(
+      command,
+      deviceTopicBase(device.project.user_id, device.id)
+    );
+    
+    await audit.record(req, {
+      projectId: device.project_id,
+      action: 'device.command_sent',
+      targetType: 'device',
+      targetId: device.id,
+      metadata: { command_id: sent.id, name: sent.name, status: sent.status },
+    });
+    
+    if (sent.status === 'failed') {
+      throw new ApiError(502, 'Failed to send command', {
+        code: 'command_failed',
+        details: { command: sent },
+      });
+    }
+    
+    res.status(201).json({ command: sent });
+  })
+);
+
+/**
+ * GET /api/devices/:id/commands
+ * Command history for a device, newest first
+ * 
+ * Query params:
+ * - status: queued | sent | acked | failed | expired
+ * - limit: default 50, max 200
+ */
+router.get('/:id/commands',
+  docs({
+    summary: 'Command history for a device, newest first',
+    responses: {
+      200: 'The device\'s commands',
+      404: 'Device not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    query: {
+      status: { optional: true, isIn: { options: [commands.COMMAND_STATUSES] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: 200 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (!(await req.repos.devices.get(req.params.id))) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    // Settle anything that timed out so the history is accurate
+    await commands.expireStale(req.params.id);
+    
+    const data = await req.repos.commands.list(req.params.id, {
+      status: req.query.status,
+      limit: req.query.limit || 50,
+    });
+    
+    res.json({ commands: data });
+  })
+);
+
+/**
+ * GET /api/devices/:id/shadow
+ * Get a device's shadow: reported, desired and the delta between them
+ */
+router.get('/:id/shadow',
+  docs({
+    summary: 'Get a device\'s shadow: reported, desired and the delta between them',
+    responses: {
+      200: 'The device\'s shadow',
+      404: 'Device not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (!(await req.repos.devices.get(req.params.id))) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    res.json({ shadow: await shadow.getShadow(req.params.id) });
+  })
+);
+
+/**
+ * PUT /api/devices/:id/shadow/desired
+ * Replace the desired state document
+ * 
+ * Request body:
+ * {
+ *   "desired": { "led": "on", "interval": 30 },
+ *   "version": 3    // desired_version this change is based on
+ * }
+ * 
+ * Returns 409 with the current shadow if version is stale.
+ * The new delta is pushed to u/{user_id}/d/{device_id}/cmd/_shadow/delta
+ */
+router.put('/:id/shadow/desired',
+  docs({
+    summary: 'Replace the desired state document',
+    responses: {
+      200: 'The updated shadow',
+      404: 'Device not found',
+      409: 'Shadow version conflict (details.shadow is the current shadow)',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('operator', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    body: {
+      desired: { isObject: true },
+      version: { isInt: { options: { min: 0 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const device = await findWithOwner(req.repos, req.params.id);
+    
+    if (!device) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    const previous = await shadow.getShadow(device.id);
+    
+    const result = await shadow.setDesired(device.id, req.body.desired, req.body.version);
+    
+    if (!result.ok) {
+      throw new ApiError(409, 'Shadow version conflict', {
+        code: 'version_conflict',
+        details: { shadow: result.shadow },
+      });
+    }
+    
+    await shadow.publishDelta(deviceTopicBase(device.project.user_id, device.id), result.shadow);
+    events.publish(device.project_id, 'shadow.updated', {
+      deviceId: device.id,
+      data: { shadow: result.shadow },
+    });
+    
+    await audit.record(req, {
+      projectId: device.project_id,
+      action: 'device.shadow_desired_updated',
+      targetType: 'device',
+      targetId: device.id,
+      before: { desired: previous.desired },
+      after: { desired: result.shadow.desired },
+    });
+    
+    res.json({ shadow: result.shadow });
+  })
+);
+
+/**
+ * GET /api/devices/:id/errors
+ * Values from the device that failed channel validation, newest first
+ * 
+ * Query params:
+ * - since: ISO 8601 timestamp
+ * - action: rejected | clamped | flagged
+ * - limit: default 100, max 1000
+ */
+router.get('/:id/errors',
+  docs({
+    summary: 'Values from the device that failed channel validation, newest first',
+    responses: {
+      200: 'The device\'s validation errors',
+      404: 'Device not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    query: {
+      since: { optional: true, isISO8601: true },
+      action: { optional: true, isIn: { options: [['rejected', 'clamped', 'flagged']] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: 1000 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (!(await req.repos.devices.get(req.params.id))) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    const data = await req.repos.deviceErrors.list(req.params.id, {
+      since: req.query.since,
+      action: req.query.action,
+      limit: req.query.limit || 100,
+    });
+    
+    res.json({ errors: data });
+  })
+);
+
+/**
+ * GET /api/devices/:id/connections
+ * Broker connect/disconnect history, newest first
+ * 
+ * Query params:
+ * - limit: default 50, max 500
+ */
+router.get('/:id/connections',
+  docs({
+    summary: 'Broker connect/disconnect history, newest first',
+    responses: {
+      200: 'The device\'s connect and disconnect events',
+      404: 'Device not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { deviceParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    query: {
+      limit: { optional: true, isInt: { options: { min: 1, max: 500 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (!(await req.repos.devices.get(req.params.id))) {
+      throw new ApiError(404, 'Device not found');
+    }
+    
+    const data = await req.repos.connections.list(req.params.id, { limit: req.query.limit || 50 });
+    
+    res.json({ connections: data });
+  })
 );
 
 module.exports = router;
@@ -0,0 +1,426 @@
+const express = require('express');
+const { authenticateBroker } = require('../middleware/broker');
+const { asyncHandler, validate } = require('../middleware/errors');
+const {
+  findDeviceByUsername,
+  verifyDeviceCredentials,
+  verifyDeviceCertificate,
+} = require('../services/deviceAuth');
+const telemetry = require('../services/telemetry');
+const commands = require('../services/commands');
+const shadow = require('../services/shadow');
+const channelSchema = require('../services/channelSchema');
+const presence = require('../services/presence');
+const webhooks = require('../services/webhooks');
+const events = require('../services/events');
+const certificates = require('../services/certificates');
+const repositories = require('../repositories');
+const { deviceTopicBase, isDeviceTopic, parseDeviceTopic } = require('../utils/topics');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// All routes are called by the broker, not by users
+router.use(authenticateBroker);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// What presence webhooks and events tell about the device
+const PRESENCE_FIELDS = ['id', 'project_id', 'name', 'hardware_type', 'is_provisioned'];
+
+/**
+ * Resolve the device that published a message
+ * The topic must be a device topic owned by the publishing client
+ * Returns null if it isn't
+ */
+async function findPublishingDevice(topic, clientid) {
+  const parsed = parseDeviceTopic(topic);
+  if (!parsed || parsed.deviceId !== clientid) return null;
+  
+  const device = await repositories.admin().devices.findWithOwner(parsed.deviceId);
+  if (!device || !device.is_provisioned || device.project.user_id !== parsed.userId) return null;
+  
+  return { device, topic: parsed };
+}
+
+/**
+ * POST /api/emqx/auth
+ * EMQX HTTP authentication hook
+ * 
+ * Configure in EMQX (Authentication > HTTP Server, POST) with body:
+ * {
+ *   "username": "${username}",
+ *   "password": "${password}",
+ *   "clientid": "${clientid}",
+ *   "cert_common_name": "${cert_common_name}",
+ *   "cert_pem": "${client_attrs.cert_pem}"
+ * }
+ * 
+ * Devices provisioned with a certificate connect without a password;
+ * the listener must verify client certificates against /api/emqx/ca-bundle,
+ * and EMQX must copy the client certificate into a client attribute
+ * (mqtt.client_attrs_init: expression "cert_pem", set_as_attr "cert_pem").
+ * The certificate is matched against the ones issued to the device.
+ * 
+ * Response: { "result": "allow" | "deny", "is_superuser": false }
+ */
+router.post('/auth',
+  docs({
+    summary: 'EMQX HTTP authentication hook',
+    responses: {
+      200: 'allow or deny',
+    },
+  }),
+  validateInput({
+    body: {
+      username: { isString: true },
+      password: { optional: true, isString: true },
+      clientid: { isString: true },
+      cert_common_name: { optional: true, isString: true },
+      cert_pem: { optional: true, isString: true, isLength: { options: { max: 20000 } } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, password, clientid, cert_common_name, cert_pem } = req.body;
+    
+    // EMQX sends empty strings for missing placeholders
+    const device = !password && cert_common_name
+      ? await verifyDeviceCertificate(cert_common_name, cert_pem)
+      : await verifyDeviceCredentials(username, password);
+    
+    // Devices must connect with their own ID as client ID
+    const allowed = Boolean(device) && clientid === device.id;
+    
+    res.json({
+      result: allowed ? 'allow' : 'deny',
+      is_superuser: false,
+    });
+  })
+);
+
+/**
+ * POST /api/emqx/acl
+ * EMQX HTTP authorization hook
+ * 
+ * Configure in EMQX (Authorization > HTTP Server, POST) with body:
+ * {
+ *   "username": "${username}",
+ *   "clientid": "${clientid}",
+ *   "action": "${action}",
+ *   "topic": "${topic}"
+ * }
+ * 
+ * Devices may only publish/subscribe inside u/{user_id}/d/{device_id}/
+ * 
+ * Response: { "result": "allow" | "deny" }
+ */
+router.post('/acl',
+  docs({
+    summary: 'EMQX HTTP authorization hook',
+    responses: {
+      200: 'allow or deny',
+    },
+  }),
+  validateInput({
+    body: {
+      username: { isString: true },
+      clientid: { isString: true },
+      action: { isIn: { options: [['publish', 'subscribe']] } },
+      topic: { isString: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { username, clientid, topic } = req.body;
+    
+    const device = await findDeviceByUsername(username);
+    
+    const allowed = Boolean(device)
+      && clientid === device.id
+      && isDeviceTopic(topic, device.project.user_id, device.id);
+    
+    res.json({ result: allowed ? 'allow' : 'deny' });
+  })
+);
+
+/**
+ * POST /api/emqx/telemetry
+ * EMQX rule engine webhook for device telemetry
+ * 
+ * Rule SQL:
+ *   SELECT clientid, topic, payload FROM "u/+/d/+/tel/#"
+ * 
+ * Action: HTTP Server, POST, body ${*} (or the three fields as JSON)
+ * 
+ * - Topic .../tel/{channel}: payload is a bare value or { "value", "ts" }
+ * - Topic .../tel/: payload is { "channel": value, ..., "ts"? }
+ */
+router.post('/telemetry',
+  docs({
+    summary: 'EMQX rule engine webhook for device telemetry',
+    responses: {
+      202: 'Readings accepted for writing, and the number rejected',
+      404: 'Unknown telemetry topic',
+    },
+  }),
+  validateInput({
+    body: {
+      clientid: { isString: true },
+      topic: { isString: true },
+      payload: { exists: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { clientid, topic, payload } = req.body;
+    
+    const match = await findPublishingDevice(topic, clientid);
+    if (!match || match.topic.kind !== 'tel') {
+      throw new ApiError(404, 'Unknown telemetry topic');
+    }
+    
+    const readings = telemetry.parseMqttPayload(match.topic.rest, payload);
+    const { accepted, rejected } = await telemetry.ingest(match.device.id, readings);
+    
+    res.status(202).json({ accepted, rejected: rejected.length });
+  })
+);
+
+/**
+ * POST /api/emqx/command-ack
+ * EMQX rule engine webhook for command acknowledgements
+ * 
+ * Devices publish to u/{user_id}/d/{device_id}/ack/{command_id} with
+ * payload { "status": "acked" | "failed", "result": ... } (or empty
+ * for a plain ack).
+ * 
+ * Rule SQL:
+ *   SELECT clientid, topic, payload FROM "u/+/d/+/ack/+"
+ * 
+ * Always answers 200 for well-formed messages so the rule engine
+ * doesn't retry acks that can never succeed.
+ */
+router.post('/command-ack',
+  docs({
+    summary: 'EMQX rule engine webhook for command acknowledgements',
+    responses: {
+      200: 'The command\'s new status, or why the ack was ignored',
+      404: 'Unknown command ack topic',
+    },
+  }),
+  validateInput({
+    body: {
+      clientid: { isString: true },
+      topic: { isString: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { clientid, topic } = req.body;
+    
+    const match = await findPublishingDevice(topic, clientid);
+    if (!match || match.topic.kind !== 'ack' || !match.topic.rest) {
+      throw new ApiError(404, 'Unknown command ack topic');
+    }
+    
+    const commandId = match.topic.rest;
+    if (!UUID_PATTERN.test(commandId)) {
+      return res.json({ ignored: 'not_found' });
+    }
+    
+    let ack = req.body.payload || {};
+    if (typeof ack === 'string') {
+      try {
+        ack = ack ? JSON.parse(ack) : {};
+      } catch {
+        ack = {};
+      }
+    }
+    
+    const status = ack.status === 'failed' ? 'failed' : 'acked';
+    const outcome = await commands.acknowledge(match.device.id, commandId, {
+      status,
+      result: ack.result,
+    });
+    
+    res.json(outcome.ok ? { status: outcome.command.status } : { ignored: outcome.reason });
+  })
+);
+
+/**
+ * POST /api/emqx/state
+ * EMQX rule engine webhook for device state (shadow reported)
+ * 
+ * Devices publish a JSON object to u/{user_id}/d/{device_id}/state/
+ * It is merged into the reported document (null removes a key).
+ * Keys are validated against the device's channel definitions.
+ * 
+ * Rule SQL:
+ *   SELECT clientid, topic, payload FROM "u/+/d/+/state/#"
+ */
+router.post('/state',
+  docs({
+    summary: 'EMQX rule engine webhook for device state (shadow reported)',
+    responses: {
+      200: 'The reported state\'s new version, and the number of keys rejected',
+      400: 'State payload must be a JSON object',
+      404: 'Unknown state topic',
+    },
+  }),
+  validateInput({
+    body: {
+      clientid: { isString: true },
+      topic: { isString: true },
+      payload: { exists: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { clientid, topic } = req.body;
+    
+    const match = await findPublishingDevice(topic, clientid);
+    if (!match || match.topic.kind !== 'state') {
+      throw new ApiError(404, 'Unknown state topic');
+    }
+    
+    let patch = req.body.payload;
+    if (typeof patch === 'string') {
+      try {
+        patch = JSON.parse(patch);
+      } catch {
+        patch = null;
+      }
+    }
+    
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      throw new ApiError(400, 'State payload must be a JSON object');
+    }
+    
+    // Validate state keys against channels; null (remove key) is always allowed
+    const readings = Object.entries(patch)
+      .filter(([, value]) => value !== null)
+      .map(([channel, value]) => ({ channel, value }));
+    
+    const { accepted, rejected } = await channelSchema.validateReadings(
+      match.device.id,
+      'state',
+      readings
+    );
+    
+    const validPatch = Object.fromEntries([
+      ...Object.entries(patch).filter(([, value]) => value === null),
+      ...accepted.map(reading => [reading.channel, reading.value]),
+    ]);
+    
+    if (Object.keys(validPatch).length === 0) {
+      return res.json({ rejected: rejected.length });
+    }
+    
+    const updated = await shadow.updateReported(match.device.id, validPatch);
+    
+    // Reported state may have caught up with (or drifted from) desired
+    await shadow.publishDelta(
+      deviceTopicBase(match.device.project.user_id, match.device.id),
+      updated
+    );
+    events.publish(match.device.project_id, 'shadow.updated', {
+      deviceId: match.device.id,
+      data: { shadow: updated },
+    });
+    
+    res.json({ reported_version: updated.reported_version, rejected: rejected.length });
+  })
+);
+
+/**
+ * POST /api/emqx/presence
+ * EMQX rule engine webhook for client connect/disconnect events
+ * 
+ * Rule SQL:
+ *   SELECT * FROM "$events/client_connected", "$events/client_disconnected"
+ * 
+ * Uses event, clientid, username, peername, connected_at/disconnected_at
+ * (ms since epoch) and reason from the event.
+ */
+router.post('/presence',
+  docs({
+    summary: 'EMQX rule engine webhook for client connect/disconnect events',
+    responses: {
+      200: 'Whether the device\'s presence changed, or why the event was ignored',
+    },
+  }),
+  validateInput({
+    body: {
+      event: { isIn: { options: [['client.connected', 'client.disconnected']] } },
+      clientid: { isString: true },
+      username: { optional: { options: { values: 'null' } }, isString: true },
+      peername: { optional: true, isString: true },
+      connected_at: { optional: true, isInt: true, toInt: true },
+      disconnected_at: { optional: true, isInt: true, toInt: true },
+      reason: { optional: true, isString: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { event, clientid, username, peername, reason } = req.body;
+    
+    if (!UUID_PATTERN.test(clientid)) {
+      return res.json({ ignored: 'unknown_client' });
+    }
+    
+    // Only events from the device's own credentials count
+    const found = await repositories.admin().devices.findWithOwner(clientid);
+    
+    if (!found || !found.mqtt_username || found.mqtt_username !== username) {
+      return res.json({ ignored: 'unknown_client' });
+    }
+    
+    const device = Object.fromEntries(PRESENCE_FIELDS.map(field => [field, found[field]]));
+    
+    const connected = event === 'client.connected';
+    const timestamp = connected ? req.body.connected_at : req.body.disconnected_at;
+    
+    const changed = await presence.recordEvent(device.id, {
+      event: connected ? 'connected' : 'disconnected',
+      ip: presence.parsePeername(peername),
+      reason,
+      at: timestamp ? new Date(timestamp) : new Date(),
+    });
+    
+    if (changed) {
+      await webhooks.emit(device.project_id, connected ? 'device.online' : 'device.offline', {
+        ...webhooks.devicePayload(device),
+        ip: presence.parsePeername(peername),
+        reason: connected ? undefined : reason,
+      });
+      events.publishDevice(connected ? 'device.online' : 'device.offline', { ...device, online: connected }, {
+        reason: connected ? undefined : reason,
+      });
+    }
+    
+    res.json({ changed });
+  })
+);
+
+/**
+ * GET /api/emqx/ca-bundle
+ * Every project CA certificate (PEM), for the TLS listener's cacertfile
+ * 
+ * Refresh it whenever a project creates or uploads a CA.
+ */
+router.get('/ca-bundle',
+  docs({
+    summary: 'Every project CA certificate (PEM), for the TLS listener\'s cacertfile',
+    responses: {
+      200: 'The CA certificates (PEM)',
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    res.set('Content-Type', 'application/x-pem-file');
+    res.send(await certificates.caBundle());
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const {
+  authenticate,
+  requireScope,
+  restrictProjectParam,
+} = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate, sendError } = require('../middleware/errors');
+const repositories = require('../repositories');
+const roles = require('../services/roles');
+const apiKeys = require('../services/apiKeys');
+const events = require('../services/events');
+const config = require('../../config');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/events
+const router = express.Router({ mergeParams: true });
+
+// Event types that carry more than device state need their own scope
+// (on top of devices:read for the stream)
+const EVENT_SCOPES = {
+  telemetry: 'telemetry:read',
+};
+
+/**
+ * Whether the viewer may see events of a type: users may see all,
+ * API keys need the type's scope
+ */
+function canSee(req, type) {
+  const scope = EVENT_SCOPES[type];
+  return !scope || !req.apiKey || req.apiKey.scopes.includes(scope);
+}
+
+// API keys only see their own project
+const restrictProject = (req, res, next) =>
+  restrictProjectParam(req, res, next, req.params.projectId);
+
+/**
+ * authenticate, or a stream ticket in ?ticket= (for EventSource, which
+ * can't send headers)
+ */
+function authenticateStream(req, res, next) {
+  if (req.query.ticket === undefined) return authenticate(req, res, next);
+  
+  const access = typeof req.query.ticket === 'string'
+    && events.redeemTicket(req.query.ticket, req.params.projectId);
+  
+  if (!access) {
+    return sendError(req, res, 401, 'Invalid or expired stream ticket', { code: 'invalid_ticket' });
+  }
+  
+  req.user = access.user;
+  req.apiKey = access.apiKey;
+  next();
+}
+
+/**
+ * Whether the stream's viewer may still see the project: still a
+ * member, and (for API keys) the key is neither revoked nor expired
+ * and its creator is still an admin
+ */
+async function stillAllowed(req) {
+  const role = await roles.getProjectRole(req.user.id, req.projectId);
+  
+  if (!role) return false;
+  if (!req.apiKey) return true;
+  if (!roles.roleAtLeast(role, apiKeys.ACTOR_ROLE)) return false;
+  
+  const key = await repositories.admin().apiKeys.get(req.apiKey.id);
+  
+  return Boolean(key)
+    && !key.revoked_at
+    && !(key.expires_at && new Date(key.expires_at) <= new Date());
+}
+
+/**
+ * Write one SSE message
+ */
+function send(res, { id, event, data }) {
+  let message = '';
+  if (id) message += `id: ${id}\n`;
+  if (event) message += `event: ${event}\n`;
+  message += `data: ${JSON.stringify(data)}\n\n`;
+  res.write(message);
+}
+
+/**
+ * POST /api/projects/:projectId/events/ticket
+ * Get a short-lived ticket for opening the event stream with EventSource:
+ *   new EventSource(`/api/projects/${id}/events?ticket=${ticket}`)
+ */
+router.post('/ticket',
+  docs({
+    summary: 'Get a short-lived ticket for opening the event stream with EventSource',
+    responses: {
+      201: 'The ticket and when it expires',
+    },
+  }),
+  authenticate,
+  restrictProject,
+  requireScope('devices:read'),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+  }),
+  validate,
+  (req, res) => {
+    const { ticket, expiresAt } = events.issueTicket({
+      user: req.user,
+      apiKey: req.apiKey,
+      projectId: req.projectId,
+    });
+    
+    res.status(201).json({ ticket, expires_at: expiresAt.toISOString() });
+  }
+);
+
+/**
+ * GET /api/projects/:projectId/events
+ * Stream the project's events as Server-Sent Events
+ * 
+ * Auth: Authorization header, or ?ticket= from POST .../events/ticket
+ * 
+ * Query params:
+ * - device_id: only this device's events
+ * - types: comma-separated event types (default: all)
+ * - last_event_id: resume after this event (the Last-Event-ID header,
+ *   which EventSource sends on reconnect, takes precedence)
+ * 
+ * Each message has the event type as its SSE event name, and data:
+ * { id, type, project_id, device_id, data, at }
+ * If the stream can't be resumed, a "reset" event comes first: reload
+ * state over REST, then carry on with the stream.
+ * 
+ * telemetry events carry readings, so API keys only get them with the
+ * telemetry:read scope; asking for them in types without it is a 403.
+ */
+router.get('/',
+  docs({
+    summary: 'Stream the project\'s events as Server-Sent Events',
+    description: 'Authenticate with the Authorization header, or with `?ticket=` from POST .../events/ticket '
+      + '(EventSource can\'t send headers).',
+    responses: {
+      200: 'A text/event-stream of the project\'s events',
+      401: 'Missing or invalid credentials, or an invalid or expired stream ticket',
+      403: 'API key is missing the scope of a requested event type',
+      404: 'Device not found',
+    },
+  }),
+  authenticateStream,
+  restrictProject,
+  requireScope('devices:read'),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    query: {
+      device_id: { optional: true, isUUID: true },
+      types: {
+        optional: true,
+        isString: true,
+        customSanitizer: { options: value => value.split(',').map(type => type.trim()).filter(Boolean) },
+        custom: {
+          options: types => types.length > 0 && types.every(type => events.EVENT_TYPES.includes(type)),
+          errorMessage: `types must be a comma-separated list of: ${events.EVENT_TYPES.join(', ')}`,
+        },
+      },
+      last_event_id: { optional: true, isString: true, isLength: { options: { max: 100 } } },
+      ticket: { optional: true, isString: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    let unsubscribe = null;
+    let heartbeat = null;
+    let recheck = null;
+    
+    const close = () => {
+      if (unsubscribe) unsubscribe();
+      clearInterval(heartbeat);
+      clearInterval(recheck);
+      unsubscribe = null;
+      res.end();
+    };
+    
+    try {
+      const { device_id: deviceId, types } = req.query;
+      
+      const unscoped = (types || []).find(type => !canSee(req, type));
+      if (unscoped) {
+        throw new ApiError(403, `API key is missing the "${EVENT_SCOPES[unscoped]}" scope`, { code: 'missing_scope' });
+      }
+      
+      if (deviceId) {
+        const projectId = await roles.getDeviceProjectId(deviceId);
+        if (projectId !== req.projectId) {
+          throw new ApiError(404, 'Device not found');
+        }
+      }
+      
+      const wanted = event => (!deviceId || event.device_id === deviceId)
+        && (!types || types.includes(event.type))
+        && canSee(req, event.type);
+      
+      const deliver = event => {
+        send(res, { id: event.id, event: event.type, data: { ...event, sequence: undefined } });
+      };
+      
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Don't let nginx buffer the stream
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+      res.write('retry: 3000\n\n');
+      
+      req.on('close', close);
+      
+      // publish() is synchronous, so nothing can slip in between the
+      // replay and the subscription
+      const lastEventId = req.get('Last-Event-ID') || req.query.last_event_id;
+      if (lastEventId) {
+        const missed = events.since(req.projectId, lastEventId);
+        if (missed) {
+          missed.filter(wanted).forEach(deliver);
+        } else {
+          send(res, { event: 'reset', data: { reason: 'Cannot resume from this event ID' } });
+        }
+      }
+      
+      unsubscribe = events.subscribe(req.projectId, event => {
+        if (wanted(event)) deliver(event);
+      });
+      
+      // Comments keep proxies from closing an idle connection
+      heartbeat = setInterval(() => res.write(': ping\n\n'), config.events.heartbeatMs);
+      
+      // Access can be revoked while the stream is open
+      recheck = setInterval(async () => {
+        try {
+          if (!(await stillAllowed(req))) {
+            send(res, { event: 'revoked', data: { reason: 'Access to this project was revoked' } });
+            close();
+          }
+        } catch (err) {
+          req.log.error('Event stream access check failed', { err });
+        }
+      }, config.events.recheckMs);
+    } catch (err) {
+      // Before the stream starts, answer like any other route
+      if (!res.headersSent) throw err;
+      req.log.error('Event stream failed', { err });
+      close();
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,248 @@
+const express = require('express');
+const { authenticateFactory } = require('../middleware/factory');
+const { asyncHandler, validate } = require('../middleware/errors');
+const repositories = require('../repositories');
+const claims = require('../services/claims');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+const { generateSecurePassword } = require('../utils/password');
+
+const router = express.Router();
+
+// All routes are called by manufacturing
+router.use(authenticateFactory);
+
+// Rows accepted by POST /devices in one request
+const MAX_REGISTRATIONS = 1000;
+
+// Never return hashes
+const PUBLIC_FIELDS = [
+  'id',
+  'mac_address',
+  'serial_number',
+  'hardware_type',
+  'status',
+  'firmware_version',
+  'first_seen_at',
+  'last_seen_at',
+  'project_id',
+  'device_id',
+  'claimed_at',
+  'created_at',
+];
+
+/**
+ * Check and normalize one registration row
+ * Returns { entry, claimCode, secret, errors } - errors lists { field, message }
+ */
+function normalizeRegistration(row) {
+  const errors = [];
+  
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { entry: null, claimCode: null, secret: null, errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+  
+  let mac = null;
+  if (row.mac_address !== undefined && row.mac_address !== null) {
+    mac = claims.normalizeMac(row.mac_address);
+    if (!mac) errors.push({ field: 'mac_address', message: 'Invalid MAC address' });
+  }
+  
+  let serial = null;
+  if (row.serial_number !== undefined && row.serial_number !== null) {
+    serial = typeof row.serial_number === 'string' ? row.serial_number.trim() : '';
+    if (serial.length === 0 || serial.length > 100) {
+      errors.push({ field: 'serial_number', message: 'Serial number must be 1-100 characters' });
+    }
+  }
+  
+  if (!mac && !serial && errors.length === 0) {
+    errors.push({ field: 'mac_address', message: 'mac_address or serial_number is required' });
+  }
+  
+  const hardwareType = typeof row.hardware_type === 'string' && row.hardware_type.trim()
+    ? row.hardware_type.trim()
+    : 'ESP32';
+  if (hardwareType.length > 100) {
+    errors.push({ field: 'hardware_type', message: 'Hardware type must be up to 100 characters' });
+  }
+  
+  // Codes already printed on labels can be supplied; otherwise one is generated
+  const claimCode = row.claim_code === undefined || row.claim_code === null
+    ? claims.generateClaimCode()
+    : row.claim_code;
+  if (!claims.isValidClaimCode(claimCode)) {
+    errors.push({ field: 'claim_code', message: 'Claim code must be 8-32 base32 characters' });
+  }
+  
+  // The device proves it's the registered board with this secret at
+  // every check-in, so it's flashed in manufacturing, never handed out
+  const secret = row.bootstrap_secret === undefined || row.bootstrap_secret === null
+    ? generateSecurePassword()
+    : row.bootstrap_secret;
+  const validSecret = claims.isValidBootstrapSecret(secret);
+  if (!validSecret) {
+    errors.push({ field: 'bootstrap_secret', message: 'Bootstrap secret must be 32-200 characters' });
+  }
+  
+  return {
+    entry: {
+      mac_address: mac,
+      serial_number: serial,
+      hardware_type: hardwareType,
+      claim_code_hash: claims.hashClaimCode(claimCode),
+      bootstrap_secret_hash: validSecret ? claims.hashBootstrapSecret(secret) : null,
+    },
+    claimCode,
+    secret,
+    errors,
+  };
+}
+
+/**
+ * POST /api/factory/devices
+ * Register manufactured devices for claiming
+ * Returns the claim codes and bootstrap secrets (only time they're visible!)
+ * 
+ * Auth: X-Factory-Secret header
+ * 
+ * Request body:
+ * {
+ *   "devices": [
+ *     { "mac_address": "AA:BB:CC:DD:EE:FF", "serial_number": "SN-0001", "hardware_type": "ESP32" },
+ *     { "serial_number": "SN-0002", "claim_code": "7K3M-9QXD-2HTR" }
+ *   ]
+ * }
+ * 
+ * Print claim_code on the label and flash bootstrap_secret onto the
+ * board; both can be supplied instead of generated.
+ * 
+ * Every row is validated first; if any is invalid or already
+ * registered, nothing is registered.
+ */
+router.post('/devices',
+  docs({
+    summary: 'Register manufactured devices for claiming',
+    responses: {
+      201: 'The registrations, with their claim codes and bootstrap secrets (shown only this once)',
+      400: 'No devices, too many, or invalid rows (details lists each problem); nothing was registered',
+      409: 'A MAC address, serial number or claim code is already registered',
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const rows = req.body && req.body.devices;
+    
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_REGISTRATIONS) {
+      throw new ApiError(400, `Send { "devices": [...] } with 1 to ${MAX_REGISTRATIONS} entries`);
+    }
+    
+    const entries = [];
+    const codes = [];
+    const secrets = [];
+    const errors = [];
+    const seen = { mac_address: new Set(), serial_number: new Set(), claim_code_hash: new Set() };
+    
+    rows.forEach((row, index) => {
+      const result = normalizeRegistration(row);
+      const rowErrors = [...result.errors];
+      
+      if (result.entry) {
+        for (const field of Object.keys(seen)) {
+          const value = result.entry[field];
+          if (!value) continue;
+          if (seen[field].has(value)) {
+            rowErrors.push({ field: field === 'claim_code_hash' ? 'claim_code' : field, message: 'Duplicate in this request' });
+          }
+          seen[field].add(value);
+        }
+      }
+      
+      entries.push(result.entry);
+      codes.push(result.claimCode);
+      secrets.push(result.secret);
+      errors.push(...rowErrors.map(problem => ({ row: index + 1, ...problem })));
+    });
+    
+    if (errors.length > 0) {
+      throw new ApiError(400, 'Invalid rows, nothing was registered', {
+        code: 'invalid_rows',
+        details: errors,
+      });
+    }
+    
+    // A MAC address, serial number or claim code that's already
+    // registered is a 409 (unique violation)
+    const data = await repositories.admin().factoryDevices.createMany(entries, PUBLIC_FIELDS);
+    
+    // Inserted rows come back in request order
+    res.status(201).json({
+      devices: data.map((entry, index) => ({
+        ...entry,
+        claim_code: codes[index],
+        bootstrap_secret: secrets[index],
+      })),
+      message: 'Save these claim codes and bootstrap secrets! They will not be shown again.',
+    });
+  })
+);
+
+/**
+ * GET /api/factory/devices
+ * List registered devices, newest first
+ * 
+ * Query params:
+ * - status: registered | pending_claim | claimed
+ * - limit: default 100, max 1000
+ */
+router.get('/devices',
+  docs({
+    summary: 'List registered devices, newest first',
+    responses: {
+      200: 'The registrations',
+    },
+  }),
+  validateInput({
+    query: {
+      status: { optional: true, isIn: { options: [['registered', 'pending_claim', 'claimed']] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: 1000 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().factoryDevices.list({
+      status: req.query.status,
+      limit: req.query.limit || 100,
+    }, PUBLIC_FIELDS);
+    
+    res.json({ devices: data });
+  })
+);
+
+/**
+ * DELETE /api/factory/devices/:id
+ * Remove an unclaimed registration (e.g. a scrapped board)
+ */
+router.delete('/devices/:id',
+  docs({
+    summary: 'Remove an unclaimed registration (e.g. a scrapped board)',
+    responses: {
+      204: 'Removed',
+      404: 'Unclaimed registration not found',
+    },
+  }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (!(await repositories.admin().factoryDevices.remove(req.params.id))) {
+      throw new ApiError(404, 'Unclaimed registration not found');
+    }
+    
+    res.status(204).send();
+  })
+);
+
+module.exports = router;
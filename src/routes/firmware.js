@@ -0,0 +1,232 @@
+const express = require('express');
+const { authenticate, requireUser } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const repositories = require('../repositories');
+const firmware = require('../services/firmware');
+const audit = require('../services/audit');
+const semver = require('../utils/semver');
+const config = require('../../config');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/firmware
+const router = express.Router({ mergeParams: true });
+
+// Releases are managed by users only, never by API keys
+router.use(authenticate, requireUser);
+
+/**
+ * GET /api/projects/:projectId/firmware
+ * List firmware releases, newest first
+ * 
+ * Query params:
+ * - hardware_type
+ */
+router.get('/',
+  docs({
+    summary: 'List firmware releases, newest first',
+    responses: {
+      200: 'The project\'s releases',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    query: {
+      hardware_type: { optional: true, isString: true, trim: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().firmwareReleases.list(req.projectId, {
+      hardwareType: req.query.hardware_type,
+    });
+    
+    res.json({ releases: data });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/firmware
+ * Upload a firmware image
+ * 
+ * Body: the raw image, Content-Type: application/octet-stream
+ * 
+ * Query params:
+ * - hardware_type: devices this image is for (required)
+ * - version: semver, unique per hardware type (required)
+ * - sha256: expected hex checksum - the upload is rejected if it differs
+ * - signature, signature_algorithm: detached signature for devices to verify
+ * - notes
+ */
+router.post('/',
+  docs({
+    summary: 'Upload a firmware image',
+    description: 'The body is the image itself, sent as application/octet-stream; '
+      + 'the release\'s fields go in the query string.',
+    responses: {
+      201: 'The new release',
+      400: 'No image in the body, or it doesn\'t match sha256',
+      409: 'This version already exists for the hardware type',
+      413: 'Image is larger than FIRMWARE_MAX_SIZE_BYTES',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  express.raw({ type: 'application/octet-stream', limit: config.firmware.maxSizeBytes }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    query: {
+      hardware_type: { isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      version: {
+        custom: { options: value => semver.isValid(value), errorMessage: 'Must be a semantic version' },
+      },
+      sha256: { optional: true, isHash: { options: 'sha256' } },
+      signature: { optional: true, isString: true, isLength: { options: { min: 1, max: 2048 } } },
+      signature_algorithm: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { min: 1, max: 50 } },
+      },
+      notes: { optional: true, isString: true, trim: true, isLength: { options: { max: 2000 } } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      throw new ApiError(400, 'Send the firmware image as application/octet-stream');
+    }
+    
+    const { hardware_type, version } = req.query;
+    const repos = repositories.admin();
+    
+    const existing = await repos.firmwareReleases.find(req.projectId, hardware_type, version);
+    
+    if (existing) {
+      throw new ApiError(409, `Version ${version} already exists for ${hardware_type}`);
+    }
+    
+    const image = await firmware.storeImage(req.projectId, req.body);
+    
+    if (req.query.sha256 && req.query.sha256.toLowerCase() !== image.sha256) {
+      await firmware.removeImage(image.storage_path);
+      throw new ApiError(400, 'Checksum mismatch', {
+        code: 'checksum_mismatch',
+        details: { sha256: image.sha256 },
+      });
+    }
+    
+    let data;
+    try {
+      data = await repos.firmwareReleases.create({
+        project_id: req.projectId,
+        hardware_type,
+        version,
+        ...image,
+        signature: req.query.signature || null,
+        signature_algorithm: req.query.signature_algorithm || null,
+        notes: req.query.notes || null,
+        created_by: req.user.id,
+      });
+    } catch (err) {
+      await firmware.removeImage(image.storage_path);
+      throw err;
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'firmware.uploaded',
+      targetType: 'firmware_release',
+      targetId: data.id,
+      after: data,
+    });
+    
+    res.status(201).json({ release: data });
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/firmware/:releaseId
+ * Get a release
+ */
+router.get('/:releaseId',
+  docs({
+    summary: 'Get a release',
+    responses: {
+      200: 'The release',
+      404: 'Firmware release not found',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      releaseId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().firmwareReleases.get(req.projectId, req.params.releaseId);
+    
+    if (!data) {
+      throw new ApiError(404, 'Firmware release not found');
+    }
+    
+    res.json({ release: data });
+  })
+);
+
+/**
+ * DELETE /api/projects/:projectId/firmware/:releaseId
+ * Delete a release that no rollout uses
+ */
+router.delete('/:releaseId',
+  docs({
+    summary: 'Delete a release that no rollout uses',
+    responses: {
+      204: 'Deleted',
+      404: 'Firmware release not found',
+      409: 'Release is used by a rollout',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      releaseId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const repos = repositories.admin();
+    
+    if (await repos.rollouts.countForRelease(req.params.releaseId) > 0) {
+      throw new ApiError(409, 'Release is used by a rollout');
+    }
+    
+    const release = await repos.firmwareReleases.remove(req.projectId, req.params.releaseId);
+    
+    if (!release) {
+      throw new ApiError(404, 'Firmware release not found');
+    }
+    
+    await firmware.removeImage(release.storage_path);
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'firmware.deleted',
+      targetType: 'firmware_release',
+      targetId: req.params.releaseId,
+      before: release,
+    });
+    
+    res.status(204).send();
+  })
+);
+
+module.exports = router;
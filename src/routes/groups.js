@@ -0,0 +1,633 @@
+const express = require('express');
+const {
+  authenticate,
+  requireScope,
+  restrictProjectParam,
+} = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate, sendError } = require('../middleware/errors');
+const repositories = require('../repositories');
+const { emqx } = require('../services/emqx');
+const roles = require('../services/roles');
+const groups = require('../services/groups');
+const jobs = require('../services/jobs');
+const audit = require('../services/audit');
+const config = require('../../config');
+const pagination = require('../utils/pagination');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/groups
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate);
+
+// API keys only see their own project (router.param doesn't fire for
+// merged params, so check it here)
+router.use((req, res, next) => restrictProjectParam(req, res, next, req.params.projectId));
+
+// Devices added to a static group in one request
+const MAX_MEMBERS_PER_REQUEST = 500;
+
+// What each job type needs: type -> [API key scope, minimum role]
+const JOB_PERMISSIONS = {
+  command: ['commands:send', 'operator'],
+  update_metadata: ['devices:write', 'operator'],
+  regenerate_token: ['devices:write', 'admin'],
+};
+
+// express-validator custom validator for label changes
+function validLabelChanges(value) {
+  const message = groups.checkLabels(value, { allowNull: true });
+  if (message) throw new Error(message);
+  return true;
+}
+
+// express-validator condition: validate a job param only for its job type
+function forType(type) {
+  return (value, { req }) => req.body.type === type;
+}
+
+/**
+ * Find a group in the request's project
+ * Throws a 404 ApiError if there's none
+ */
+async function findGroup(req) {
+  const data = await repositories.admin().groups.get(req.projectId, req.params.groupId);
+  
+  if (!data) {
+    throw new ApiError(404, 'Group not found');
+  }
+  return data;
+}
+
+/**
+ * GET /api/projects/:projectId/groups
+ * List the project's device groups
+ */
+router.get('/',
+  docs({
+    summary: 'List the project\'s device groups',
+    responses: {
+      200: 'The project\'s groups',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    query: {
+      type: { optional: true, isIn: { options: [groups.GROUP_TYPES] } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().groups.list(req.projectId, { type: req.query.type });
+    
+    res.json({ groups: data });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/groups
+ * Create a device group
+ * 
+ * Static group:
+ * {
+ *   "name": "Floor 2",
+ *   "type": "static",
+ *   "device_ids": ["uuid", ...]          // optional initial members
+ * }
+ * 
+ * Dynamic group - every device matching the query, now or later:
+ * {
+ *   "name": "Floor 2 sensors",
+ *   "type": "dynamic",
+ *   "query": { "labels": { "floor": "2" }, "tags": ["sensor"] }
+ * }
+ */
+router.post('/',
+  docs({
+    summary: 'Create a device group',
+    responses: {
+      201: 'The new group, and which initial devices were added or skipped',
+      400: 'An invalid query, a query on a static group, or device_ids on a dynamic one',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('operator', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    body: {
+      name: { isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      description: { optional: true, isString: true, trim: true, isLength: { options: { max: 500 } } },
+      type: { isIn: { options: [groups.GROUP_TYPES] } },
+      query: { optional: true },
+      device_ids: { optional: true, isArray: { options: { max: MAX_MEMBERS_PER_REQUEST } } },
+      'device_ids.*': { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { type } = req.body;
+    let groupQuery = null;
+    
+    if (type === 'dynamic') {
+      if (req.body.device_ids) {
+        throw new ApiError(400, 'Dynamic groups take a query, not device_ids');
+      }
+      const normalized = groups.normalizeQuery(req.body.query);
+      if (normalized.error) {
+        throw new ApiError(400, normalized.error);
+      }
+      groupQuery = normalized.query;
+    } else if (req.body.query !== undefined) {
+      throw new ApiError(400, 'Static groups take device_ids, not a query');
+    }
+    
+    const group = await repositories.admin().groups.create({
+      project_id: req.projectId,
+      name: req.body.name,
+      description: req.body.description,
+      type,
+      query: groupQuery,
+      created_by: req.user.id,
+    });
+    
+    const members = req.body.device_ids && req.body.device_ids.length > 0
+      ? await groups.addMembers(group, [...new Set(req.body.device_ids)])
+      : { added: [], skipped: [] };
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'group.created',
+      targetType: 'device_group',
+      targetId: group.id,
+      after: group,
+      metadata: { added: members.added.length },
+    });
+    
+    res.status(201).json({ group, ...members });
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/groups/:groupId
+ * Get a group with its device count
+ */
+router.get('/:groupId',
+  docs({
+    summary: 'Get a group with its device count',
+    responses: {
+      200: 'The group, with its device count',
+      404: 'Group not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      groupId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const group = await findGroup(req);
+    
+    const count = await repositories.admin().devices.countInGroup(group);
+    
+    res.json({ group: { ...group, device_count: count } });
+  })
+);
+
+/**
+ * PATCH /api/projects/:projectId/groups/:groupId
+ * Rename a group, or change a dynamic group's query
+ */
+router.patch('/:groupId',
+  docs({
+    summary: 'Rename a group, or change a dynamic group\'s query',
+    responses: {
+      200: 'The updated group',
+      400: 'No valid fields to update, an invalid query, or a query on a static group',
+      404: 'Group not found',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('operator', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      groupId: { isUUID: true },
+    },
+    body: {
+      name: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      description: {
+        optional: { options: { values: 'null' } },
+        isString: true,
+        trim: true,
+        isLength: { options: { max: 500 } },
+      },
+      query: { optional: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const before = await findGroup(req);
+    
+    const updates = {};
+    if (req.body.name !== undefined) updates.name = req.body.name;
+    if (req.body.description !== undefined) updates.description = req.body.description;
+    
+    if (req.body.query !== undefined) {
+      if (before.type !== 'dynamic') {
+        throw new ApiError(400, 'Only dynamic groups have a query');
+      }
+      const normalized = groups.normalizeQuery(req.body.query);
+      if (normalized.error) {
+        throw new ApiError(400, normalized.error);
+      }
+      updates.query = normalized.query;
+    }
+    
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError(400, 'No valid fields to update');
+    }
+    
+    const data = await repositories.admin().groups.update(before.id, {
+      ...updates,
+      updated_at: new Date().toISOString(),
+    });
+    
+    if (!data) {
+      throw new ApiError(404, 'Group not found');
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'group.updated',
+      targetType: 'device_group',
+      targetId: data.id,
+      before,
+      after: data,
+    });
+    
+    res.json({ group: data });
+  })
+);
+
+/**
+ * DELETE /api/projects/:projectId/groups/:groupId
+ * Delete a group (its devices are untouched)
+ */
+router.delete('/:groupId',
+  docs({
+    summary: 'Delete a group (its devices are untouched)',
+    responses: {
+      204: 'Deleted',
+      404: 'Group not found',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('operator', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      groupId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const group = await findGroup(req);
+    
+    await repositories.admin().groups.remove(group.id);
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'group.deleted',
+      targetType: 'device_group',
+      targetId: group.id,
+      before: group,
+    });
+    
+    res.status(204).send();
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/groups/:groupId/devices
+ * The group's devices, a page at a time (see GET /api/devices)
+ * 
+ * Query params:
+ * - sort: created_at | name, prefix - for descending (default name)
+ * - limit, cursor
+ */
+router.get('/:groupId/devices',
+  docs({
+    summary: 'The group\'s devices, a page at a time (see GET /api/devices)',
+    responses: {
+      200: 'A page of the group\'s devices',
+      400: 'Invalid cursor',
+      404: 'Group not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      groupId: { isUUID: true },
+    },
+    query: {
+      sort: { optional: true, isIn: { options: [pagination.sortOptions(['created_at', 'name'])] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: pagination.MAX_LIMIT } }, toInt: true },
+      cursor: { optional: true, isBase64: { options: { urlSafe: true } } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const group = await findGroup(req);
+    
+    const sort = pagination.parseSort(req.query.sort, 'name');
+    const cursor = req.query.cursor && pagination.decodeCursor(req.query.cursor, sort);
+    
+    if (req.query.cursor && !cursor) {
+      throw new ApiError(400, 'Invalid cursor');
+    }
+    
+    const page = await repositories.admin().devices.listInGroup(group, {
+      sort,
+      limit: req.query.limit,
+      cursor,
+    });
+    
+    // Don't expose sensitive fields
+    const sanitized = page.rows.map(device => ({
+      ...device,
+      device_token: undefined,
+      mqtt_password_hash: undefined,
+    }));
+    
+    res.json(pagination.envelope('devices', page, sanitized));
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/groups/:groupId/devices
+ * Add devices to a static group
+ * Devices from other projects are skipped
+ * 
+ * Request body:
+ * {
+ *   "device_ids": ["uuid", ...]
+ * }
+ */
+router.post('/:groupId/devices',
+  docs({
+    summary: 'Add devices to a static group',
+    responses: {
+      200: 'Which devices were added, and which were skipped',
+      404: 'Group not found',
+      409: 'Dynamic group members come from its query',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('operator', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      groupId: { isUUID: true },
+    },
+    body: {
+      device_ids: { isArray: { options: { min: 1, max: MAX_MEMBERS_PER_REQUEST } } },
+      'device_ids.*': { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const group = await findGroup(req);
+    
+    if (group.type !== 'static') {
+      throw new ApiError(409, 'Dynamic group members come from its query');
+    }
+    
+    const result = await groups.addMembers(group, [...new Set(req.body.device_ids)]);
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'group.devices_added',
+      targetType: 'device_group',
+      targetId: group.id,
+      metadata: { device_ids: result.added },
+    });
+    
+    res.json(result);
+  })
+);
+
+/**
+ * DELETE /api/projects/:projectId/groups/:groupId/devices/:deviceId
+ * Remove a device from a static group
+ */
+router.delete('/:groupId/devices/:deviceId',
+  docs({
+    summary: 'Remove a device from a static group',
+    responses: {
+      204: 'Removed',
+      404: 'Group not found, or the device is not in it',
+      409: 'Dynamic group members come from its query',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('operator', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      groupId: { isUUID: true },
+      deviceId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const group = await findGroup(req);
+    
+    if (group.type !== 'static') {
+      throw new ApiError(409, 'Dynamic group members come from its query');
+    }
+    
+    const removed = await groups.removeMember(group.id, req.params.deviceId);
+    
+    if (!removed) {
+      throw new ApiError(404, 'Device is not in this group');
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'group.device_removed',
+      targetType: 'device_group',
+      targetId: group.id,
+      metadata: { device_id: req.params.deviceId },
+    });
+    
+    res.status(204).send();
+  })
+);
+
+/**
+ * Scope and role checks for the job type in the body
+ */
+function requireJobPermission(req, res, next) {
+  const [scope, minRole] = JOB_PERMISSIONS[req.body.type];
+  
+  if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+    return sendError(req, res, 403, `API key is missing the "${scope}" scope`, { code: 'missing_scope' });
+  }
+  if (!roles.roleAtLeast(req.projectRole, minRole)) {
+    return sendError(req, res, 403, `This action requires the ${minRole} role or higher`, {
+      code: 'insufficient_role',
+    });
+  }
+  next();
+}
+
+/**
+ * POST /api/projects/:projectId/groups/:groupId/jobs
+ * Run an operation on every device in the group, in the background
+ * Poll GET /api/projects/:projectId/jobs/:jobId for progress. A dynamic
+ * group's devices are those matching its query when the job starts.
+ * 
+ * Send a command (operator, commands:send):
+ * { "type": "command", "params": { "name": "reboot", "payload": {}, "ttl_seconds": 300 } }
+ * 
+ * Update metadata (operator, devices:write):
+ * {
+ *   "type": "update_metadata",
+ *   "params": {
+ *     "labels": { "floor": "3", "old-key": null },   // merged; null removes
+ *     "add_tags": ["moved"],
+ *     "remove_tags": ["floor-2"],
+ *     "hardware_type": "ESP32-S3"
+ *   }
+ * }
+ * 
+ * Regenerate device tokens (admin, devices:write):
+ * { "type": "regenerate_token" }
+ * Once it completes, collect the new tokens with
+ * POST /api/projects/:projectId/jobs/:jobId/tokens (only once).
+ */
+router.post('/:groupId/jobs',
+  docs({
+    summary: 'Run an operation on every device in the group, in the background',
+    responses: {
+      202: 'The new job, queued',
+      400: 'No metadata changes given',
+      403: 'The job type needs a higher role or another API key scope',
+      404: 'Group not found',
+      409: 'Group has no devices',
+      413: 'Group has more devices than a job can target (JOB_MAX_DEVICES)',
+      503: 'MQTT broker is not configured',
+    },
+  }),
+  requireRole('operator', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      groupId: { isUUID: true },
+    },
+    body: {
+      type: { isIn: { options: [jobs.JOB_TYPES] } },
+      params: { optional: true, isObject: true },
+      'params.name': {
+        isString: { if: forType('command') },
+        matches: { options: /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/ },
+      },
+      'params.ttl_seconds': {
+        optional: true,
+        isInt: {
+          if: forType('command'),
+          options: { min: 1, max: config.commands.maxTtlSeconds },
+        },
+        toInt: true,
+      },
+      'params.labels': {
+        optional: true,
+        custom: { if: forType('update_metadata'), options: validLabelChanges },
+      },
+      'params.add_tags': {
+        optional: true,
+        isArray: { if: forType('update_metadata'), options: { max: 20 } },
+      },
+      'params.add_tags.*': { isString: true, trim: true, isLength: { options: { min: 1, max: 50 } } },
+      'params.remove_tags': {
+        optional: true,
+        isArray: { if: forType('update_metadata'), options: { max: 20 } },
+      },
+      'params.remove_tags.*': { isString: true, trim: true, isLength: { options: { min: 1, max: 50 } } },
+      'params.hardware_type': {
+        optional: true,
+        isString: { if: forType('update_metadata') },
+        trim: true,
+        isLength: { options: { min: 1, max: 100 } },
+      },
+    },
+  }),
+  validate,
+  requireJobPermission,
+  asyncHandler(async (req, res) => {
+    const { type } = req.body;
+    const input = req.body.params || {};
+    let params = {};
+    
+    if (type === 'command') {
+      if (!emqx.isConfigured()) {
+        throw new ApiError(503, 'MQTT broker is not configured');
+      }
+      params = { name: input.name, payload: input.payload, ttl_seconds: input.ttl_seconds };
+    } else if (type === 'update_metadata') {
+      for (const field of ['labels', 'add_tags', 'remove_tags', 'hardware_type']) {
+        if (input[field] !== undefined) params[field] = input[field];
+      }
+      if (Object.keys(params).length === 0) {
+        throw new ApiError(400, 'No metadata changes given');
+      }
+    }
+    
+    const group = await findGroup(req);
+    
+    const deviceIds = await groups.memberIds(group, config.jobs.maxDevices);
+    
+    if (deviceIds.length === 0) {
+      throw new ApiError(409, 'Group has no devices');
+    }
+    if (deviceIds.length > config.jobs.maxDevices) {
+      throw new ApiError(413, `Jobs can target at most ${config.jobs.maxDevices} devices`);
+    }
+    
+    const job = await jobs.createJob({
+      projectId: req.projectId,
+      groupId: group.id,
+      type,
+      params,
+      deviceIds,
+      actor: audit.actorFor(req),
+      userId: req.user.id,
+    });
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'job.created',
+      targetType: 'device_job',
+      targetId: job.id,
+      metadata: { group_id: group.id, type, devices: deviceIds.length },
+    });
+    
+    res.status(202).json({ job });
+  })
+);
+
+module.exports = router;
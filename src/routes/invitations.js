@@ -0,0 +1,95 @@
+const express = require('express');
+const { authenticate, requireUser } = require('../middleware/auth');
+const { asyncHandler, validate } = require('../middleware/errors');
+const audit = require('../services/audit');
+const repositories = require('../repositories');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// Invitations are answered by the invited user
+router.use(authenticate, requireUser);
+
+/**
+ * GET /api/invitations
+ * Pending invitations for the current user's email
+ */
+router.get('/',
+  docs({
+    summary: 'Pending invitations for the current user\'s email',
+    responses: {
+      200: 'The open invitations',
+    },
+  }),
+  asyncHandler(async (req, res) => {
+    const invitations = await repositories.admin().invitations.listOpenForEmail(
+      (req.user.email || '').toLowerCase(),
+      new Date().toISOString()
+    );
+    
+    res.json({ invitations });
+  })
+);
+
+/**
+ * POST /api/invitations/:id/accept
+ * Accept an invitation and join the project with its role
+ */
+router.post('/:id/accept',
+  docs({
+    summary: 'Accept an invitation and join the project with its role',
+    responses: {
+      200: 'The new membership',
+      404: 'Invitation not found',
+      409: 'Invitation was already accepted',
+      410: 'Invitation has expired',
+    },
+  }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const repos = repositories.admin();
+    
+    const invitation = await repos.invitations.get(req.params.id);
+    
+    // Other users' invitations look the same as missing ones
+    if (!invitation || invitation.email !== (req.user.email || '').toLowerCase()) {
+      throw new ApiError(404, 'Invitation not found');
+    }
+    
+    if (invitation.accepted_at) {
+      throw new ApiError(409, 'Invitation was already accepted');
+    }
+    
+    if (new Date(invitation.expires_at) <= new Date()) {
+      throw new ApiError(410, 'Invitation has expired', { code: 'invitation_expired' });
+    }
+    
+    const member = await repos.members.create({
+      project_id: invitation.project_id,
+      user_id: req.user.id,
+      email: req.user.email.toLowerCase(),
+      role: invitation.role,
+    });
+    
+    await repos.invitations.update(invitation.id, { accepted_at: new Date().toISOString(), accepted_by: req.user.id });
+    
+    await audit.record(req, {
+      projectId: invitation.project_id,
+      action: 'member.joined',
+      targetType: 'user',
+      targetId: req.user.id,
+      after: { role: member.role },
+      metadata: { invitation_id: invitation.id },
+    });
+    
+    res.json({ member });
+  })
+);
+
+module.exports = router;
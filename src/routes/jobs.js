@@ -0,0 +1,222 @@
+const express = require('express');
+const {
+  authenticate,
+  requireScope,
+  restrictProjectParam,
+} = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const repositories = require('../repositories');
+const jobs = require('../services/jobs');
+const audit = require('../services/audit');
+const csv = require('../utils/csv');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/jobs
+// Jobs are started from a group: POST /api/projects/:projectId/groups/:groupId/jobs
+const router = express.Router({ mergeParams: true });
+
+router.use(authenticate, requireScope('devices:read'));
+
+// API keys only see their own project (router.param doesn't fire for
+// merged params, so check it here)
+router.use((req, res, next) => restrictProjectParam(req, res, next, req.params.projectId));
+
+/**
+ * GET /api/projects/:projectId/jobs
+ * List jobs, newest first
+ * 
+ * Query params:
+ * - group_id
+ * - type: command | update_metadata | regenerate_token
+ * - status: queued | running | completed
+ * - limit: default 50, max 200
+ */
+router.get('/',
+  docs({
+    summary: 'List jobs, newest first',
+    responses: {
+      200: 'The project\'s jobs',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    query: {
+      group_id: { optional: true, isUUID: true },
+      type: { optional: true, isIn: { options: [jobs.JOB_TYPES] } },
+      status: { optional: true, isIn: { options: [['queued', 'running', 'completed']] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: 200 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().jobs.list(req.projectId, req.query, {
+      limit: req.query.limit || 50,
+    });
+    
+    res.json({ jobs: data });
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/jobs/:jobId
+ * Get a job with its progress
+ */
+router.get('/:jobId',
+  docs({
+    summary: 'Get a job with its progress',
+    responses: {
+      200: 'The job, and how many devices are pending, succeeded and failed',
+      404: 'Job not found',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      jobId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().jobs.get(req.projectId, req.params.jobId);
+    
+    if (!data) {
+      throw new ApiError(404, 'Job not found');
+    }
+    
+    const progress = await jobs.countResults(data.id);
+    
+    res.json({ job: data, progress });
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/jobs/:jobId/results
+ * Per-device results of a job, by device ID
+ * 
+ * Query params:
+ * - status: pending | succeeded | failed
+ * - limit: default 100, max 1000
+ * - cursor: next_cursor from the previous page
+ */
+router.get('/:jobId/results',
+  docs({
+    summary: 'Per-device results of a job, by device ID',
+    responses: {
+      200: 'A page of results, and the cursor of the next one',
+      400: 'Invalid cursor',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      jobId: { isUUID: true },
+    },
+    query: {
+      status: { optional: true, isIn: { options: [['pending', 'succeeded', 'failed']] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: 1000 } }, toInt: true },
+      cursor: { optional: true, isBase64: { options: { urlSafe: true } } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const limit = req.query.limit || 100;
+    
+    let after = null;
+    if (req.query.cursor) {
+      after = Buffer.from(req.query.cursor, 'base64url').toString('utf8');
+      if (!/^[0-9a-f-]{36}$/i.test(after)) {
+        throw new ApiError(400, 'Invalid cursor');
+      }
+    }
+    
+    // Fetch one extra row to know whether there's another page
+    const data = await repositories.admin().jobs.listResults(req.projectId, req.params.jobId, {
+      status: req.query.status,
+      after,
+      limit: limit + 1,
+    });
+    
+    const results = data.slice(0, limit);
+    const nextCursor = data.length > limit
+      ? Buffer.from(results[results.length - 1].device_id).toString('base64url')
+      : null;
+    
+    res.json({ results, next_cursor: nextCursor });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/jobs/:jobId/tokens
+ * Collect the new device tokens of a completed regenerate_token job
+ * Returns them once (only time they're visible!) and removes them
+ * from the job; devices whose regeneration failed keep their old token
+ * 
+ * Query params:
+ * - format: json (default) | csv - csv returns device_id,name,device_token
+ *   as a download
+ */
+router.post('/:jobId/tokens',
+  docs({
+    summary: 'Collect the new device tokens of a completed regenerate_token job',
+    responses: {
+      200: 'The new device tokens, as JSON or CSV (only this once)',
+      404: 'Token regeneration job not found',
+      409: 'Job has not completed yet',
+      410: 'Device tokens were already collected',
+    },
+  }),
+  requireScope('devices:write'),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      jobId: { isUUID: true },
+    },
+    query: {
+      format: { optional: true, isIn: { options: [['json', 'csv']] } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const job = await repositories.admin().jobs.get(req.projectId, req.params.jobId);
+    
+    if (!job || job.type !== 'regenerate_token') {
+      throw new ApiError(404, 'Token regeneration job not found');
+    }
+    if (job.status !== 'completed') {
+      throw new ApiError(409, 'Job has not completed yet', { code: 'job_running' });
+    }
+    
+    const tokens = await jobs.collectTokens(job);
+    
+    if (!tokens) {
+      throw new ApiError(410, 'Device tokens were already collected', { code: 'tokens_collected' });
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'job.tokens_collected',
+      targetType: 'device_job',
+      targetId: job.id,
+      metadata: { devices: tokens.length },
+    });
+    
+    if (req.query.format === 'csv') {
+      return csv.send(res, `device-tokens-${job.id}.csv`, ['device_id', 'name', 'device_token'], tokens);
+    }
+    
+    res.json({
+      tokens,
+      message: 'Save these device tokens! They will not be shown again.',
+    });
+  })
+);
+
+module.exports = router;
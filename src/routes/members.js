@@ -0,0 +1,300 @@
+const express = require('express');
+const { authenticate, requireUser } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const roles = require('../services/roles');
+const repositories = require('../repositories');
+const audit = require('../services/audit');
+const config = require('../../config');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/members
+const router = express.Router({ mergeParams: true });
+
+// Membership is managed by users only, never by API keys
+router.use(authenticate, requireUser);
+
+/**
+ * GET /api/projects/:projectId/members
+ * List members and their roles
+ */
+router.get('/',
+  docs({
+    summary: 'List members and their roles',
+    responses: {
+      200: 'The project\'s members and their roles',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const members = await repositories.admin().members.list(req.projectId);
+    
+    res.json({ members });
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/members/invitations
+ * List pending (unaccepted, unexpired) invitations
+ */
+router.get('/invitations',
+  docs({
+    summary: 'List pending (unaccepted, unexpired) invitations',
+    responses: {
+      200: 'The pending invitations',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const invitations = await repositories.admin().invitations.listOpen(req.projectId, new Date().toISOString());
+    
+    res.json({ invitations });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/members/invitations
+ * Invite a user by email
+ * 
+ * Request body:
+ * {
+ *   "email": "teammate@example.com",
+ *   "role": "operator"
+ * }
+ * 
+ * The invitee accepts with POST /api/invitations/:id/accept while
+ * logged in with that email. Only owners can invite owners.
+ */
+router.post('/invitations',
+  docs({
+    summary: 'Invite a user by email',
+    responses: {
+      201: 'The new invitation',
+      403: 'Only owners can invite owners',
+      409: 'User is already a member of this project',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    body: {
+      email: { trim: true, isEmail: true, toLowerCase: true },
+      role: { isIn: { options: [roles.ROLES] } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { email, role } = req.body;
+    
+    if (role === 'owner' && req.projectRole !== 'owner') {
+      throw new ApiError(403, 'Only owners can invite owners', { code: 'insufficient_role' });
+    }
+    
+    const repos = repositories.admin();
+    
+    if (await repos.members.findByEmail(req.projectId, email)) {
+      throw new ApiError(409, 'User is already a member of this project');
+    }
+    
+    const expiresAt = new Date(Date.now() + config.invitations.ttlDays * 24 * 60 * 60 * 1000);
+    
+    const data = await repos.invitations.create({
+      project_id: req.projectId,
+      email,
+      role,
+      invited_by: req.user.id,
+      expires_at: expiresAt.toISOString(),
+    });
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'member.invited',
+      targetType: 'invitation',
+      targetId: data.id,
+      after: data,
+    });
+    
+    res.status(201).json({ invitation: data });
+  })
+);
+
+/**
+ * DELETE /api/projects/:projectId/members/invitations/:invitationId
+ * Cancel a pending invitation
+ */
+router.delete('/invitations/:invitationId',
+  docs({
+    summary: 'Cancel a pending invitation',
+    responses: {
+      204: 'Cancelled',
+      404: 'Invitation not found',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      invitationId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const removed = await repositories.admin().invitations.removeOpen(req.projectId, req.params.invitationId);
+    
+    if (!removed) {
+      throw new ApiError(404, 'Invitation not found');
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'member.invitation_cancelled',
+      targetType: 'invitation',
+      targetId: req.params.invitationId,
+    });
+    
+    res.status(204).send();
+  })
+);
+
+/**
+ * PATCH /api/projects/:projectId/members/:userId
+ * Change a member's role
+ * Only owners can grant or revoke the owner role, and the last owner
+ * can't be demoted
+ */
+router.patch('/:userId',
+  docs({
+    summary: 'Change a member\'s role',
+    responses: {
+      200: 'The member with their new role',
+      403: 'Only owners can grant or revoke the owner role',
+      404: 'Member not found',
+      409: 'A project must keep at least one owner',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      userId: { isUUID: true },
+    },
+    body: {
+      role: { isIn: { options: [roles.ROLES] } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const currentRole = await roles.getProjectRole(req.params.userId, req.projectId);
+    
+    if (!currentRole) {
+      throw new ApiError(404, 'Member not found');
+    }
+    
+    const touchesOwner = currentRole === 'owner' || req.body.role === 'owner';
+    if (touchesOwner && req.projectRole !== 'owner') {
+      throw new ApiError(403, 'Only owners can grant or revoke the owner role', { code: 'insufficient_role' });
+    }
+    
+    const { members } = repositories.admin();
+    
+    if (currentRole === 'owner' && req.body.role !== 'owner'
+      && (await members.countOwners(req.projectId)) <= 1) {
+      throw new ApiError(409, 'A project must keep at least one owner');
+    }
+    
+    const data = await members.updateRole(req.projectId, req.params.userId, req.body.role);
+    
+    if (!data) {
+      throw new ApiError(404, 'Member not found');
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'member.role_changed',
+      targetType: 'user',
+      targetId: req.params.userId,
+      before: { role: currentRole },
+      after: { role: data.role },
+    });
+    
+    res.json({ member: data });
+  })
+);
+
+/**
+ * DELETE /api/projects/:projectId/members/:userId
+ * Remove a member (admins and up), or leave a project (any member)
+ */
+router.delete('/:userId',
+  docs({
+    summary: 'Remove a member (admins and up), or leave a project (any member)',
+    responses: {
+      204: 'Removed, or left',
+      403: 'Removing others requires the admin role or higher, and removing owners the owner role',
+      404: 'Member not found',
+      409: 'A project must keep at least one owner',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      userId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const leaving = req.params.userId === req.user.id;
+    
+    if (!leaving && !roles.roleAtLeast(req.projectRole, 'admin')) {
+      throw new ApiError(403, 'This action requires the admin role or higher', { code: 'insufficient_role' });
+    }
+    
+    const { members } = repositories.admin();
+    const currentRole = await roles.getProjectRole(req.params.userId, req.projectId);
+    
+    if (!currentRole) {
+      throw new ApiError(404, 'Member not found');
+    }
+    
+    if (currentRole === 'owner') {
+      if (!leaving && req.projectRole !== 'owner') {
+        throw new ApiError(403, 'Only owners can remove owners', { code: 'insufficient_role' });
+      }
+      if ((await members.countOwners(req.projectId)) <= 1) {
+        throw new ApiError(409, 'A project must keep at least one owner');
+      }
+    }
+    
+    if (!(await members.remove(req.projectId, req.params.userId))) {
+      throw new ApiError(404, 'Member not found');
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: leaving ? 'member.left' : 'member.removed',
+      targetType: 'user',
+      targetId: req.params.userId,
+      before: { role: currentRole },
+    });
+    
+    res.status(204).send();
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const { authenticateDevice } = require('../middleware/device');
+const { asyncHandler, validate } = require('../middleware/errors');
+const firmware = require('../services/firmware');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// All routes are called by devices
+router.use(authenticateDevice);
+
+// Status, code and message for each reportProgress() failure reason
+const PROGRESS_FAILURES = {
+  not_found: [404, 'not_found', 'Update not found'],
+  invalid_transition: [409, 'invalid_transition', 'Update is not in a state that allows this status'],
+};
+
+/**
+ * GET /api/ota/update
+ * Check for a firmware update
+ * 
+ * Auth: HTTP Basic with the device's MQTT username and password
+ * 
+ * Query params:
+ * - current_version: firmware the device runs now (optional)
+ * 
+ * 204 when there's nothing to install, otherwise:
+ * {
+ *   "update": {
+ *     "id": "uuid",            // report progress against this
+ *     "version": "1.2.0",
+ *     "size_bytes": 1048576,
+ *     "sha256": "hex",
+ *     "signature": "base64",
+ *     "signature_algorithm": "ed25519",
+ *     "url": "https://...",    // short-lived download URL
+ *     "url_expires_at": "..."
+ *   }
+ * }
+ */
+router.get('/update',
+  docs({
+    summary: 'Check for a firmware update',
+    responses: {
+      200: 'The update to install, with a download URL',
+      204: 'No update pending',
+    },
+  }),
+  validateInput({
+    query: {
+      current_version: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { min: 1, max: 50 } },
+      },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const update = await firmware.findUpdate(req.device.id);
+    
+    if (!update) {
+      return res.status(204).send();
+    }
+    
+    const release = update.rollout.release;
+    
+    // Already running it (e.g. updated, then lost the success report)
+    if (req.query.current_version === release.version) {
+      await firmware.reportProgress(req.device, update.id, { status: 'succeeded' });
+      return res.status(204).send();
+    }
+    
+    const download = await firmware.downloadUrl(release);
+    
+    res.json({
+      update: {
+        id: update.id,
+        version: release.version,
+        hardware_type: release.hardware_type,
+        size_bytes: release.size_bytes,
+        sha256: release.sha256,
+        signature: release.signature,
+        signature_algorithm: release.signature_algorithm,
+        url: download.url,
+        url_expires_at: download.expires_at,
+      },
+    });
+  })
+);
+
+/**
+ * POST /api/ota/updates/:id/progress
+ * Report firmware update progress
+ * 
+ * Auth: HTTP Basic with the device's MQTT username and password
+ * 
+ * Request body:
+ * {
+ *   "status": "downloading" | "installing" | "success" | "failed" | "rolled_back",
+ *   "error": "Signature check failed"   // optional, for failed
+ * }
+ * 
+ * After "failed" the response carries { "rollback": { "version": "1.1.0" } }:
+ * the device should boot its previous firmware and report "rolled_back".
+ */
+router.post('/updates/:id/progress',
+  docs({
+    summary: 'Report firmware update progress',
+    responses: {
+      200: 'The update, and the rollback it caused if any',
+      404: 'Update not found',
+      409: 'Update is not in a state that allows this status',
+    },
+  }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    body: {
+      status: { isIn: { options: [['downloading', 'installing', 'success', 'failed', 'rolled_back']] } },
+      error: { optional: true, isString: true, isLength: { options: { max: 1000 } } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const outcome = await firmware.reportProgress(req.device, req.params.id, {
+      status: req.body.status === 'success' ? 'succeeded' : req.body.status,
+      error: req.body.error,
+    });
+    
+    if (!outcome.ok) {
+      const [status, code, message] = PROGRESS_FAILURES[outcome.reason];
+      throw new ApiError(status, message, { code });
+    }
+    
+    res.json({ update: outcome.update, rollback: outcome.rollback });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const certificates = require('../services/certificates');
+const { rateLimit, byIp } = require('../middleware/rateLimit');
+const { asyncHandler, validate } = require('../middleware/errors');
+const config = require('../../config');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+const router = express.Router();
+
+// No auth: CA certificates and CRLs are public, and TLS clients
+// (brokers, devices) fetch them without credentials. CRLs are signed on
+// request, so limit per client IP, apart from provisioning's budget.
+router.use(rateLimit({ name: 'pki-ip', key: byIp, ...config.rateLimit.pkiIp }));
+
+/**
+ * Wrap DER in PEM armour
+ */
+function toPem(der, label) {
+  const lines = der.toString('base64').match(/.{1,64}/g);
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+/**
+ * GET /api/pki/:projectId/ca.pem
+ * The project's CA certificate
+ */
+router.get('/:projectId/ca.pem',
+  docs({
+    summary: 'The project\'s CA certificate',
+    responses: {
+      200: 'The CA certificate (PEM)',
+      404: 'Certificate authority not found',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const authority = await certificates.getAuthority(req.params.projectId);
+    
+    if (!authority) {
+      throw new ApiError(404, 'Certificate authority not found');
+    }
+    
+    res.set('Content-Type', 'application/x-pem-file');
+    res.send(`${authority.certificate_pem.trim()}\n`);
+  })
+);
+
+/**
+ * GET /api/pki/:projectId/crl
+ * Certificate revocation list of the project's CA, signed on request
+ * This is the CRL distribution point in issued certificates
+ * 
+ * Query params:
+ * - format: der (default) | pem
+ */
+router.get('/:projectId/crl',
+  docs({
+    summary: 'Certificate revocation list of the project\'s CA, signed on request',
+    responses: {
+      200: 'The CRL, DER by default or PEM with format=pem',
+      404: 'Certificate authority not found',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    query: {
+      format: { optional: true, isIn: { options: [['der', 'pem']] } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const crl = await certificates.buildCrl(req.params.projectId);
+    
+    if (!crl) {
+      throw new ApiError(404, 'Certificate authority not found');
+    }
+    
+    if (req.query.format === 'pem') {
+      res.set('Content-Type', 'application/x-pem-file');
+      return res.send(toPem(crl, 'X509 CRL'));
+    }
+    
+    res.set('Content-Type', 'application/pkix-crl');
+    res.send(crl);
+  })
+);
+
+module.exports = router;
@@ -1,20 +1,28 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
-const { authenticate } = require('../middleware/auth');
+const {
+  authenticate,
+  requireScope,
+  requireUser,
+  restrictProjectParam,
+} = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const channelSchema = require('../services/channelSchema');
+const audit = require('../services/audit');
+const pagination = require('../utils/pagination');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(authenticate);
 
-// Validation helper
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  next();
-};
+// API keys only see their own project
+router.param('id', restrictProjectParam);
+
+// Fields GET /api/projects can sort by
+const PROJECT_SORT_FIELDS = ['created_at', 'name'];
 
 // Helper to generate slug from name
 function generateSlug(name) {
@@ -27,55 +35,81 @@ function generateSlug(name) {
 
 /**
  * GET /api/projects
- * List all projects for the current user
+ * List the current user's projects, a page at a time
+ * 
+ * Query params:
+ * - search: text in the name
+ * - sort: created_at | name, prefix - for descending (default -created_at)
+ * - limit: default 50, max 200
+ * - cursor: next_cursor from the previous page
  */
-router.get('/', async (req, res) => {
-  try {
-    const { data, error } = await req.supabase
-      .from('projects')
-      .select('*')
-      .order('created_at', { ascending: false });
-    
-    if (error) throw error;
-    
-    res.json({ projects: data });
-  } catch (err) {
-    console.error('Error fetching projects:', err);
-    res.status(500).json({ error: 'Failed to fetch projects' });
-  }
-});
+router.get('/',
+  docs({
+    summary: 'List the current user\'s projects, a page at a time',
+    responses: {
+      200: 'A page of projects',
+      400: 'Invalid cursor',
+    },
+  }),
+  requireScope('devices:read'),
+  validateInput({
+    query: {
+      search: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      sort: { optional: true, isIn: { options: [pagination.sortOptions(PROJECT_SORT_FIELDS)] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: pagination.MAX_LIMIT } }, toInt: true },
+      cursor: { optional: true, isBase64: { options: { urlSafe: true } } },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const sort = pagination.parseSort(req.query.sort, '-created_at');
+    const cursor = req.query.cursor && pagination.decodeCursor(req.query.cursor, sort);
+    
+    if (req.query.cursor && !cursor) {
+      throw new ApiError(400, 'Invalid cursor', { code: 'invalid_cursor' });
+    }
+    
+    const page = await req.repos.projects.list({
+      projectId: req.apiKey && req.apiKey.project_id,
+      search: req.query.search,
+      sort,
+      limit: req.query.limit,
+      cursor,
+    });
+    
+    res.json(pagination.envelope('projects', page));
+  })
+);
 
 /**
  * GET /api/projects/:id
  * Get a single project with device count
  */
-router.get('/:id', 
-  param('id').isUUID(),
+router.get('/:id',
+  docs({
+    summary: 'Get a single project with device count',
+    responses: {
+      200: 'The project, with its device count and the caller\'s role',
+      404: 'Project not found',
+    },
+  }),
+  requireScope('devices:read'),
+  requireRole('viewer', { projectParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      const { data, error } = await req.supabase
-        .from('projects')
-        .select(`
-          *,
-          devices(count)
-        `)
-        .eq('id', req.params.id)
-        .single();
-      
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({ error: 'Project not found' });
-        }
-        throw error;
-      }
-      
-      res.json({ project: data });
-    } catch (err) {
-      console.error('Error fetching project:', err);
-      res.status(500).json({ error: 'Failed to fetch project' });
+  asyncHandler(async (req, res) => {
+    const data = await req.repos.projects.get(req.params.id, { deviceCount: true });
+    
+    if (!data) {
+      throw new ApiError(404, 'Project not found');
     }
-  }
+    
+    res.json({ project: { ...data, role: req.projectRole } });
+  })
 );
 
 /**
@@ -83,42 +117,52 @@ router.get('/:id',
  * Create a new project
  */
 router.post('/',
-  body('name').isString().trim().isLength({ min: 1, max: 100 }),
-  body('slug').optional().isString().trim().isLength({ min: 1, max: 50 }),
-  body('description').optional().isString().trim(),
+  docs({
+    summary: 'Create a new project',
+    responses: {
+      201: 'The new project',
+      409: 'A project with this slug already exists',
+    },
+  }),
+  requireUser,
+  validateInput({
+    body: {
+      name: { isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      slug: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 50 } } },
+      description: { optional: true, isString: true, trim: true },
+      invalid_value_policy: { optional: true, isIn: { options: [channelSchema.POLICIES] } },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      const { name, description } = req.body;
-      const slug = req.body.slug || generateSlug(name);
-      
-      const { data, error } = await req.supabase
-        .from('projects')
-        .insert({
-          user_id: req.user.id,
-          name,
-          slug,
-          description,
-        })
-        .select()
-        .single();
-      
-      if (error) {
-        // Handle duplicate slug
-        if (error.code === '23505') {
-          return res.status(409).json({ 
-            error: 'A project with this slug already exists',
-          });
-        }
-        throw error;
-      }
-      
-      res.status(201).json({ project: data });
-    } catch (err) {
-      console.error('Error creating project:', err);
-      res.status(500).json({ error: 'Failed to create project' });
+  asyncHandler(async (req, res) => {
+    const { name, description, invalid_value_policy } = req.body;
+    const slug = req.body.slug || generateSlug(name);
+    
+    const result = await req.repos.projects.create({
+      user_id: req.user.id,
+      name,
+      slug,
+      description,
+      invalid_value_policy,
+    });
+    
+    if (!result.ok) {
+      // Handle duplicate slug
+      throw new ApiError(409, 'A project with this slug already exists', { code: 'slug_taken' });
     }
-  }
+    
+    const data = result.project;
+    
+    await audit.record(req, {
+      projectId: data.id,
+      action: 'project.created',
+      targetType: 'project',
+      targetId: data.id,
+      after: data,
+    });
+    
+    res.status(201).json({ project: data });
+  })
 );
 
 /**
@@ -126,45 +170,68 @@ router.post('/',
  * Update a project
  */
 router.patch('/:id',
-  param('id').isUUID(),
-  body('name').optional().isString().trim().isLength({ min: 1, max: 100 }),
-  body('slug').optional().isString().trim().isLength({ min: 1, max: 50 }),
-  body('description').optional().isString().trim(),
+  docs({
+    summary: 'Update a project',
+    responses: {
+      200: 'The updated project',
+      400: 'No valid fields to update',
+      404: 'Project not found',
+      409: 'Slug already exists',
+    },
+  }),
+  requireUser,
+  requireRole('admin', { projectParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    body: {
+      name: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      slug: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 50 } } },
+      description: { optional: true, isString: true, trim: true },
+      invalid_value_policy: { optional: true, isIn: { options: [channelSchema.POLICIES] } },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      const updates = {};
-      if (req.body.name) updates.name = req.body.name;
-      if (req.body.slug) updates.slug = req.body.slug;
-      if (req.body.description !== undefined) updates.description = req.body.description;
-      
-      if (Object.keys(updates).length === 0) {
-        return res.status(400).json({ error: 'No valid fields to update' });
-      }
-      
-      const { data, error } = await req.supabase
-        .from('projects')
-        .update(updates)
-        .eq('id', req.params.id)
-        .select()
-        .single();
-      
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return res.status(404).json({ error: 'Project not found' });
-        }
-        if (error.code === '23505') {
-          return res.status(409).json({ error: 'Slug already exists' });
-        }
-        throw error;
+  asyncHandler(async (req, res) => {
+    const updates = {};
+    if (req.body.name) updates.name = req.body.name;
+    if (req.body.slug) updates.slug = req.body.slug;
+    if (req.body.description !== undefined) updates.description = req.body.description;
+    if (req.body.invalid_value_policy) updates.invalid_value_policy = req.body.invalid_value_policy;
+    
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError(400, 'No valid fields to update');
+    }
+    
+    const before = await req.repos.projects.get(req.params.id);
+    
+    const result = await req.repos.projects.update(req.params.id, updates);
+    
+    if (!result.ok) {
+      if (result.reason === 'not_found') {
+        throw new ApiError(404, 'Project not found');
       }
-      
-      res.json({ project: data });
-    } catch (err) {
-      console.error('Error updating project:', err);
-      res.status(500).json({ error: 'Failed to update project' });
+      throw new ApiError(409, 'Slug already exists', { code: 'slug_taken' });
+    }
+    
+    const data = result.project;
+    
+    if (updates.invalid_value_policy) {
+      channelSchema.invalidate();
     }
-  }
+    
+    await audit.record(req, {
+      projectId: data.id,
+      action: 'project.updated',
+      targetType: 'project',
+      targetId: data.id,
+      before,
+      after: data,
+    });
+    
+    res.json({ project: data });
+  })
 );
 
 /**
@@ -172,23 +239,97 @@ router.patch('/:id',
  * Delete a project (cascades to devices and channels)
  */
 router.delete('/:id',
-  param('id').isUUID(),
+  docs({
+    summary: 'Delete a project (cascades to devices and channels)',
+    responses: {
+      204: 'Project deleted',
+    },
+  }),
+  requireUser,
+  requireRole('owner', { projectParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const deleted = await req.repos.projects.remove(req.params.id);
+    
+    if (deleted) {
+      await audit.record(req, {
+        projectId: req.params.id,
+        action: 'project.deleted',
+        targetType: 'project',
+        targetId: req.params.id,
+        before: deleted,
+      });
+    }
+    
+    res.status(204).send();
+  })
+);
+
+/**
+ * GET /api/projects/:id/audit
+ * Audit log for a project, newest first
+ * 
+ * Query params:
+ * - action: e.g. device.deleted
+ * - actor_type: user | api_key | device
+ * - actor_id, target_type, target_id
+ * - from, to: ISO 8601 time range
+ * - limit: default 50, max 200
+ * - cursor: next_cursor from the previous page
+ */
+router.get('/:id/audit',
+  docs({
+    summary: 'Audit log for a project, newest first',
+    responses: {
+      200: 'A page of audit log entries',
+      400: 'Invalid cursor',
+    },
+  }),
+  requireUser,
+  requireRole('admin', { projectParam: 'id' }),
+  validateInput({
+    params: {
+      id: { isUUID: true },
+    },
+    query: {
+      action: { optional: true, isString: true },
+      actor_type: { optional: true, isIn: { options: [['user', 'api_key', 'device']] } },
+      actor_id: { optional: true, isString: true },
+      target_type: { optional: true, isString: true },
+      target_id: { optional: true, isString: true },
+      from: { optional: true, isISO8601: true },
+      to: { optional: true, isISO8601: true },
+      limit: { optional: true, isInt: { options: { min: 1, max: 200 } }, toInt: true },
+      cursor: { optional: true, isBase64: { options: { urlSafe: true } } },
+    },
+  }),
   validate,
-  async (req, res) => {
-    try {
-      const { error } = await req.supabase
-        .from('projects')
-        .delete()
-        .eq('id', req.params.id);
-      
-      if (error) throw error;
-      
-      res.status(204).send();
-    } catch (err) {
-      console.error('Error deleting project:', err);
-      res.status(500).json({ error: 'Failed to delete project' });
+  asyncHandler(async (req, res) => {
+    const limit = req.query.limit || 50;
+    
+    let before;
+    if (req.query.cursor) {
+      before = Number(Buffer.from(req.query.cursor, 'base64url').toString('utf8'));
+      if (!Number.isSafeInteger(before)) {
+        throw new ApiError(400, 'Invalid cursor', { code: 'invalid_cursor' });
+      }
     }
-  }
+    
+    // Fetch one extra row to know whether there's another page
+    const data = await req.repos.auditLog.list(req.params.id, req.query, { limit: limit + 1, before });
+    
+    const entries = data.slice(0, limit);
+    const nextCursor = data.length > limit
+      ? Buffer.from(String(entries[entries.length - 1].id)).toString('base64url')
+      : null;
+    
+    res.json({ entries, next_cursor: nextCursor });
+  })
 );
 
 module.exports = router;
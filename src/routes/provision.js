@@ -1,18 +1,91 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { supabaseAdmin } = require('../services/supabase');
+const repositories = require('../repositories');
+const { emqx } = require('../services/emqx');
+const audit = require('../services/audit');
+const webhooks = require('../services/webhooks');
+const events = require('../services/events');
+const claims = require('../services/claims');
+const certificates = require('../services/certificates');
+const { rateLimit, lockout, byIp, byTokenPrefix } = require('../middleware/rateLimit');
+const { asyncHandler, validate } = require('../middleware/errors');
+const config = require('../../config');
+const { generateSecurePassword, hashPassword } = require('../utils/password');
+const { deviceTopicBase } = require('../utils/topics');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
 
 const router = express.Router();
 
-// Validation helper
-const validate = (req, res, next) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
-  next();
+// Nothing here is authenticated up front: limit every endpoint per client IP
+router.use(rateLimit({ name: 'provision-ip', key: byIp, ...config.rateLimit.provisionIp }));
+
+// Wrong device tokens lock out the client IP and the token prefix
+const tokenLockout = lockout('provision', [byIp, byTokenPrefix('device_token')]);
+
+// Failed bootstrap check-ins and renewals lock out the client IP
+const deviceLockout = lockout('provision-device', [byIp]);
+
+// Failure reasons that count towards deviceLockout (guessing or probing)
+const DEVICE_PROOF_FAILURES = ['not_registered', 'unauthorized', 'unknown_certificate', 'invalid_signature'];
+
+// Status, code and message for each claims.checkIn() failure reason
+const BOOTSTRAP_FAILURES = {
+  not_registered: [404, 'device_not_registered', 'Device is not registered'],
+  unauthorized: [401, 'invalid_bootstrap_secret', 'Invalid bootstrap secret'],
+  provisioned: [409, 'already_provisioned', 'Device is already provisioned'],
+};
+
+// Status, code and message for each certificate issue/renew failure reason
+const CERTIFICATE_FAILURES = {
+  no_authority: [409, 'no_authority', 'Project has no certificate authority'],
+  authority_expired: [409, 'authority_expired', 'Project certificate authority has expired'],
+  invalid_csr: [400, 'invalid_csr', 'Invalid CSR'],
+  unknown_certificate: [401, 'unknown_certificate', 'Unknown or revoked certificate'],
+  expired: [401, 'certificate_expired', 'Certificate has expired'],
+  invalid_signature: [401, 'invalid_signature', 'Signature does not match the certificate'],
 };
 
+/**
+ * The ApiError for a failed certificate issue/renew
+ * details.reason explains an invalid CSR
+ */
+function certificateFailure(outcome) {
+  const [status, code, message] = CERTIFICATE_FAILURES[outcome.reason];
+  return new ApiError(status, message, {
+    code,
+    details: outcome.message ? { reason: outcome.message } : null,
+  });
+}
+
+/**
+ * Certificate fields handed to a device
+ */
+function certificateResponse(issued) {
+  return {
+    certificate: issued.certificate.certificate_pem,
+    ca_certificate: issued.caCertificatePem,
+    certificate_expires_at: issued.certificate.not_after,
+    renew_after: certificates.renewAfter(issued.certificate.not_after),
+  };
+}
+
+function alreadyProvisioned() {
+  return new ApiError(409, 'This device has already been provisioned. Use regenerate-token to re-provision.', {
+    code: 'already_provisioned',
+  });
+}
+
+/**
+ * Revoke a certificate issued for a provisioning attempt that lost
+ * Only that certificate: the device may hold one from the winning call
+ */
+async function revokeIssued(req, issued) {
+  if (!issued) return;
+  
+  await certificates.revokeCertificate(issued.certificate.project_id, issued.certificate.id, 'cessationOfOperation')
+    .catch(err => req.log.error('Certificate cleanup failed', { err }));
+}
+
 /**
  * POST /api/provision
  * Device provisioning endpoint
@@ -23,13 +96,20 @@ const validate = (req, res, next) => {
  * {
  *   "device_token": "abc123...",
  *   "mac_address": "AA:BB:CC:DD:EE:FF",
- *   "firmware_version": "1.0.0"
+ *   "firmware_version": "1.0.0",
+ *   "csr": "-----BEGIN CERTIFICATE REQUEST-----..."   // optional
  * }
  * 
+ * With a csr (PKCS#10, EC P-256/P-384 or RSA 2048+) the device gets a
+ * client certificate from the project CA instead of a password: mqtt
+ * then carries certificate, ca_certificate, certificate_expires_at and
+ * renew_after, and the device connects over mutual TLS with its device
+ * ID as username.
+ * 
  * Response:
  * {
  *   "mqtt": {
- *     "host": "broker.emqx.io",
+ *     "host": "mqtt.example.com",
  *     "port": 8883,
  *     "username": "u_abc_d_xyz",
  *     "password": "generated-password",
@@ -42,118 +122,313 @@ const validate = (req, res, next) => {
  *   }
  * }
  * 
- * NOTE: This is a stub. Full implementation in Week 3.
+ * host and port come from EMQX_BROKER_HOST (default broker.emqx.io) and
+ * EMQX_BROKER_PORT.
  */
 router.post('/',
-  body('device_token').isString().isLength({ min: 64, max: 64 }),
-  body('mac_address').optional().matches(/^([0-9A-Fa-f]{2}:){5}[0-9A-Fa-f]{2}$/),
-  body('firmware_version').optional().isString(),
+  docs({
+    summary: 'Device provisioning endpoint',
+    responses: {
+      200: 'MQTT credentials and topics for the device',
+      400: 'Invalid CSR (details.reason says why)',
+      401: 'Device not found or token is incorrect',
+      409: 'Device is already provisioned, or the project has no valid certificate authority',
+      429: 'Too many failed attempts from this IP or token',
+      502: 'Could not register device with the MQTT broker',
+    },
+  }),
+  rateLimit({ name: 'provision-token', key: byTokenPrefix('device_token'), ...config.rateLimit.provisionToken }),
+  tokenLockout.check,
+  validateInput({
+    body: {
+      device_token: { isString: true, isLength: { options: { min: 64, max: 64 } } },
+      mac_address: { optional: true, matches: { options: /^([0-9A-Fa-f]{2}:){5}[0-9A-Fa-f]{2}$/ } },
+      firmware_version: { optional: true, isString: true },
+      csr: { optional: true, isString: true, isLength: { options: { max: 20000 } } },
+    },
+  }),
   validate,
-  async (req, res) => {
+  asyncHandler(async (req, res) => {
+    const { device_token, mac_address, firmware_version, csr } = req.body;
+    
+    // Find device by token (using admin client to bypass RLS)
+    const device = await repositories.admin().devices.findByToken(device_token);
+    
+    if (!device) {
+      await tokenLockout.fail(req);
+      throw new ApiError(401, 'Device not found or token is incorrect', { code: 'invalid_device_token' });
+    }
+    
+    // Check if already provisioned
+    if (device.is_provisioned) throw alreadyProvisioned();
+    
+    // Certificate devices authenticate with the certificate; the
+    // broker maps its CN (the device ID) to the username
+    let issued = null;
+    if (csr) {
+      issued = await certificates.issueCertificate(device, csr);
+      if (!issued.ok) throw certificateFailure(issued);
+    }
+    
+    // Generate MQTT credentials
+    const mqttUsername = issued
+      ? device.id
+      : `u_${device.project.user_id.replace(/-/g, '').slice(0, 8)}_d_${device.id.replace(/-/g, '').slice(0, 8)}`;
+    const mqttPassword = issued ? null : generateSecurePassword();
+    
+    // Update device with MQTT credentials
+    const provisioned = {
+      mqtt_username: mqttUsername,
+      mqtt_password_hash: issued ? null : await hashPassword(mqttPassword), // Store hash only
+      auth_method: issued ? 'certificate' : 'password',
+      mac_address,
+      firmware_version,
+      is_provisioned: true,
+      provisioned_at: new Date().toISOString(),
+    };
+    
+    // Only while still unprovisioned with this token, so of two
+    // concurrent calls exactly one wins
+    let updated = null;
     try {
-      const { device_token, mac_address, firmware_version } = req.body;
-      
-      // Find device by token (using admin client to bypass RLS)
-      const { data: device, error: findError } = await supabaseAdmin
-        .from('devices')
-        .select(`
-          *,
-          project:projects(user_id)
-        `)
-        .eq('device_token', device_token)
-        .single();
-      
-      if (findError || !device) {
-        return res.status(401).json({
-          error: 'Invalid device token',
-          message: 'Device not found or token is incorrect',
-        });
-      }
-      
-      // Check if already provisioned
-      if (device.is_provisioned) {
-        return res.status(409).json({
-          error: 'Already provisioned',
-          message: 'This device has already been provisioned. Use regenerate-token to re-provision.',
-        });
-      }
-      
-      // Generate MQTT credentials
-      const mqttUsername = `u_${device.project.user_id.replace(/-/g, '').slice(0, 8)}_d_${device.id.replace(/-/g, '').slice(0, 8)}`;
-      const mqttPassword = generateSecurePassword();
-      
-      // TODO Week 2: Register credentials with EMQX
-      // await emqxService.createUser(mqttUsername, mqttPassword, device.id);
-      
-      // Update device with MQTT credentials
-      const { error: updateError } = await supabaseAdmin
-        .from('devices')
-        .update({
-          mqtt_username: mqttUsername,
-          mqtt_password_hash: hashPassword(mqttPassword), // Store hash only
-          mac_address,
-          firmware_version,
-          is_provisioned: true,
-          provisioned_at: new Date().toISOString(),
-        })
-        .eq('id', device.id);
-      
-      if (updateError) throw updateError;
-      
-      // Build topic patterns
-      const userId = device.project.user_id;
-      const deviceId = device.id;
-      const topicBase = `u/${userId}/d/${deviceId}`;
-      
-      // Return MQTT credentials to device
-      res.json({
-        mqtt: {
-          host: process.env.EMQX_BROKER_HOST || 'broker.emqx.io', // TODO: Configure in Week 2
-          port: 8883,
-          username: mqttUsername,
-          password: mqttPassword, // Only time plain password is sent!
-          client_id: device.id,
-          use_tls: true,
-        },
-        topics: {
-          // Device subscribes to commands
-          subscribe: `${topicBase}/cmd/#`,
-          // Device publishes state updates
-          state_prefix: `${topicBase}/state/`,
-          // Device publishes telemetry
-          telemetry_prefix: `${topicBase}/tel/`,
-        },
-        device: {
-          id: device.id,
-          name: device.name,
-        },
+      updated = await repositories.admin().devices.update(device.id, provisioned, {
+        is_provisioned: false,
+        device_token,
       });
-      
     } catch (err) {
-      console.error('Provisioning error:', err);
-      res.status(500).json({
-        error: 'Provisioning failed',
-        message: 'Internal server error during provisioning',
-      });
+      await revokeIssued(req, issued);
+      throw err;
+    }
+    
+    if (!updated) {
+      await revokeIssued(req, issued);
+      throw alreadyProvisioned();
+    }
+    
+    // Register credentials with EMQX; only the winner gets here, so a
+    // losing call can't replace or delete the broker user
+    if (!issued && emqx.isConfigured()) {
+      try {
+        await emqx.createUser(mqttUsername, mqttPassword);
+      } catch (err) {
+        req.log.error('EMQX user registration failed', { err });
+        
+        // Back to unprovisioned, so the device can retry with its token
+        await repositories.admin().devices
+          .update(device.id, pick(device, Object.keys(provisioned)), { provisioned_at: provisioned.provisioned_at })
+          .catch(rollbackErr => req.log.error('Provisioning rollback failed', { err: rollbackErr }));
+        
+        throw new ApiError(502, 'Could not register device with the MQTT broker');
+      }
     }
-  }
+    
+    await tokenLockout.clear(req);
+    
+    await audit.record(req, {
+      projectId: device.project_id,
+      action: 'device.provisioned',
+      targetType: 'device',
+      targetId: device.id,
+      actor: { type: 'device', id: device.id },
+      before: pick(device, Object.keys(provisioned)),
+      after: provisioned,
+      metadata: {
+        mac_address: mac_address || null,
+        firmware_version: firmware_version || null,
+        certificate_serial: issued ? issued.certificate.serial_number : null,
+      },
+    });
+    await webhooks.emit(device.project_id, 'device.provisioned', {
+      ...webhooks.devicePayload({ ...device, is_provisioned: true }),
+      mac_address: mac_address || null,
+      firmware_version: firmware_version || null,
+    });
+    events.publishDevice('device.provisioned', { ...device, ...provisioned });
+    
+    // Build topic patterns
+    const userId = device.project.user_id;
+    const deviceId = device.id;
+    const topicBase = deviceTopicBase(userId, deviceId);
+    
+    // Return MQTT credentials to device
+    res.json({
+      mqtt: {
+        host: config.emqx.brokerHost,
+        port: config.emqx.brokerPort,
+        username: mqttUsername,
+        ...(issued
+          ? certificateResponse(issued)
+          : { password: mqttPassword }), // Only time plain password is sent!
+        client_id: device.id,
+        use_tls: true,
+      },
+      topics: {
+        // Device subscribes to commands
+        subscribe: `${topicBase}/cmd/#`,
+        // Device publishes state updates
+        state_prefix: `${topicBase}/state/`,
+        // Device publishes telemetry
+        telemetry_prefix: `${topicBase}/tel/`,
+        // Device acknowledges commands ({command_id} appended)
+        command_ack_prefix: `${topicBase}/ack/`,
+        // Shadow delta (desired vs reported), retained
+        shadow_delta: `${topicBase}/cmd/_shadow/delta`,
+      },
+      device: {
+        id: device.id,
+        name: device.name,
+      },
+    });
+  })
 );
 
 /**
- * Generate a secure random password for MQTT
+ * POST /api/provision/certificate/renew
+ * Renew a device's client certificate before it expires
+ * 
+ * The device makes a new CSR (a new key is recommended) and signs the
+ * CSR's PEM text, exactly as sent, with its current private key
+ * (SHA-256; DER-encoded signature for ECDSA).
+ * 
+ * Request body:
+ * {
+ *   "certificate": "-----BEGIN CERTIFICATE-----...",   // current
+ *   "csr": "-----BEGIN CERTIFICATE REQUEST-----...",
+ *   "signature": "base64"
+ * }
+ * 
+ * Response: { certificate, ca_certificate, certificate_expires_at, renew_after }
+ * 
+ * The current certificate keeps working until it expires; older ones
+ * are revoked.
  */
-function generateSecurePassword() {
-  const crypto = require('crypto');
-  return crypto.randomBytes(24).toString('base64url');
-}
+router.post('/certificate/renew',
+  docs({
+    summary: 'Renew a device\'s client certificate before it expires',
+    responses: {
+      200: 'The new certificate',
+      400: 'Invalid CSR (details.reason says why)',
+      401: 'Unknown, revoked or expired certificate, or a signature that doesn\'t match it',
+      409: 'Project has no certificate authority, or it has expired',
+      429: 'Too many failed attempts from this IP',
+    },
+  }),
+  deviceLockout.check,
+  validateInput({
+    body: {
+      certificate: { isString: true, isLength: { options: { min: 1, max: 20000 } } },
+      csr: { isString: true, isLength: { options: { min: 1, max: 20000 } } },
+      signature: { isBase64: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const renewed = await certificates.renewCertificate({
+      certificatePem: req.body.certificate,
+      csrPem: req.body.csr,
+      signature: req.body.signature,
+    });
+    
+    if (!renewed.ok) {
+      if (DEVICE_PROOF_FAILURES.includes(renewed.reason)) await deviceLockout.fail(req);
+      throw certificateFailure(renewed);
+    }
+    
+    await deviceLockout.clear(req);
+    
+    await audit.record(req, {
+      projectId: renewed.device.project_id,
+      action: 'certificate.renewed',
+      targetType: 'device_certificate',
+      targetId: renewed.certificate.id,
+      actor: { type: 'device', id: renewed.device.id },
+      after: renewed.certificate,
+      metadata: {
+        device_id: renewed.device.id,
+        serial_number: renewed.certificate.serial_number,
+        previous_serial_number: renewed.previous.serial_number,
+      },
+    });
+    
+    res.json(certificateResponse(renewed));
+  })
+);
 
 /**
- * Hash password for storage
- * TODO: Use bcrypt in production
+ * POST /api/provision/bootstrap
+ * Zero-touch check-in for factory-registered devices
+ * 
+ * Called at boot by devices that weren't flashed with a device_token.
+ * The device must be registered by manufacturing (POST /api/factory/devices).
+ * 
+ * Request body:
+ * {
+ *   "mac_address": "AA:BB:CC:DD:EE:FF",   // or "serial_number"
+ *   "bootstrap_secret": "...",            // flashed in manufacturing
+ *   "firmware_version": "1.0.0"
+ * }
+ * 
+ * Responses:
+ * - 202 { "status": "pending_claim" } - not claimed yet, check in again later
+ * - 200 { "status": "claimed", "device_id", "device_token" } - call
+ *   POST /api/provision with the device_token
  */
-function hashPassword(password) {
-  const crypto = require('crypto');
-  return crypto.createHash('sha256').update(password).digest('hex');
+router.post('/bootstrap',
+  docs({
+    summary: 'Zero-touch check-in for factory-registered devices',
+    responses: {
+      200: 'Claimed: the device_token to provision with',
+      202: 'Not claimed yet; check in again later',
+      401: 'Invalid bootstrap secret',
+      404: 'Device is not registered',
+      409: 'Device is already provisioned',
+      429: 'Too many failed attempts from this IP',
+    },
+  }),
+  deviceLockout.check,
+  validateInput({
+    body: {
+      mac_address: { optional: true, matches: { options: /^[0-9A-Fa-f]{2}([:-]?[0-9A-Fa-f]{2}){5}$/ } },
+      serial_number: {
+        optional: true,
+        isString: true,
+        trim: true,
+        isLength: { options: { min: 1, max: 100 } },
+      },
+      bootstrap_secret: { isString: true, isLength: { options: { min: 1, max: 200 } } },
+      firmware_version: { optional: true, isString: true, isLength: { options: { max: 50 } } },
+      // The body as a whole
+      '': {
+        custom: {
+          options: value => Boolean(value.mac_address || value.serial_number),
+          errorMessage: 'mac_address or serial_number is required',
+        },
+      },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const outcome = await claims.checkIn(req.body);
+    
+    if (!outcome.ok) {
+      if (DEVICE_PROOF_FAILURES.includes(outcome.reason)) await deviceLockout.fail(req);
+      const [status, code, message] = BOOTSTRAP_FAILURES[outcome.reason];
+      throw new ApiError(status, message, { code });
+    }
+    
+    await deviceLockout.clear(req);
+    
+    if (outcome.status !== 'claimed') {
+      return res.status(202).json({ status: outcome.status });
+    }
+    
+    res.json({ status: outcome.status, device_id: outcome.device_id, device_token: outcome.device_token });
+  })
+);
+
+// Copy only the given fields of an object
+function pick(source, fields) {
+  return Object.fromEntries(fields.map(field => [field, source[field]]));
 }
 
 module.exports = router;
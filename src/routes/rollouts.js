@@ -0,0 +1,274 @@
+const express = require('express');
+const { authenticate, requireUser } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const repositories = require('../repositories');
+const firmware = require('../services/firmware');
+const audit = require('../services/audit');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/rollouts
+const router = express.Router({ mergeParams: true });
+
+// Rollouts are managed by users only, never by API keys
+router.use(authenticate, requireUser);
+
+// Status changes users can make: action -> [allowed from, resulting status, audit action]
+const ACTIONS = {
+  pause: [['active'], 'paused', 'rollout.paused'],
+  resume: [['paused', 'halted'], 'active', 'rollout.resumed'],
+  cancel: [['active', 'paused', 'halted'], 'cancelled', 'rollout.cancelled'],
+};
+
+/**
+ * GET /api/projects/:projectId/rollouts
+ * List rollouts, newest first
+ */
+router.get('/',
+  docs({
+    summary: 'List rollouts, newest first',
+    responses: {
+      200: 'The project\'s rollouts',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    query: {
+      status: {
+        optional: true,
+        isIn: { options: [['active', 'paused', 'halted', 'completed', 'cancelled']] },
+      },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().rollouts.list(req.projectId, { status: req.query.status });
+    
+    res.json({ rollouts: data });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/rollouts
+ * Start rolling out a firmware release
+ * 
+ * Request body:
+ * {
+ *   "release_id": "uuid",
+ *   "target_percentage": 10,     // optional, default 100
+ *   "target_tag": "beta",        // optional
+ *   "max_failure_percent": 5     // optional, default 10
+ * }
+ */
+router.post('/',
+  docs({
+    summary: 'Start rolling out a firmware release',
+    responses: {
+      201: 'The new rollout, and how many devices it targets',
+      404: 'Firmware release not found',
+      409: 'A rollout is already running for the release\'s hardware type, or no devices need the release',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    body: {
+      release_id: { isUUID: true },
+      target_percentage: { optional: true, isInt: { options: { min: 1, max: 100 } }, toInt: true },
+      target_tag: { optional: true, isString: true, trim: true, isLength: { options: { min: 1, max: 50 } } },
+      max_failure_percent: { optional: true, isInt: { options: { min: 1, max: 100 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const release = await repositories.admin().firmwareReleases.get(req.projectId, req.body.release_id);
+    
+    if (!release) {
+      throw new ApiError(404, 'Firmware release not found');
+    }
+    
+    const result = await firmware.createRollout(release, {
+      project_id: req.projectId,
+      target_percentage: req.body.target_percentage || 100,
+      target_tag: req.body.target_tag || null,
+      max_failure_percent: req.body.max_failure_percent || 10,
+      created_by: req.user.id,
+    });
+    
+    if (!result.ok) {
+      if (result.reason === 'running') {
+        throw new ApiError(409, `A rollout is already running for ${release.hardware_type}`);
+      }
+      throw new ApiError(409, 'No devices need this release');
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'rollout.created',
+      targetType: 'firmware_rollout',
+      targetId: result.rollout.id,
+      after: result.rollout,
+      metadata: { version: release.version, targeted: result.targeted },
+    });
+    
+    res.status(201).json({ rollout: result.rollout, targeted: result.targeted });
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/rollouts/:rolloutId
+ * Get a rollout with per-status device counts
+ */
+router.get('/:rolloutId',
+  docs({
+    summary: 'Get a rollout with per-status device counts',
+    responses: {
+      200: 'The rollout, and how many devices are in each update status',
+      404: 'Rollout not found',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      rolloutId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().rollouts.get(req.params.rolloutId, {
+      projectId: req.projectId,
+      release: true,
+    });
+    
+    if (!data) {
+      throw new ApiError(404, 'Rollout not found');
+    }
+    
+    const progress = await firmware.rolloutProgress(data.id);
+    
+    res.json({ rollout: data, progress });
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/rollouts/:rolloutId/devices
+ * Per-device progress of a rollout
+ * 
+ * Query params:
+ * - status: pending | downloading | installing | succeeded | failed | rolled_back
+ */
+router.get('/:rolloutId/devices',
+  docs({
+    summary: 'Per-device progress of a rollout',
+    responses: {
+      200: 'The rollout\'s devices and their update status',
+    },
+  }),
+  requireRole('viewer', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      rolloutId: { isUUID: true },
+    },
+    query: {
+      status: {
+        optional: true,
+        isIn: { options: [[...firmware.OPEN_UPDATE_STATUSES, 'succeeded', 'failed', 'rolled_back']] },
+      },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().firmwareUpdates.list(req.projectId, req.params.rolloutId, {
+      status: req.query.status,
+    });
+    
+    res.json({ devices: data });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/rollouts/:rolloutId/{pause|resume|cancel}
+ * Pause, resume (also after a halt) or cancel a rollout
+ * 
+ * resume takes an optional { "max_failure_percent": 20 } - a halted
+ * rollout halts again right away unless its failures are under the limit
+ */
+router.post('/:rolloutId/:action(pause|resume|cancel)',
+  docs({
+    summary: 'Pause, resume (also after a halt) or cancel a rollout',
+    responses: {
+      200: 'The rollout with its new status',
+      404: 'Rollout not found',
+      409: 'The rollout\'s status doesn\'t allow this action, or it changed meanwhile',
+    },
+  }),
+  requireRole('admin', { projectParam: 'projectId' }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      rolloutId: { isUUID: true },
+      action: { isIn: { options: [Object.keys(ACTIONS)] } },
+    },
+    body: {
+      max_failure_percent: { optional: true, isInt: { options: { min: 1, max: 100 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const [from, status, action] = ACTIONS[req.params.action];
+    const repos = repositories.admin();
+    
+    const before = await repos.rollouts.get(req.params.rolloutId, { projectId: req.projectId });
+    
+    if (!before) {
+      throw new ApiError(404, 'Rollout not found');
+    }
+    
+    if (!from.includes(before.status)) {
+      throw new ApiError(409, `Can't ${req.params.action} a rollout that is ${before.status}`);
+    }
+    
+    // A unique violation (409): another rollout for this hardware type
+    // was started meanwhile
+    const updated = await repos.rollouts.update(before.id, {
+      status,
+      halted_reason: status === 'active' ? null : before.halted_reason,
+      max_failure_percent: status === 'active' && req.body.max_failure_percent
+        ? req.body.max_failure_percent
+        : before.max_failure_percent,
+      updated_at: new Date().toISOString(),
+    }, { statuses: [before.status] });
+    
+    if (!updated) {
+      throw new ApiError(409, 'Rollout changed, try again');
+    }
+    
+    // A resumed rollout may already be done, or still over its failure limit
+    let data = updated;
+    if (status === 'active') {
+      await firmware.checkRollout(updated.id);
+      data = await repos.rollouts.get(updated.id);
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action,
+      targetType: 'firmware_rollout',
+      targetId: data.id,
+      before,
+      after: data,
+    });
+    
+    res.json({ rollout: data });
+  })
+);
+
+module.exports = router;
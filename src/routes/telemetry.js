@@ -0,0 +1,53 @@
+const express = require('express');
+const { authenticateDevice } = require('../middleware/device');
+const { asyncHandler, validate } = require('../middleware/errors');
+const { validateInput, docs } = require('../utils/openapi');
+const telemetry = require('../services/telemetry');
+
+const router = express.Router();
+
+// All routes are called by devices
+router.use(authenticateDevice);
+
+/**
+ * POST /api/telemetry
+ * HTTP telemetry ingest for devices that can't (or don't) use MQTT
+ * 
+ * Auth: HTTP Basic with the device's MQTT username and password
+ * 
+ * Request body:
+ * {
+ *   "readings": [
+ *     { "channel": "temperature", "value": 21.5, "ts": "2024-01-01T00:00:00Z" }
+ *   ]
+ * }
+ * 
+ * ts is optional and defaults to the time of receipt.
+ * 
+ * Readings are checked against the device's channel definitions;
+ * rejected readings are listed in the response.
+ */
+router.post('/',
+  docs({
+    summary: 'HTTP telemetry ingest for devices that can\'t (or don\'t) use MQTT',
+    responses: {
+      202: 'Readings accepted for writing, and those rejected with their reasons',
+    },
+  }),
+  validateInput({
+    body: {
+      readings: { isArray: { options: { min: 1, max: 500 } } },
+      'readings.*.channel': { isString: true, trim: true, isLength: { options: { min: 1, max: 100 } } },
+      'readings.*.value': { exists: true },
+      'readings.*.ts': { optional: true, isISO8601: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const { accepted, rejected } = await telemetry.ingest(req.device.id, req.body.readings);
+    
+    res.status(202).json({ accepted, rejected });
+  })
+);
+
+module.exports = router;
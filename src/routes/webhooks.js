@@ -0,0 +1,304 @@
+const express = require('express');
+const { authenticate, requireUser } = require('../middleware/auth');
+const { requireRole } = require('../middleware/roles');
+const { asyncHandler, validate } = require('../middleware/errors');
+const repositories = require('../repositories');
+const webhooks = require('../services/webhooks');
+const audit = require('../services/audit');
+const config = require('../../config');
+const { validateInput, docs } = require('../utils/openapi');
+const { ApiError } = require('../utils/errors');
+
+// Mounted at /api/projects/:projectId/webhooks
+const router = express.Router({ mergeParams: true });
+
+// Webhooks are managed by project admins only
+router.use(authenticate, requireUser, requireRole('admin', { projectParam: 'projectId' }));
+
+// Receivers must use TLS in production; plain http is fine locally
+const URL_OPTIONS = config.nodeEnv === 'production'
+  ? { protocols: ['https'], require_protocol: true }
+  : { protocols: ['http', 'https'], require_protocol: true, require_tld: false };
+
+// express-validator custom validator: receivers on loopback, private
+// or link-local addresses are refused (see services/webhooks.js)
+async function publicUrl(value) {
+  if (!(await webhooks.isAllowedUrl(value))) {
+    throw new Error('URL must resolve to public addresses only');
+  }
+  return true;
+}
+
+/**
+ * GET /api/projects/:projectId/webhooks
+ * List webhooks
+ */
+router.get('/',
+  docs({
+    summary: 'List webhooks',
+    responses: {
+      200: 'The project\'s webhooks',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().webhooks.list(req.projectId);
+    
+    res.json({ webhooks: data });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/webhooks
+ * Register a webhook
+ * Returns the signing secret (only time it's visible!)
+ * 
+ * Request body:
+ * {
+ *   "url": "https://example.com/hooks/iot",
+ *   "events": ["device.created", "device.offline"],
+ *   "description": "Ops alerts"
+ * }
+ */
+router.post('/',
+  docs({
+    summary: 'Register a webhook',
+    responses: {
+      201: 'The new webhook, with its signing secret (shown only this once)',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+    },
+    body: {
+      url: { isURL: { options: URL_OPTIONS, bail: true }, custom: { options: publicUrl } },
+      events: { isArray: { options: { min: 1 } } },
+      'events.*': { isIn: { options: [webhooks.EVENT_TYPES] } },
+      description: { optional: true, isString: true, trim: true, isLength: { options: { max: 200 } } },
+      enabled: { optional: true, isBoolean: true, toBoolean: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const secret = webhooks.generateSecret();
+    
+    // The repositories never return the secret
+    const data = await repositories.admin().webhooks.create({
+      project_id: req.projectId,
+      url: req.body.url,
+      events: [...new Set(req.body.events)],
+      description: req.body.description,
+      enabled: req.body.enabled !== false,
+      secret,
+      created_by: req.user.id,
+    });
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'webhook.created',
+      targetType: 'webhook',
+      targetId: data.id,
+      after: data,
+    });
+    
+    // Return secret (only time user sees it)
+    res.status(201).json({
+      webhook: data,
+      secret,
+      message: 'Save this secret! It will not be shown again.',
+    });
+  })
+);
+
+/**
+ * PATCH /api/projects/:projectId/webhooks/:webhookId
+ * Update url, events, description or enabled
+ */
+router.patch('/:webhookId',
+  docs({
+    summary: 'Update url, events, description or enabled',
+    responses: {
+      200: 'The updated webhook',
+      400: 'No valid fields to update',
+      404: 'Webhook not found',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      webhookId: { isUUID: true },
+    },
+    body: {
+      url: { optional: true, isURL: { options: URL_OPTIONS, bail: true }, custom: { options: publicUrl } },
+      events: { optional: true, isArray: { options: { min: 1 } } },
+      'events.*': { isIn: { options: [webhooks.EVENT_TYPES] } },
+      description: { optional: true, isString: true, trim: true, isLength: { options: { max: 200 } } },
+      enabled: { optional: true, isBoolean: true, toBoolean: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const updates = {};
+    if (req.body.url) updates.url = req.body.url;
+    if (req.body.events) updates.events = [...new Set(req.body.events)];
+    if (req.body.description !== undefined) updates.description = req.body.description;
+    if (req.body.enabled !== undefined) updates.enabled = req.body.enabled;
+    
+    if (Object.keys(updates).length === 0) {
+      throw new ApiError(400, 'No valid fields to update');
+    }
+    
+    const repos = repositories.admin();
+    
+    const before = await repos.webhooks.get(req.projectId, req.params.webhookId);
+    
+    if (!before) {
+      throw new ApiError(404, 'Webhook not found');
+    }
+    
+    const data = await repos.webhooks.update(req.projectId, req.params.webhookId, {
+      ...updates,
+      updated_at: new Date().toISOString(),
+    });
+    
+    // Deleted in the meantime
+    if (!data) {
+      throw new ApiError(404, 'Webhook not found');
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'webhook.updated',
+      targetType: 'webhook',
+      targetId: data.id,
+      before,
+      after: data,
+    });
+    
+    res.json({ webhook: data });
+  })
+);
+
+/**
+ * DELETE /api/projects/:projectId/webhooks/:webhookId
+ * Delete a webhook (and its delivery log)
+ */
+router.delete('/:webhookId',
+  docs({
+    summary: 'Delete a webhook (and its delivery log)',
+    responses: {
+      204: 'Deleted',
+      404: 'Webhook not found',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      webhookId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().webhooks.remove(req.projectId, req.params.webhookId);
+    
+    if (!data) {
+      throw new ApiError(404, 'Webhook not found');
+    }
+    
+    await audit.record(req, {
+      projectId: req.projectId,
+      action: 'webhook.deleted',
+      targetType: 'webhook',
+      targetId: req.params.webhookId,
+      before: data,
+    });
+    
+    res.status(204).send();
+  })
+);
+
+/**
+ * GET /api/projects/:projectId/webhooks/:webhookId/deliveries
+ * Delivery log, newest first
+ * 
+ * Query params:
+ * - status: pending | in_flight | succeeded | failed
+ * - limit: default 50, max 200
+ */
+router.get('/:webhookId/deliveries',
+  docs({
+    summary: 'Delivery log, newest first',
+    responses: {
+      200: 'The webhook\'s deliveries',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      webhookId: { isUUID: true },
+    },
+    query: {
+      status: { optional: true, isIn: { options: [['pending', 'in_flight', 'succeeded', 'failed']] } },
+      limit: { optional: true, isInt: { options: { min: 1, max: 200 } }, toInt: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const data = await repositories.admin().webhookDeliveries.list(req.projectId, req.params.webhookId, {
+      status: req.query.status,
+      limit: req.query.limit || 50,
+    });
+    
+    res.json({ deliveries: data });
+  })
+);
+
+/**
+ * POST /api/projects/:projectId/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+ * Send a delivery again (resets its attempt count)
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver',
+  docs({
+    summary: 'Send a delivery again (resets its attempt count)',
+    responses: {
+      202: 'The delivery, queued again',
+      404: 'Delivery not found',
+      409: 'Delivery is being sent right now',
+    },
+  }),
+  validateInput({
+    params: {
+      projectId: { isUUID: true },
+      webhookId: { isUUID: true },
+      deliveryId: { isUUID: true },
+    },
+  }),
+  validate,
+  asyncHandler(async (req, res) => {
+    const delivery = await repositories.admin().webhookDeliveries.get(
+      req.projectId,
+      req.params.webhookId,
+      req.params.deliveryId
+    );
+    
+    if (!delivery) {
+      throw new ApiError(404, 'Delivery not found');
+    }
+    
+    const queued = await webhooks.redeliver(delivery.id);
+    
+    if (!queued) {
+      throw new ApiError(409, 'Delivery is being sent right now');
+    }
+    
+    res.status(202).json({ delivery: queued });
+  })
+);
+
+module.exports = router;
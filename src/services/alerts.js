@@ -0,0 +1,315 @@
+const config = require('../../config');
+const repositories = require('../repositories');
+const { logger } = require('../utils/logger');
+
+/**
+ * Alert rules and the alerts they raise
+ * 
+ * Rule types:
+ *   threshold      - a channel's value compared against a threshold
+ *   rate_of_change - a channel's change per minute compared against a threshold
+ *   no_data        - no telemetry (on a channel, or at all) for duration_seconds
+ *   offline        - device disconnected for duration_seconds
+ * 
+ * threshold and rate_of_change are evaluated as telemetry arrives; the
+ * condition must hold for duration_seconds before the alert fires, and
+ * the value must come back past the threshold by hysteresis before it
+ * resolves. no_data and offline are checked by a periodic worker.
+ * 
+ * Alert lifecycle: firing -> acknowledged (by a user) -> resolved
+ * (when the condition clears, or by a user). A rule has at most one
+ * open alert per device.
+ */
+
+const RULE_TYPES = ['threshold', 'rate_of_change', 'no_data', 'offline'];
+const OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const OPERATOR_SYMBOLS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+// Rules are cached briefly - they're read on every telemetry message
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+// Evaluation state per "ruleId:deviceId":
+// { since, firing, last } - since: when the condition started holding,
+// firing: whether an alert is open (undefined = unknown), last: previous
+// reading for rate_of_change
+const state = new Map();
+
+let workerTimer = null;
+let checking = null;
+
+/**
+ * Drop cached rules for a project
+ * Call after a project's rules change
+ */
+function invalidate(projectId) {
+  cache.delete(projectId);
+}
+
+/**
+ * Forget evaluation state for a rule (after it's edited or deleted)
+ */
+function resetRule(ruleId) {
+  for (const key of state.keys()) {
+    if (key.startsWith(`${ruleId}:`)) state.delete(key);
+  }
+}
+
+async function loadRules(projectId) {
+  const cached = cache.get(projectId);
+  if (cached && cached.expiresAt > Date.now()) return cached.rules;
+  
+  const data = await repositories.admin().alertRules.listEnabled({ projectId });
+  
+  cache.set(projectId, { rules: data, expiresAt: Date.now() + CACHE_TTL_MS });
+  return data;
+}
+
+function stateFor(ruleId, deviceId) {
+  const key = `${ruleId}:${deviceId}`;
+  if (!state.has(key)) state.set(key, { since: null, firing: undefined, last: null });
+  return state.get(key);
+}
+
+function compare(operator, value, threshold) {
+  switch (operator) {
+    case 'gt': return value > threshold;
+    case 'gte': return value >= threshold;
+    case 'lt': return value < threshold;
+    case 'lte': return value <= threshold;
+    default: return false;
+  }
+}
+
+/**
+ * Whether a value is back past the threshold by the rule's hysteresis
+ */
+function cleared(rule, value) {
+  const margin = rule.operator === 'gt' || rule.operator === 'gte'
+    ? -rule.hysteresis
+    : rule.hysteresis;
+  
+  return !compare(rule.operator, value, rule.threshold + margin);
+}
+
+function describe(rule, value) {
+  switch (rule.type) {
+    case 'threshold':
+      return `${rule.channel} ${OPERATOR_SYMBOLS[rule.operator]} ${rule.threshold} (value ${value})`;
+    case 'rate_of_change':
+      return `${rule.channel} changing ${OPERATOR_SYMBOLS[rule.operator]} ${rule.threshold}/min (rate ${value.toFixed(3)}/min)`;
+    case 'no_data':
+      return `No ${rule.channel ? `${rule.channel} ` : ''}data for ${rule.duration_seconds}s`;
+    default:
+      return `Offline for ${rule.duration_seconds}s`;
+  }
+}
+
+/**
+ * Open an alert for a rule and device (no-op if one is already open)
+ */
+async function fire(rule, deviceId, value, current) {
+  await repositories.admin().alerts.create({
+    rule_id: rule.id,
+    project_id: rule.project_id,
+    device_id: deviceId,
+    severity: rule.severity,
+    message: `${rule.name}: ${describe(rule, value)}`,
+    value: typeof value === 'number' ? value : null,
+  });
+  current.firing = true;
+}
+
+/**
+ * Resolve the open alert for a rule and device, if any
+ */
+async function resolve(rule, deviceId, current) {
+  if (current.firing === false) return;
+  
+  await repositories.admin().alerts.resolveOpen({ ruleId: rule.id, deviceId }, new Date().toISOString());
+  current.firing = false;
+}
+
+/**
+ * Resolve every open alert of a rule (e.g. when it's disabled)
+ */
+async function resolveRule(ruleId) {
+  resetRule(ruleId);
+  
+  await repositories.admin().alerts.resolveOpen({ ruleId }, new Date().toISOString());
+}
+
+/**
+ * Advance a threshold-style condition with a new value observed at `at`
+ */
+async function evaluateCondition(rule, deviceId, value, at) {
+  const current = stateFor(rule.id, deviceId);
+  
+  if (compare(rule.operator, value, rule.threshold)) {
+    if (current.since === null) current.since = at;
+    if (!current.firing && at - current.since >= rule.duration_seconds * 1000) {
+      await fire(rule, deviceId, value, current);
+    }
+  } else if (cleared(rule, value)) {
+    current.since = null;
+    await resolve(rule, deviceId, current);
+  } else if (!current.firing) {
+    // Inside the hysteresis band: a pending condition starts over,
+    // an open alert stays open
+    current.since = null;
+  }
+}
+
+/**
+ * Evaluate threshold and rate_of_change rules against stored readings
+ * readings: [{ channel, value, ts? }]
+ * Never throws - alerting must not break ingestion
+ */
+async function evaluateReadings(deviceId, projectId, readings) {
+  try {
+    const rules = (await loadRules(projectId)).filter(rule =>
+      (rule.type === 'threshold' || rule.type === 'rate_of_change')
+      && (!rule.device_id || rule.device_id === deviceId)
+    );
+    if (rules.length === 0) return;
+    
+    const numeric = readings
+      .filter(reading => typeof reading.value === 'number' && Number.isFinite(reading.value))
+      .map(reading => ({
+        channel: reading.channel,
+        value: reading.value,
+        at: reading.ts === undefined ? Date.now() : new Date(reading.ts).getTime(),
+      }))
+      .filter(reading => !Number.isNaN(reading.at))
+      .sort((a, b) => a.at - b.at);
+    
+    for (const rule of rules) {
+      for (const reading of numeric) {
+        if (reading.channel !== rule.channel) continue;
+        
+        if (rule.type === 'threshold') {
+          await evaluateCondition(rule, deviceId, reading.value, reading.at);
+          continue;
+        }
+        
+        // Need two readings, in order, to get a rate
+        const current = stateFor(rule.id, deviceId);
+        const last = current.last;
+        if (last && reading.at <= last.at) continue;
+        current.last = reading;
+        if (!last) continue;
+        
+        const rate = (reading.value - last.value) / ((reading.at - last.at) / 60000);
+        await evaluateCondition(rule, deviceId, rate, reading.at);
+      }
+    }
+  } catch (err) {
+    logger.error('Alert evaluation failed', { err, device_id: deviceId });
+  }
+}
+
+/**
+ * Time of each device's latest telemetry (optionally on one channel)
+ * Returns a Map of device ID -> ms; devices without readings are missing
+ */
+async function lastTelemetryAt(deviceIds, channel) {
+  if (deviceIds.length === 0) return new Map();
+  
+  const latest = await repositories.admin().telemetry.latest(deviceIds, { channel });
+  
+  return new Map(latest.map(row => [row.device_id, new Date(row.ts).getTime()]));
+}
+
+/**
+ * Check one no_data or offline rule against every device it covers
+ * Devices that never connected or reported are left alone
+ */
+async function checkSilenceRule(rule, now) {
+  const devices = await repositories.admin().devices.listByProject(
+    rule.project_id,
+    ['id', 'online', 'last_seen_at'],
+    rule.device_id ? { id: rule.device_id } : {}
+  );
+  
+  const cutoff = now - rule.duration_seconds * 1000;
+  
+  // One query for the whole rule, not one per device
+  const telemetryAt = rule.type === 'no_data'
+    ? await lastTelemetryAt(devices.map(device => device.id), rule.channel)
+    : null;
+  
+  for (const device of devices) {
+    const current = stateFor(rule.id, device.id);
+    
+    const lastAt = rule.type === 'offline'
+      ? (device.online ? now : device.last_seen_at && new Date(device.last_seen_at).getTime())
+      : telemetryAt.get(device.id);
+    
+    if (!lastAt) continue;
+    
+    if (lastAt <= cutoff) {
+      if (!current.firing) {
+        await fire(rule, device.id, null, current);
+      }
+    } else if (rule.type === 'no_data' || device.online) {
+      await resolve(rule, device.id, current);
+    }
+  }
+}
+
+/**
+ * Run every enabled no_data and offline rule
+ * Concurrent calls share the same pass
+ */
+function checkSilence() {
+  if (!checking) {
+    checking = runSilenceChecks()
+      .catch(err => logger.error('Alert worker error', { err }))
+      .finally(() => {
+        checking = null;
+      });
+  }
+  return checking;
+}
+
+async function runSilenceChecks() {
+  const rules = await repositories.admin().alertRules.listEnabled({ types: ['no_data', 'offline'] });
+  
+  const now = Date.now();
+  for (const rule of rules) {
+    try {
+      await checkSilenceRule(rule, now);
+    } catch (err) {
+      logger.error('Alert rule check failed', { err, rule_id: rule.id });
+    }
+  }
+}
+
+/**
+ * Periodically check no_data and offline rules
+ */
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(checkSilence, config.alerts.checkIntervalMs);
+  workerTimer.unref();
+}
+
+function stopWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  RULE_TYPES,
+  OPERATORS,
+  SEVERITIES,
+  invalidate,
+  resetRule,
+  resolveRule,
+  evaluateReadings,
+  checkSilence,
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const roles = require('./roles');
+const { logger } = require('../utils/logger');
+
+/**
+ * Project API keys
+ * 
+ * Format: iotk_<prefix>_<secret>
+ * - prefix: 12 hex chars, stored in clear to look the key up
+ * - secret: 32 random bytes, only its SHA-256 is stored
+ * 
+ * The secret is high-entropy random data, so a fast hash is enough
+ * here (unlike MQTT passwords) and keeps per-request checks cheap.
+ * 
+ * A key acts as the member who created it, and only while they still
+ * hold ACTOR_ROLE (the role needed to create keys) in its project.
+ */
+
+const KEY_PREFIX = 'iotk_';
+
+const ACTOR_ROLE = 'admin';
+
+const SCOPES = [
+  'devices:read',
+  'devices:write',
+  'commands:send',
+  'telemetry:read',
+];
+
+// Don't write last_used_at more often than this per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Generate a new key
+ * Returns { key, prefix, secretHash } - key is shown to the user once
+ */
+function generateKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  
+  return {
+    key: `${KEY_PREFIX}${prefix}_${secret}`,
+    prefix,
+    secretHash: hashSecret(secret),
+  };
+}
+
+/**
+ * Resolve a presented key to its record
+ * Returns null for unknown, revoked, expired or mismatched keys, and
+ * for keys whose creator is no longer a project admin
+ */
+async function verifyKey(token) {
+  const match = /^iotk_([0-9a-f]{12})_([A-Za-z0-9_-]+)$/.exec(token);
+  if (!match) return null;
+  
+  const [, prefix, secret] = match;
+  
+  const key = await repositories.admin().apiKeys.findByPrefix(prefix);
+  
+  if (!key || key.revoked_at) return null;
+  if (key.expires_at && new Date(key.expires_at) <= new Date()) return null;
+  
+  const expected = Buffer.from(key.secret_hash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  
+  const role = key.created_by
+    ? await roles.getProjectRole(key.created_by, key.project_id)
+    : null;
+  if (!role || !roles.roleAtLeast(role, ACTOR_ROLE)) return null;
+  
+  touchLastUsed(key);
+  
+  return { ...key, secret_hash: undefined };
+}
+
+// Fire-and-forget; usage tracking must never fail a request
+function touchLastUsed(key) {
+  const lastUsed = key.last_used_at ? new Date(key.last_used_at).getTime() : 0;
+  if (Date.now() - lastUsed < LAST_USED_RESOLUTION_MS) return;
+  
+  repositories.admin().apiKeys.touch(key.id, new Date().toISOString())
+    .catch(err => logger.error('Failed to update API key last_used_at', { err, api_key_id: key.id }));
+}
+
+module.exports = {
+  SCOPES,
+  ACTOR_ROLE,
+  isApiKey,
+  generateKey,
+  verifyKey,
+};
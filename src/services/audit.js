@@ -0,0 +1,97 @@
+const repositories = require('../repositories');
+const { logger } = require('../utils/logger');
+
+/**
+ * Append-only audit log of security-relevant actions
+ * 
+ * Each entry records who (actor), did what (action), to what (target),
+ * what changed, from where (IP) and in which request. The table
+ * rejects updates and deletes at the database level.
+ */
+
+// Never copied into the log, only noted as changed
+const REDACTED_FIELDS = ['device_token', 'mqtt_password_hash', 'secret_hash'];
+
+// Bookkeeping columns that aren't worth a diff entry
+const IGNORED_FIELDS = ['updated_at'];
+
+/**
+ * Who made the request: device, API key or user
+ */
+function actorFor(req) {
+  if (req.device) return { type: 'device', id: req.device.id };
+  if (req.apiKey) return { type: 'api_key', id: req.apiKey.id };
+  if (req.user) return { type: 'user', id: req.user.id };
+  return { type: 'anonymous', id: null };
+}
+
+function redact(field, value) {
+  return REDACTED_FIELDS.includes(field) && value != null ? '[redacted]' : value;
+}
+
+/**
+ * Field-by-field diff: { field: { from, to } }
+ * before or after may be null (create / delete). When after is given,
+ * only its defined fields are compared (undefined = left unchanged).
+ */
+function diff(before, after) {
+  const changes = {};
+  const fields = after
+    ? Object.keys(after).filter(field => after[field] !== undefined)
+    : Object.keys(before || {});
+  
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    
+    changes[field] = {
+      from: from === undefined ? null : redact(field, from),
+      to: to === undefined ? null : redact(field, to),
+    };
+  }
+  
+  return changes;
+}
+
+/**
+ * Record an action
+ * 
+ * entry: {
+ *   projectId, action, targetType, targetId,
+ *   before?, after?,   // rows, diffed into changes
+ *   metadata?,         // extra context (e.g. MAC address)
+ *   actor?             // defaults to the request's device/API key/user
+ * }
+ * 
+ * Failures are logged, never thrown - the action already happened.
+ */
+async function record(req, entry) {
+  const actor = entry.actor || actorFor(req);
+  
+  try {
+    await repositories.admin().auditLog.insert({
+      project_id: entry.projectId,
+      actor_type: actor.type,
+      actor_id: actor.id,
+      action: entry.action,
+      target_type: entry.targetType,
+      target_id: entry.targetId,
+      changes: diff(entry.before, entry.after),
+      metadata: entry.metadata || {},
+      ip: req.ip || null,
+      request_id: req.id || null,
+    });
+  } catch (err) {
+    (req.log || logger).error('Failed to record audit entry', { err, action: entry.action });
+  }
+}
+
+module.exports = {
+  actorFor,
+  record,
+  diff,
+};
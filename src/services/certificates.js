@@ -0,0 +1,532 @@
+const crypto = require('crypto');
+const x509 = require('@peculiar/x509');
+const repositories = require('../repositories');
+const config = require('../../config');
+
+x509.cryptoProvider.set(crypto.webcrypto);
+
+/**
+ * Per-project certificate authorities and device client certificates
+ * 
+ * Each project can have one CA, generated here (ECDSA P-256) or
+ * uploaded with its private key. Devices submit a CSR when they
+ * provision and get back a certificate with their device ID as CN.
+ * The broker auth hook maps a certificate to its database row by
+ * fingerprint, never by subject (see deviceAuth.js).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields of a CA that are safe to return to users
+const AUTHORITY_FIELDS = ['project_id', 'certificate_pem', 'source', 'subject', 'fingerprint_sha256', 'not_before', 'not_after', 'created_by', 'created_at'];
+
+// CRL reason codes users can pick when revoking
+const REVOCATION_REASONS = {
+  unspecified: x509.X509CrlReason.unspecified,
+  keyCompromise: x509.X509CrlReason.keyCompromise,
+  affiliationChanged: x509.X509CrlReason.affiliationChanged,
+  superseded: x509.X509CrlReason.superseded,
+  cessationOfOperation: x509.X509CrlReason.cessationOfOperation,
+};
+
+// EC curves accepted for CA and device keys, by Node name
+const CURVES = {
+  prime256v1: { namedCurve: 'P-256', hash: 'SHA-256' },
+  secp384r1: { namedCurve: 'P-384', hash: 'SHA-384' },
+};
+
+const MIN_RSA_BITS = 2048;
+
+function isConfigured() {
+  return Boolean(config.certificates.keyEncryptionKey);
+}
+
+function encryptionKey() {
+  return crypto.createHash('sha256').update(config.certificates.keyEncryptionKey).digest();
+}
+
+/**
+ * Encrypt a DER private key as v1.<iv>.<tag>.<ciphertext> (base64)
+ */
+function encryptPrivateKey(der) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(der), cipher.final()]);
+  
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part =>
+    (Buffer.isBuffer(part) ? part.toString('base64') : part)
+  ).join('.');
+}
+
+function decryptPrivateKey(text) {
+  const [version, iv, tag, ciphertext] = text.split('.');
+  if (version !== 'v1') throw new Error(`Unknown CA key format: ${version}`);
+  
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]);
+}
+
+/**
+ * Describe a key for Web Crypto, or null if it's not a key we accept
+ * key: a Node KeyObject (public or private)
+ */
+function keyAlgorithm(key) {
+  const details = key.asymmetricKeyDetails || {};
+  
+  if (key.asymmetricKeyType === 'ec' && CURVES[details.namedCurve]) {
+    const { namedCurve, hash } = CURVES[details.namedCurve];
+    return {
+      importAlgorithm: { name: 'ECDSA', namedCurve },
+      signingAlgorithm: { name: 'ECDSA', hash },
+    };
+  }
+  
+  if (key.asymmetricKeyType === 'rsa' && details.modulusLength >= MIN_RSA_BITS) {
+    return {
+      importAlgorithm: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+      signingAlgorithm: { name: 'RSASSA-PKCS1-v1_5' },
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * SHA-256 fingerprint of a PEM certificate, as lower-case hex
+ */
+function fingerprint(pem) {
+  return new crypto.X509Certificate(pem).fingerprint256.replace(/:/g, '').toLowerCase();
+}
+
+/**
+ * Random positive 128-bit serial number, as lower-case hex
+ */
+function randomSerial() {
+  const bytes = crypto.randomBytes(16);
+  bytes[0] = (bytes[0] & 0x7f) || 0x01;
+  return bytes.toString('hex');
+}
+
+/**
+ * DER INTEGER for a non-negative number (CRL number extension)
+ */
+function derInteger(value) {
+  let hex = value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  if (parseInt(hex[0], 16) >= 8) hex = `00${hex}`;
+  
+  const bytes = Buffer.from(hex, 'hex');
+  return Buffer.concat([Buffer.from([0x02, bytes.length]), bytes]);
+}
+
+// A CA row without its private key
+function publicAuthority(row) {
+  return Object.fromEntries(AUTHORITY_FIELDS.map(field => [field, row[field]]));
+}
+
+/**
+ * Get a project's CA (without its private key), or null
+ */
+async function getAuthority(projectId) {
+  const row = await repositories.admin().authorities.get(projectId);
+  return row && publicAuthority(row);
+}
+
+/**
+ * Load a project's CA ready for signing, or null
+ * Returns { row, certificate, signingKey, signingAlgorithm }
+ */
+async function loadSigner(projectId) {
+  const row = await repositories.admin().authorities.get(projectId);
+  
+  if (!row) return null;
+  
+  const der = decryptPrivateKey(row.private_key_encrypted);
+  const { importAlgorithm, signingAlgorithm } = keyAlgorithm(
+    crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' })
+  );
+  const signingKey = await crypto.webcrypto.subtle.importKey('pkcs8', der, importAlgorithm, false, ['sign']);
+  
+  return { row, certificate: new x509.X509Certificate(row.certificate_pem), signingKey, signingAlgorithm };
+}
+
+/**
+ * Store a CA for a project
+ * Returns { ok: true, authority } or { ok: false, reason: 'exists' }
+ */
+async function saveAuthority(projectId, { certificatePem, privateKeyDer, source, userId }) {
+  const certificate = new crypto.X509Certificate(certificatePem);
+  
+  const result = await repositories.admin().authorities.create({
+    project_id: projectId,
+    certificate_pem: certificatePem,
+    private_key_encrypted: encryptPrivateKey(privateKeyDer),
+    source,
+    subject: certificate.subject,
+    fingerprint_sha256: fingerprint(certificatePem),
+    not_before: new Date(certificate.validFrom).toISOString(),
+    not_after: new Date(certificate.validTo).toISOString(),
+    created_by: userId,
+  });
+  
+  if (!result.ok) return { ok: false, reason: 'exists' };
+  
+  return { ok: true, authority: publicAuthority(result.authority) };
+}
+
+/**
+ * Generate a new self-signed CA (ECDSA P-256) for a project
+ */
+async function createAuthority(projectId, { commonName, validityDays, userId }) {
+  const algorithm = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+  const keys = await crypto.webcrypto.subtle.generateKey(algorithm, true, ['sign', 'verify']);
+  const notBefore = new Date();
+  
+  const certificate = await x509.X509CertificateGenerator.createSelfSigned({
+    serialNumber: randomSerial(),
+    name: [{ CN: [commonName || `Device CA ${projectId}`] }, { O: [projectId] }],
+    notBefore,
+    notAfter: new Date(notBefore.getTime() + (validityDays || config.certificates.caValidityDays) * DAY_MS),
+    keys,
+    signingAlgorithm: algorithm,
+    extensions: [
+      new x509.BasicConstraintsExtension(true, 0, true),
+      new x509.KeyUsagesExtension(x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign, true),
+      await x509.SubjectKeyIdentifierExtension.create(keys.publicKey),
+    ],
+  });
+  
+  const privateKeyDer = Buffer.from(await crypto.webcrypto.subtle.exportKey('pkcs8', keys.privateKey));
+  
+  return saveAuthority(projectId, {
+    certificatePem: certificate.toString('pem'),
+    privateKeyDer,
+    source: 'generated',
+    userId,
+  });
+}
+
+/**
+ * Use an existing CA certificate and its (unencrypted) private key
+ * Returns { ok: true, authority } or { ok: false, reason, message }
+ */
+async function importAuthority(projectId, { certificatePem, privateKeyPem, userId }) {
+  const invalid = message => ({ ok: false, reason: 'invalid', message });
+  
+  let certificate;
+  let privateKey;
+  try {
+    certificate = new x509.X509Certificate(certificatePem);
+  } catch {
+    return invalid('Certificate could not be parsed');
+  }
+  try {
+    privateKey = crypto.createPrivateKey(privateKeyPem);
+  } catch {
+    return invalid('Private key could not be parsed (encrypted keys are not supported)');
+  }
+  
+  const basicConstraints = certificate.getExtension(x509.BasicConstraintsExtension);
+  if (!basicConstraints || !basicConstraints.ca) {
+    return invalid('Certificate is not a CA certificate');
+  }
+  
+  const keyUsage = certificate.getExtension(x509.KeyUsagesExtension);
+  if (keyUsage && !(keyUsage.usages & x509.KeyUsageFlags.keyCertSign)) {
+    return invalid('Certificate is not allowed to sign certificates');
+  }
+  
+  if (certificate.notAfter.getTime() <= Date.now()) {
+    return invalid('Certificate has expired');
+  }
+  
+  if (!keyAlgorithm(privateKey)) {
+    return invalid(`Key must be EC P-256/P-384 or RSA with at least ${MIN_RSA_BITS} bits`);
+  }
+  
+  const certificateKey = Buffer.from(certificate.publicKey.rawData);
+  const matchingKey = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+  if (!certificateKey.equals(matchingKey)) {
+    return invalid('Private key does not match the certificate');
+  }
+  
+  return saveAuthority(projectId, {
+    certificatePem: certificate.toString('pem'),
+    privateKeyDer: privateKey.export({ type: 'pkcs8', format: 'der' }),
+    source: 'uploaded',
+    userId,
+  });
+}
+
+/**
+ * Remove a project's CA
+ * Refused while devices still hold active certificates from it
+ * Returns { ok: true } or { ok: false, reason: 'not_found' | 'in_use' }
+ */
+async function deleteAuthority(projectId) {
+  const repos = repositories.admin();
+  
+  if (await repos.certificates.countActive(projectId, new Date().toISOString()) > 0) {
+    return { ok: false, reason: 'in_use' };
+  }
+  
+  if (!(await repos.authorities.remove(projectId))) return { ok: false, reason: 'not_found' };
+  
+  return { ok: true };
+}
+
+/**
+ * Parse and check a device CSR
+ * Returns { ok: true, csr } or { ok: false, reason: 'invalid_csr', message }
+ */
+async function checkCsr(csrPem) {
+  const invalid = message => ({ ok: false, reason: 'invalid_csr', message });
+  
+  let csr;
+  try {
+    csr = new x509.Pkcs10CertificateRequest(csrPem);
+  } catch {
+    return invalid('CSR could not be parsed');
+  }
+  
+  if (!(await csr.verify())) {
+    return invalid('CSR signature is invalid');
+  }
+  
+  const publicKey = crypto.createPublicKey({
+    key: Buffer.from(csr.publicKey.rawData),
+    format: 'der',
+    type: 'spki',
+  });
+  if (!keyAlgorithm(publicKey)) {
+    return invalid(`Key must be EC P-256/P-384 or RSA with at least ${MIN_RSA_BITS} bits`);
+  }
+  
+  return { ok: true, csr, keyType: publicKey.asymmetricKeyType };
+}
+
+/**
+ * When a device should renew a certificate
+ */
+function renewAfter(notAfter) {
+  return new Date(new Date(notAfter).getTime() - config.certificates.renewBeforeDays * DAY_MS).toISOString();
+}
+
+/**
+ * Issue a client certificate to a device from its CSR
+ * The CSR's subject is ignored: CN is the device ID
+ * 
+ * Returns { ok: true, certificate, caCertificatePem } where certificate
+ * is the device_certificates row, or { ok: false, reason, message? }
+ * with reason 'no_authority', 'authority_expired' or 'invalid_csr'
+ */
+async function issueCertificate(device, csrPem) {
+  const checked = await checkCsr(csrPem);
+  if (!checked.ok) return checked;
+  
+  const signer = await loadSigner(device.project_id);
+  if (!signer) return { ok: false, reason: 'no_authority' };
+  
+  const notBefore = new Date();
+  const caExpiry = new Date(signer.row.not_after);
+  const notAfter = new Date(Math.min(
+    notBefore.getTime() + config.certificates.deviceValidityDays * DAY_MS,
+    caExpiry.getTime()
+  ));
+  
+  if (notAfter.getTime() - notBefore.getTime() < DAY_MS) {
+    return { ok: false, reason: 'authority_expired' };
+  }
+  
+  const serialNumber = randomSerial();
+  const extensions = [
+    new x509.BasicConstraintsExtension(false, undefined, true),
+    new x509.KeyUsagesExtension(
+      checked.keyType === 'rsa'
+        ? x509.KeyUsageFlags.digitalSignature | x509.KeyUsageFlags.keyEncipherment
+        : x509.KeyUsageFlags.digitalSignature,
+      true
+    ),
+    new x509.ExtendedKeyUsageExtension([x509.ExtendedKeyUsage.clientAuth]),
+    await x509.SubjectKeyIdentifierExtension.create(checked.csr.publicKey),
+    await x509.AuthorityKeyIdentifierExtension.create(signer.certificate, false),
+  ];
+  
+  if (config.certificates.publicUrl) {
+    const base = config.certificates.publicUrl.replace(/\/+$/, '');
+    extensions.push(new x509.CRLDistributionPointsExtension([`${base}/api/pki/${device.project_id}/crl`]));
+  }
+  
+  const issued = await x509.X509CertificateGenerator.create({
+    serialNumber,
+    subject: [{ CN: [device.id] }],
+    // Raw bytes, so the issuer matches the CA subject exactly
+    issuer: signer.certificate.subjectName.toArrayBuffer(),
+    notBefore,
+    notAfter,
+    publicKey: checked.csr.publicKey,
+    signingKey: signer.signingKey,
+    signingAlgorithm: signer.signingAlgorithm,
+    extensions,
+  });
+  
+  const certificatePem = issued.toString('pem');
+  
+  const data = await repositories.admin().certificates.create({
+    project_id: device.project_id,
+    device_id: device.id,
+    serial_number: serialNumber,
+    fingerprint_sha256: fingerprint(certificatePem),
+    certificate_pem: certificatePem,
+    not_before: notBefore.toISOString(),
+    not_after: notAfter.toISOString(),
+  });
+  
+  return { ok: true, certificate: data, caCertificatePem: signer.row.certificate_pem };
+}
+
+/**
+ * Renew a device certificate before it expires
+ * 
+ * The device proves it holds the current key by signing the new CSR
+ * (the PEM text exactly as sent) with it: SHA-256, base64 signature,
+ * DER-encoded for ECDSA.
+ * 
+ * The old certificate stays valid until it expires, so a device that
+ * misses the response can still connect; anything older is revoked.
+ * 
+ * Returns { ok: true, device, certificate, previous, caCertificatePem }
+ * (previous is the renewed certificate's row) or
+ * { ok: false, reason, message? } with reason 'unknown_certificate',
+ * 'expired', 'invalid_signature', or an issueCertificate() reason
+ */
+async function renewCertificate({ certificatePem, csrPem, signature }) {
+  let current;
+  try {
+    current = new crypto.X509Certificate(certificatePem);
+  } catch {
+    return { ok: false, reason: 'unknown_certificate' };
+  }
+  
+  const repos = repositories.admin();
+  const row = await repos.certificates.findByFingerprint(fingerprint(certificatePem));
+  
+  if (!row || row.status !== 'active' || !row.device
+    || !row.device.is_provisioned || row.device.auth_method !== 'certificate') {
+    return { ok: false, reason: 'unknown_certificate' };
+  }
+  
+  if (new Date(row.not_after).getTime() <= Date.now()) {
+    return { ok: false, reason: 'expired' };
+  }
+  
+  let proven = false;
+  try {
+    proven = crypto.verify('sha256', Buffer.from(csrPem), current.publicKey, Buffer.from(signature, 'base64'));
+  } catch {
+    proven = false;
+  }
+  if (!proven) return { ok: false, reason: 'invalid_signature' };
+  
+  const issued = await issueCertificate(row.device, csrPem);
+  if (!issued.ok) return issued;
+  
+  await repos.certificates.update(row.id, { replaced_by: issued.certificate.id });
+  
+  // Keep at most the renewed certificate and its replacement
+  await repos.certificates.revoke(
+    { deviceId: row.device.id, keep: [row.id, issued.certificate.id] },
+    { reason: 'superseded', at: new Date().toISOString() }
+  );
+  
+  return { ...issued, device: row.device, previous: row };
+}
+
+/**
+ * Revoke one certificate of a project
+ * Returns { ok: true, certificate } or { ok: false, reason: 'not_found' }
+ */
+async function revokeCertificate(projectId, certificateId, reason = 'unspecified') {
+  const [certificate] = await repositories.admin().certificates.revoke(
+    { id: certificateId, projectId },
+    { reason, at: new Date().toISOString() }
+  );
+  
+  if (!certificate) return { ok: false, reason: 'not_found' };
+  
+  return { ok: true, certificate };
+}
+
+/**
+ * Revoke every active certificate of a device
+ * Returns the number revoked
+ */
+async function revokeDeviceCertificates(deviceId, reason) {
+  const revoked = await repositories.admin().certificates.revoke(
+    { deviceId },
+    { reason, at: new Date().toISOString() }
+  );
+  
+  return revoked.length;
+}
+
+/**
+ * Signed CRL (DER) of a project's revoked, unexpired certificates
+ * Returns null if the project has no CA
+ */
+async function buildCrl(projectId) {
+  const signer = await loadSigner(projectId);
+  if (!signer) return null;
+  
+  const now = new Date();
+  
+  const revoked = await repositories.admin().certificates.listRevoked(projectId, now.toISOString());
+  
+  const crl = await x509.X509CrlGenerator.create({
+    // Raw bytes, so the issuer matches the CA subject exactly
+    issuer: signer.certificate.subjectName.toArrayBuffer(),
+    thisUpdate: now,
+    nextUpdate: new Date(now.getTime() + config.certificates.crlValidityHours * 60 * 60 * 1000),
+    entries: revoked.map(entry => ({
+      serialNumber: entry.serial_number,
+      revocationDate: new Date(entry.revoked_at),
+      reason: REVOCATION_REASONS[entry.revocation_reason] || x509.X509CrlReason.unspecified,
+    })),
+    signingKey: signer.signingKey,
+    signingAlgorithm: signer.signingAlgorithm,
+    extensions: [
+      await x509.AuthorityKeyIdentifierExtension.create(signer.certificate, false),
+      // CRL number: seconds since the epoch only ever grows
+      new x509.Extension('2.5.29.20', false, derInteger(Math.floor(now.getTime() / 1000))),
+    ],
+  });
+  
+  return Buffer.from(crl.rawData);
+}
+
+/**
+ * Every project CA certificate, concatenated, for the broker's trust store
+ */
+async function caBundle() {
+  const data = await repositories.admin().authorities.listValid(new Date().toISOString());
+  return data.map(row => row.certificate_pem.trim()).join('\n') + (data.length ? '\n' : '');
+}
+
+module.exports = {
+  REVOCATION_REASONS,
+  isConfigured,
+  fingerprint,
+  getAuthority,
+  createAuthority,
+  importAuthority,
+  deleteAuthority,
+  issueCertificate,
+  renewCertificate,
+  renewAfter,
+  revokeCertificate,
+  revokeDeviceCertificates,
+  buildCrl,
+  caBundle,
+};
@@ -0,0 +1,215 @@
+const config = require('../../config');
+const repositories = require('../repositories');
+const { logger } = require('../utils/logger');
+
+/**
+ * Runtime validation of device values against channel definitions
+ * 
+ * Every telemetry reading and reported state key is checked against
+ * the device's channels (device_channels): unknown key, data type,
+ * and min/max range. What happens to an invalid value depends on the
+ * project's invalid_value_policy:
+ * 
+ *   reject - drop it
+ *   clamp  - clamp out-of-range numbers to the bound, drop the rest
+ *   flag   - keep it, marked as flagged
+ * 
+ * Every rejected, clamped or flagged value is written to the
+ * device_errors log, which keeps DEVICE_ERROR_RETENTION_DAYS. Devices
+ * without any channel definitions are not validated.
+ */
+
+const POLICIES = ['reject', 'clamp', 'flag'];
+const DEFAULT_POLICY = 'reject';
+
+// Channel definitions are cached briefly - they're read on every message
+const CACHE_TTL_MS = 30 * 1000;
+const cache = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+let workerTimer = null;
+
+/**
+ * Drop cached definitions for a device, or for every device
+ * Call after channels or a project's policy change
+ */
+function invalidate(deviceId) {
+  if (deviceId) {
+    cache.delete(deviceId);
+  } else {
+    cache.clear();
+  }
+}
+
+async function loadSchema(deviceId) {
+  const cached = cache.get(deviceId);
+  if (cached && cached.expiresAt > Date.now()) return cached.schema;
+  
+  const repos = repositories.admin();
+  
+  const device = await repos.devices.get(deviceId, { channels: true });
+  if (!device) throw new Error(`Device ${deviceId} not found`);
+  
+  const project = await repos.projects.get(device.project_id);
+  
+  const schema = {
+    projectId: device.project_id,
+    policy: (project && project.invalid_value_policy) || DEFAULT_POLICY,
+    channels: new Map((device.channels || []).map(channel => [channel.key, channel])),
+  };
+  
+  cache.set(deviceId, { schema, expiresAt: Date.now() + CACHE_TTL_MS });
+  return schema;
+}
+
+/**
+ * Check one value against its channel definition
+ * Returns null if valid, otherwise { reason, clampTo? }
+ */
+function checkValue(channel, value) {
+  if (!channel) return { reason: 'unknown_channel' };
+  
+  switch (channel.data_type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return { reason: 'invalid_type' };
+      }
+      if (channel.min_value !== null && value < channel.min_value) {
+        return { reason: 'below_min', clampTo: channel.min_value };
+      }
+      if (channel.max_value !== null && value > channel.max_value) {
+        return { reason: 'above_max', clampTo: channel.max_value };
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : { reason: 'invalid_type' };
+    case 'string':
+      return typeof value === 'string' ? null : { reason: 'invalid_type' };
+    default:
+      // json accepts anything
+      return null;
+  }
+}
+
+/**
+ * Validate readings ([{ channel, value, ... }]) for a device
+ * 
+ * Returns:
+ * - accepted: readings to store (value may be clamped, flagged set)
+ * - rejected: [{ channel, value, reason }]
+ * - outOfRange: [{ channel, value, reason, min_value, max_value }] for
+ *   numbers outside their channel's bounds, whatever the policy did
+ * - projectId: the device's project
+ */
+async function validateReadings(deviceId, source, readings) {
+  const schema = await loadSchema(deviceId);
+  
+  if (schema.channels.size === 0) {
+    return {
+      accepted: readings.map(reading => ({ ...reading, flagged: false })),
+      rejected: [],
+      outOfRange: [],
+      projectId: schema.projectId,
+    };
+  }
+  
+  const accepted = [];
+  const rejected = [];
+  const outOfRange = [];
+  const log = [];
+  
+  for (const reading of readings) {
+    const problem = checkValue(schema.channels.get(reading.channel), reading.value);
+    
+    if (!problem) {
+      accepted.push({ ...reading, flagged: false });
+      continue;
+    }
+    
+    if (problem.clampTo !== undefined) {
+      const channel = schema.channels.get(reading.channel);
+      outOfRange.push({
+        channel: reading.channel,
+        value: reading.value,
+        reason: problem.reason,
+        min_value: channel.min_value,
+        max_value: channel.max_value,
+      });
+    }
+    
+    let action;
+    if (schema.policy === 'flag') {
+      action = 'flagged';
+      accepted.push({ ...reading, flagged: true });
+    } else if (schema.policy === 'clamp' && problem.clampTo !== undefined) {
+      action = 'clamped';
+      accepted.push({ ...reading, value: problem.clampTo, flagged: false });
+    } else {
+      action = 'rejected';
+      rejected.push({ channel: reading.channel, value: reading.value, reason: problem.reason });
+    }
+    
+    log.push({
+      device_id: deviceId,
+      source,
+      channel: reading.channel,
+      value: reading.value === undefined ? null : reading.value,
+      reason: problem.reason,
+      action,
+    });
+  }
+  
+  if (log.length > 0) {
+    await recordErrors(log);
+  }
+  
+  return { accepted, rejected, outOfRange, projectId: schema.projectId };
+}
+
+// Failures to write the log must not block ingestion
+async function recordErrors(rows) {
+  try {
+    await repositories.admin().deviceErrors.insert(rows);
+  } catch (err) {
+    logger.error('Failed to record device errors', { err, rows: rows.length });
+  }
+}
+
+/**
+ * Delete logged errors older than the retention period
+ * Returns the number of rows deleted
+ */
+async function pruneErrors(now = new Date()) {
+  const before = new Date(now.getTime() - config.deviceErrors.retentionDays * DAY_MS);
+  const removed = await repositories.admin().deviceErrors.removeBefore(before.toISOString());
+  
+  if (removed > 0) {
+    logger.info('Pruned device errors', { removed, before: before.toISOString() });
+  }
+  return removed;
+}
+
+/**
+ * Keep the error log to the retention period
+ */
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(() => {
+    pruneErrors().catch(err => logger.error('Device error cleanup failed', { err }));
+  }, config.deviceErrors.cleanupIntervalMs);
+  workerTimer.unref();
+}
+
+function stopWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  POLICIES,
+  invalidate,
+  validateReadings,
+  pruneErrors,
+  startWorker,
+  stopWorker,
+};
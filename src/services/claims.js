@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const { safeEqual } = require('../utils/secureCompare');
+
+/**
+ * Zero-touch provisioning with claim codes
+ * 
+ * 1. Manufacturing registers each board's MAC address and/or serial
+ *    number with a short claim code (printed on the label) and a
+ *    bootstrap secret (flashed onto the board).
+ * 2. At boot the device checks in by MAC/serial with its bootstrap
+ *    secret; it is now pending_claim.
+ * 3. A user claims it into a project by entering the claim code. That
+ *    creates a regular device with a device_token.
+ * 4. On its next check-in the device receives the device_token and
+ *    provisions through POST /api/provision as usual.
+ * 
+ * Unclaimed devices never see a device_token, so they can't obtain
+ * MQTT credentials.
+ */
+
+// Crockford base32: no I, L, O or U, so codes survive being read aloud
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 12;
+const MIN_CODE_LENGTH = 8;
+
+// Supplied bootstrap secrets must be at least this long
+const MIN_SECRET_LENGTH = 32;
+const MAX_SECRET_LENGTH = 200;
+
+/**
+ * Normalize a MAC address to AA:BB:CC:DD:EE:FF
+ * Accepts :, - or no separators; returns null if invalid
+ */
+function normalizeMac(mac) {
+  if (typeof mac !== 'string') return null;
+  
+  const hex = mac.replace(/[:-]/g, '').toUpperCase();
+  if (!/^[0-9A-F]{12}$/.test(hex)) return null;
+  
+  return hex.match(/../g).join(':');
+}
+
+/**
+ * Normalize a claim code as typed by a user
+ * Drops separators and maps look-alike letters (O -> 0, I/L -> 1)
+ */
+function normalizeClaimCode(code) {
+  if (typeof code !== 'string') return '';
+  
+  return code
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+}
+
+function isValidClaimCode(code) {
+  const normalized = normalizeClaimCode(code);
+  return normalized.length >= MIN_CODE_LENGTH
+    && normalized.length <= 32
+    && [...normalized].every(char => CODE_ALPHABET.includes(char));
+}
+
+/**
+ * Random claim code, formatted XXXX-XXXX-XXXX
+ */
+function generateClaimCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const code = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+  
+  return code.match(/.{4}/g).join('-');
+}
+
+/**
+ * Claim codes are looked up by hash, so it can't be salted
+ */
+function hashClaimCode(code) {
+  return crypto.createHash('sha256').update(normalizeClaimCode(code)).digest('hex');
+}
+
+function isValidBootstrapSecret(secret) {
+  return typeof secret === 'string'
+    && secret.length >= MIN_SECRET_LENGTH
+    && secret.length <= MAX_SECRET_LENGTH;
+}
+
+/**
+ * Bootstrap secrets are random and registered in bulk, so a fast
+ * unsalted hash is enough (scrypt per row would stall big batches)
+ */
+function hashBootstrapSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Device check-in at boot
+ * 
+ * identity: { mac_address?, serial_number?, bootstrap_secret, firmware_version? }
+ * Returns { ok: true, status, device_id?, device_token? }
+ * or { ok: false, reason } where reason is 'not_registered',
+ * 'unauthorized' or 'provisioned'
+ */
+async function checkIn({ mac_address, serial_number, bootstrap_secret, firmware_version }) {
+  const registry = repositories.admin().factoryDevices;
+  
+  const entry = await registry.find(mac_address
+    ? { mac_address: normalizeMac(mac_address) }
+    : { serial_number });
+  
+  if (!entry) return { ok: false, reason: 'not_registered' };
+  
+  // The secret was registered by the factory (hashBootstrapSecret)
+  if (!entry.bootstrap_secret_hash
+    || !safeEqual(hashBootstrapSecret(bootstrap_secret), entry.bootstrap_secret_hash)) {
+    return { ok: false, reason: 'unauthorized' };
+  }
+  
+  const now = new Date().toISOString();
+  const updates = {
+    last_seen_at: now,
+    firmware_version: firmware_version || entry.firmware_version,
+  };
+  if (!entry.first_seen_at) updates.first_seen_at = now;
+  if (entry.status === 'registered') updates.status = 'pending_claim';
+  
+  const updated = await registry.update(entry.id, updates, { status: entry.status });
+  
+  // Claimed or released in the meantime: the next check-in sees it
+  if (!updated) return { ok: true, status: 'pending_claim' };
+  
+  const result = { ok: true, status: updated.status };
+  
+  if (updated.status !== 'claimed' || !updated.device_id) {
+    if (updated.status === 'claimed') result.status = 'pending_claim';
+    return result;
+  }
+  
+  const device = await repositories.admin().devices.get(updated.device_id);
+  
+  if (!device) throw new Error(`Claimed device ${updated.device_id} not found`);
+  if (device.is_provisioned) return { ok: false, reason: 'provisioned' };
+  
+  return { ...result, device_id: device.id, device_token: device.device_token };
+}
+
+/**
+ * Claim a registered device into a project
+ * 
+ * repos: the user's repositories, so the device insert goes through
+ * their ownership checks
+ * Returns { ok: true, device, entry } or { ok: false, reason: 'not_found' }
+ */
+async function claim(repos, { projectId, claimCode, name, userId }) {
+  const registry = repositories.admin().factoryDevices;
+  
+  const entry = await registry.findClaimable(hashClaimCode(claimCode));
+  
+  if (!entry) return { ok: false, reason: 'not_found' };
+  
+  // Take the entry first so two claims can't both succeed
+  const taken = await registry.update(entry.id, {
+    status: 'claimed',
+    project_id: projectId,
+    claimed_by: userId,
+    claimed_at: new Date().toISOString(),
+  }, { status: entry.status });
+  
+  if (!taken) return { ok: false, reason: 'not_found' };
+  
+  let device = null;
+  try {
+    const token = await repos.tokens.generate();
+    
+    const suffix = (entry.mac_address || entry.serial_number).replace(/:/g, '').slice(-6);
+    
+    device = await repos.devices.create({
+      project_id: projectId,
+      name: name || `${entry.hardware_type}-${suffix}`,
+      hardware_type: entry.hardware_type,
+      mac_address: entry.mac_address,
+      firmware_version: entry.firmware_version,
+      device_token: token,
+    });
+    
+    await registry.update(entry.id, { device_id: device.id });
+    
+    return { ok: true, device, entry };
+  } catch (err) {
+    // Give the claim back
+    if (device) {
+      await repositories.admin().devices.remove(device.id);
+    }
+    await registry.update(entry.id, { status: entry.status, project_id: null, claimed_by: null, claimed_at: null });
+    throw err;
+  }
+}
+
+module.exports = {
+  normalizeMac,
+  normalizeClaimCode,
+  isValidClaimCode,
+  generateClaimCode,
+  hashClaimCode,
+  isValidBootstrapSecret,
+  hashBootstrapSecret,
+  checkIn,
+  claim,
+};
@@ -0,0 +1,100 @@
+const { emqx } = require('./emqx');
+const repositories = require('../repositories');
+const { logger } = require('../utils/logger');
+
+/**
+ * Device commands
+ * 
+ * Lifecycle:
+ *   queued  -> stored, not yet handed to the broker
+ *   sent    -> published to u/{user_id}/d/{device_id}/cmd/{name}
+ *   acked   -> device confirmed it ran the command
+ *   failed  -> broker publish failed, or device reported failure
+ *   expired -> TTL passed before the device acknowledged it
+ */
+
+const COMMAND_STATUSES = ['queued', 'sent', 'acked', 'failed', 'expired'];
+
+// Statuses a command can still leave
+const OPEN_STATUSES = ['queued', 'sent'];
+
+/**
+ * Publish a stored (queued) command to the device's cmd topic
+ * and record the outcome. Returns the updated command row.
+ */
+async function dispatch(command, topicBase) {
+  const ttlSeconds = Math.max(
+    Math.ceil((new Date(command.expires_at).getTime() - Date.now()) / 1000),
+    1
+  );
+  
+  let updates;
+  try {
+    await emqx.publish(`${topicBase}/cmd/${command.name}`, {
+      id: command.id,
+      name: command.name,
+      payload: command.payload,
+      expires_at: command.expires_at,
+    }, { qos: 1, expirySeconds: ttlSeconds });
+    
+    updates = { status: 'sent', sent_at: new Date().toISOString() };
+  } catch (err) {
+    logger.error('Command publish failed', { err, command_id: command.id });
+    updates = { status: 'failed', error: 'Could not publish command to the MQTT broker' };
+  }
+  
+  const updated = await repositories.admin().commands.update(command.id, updates);
+  
+  if (!updated) throw new Error(`Command ${command.id} not found`);
+  return updated;
+}
+
+/**
+ * Mark a device's open commands whose TTL has passed as expired
+ */
+async function expireStale(deviceId) {
+  await repositories.admin().commands.expire(deviceId, {
+    statuses: OPEN_STATUSES,
+    before: new Date().toISOString(),
+  });
+}
+
+/**
+ * Record a device's acknowledgement of a command
+ * 
+ * status: 'acked' or 'failed'
+ * Returns { ok: true, command } or { ok: false, reason } where reason
+ * is 'not_found', 'expired' or 'completed'
+ */
+async function acknowledge(deviceId, commandId, { status, result }) {
+  const command = await repositories.admin().commands.get(deviceId, commandId);
+  
+  if (!command) return { ok: false, reason: 'not_found' };
+  
+  if (!OPEN_STATUSES.includes(command.status)) {
+    return { ok: false, reason: command.status === 'expired' ? 'expired' : 'completed' };
+  }
+  
+  if (new Date(command.expires_at) < new Date()) {
+    await expireStale(deviceId);
+    return { ok: false, reason: 'expired' };
+  }
+  
+  const data = await repositories.admin().commands.update(commandId, {
+    status,
+    result: result === undefined ? null : result,
+    acked_at: new Date().toISOString(),
+  }, { statuses: OPEN_STATUSES });
+  
+  // Lost a race with another ack or the expiry sweep
+  if (!data) return { ok: false, reason: 'completed' };
+  
+  return { ok: true, command: data };
+}
+
+module.exports = {
+  COMMAND_STATUSES,
+  dispatch,
+  expireStale,
+  acknowledge,
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const repositories = require('../repositories');
+const certificates = require('./certificates');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/password');
+const { logger } = require('../utils/logger');
+
+// Successful password checks are remembered briefly - devices
+// authenticate every HTTP request and scrypt is slow on purpose.
+// "deviceId:sha256(password)" -> { hash, expiresAt }; an entry only
+// counts while the device's stored hash is still the one it was
+// checked against, so regenerated credentials are refused at once.
+const VERIFIED_TTL_MS = 60 * 1000;
+const VERIFIED_MAX_ENTRIES = 10000;
+const verified = new Map();
+
+function verifiedKey(deviceId, password) {
+  return `${deviceId}:${crypto.createHash('sha256').update(password).digest('hex')}`;
+}
+
+function wasVerified(device, password) {
+  const key = verifiedKey(device.id, password);
+  const entry = verified.get(key);
+  
+  if (!entry) return false;
+  if (entry.expiresAt > Date.now() && entry.hash === device.mqtt_password_hash) return true;
+  
+  verified.delete(key);
+  return false;
+}
+
+function rememberVerified(device, password) {
+  // Oldest first: Maps keep insertion order
+  if (verified.size >= VERIFIED_MAX_ENTRIES) {
+    verified.delete(verified.keys().next().value);
+  }
+  verified.set(verifiedKey(device.id, password), {
+    hash: device.mqtt_password_hash,
+    expiresAt: Date.now() + VERIFIED_TTL_MS,
+  });
+}
+
+/**
+ * Look up a provisioned device by its MQTT username
+ * Returns null if the device doesn't exist or isn't provisioned
+ */
+async function findDeviceByUsername(username) {
+  const device = await repositories.admin().devices.findByMqttUsername(username);
+  if (!device || !device.is_provisioned) return null;
+  
+  return device;
+}
+
+/**
+ * Check device MQTT credentials (username + password)
+ * Returns the device on success, null otherwise
+ * 
+ * Legacy/outdated password hashes are upgraded on success. Successes
+ * are cached for VERIFIED_TTL_MS.
+ */
+async function verifyDeviceCredentials(username, password) {
+  const device = await findDeviceByUsername(username);
+  if (!device || typeof password !== 'string') return null;
+  
+  if (wasVerified(device, password)) return device;
+  
+  if (!(await verifyPassword(password, device.mqtt_password_hash))) {
+    return null;
+  }
+  
+  // Upgrade legacy/outdated hashes now that we know the password
+  if (needsRehash(device.mqtt_password_hash)) {
+    await upgradePasswordHash(device, password);
+  } else {
+    rememberVerified(device, password);
+  }
+  
+  return device;
+}
+
+/**
+ * Replace a device's stored hash with a current one
+ * Failures are logged only - the device has already authenticated
+ */
+async function upgradePasswordHash(device, password) {
+  try {
+    // Only if the hash hasn't been replaced in the meantime
+    await repositories.admin().devices.update(
+      device.id,
+      { mqtt_password_hash: await hashPassword(password) },
+      { mqtt_password_hash: device.mqtt_password_hash }
+    );
+  } catch (err) {
+    logger.error('Password hash upgrade failed', { err, device_id: device.id });
+  }
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Check a TLS client certificate, as reported by the broker
+ * 
+ * The broker trusts every project's CA, so a chain it accepted proves
+ * little: a project admin can upload a CA and sign any subject with
+ * it. The certificate itself (certificatePem) must be one issued to
+ * the device named by commonName - found by fingerprint, active and
+ * unexpired - and signed by that device's project CA.
+ * Returns the device on success, null otherwise
+ */
+async function verifyDeviceCertificate(commonName, certificatePem) {
+  if (!UUID_PATTERN.test(commonName || '') || !certificatePem) return null;
+  
+  let certificate;
+  try {
+    certificate = new crypto.X509Certificate(certificatePem);
+  } catch {
+    return null;
+  }
+  
+  const repos = repositories.admin();
+  const data = await repos.certificates.findByFingerprint(certificates.fingerprint(certificatePem));
+  
+  if (!data || data.device_id !== commonName || data.status !== 'active'
+    || new Date(data.not_after).getTime() <= Date.now()) return null;
+  
+  const device = data.device;
+  if (!device || device.project_id !== data.project_id
+    || !device.is_provisioned || device.auth_method !== 'certificate') return null;
+  
+  const authority = await repos.authorities.get(device.project_id);
+  if (!authority) return null;
+  
+  const ca = new crypto.X509Certificate(authority.certificate_pem);
+  if (!certificate.checkIssued(ca) || !certificate.verify(ca.publicKey)) return null;
+  
+  return device;
+}
+
+module.exports = {
+  findDeviceByUsername,
+  verifyDeviceCredentials,
+  verifyDeviceCertificate,
+};
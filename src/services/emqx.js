@@ -0,0 +1,169 @@
+const config = require('../../config');
+
+// Built-in database authenticator that holds device credentials
+const AUTHENTICATOR_ID = 'password_based:built_in_database';
+
+// Per-request timeout for management API calls
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Error returned by the EMQX management API
+ * status is the HTTP status from EMQX (or 0 for network failures)
+ */
+class EmqxError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'EmqxError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Create an EMQX management API (v5) client
+ * 
+ * Options default to config.emqx, so tests can point a client at a
+ * local fake server: createEmqxClient({ apiUrl: 'http://127.0.0.1:18083' })
+ */
+function createEmqxClient(options = {}) {
+  const apiUrl = options.apiUrl || config.emqx.apiUrl;
+  const apiKey = options.apiKey || config.emqx.apiKey;
+  const apiSecret = options.apiSecret || config.emqx.apiSecret;
+  
+  function isConfigured() {
+    return Boolean(apiUrl && apiKey && apiSecret);
+  }
+  
+  async function request(method, path, body) {
+    if (!isConfigured()) {
+      throw new EmqxError('EMQX management API is not configured', 0);
+    }
+    
+    let response;
+    try {
+      response = await fetch(`${apiUrl.replace(/\/$/, '')}/api/v5${path}`, {
+        method,
+        headers: {
+          Authorization: `Basic ${Buffer.from(`${apiKey}:${apiSecret}`).toString('base64')}`,
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+    } catch (err) {
+      throw new EmqxError(`EMQX request failed: ${err.message}`, 0);
+    }
+    
+    const text = await response.text();
+    const data = text ? safeParse(text) : null;
+    
+    if (!response.ok) {
+      throw new EmqxError(
+        (data && data.message) || `EMQX responded with ${response.status}`,
+        response.status,
+        data && data.code
+      );
+    }
+    
+    return data;
+  }
+  
+  /**
+   * Create a broker user for a device
+   * If the user already exists its password is replaced
+   */
+  async function createUser(username, password) {
+    const base = `/authentication/${encodeURIComponent(AUTHENTICATOR_ID)}/users`;
+    
+    try {
+      return await request('POST', base, {
+        user_id: username,
+        password,
+        is_superuser: false,
+      });
+    } catch (err) {
+      if (err.status !== 409) throw err;
+      return request('PUT', `${base}/${encodeURIComponent(username)}`, {
+        password,
+        is_superuser: false,
+      });
+    }
+  }
+  
+  /**
+   * Delete a broker user (no-op if it doesn't exist)
+   */
+  async function deleteUser(username) {
+    try {
+      await request(
+        'DELETE',
+        `/authentication/${encodeURIComponent(AUTHENTICATOR_ID)}/users/${encodeURIComponent(username)}`
+      );
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+  }
+  
+  /**
+   * Disconnect a live client session (no-op if it isn't connected)
+   */
+  async function kickClient(clientId) {
+    try {
+      await request('DELETE', `/clients/${encodeURIComponent(clientId)}`);
+    } catch (err) {
+      if (err.status !== 404) throw err;
+    }
+  }
+  
+  /**
+   * Revoke a device on the broker: remove its user and kick its session
+   */
+  async function revokeDevice({ mqttUsername, clientId }) {
+    if (mqttUsername) await deleteUser(mqttUsername);
+    await kickClient(clientId);
+  }
+  
+  /**
+   * Publish a message through the broker
+   * expirySeconds sets the MQTT 5 message expiry, so queued messages
+   * for offline sessions are dropped once stale
+   */
+  async function publish(topic, payload, { qos = 1, retain = false, expirySeconds } = {}) {
+    return request('POST', '/publish', {
+      topic,
+      payload: typeof payload === 'string' ? payload : JSON.stringify(payload),
+      payload_encoding: 'plain',
+      qos,
+      retain,
+      ...(expirySeconds && {
+        properties: { message_expiry_interval: expirySeconds },
+      }),
+    });
+  }
+  
+  return {
+    isConfigured,
+    createUser,
+    deleteUser,
+    kickClient,
+    revokeDevice,
+    publish,
+  };
+}
+
+function safeParse(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// Default client configured from environment
+const emqx = createEmqxClient();
+
+module.exports = {
+  emqx,
+  createEmqxClient,
+  EmqxError,
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const { logger } = require('../utils/logger');
+
+/**
+ * Real-time project events for dashboards (Server-Sent Events)
+ * 
+ * Routes and services publish() changes as they happen; open streams
+ * subscribe() per project. The last bufferSize events of each project
+ * are kept so a reconnecting client can resume from the last event ID
+ * it saw (Last-Event-ID). A project's buffer is dropped once it has
+ * been idle for replayWindowMs with no stream open.
+ * 
+ * Events live in this process only: with several API instances, a
+ * stream sees the changes handled by its own instance.
+ * 
+ * Event IDs are "<boot id>-<sequence>"; an ID from before a restart,
+ * or older than the buffer, can't be resumed from.
+ */
+
+const EVENT_TYPES = [
+  'device.created',
+  'device.updated',
+  'device.deleted',
+  'device.provisioned',
+  'device.token_regenerated',
+  'device.online',
+  'device.offline',
+  'shadow.updated',
+  'telemetry',
+];
+
+// Device fields sent with device events - never tokens or hashes
+const DEVICE_FIELDS = [
+  'id',
+  'project_id',
+  'name',
+  'hardware_type',
+  'tags',
+  'labels',
+  'firmware_version',
+  'is_provisioned',
+  'online',
+  'last_seen_at',
+];
+
+// Idle buffers are dropped this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+let sequence = 0;
+let sweeper = null;
+
+// projectId -> { events, dropped, lastAt } - recent events, oldest
+// first, the sequence of the newest event pushed out of the buffer, and
+// when the last event came (epoch ms)
+const buffers = new Map();
+// projectId -> Set of listeners
+const listeners = new Map();
+// ticket -> { user, apiKey, projectId, expiresAt }
+const tickets = new Map();
+
+/**
+ * Publish an event to a project's streams
+ * deviceId: the device it's about (null for project-wide events)
+ */
+function publish(projectId, type, { deviceId = null, data = {} } = {}) {
+  if (!projectId) return null;
+  
+  const event = {
+    id: `${BOOT_ID}-${++sequence}`,
+    sequence,
+    type,
+    project_id: projectId,
+    device_id: deviceId,
+    data,
+    at: new Date().toISOString(),
+  };
+  
+  startSweeper();
+  
+  let buffer = buffers.get(projectId);
+  if (!buffer) {
+    buffer = { events: [], dropped: 0, lastAt: 0 };
+    buffers.set(projectId, buffer);
+  }
+  buffer.events.push(event);
+  buffer.lastAt = Date.now();
+  if (buffer.events.length > config.events.bufferSize) {
+    buffer.dropped = buffer.events.shift().sequence;
+  }
+  
+  for (const listener of listeners.get(projectId) || []) {
+    try {
+      listener(event);
+    } catch (err) {
+      logger.error('Event listener error', { err, event_type: event.type });
+    }
+  }
+  
+  return event;
+}
+
+/**
+ * Publish an event about a device, with a summary of the device
+ * extra: more fields for the event data
+ */
+function publishDevice(type, device, extra = {}) {
+  const summary = Object.fromEntries(
+    DEVICE_FIELDS.filter(field => device[field] !== undefined).map(field => [field, device[field]])
+  );
+  return publish(device.project_id, type, { deviceId: device.id, data: { device: summary, ...extra } });
+}
+
+/**
+ * Call listener(event) for each new event of a project
+ * Returns a function that unsubscribes
+ */
+function subscribe(projectId, listener) {
+  let set = listeners.get(projectId);
+  if (!set) {
+    set = new Set();
+    listeners.set(projectId, set);
+  }
+  set.add(listener);
+  
+  return () => {
+    set.delete(listener);
+    // Unless a later subscriber already replaced the empty set
+    if (set.size === 0 && listeners.get(projectId) === set) listeners.delete(projectId);
+  };
+}
+
+/**
+ * Drop the buffers of projects with no open stream and no events
+ * within the replay window
+ */
+function sweep(now = Date.now()) {
+  for (const [projectId, buffer] of buffers) {
+    if (!listeners.has(projectId) && buffer.lastAt <= now - config.events.replayWindowMs) {
+      buffers.delete(projectId);
+    }
+  }
+}
+
+function startSweeper() {
+  if (sweeper) return;
+  sweeper = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+}
+
+/**
+ * Events of a project after lastEventId
+ * Returns null if the ID can't be resumed from (unknown, from before a
+ * restart, or already dropped from the buffer or with it)
+ */
+function since(projectId, lastEventId) {
+  const match = /^([0-9a-f]{8})-(\d+)$/.exec(lastEventId || '');
+  if (!match || match[1] !== BOOT_ID) return null;
+  
+  const last = Number(match[2]);
+  if (last > sequence) return null;
+  
+  // Without a buffer, anything after last may have been dropped with it
+  const buffer = buffers.get(projectId);
+  if (!buffer) return last === sequence ? [] : null;
+  // Events after last were already dropped
+  if (buffer.dropped > last) return null;
+  
+  return buffer.events.filter(event => event.sequence > last);
+}
+
+/**
+ * Issue a short-lived stream ticket for a project
+ * Browsers' EventSource can't send an Authorization header, so it
+ * passes a ticket in the URL instead. Tickets stay valid until they
+ * expire, so EventSource can reconnect with the same URL.
+ */
+function issueTicket({ user, apiKey, projectId }) {
+  const now = Date.now();
+  for (const [key, entry] of tickets) {
+    if (entry.expiresAt <= now) tickets.delete(key);
+  }
+  
+  const ticket = `evt_${crypto.randomBytes(24).toString('base64url')}`;
+  const expiresAt = now + config.events.ticketTtlSeconds * 1000;
+  tickets.set(ticket, { user: { id: user.id }, apiKey, projectId, expiresAt });
+  
+  return { ticket, expiresAt: new Date(expiresAt) };
+}
+
+/**
+ * Resolve a ticket for a project
+ * Returns { user, apiKey } or null if unknown, expired or for another project
+ */
+function redeemTicket(ticket, projectId) {
+  const entry = tickets.get(ticket);
+  if (!entry) return null;
+  
+  if (entry.expiresAt <= Date.now()) {
+    tickets.delete(ticket);
+    return null;
+  }
+  if (entry.projectId !== projectId) return null;
+  
+  return { user: entry.user, apiKey: entry.apiKey };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publish,
+  publishDevice,
+  subscribe,
+  since,
+  sweep,
+  issueTicket,
+  redeemTicket,
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const config = require('../../config');
+const repositories = require('../repositories');
+const semver = require('../utils/semver');
+const { logger } = require('../utils/logger');
+
+/**
+ * Over-the-air firmware releases and rollouts
+ * 
+ * A release is a firmware image for one hardware_type, stored in the
+ * firmware bucket. A rollout ships a release to the project's devices
+ * of that hardware type - all of them, a percentage, and/or those with
+ * a tag. Targeted devices are fixed when the rollout is created; each
+ * gets a firmware_updates row that tracks its progress:
+ * 
+ *   pending -> downloading -> installing -> succeeded
+ *                                        -> failed -> rolled_back
+ * 
+ * A device that fails is told to roll back to the version it ran
+ * before. Once failures reach max_failure_percent of the devices that
+ * finished (succeeded or failed, at least rolloutMinSample of them)
+ * the rollout halts and no further devices are offered the update;
+ * devices already updating may still report.
+ */
+
+const OPEN_UPDATE_STATUSES = ['pending', 'downloading', 'installing'];
+
+// Progress a device may report from each status
+const TRANSITIONS = {
+  pending: ['downloading', 'installing', 'succeeded', 'failed'],
+  downloading: ['downloading', 'installing', 'succeeded', 'failed'],
+  installing: ['installing', 'succeeded', 'failed'],
+  failed: ['rolled_back'],
+  succeeded: [],
+  rolled_back: [],
+};
+
+function sha256(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Store a firmware image
+ * Returns { storage_path, size_bytes, sha256 }
+ */
+async function storeImage(projectId, image) {
+  const checksum = sha256(image);
+  // Version and hardware type are user input - keep them out of the path
+  const storagePath = `${projectId}/${crypto.randomUUID()}.bin`;
+  
+  await repositories.admin().firmwareImages.upload(storagePath, image);
+  
+  return { storage_path: storagePath, size_bytes: image.length, sha256: checksum };
+}
+
+/**
+ * Remove a stored image (best effort)
+ */
+async function removeImage(storagePath) {
+  try {
+    await repositories.admin().firmwareImages.remove(storagePath);
+  } catch (err) {
+    logger.error('Failed to remove firmware image', { err, storage_path: storagePath });
+  }
+}
+
+/**
+ * Short-lived download URL for a release
+ */
+async function downloadUrl(release) {
+  const ttl = config.firmware.downloadUrlTtlSeconds;
+  
+  const url = await repositories.admin().firmwareImages.signedUrl(release.storage_path, ttl);
+  
+  return {
+    url,
+    expires_at: new Date(Date.now() + ttl * 1000).toISOString(),
+  };
+}
+
+/**
+ * Pick a rollout's devices
+ * 
+ * Eligible: same hardware type, carrying target_tag (if set), and not
+ * already on the release version or newer. A percentage takes a stable
+ * pseudo-random share of them, seeded by the rollout ID.
+ */
+function selectTargets(rollout, release, devices) {
+  const eligible = devices.filter(device => {
+    if (rollout.target_tag && !(device.tags || []).includes(rollout.target_tag)) return false;
+    
+    const order = semver.compare(device.firmware_version, release.version);
+    // Unknown or unparsable versions get the update
+    return order === null || order < 0;
+  });
+  
+  const rank = device => sha256(`${rollout.id}:${device.id}`);
+  const count = Math.ceil((eligible.length * rollout.target_percentage) / 100);
+  
+  return eligible
+    .map(device => ({ device, rank: rank(device) }))
+    .sort((a, b) => (a.rank < b.rank ? -1 : 1))
+    .slice(0, count)
+    .map(({ device }) => device);
+}
+
+/**
+ * Create a rollout and its per-device updates
+ * 
+ * rollout: { project_id, target_percentage, target_tag, max_failure_percent, created_by }
+ * Returns { ok: true, rollout, targeted } or { ok: false, reason } where
+ * reason is 'no_devices' or 'running' (another rollout is active or
+ * paused for this hardware type)
+ */
+async function createRollout(release, rollout) {
+  const repos = repositories.admin();
+  
+  const devices = await repos.devices.listByProject(release.project_id, ['id', 'firmware_version', 'tags'], {
+    hardware_type: release.hardware_type,
+  });
+  
+  const row = {
+    ...rollout,
+    id: crypto.randomUUID(),
+    release_id: release.id,
+    hardware_type: release.hardware_type,
+  };
+  
+  const targets = selectTargets(row, release, devices);
+  if (targets.length === 0) return { ok: false, reason: 'no_devices' };
+  
+  const created = await repos.rollouts.create(row);
+  if (!created.ok) return { ok: false, reason: 'running' };
+  
+  try {
+    await repos.firmwareUpdates.createMany(targets.map(device => ({
+      rollout_id: created.rollout.id,
+      device_id: device.id,
+      from_version: device.firmware_version || null,
+    })));
+  } catch (err) {
+    // Don't leave a rollout with no devices behind
+    await repos.rollouts.remove(created.rollout.id);
+    throw err;
+  }
+  
+  return { ok: true, rollout: created.rollout, targeted: targets.length };
+}
+
+/**
+ * Per-status device counts for a rollout
+ */
+async function rolloutProgress(rolloutId) {
+  const statuses = await repositories.admin().firmwareUpdates.statuses(rolloutId);
+  
+  const counts = Object.fromEntries(Object.keys(TRANSITIONS).map(status => [status, 0]));
+  for (const status of statuses) counts[status] += 1;
+  
+  return { total: statuses.length, ...counts };
+}
+
+/**
+ * The update a device should install now, or null
+ * Only active rollouts offer updates; one the device has started is
+ * offered again so an interrupted download can resume
+ */
+async function findUpdate(deviceId) {
+  return repositories.admin().firmwareUpdates.findOpen(deviceId, OPEN_UPDATE_STATUSES);
+}
+
+/**
+ * Why a rollout with this progress should halt, or null
+ * The failure rate counts finished devices only, once there are
+ * enough of them (or all targeted devices finished)
+ */
+function haltReason(progress, maxFailurePercent) {
+  const failed = progress.failed + progress.rolled_back;
+  const finished = progress.succeeded + failed;
+  
+  if (finished === 0 || finished < Math.min(config.firmware.rolloutMinSample, progress.total)) return null;
+  if (failed * 100 < maxFailurePercent * finished) return null;
+  
+  return `${failed} of ${finished} finished devices failed (limit ${maxFailurePercent}%)`;
+}
+
+/**
+ * Halt a rollout if failures have reached its threshold,
+ * or mark it completed once no device is still updating
+ */
+async function checkRollout(rolloutId) {
+  const rollout = await repositories.admin().rollouts.get(rolloutId);
+  if (!rollout || rollout.status !== 'active') return;
+  
+  const progress = await rolloutProgress(rolloutId);
+  const reason = haltReason(progress, rollout.max_failure_percent);
+  
+  let updates = null;
+  if (reason) {
+    updates = { status: 'halted', halted_reason: reason };
+  } else if (OPEN_UPDATE_STATUSES.every(status => progress[status] === 0)) {
+    updates = { status: 'completed' };
+  }
+  
+  if (!updates) return;
+  
+  await repositories.admin().rollouts.update(rolloutId, {
+    ...updates,
+    updated_at: new Date().toISOString(),
+  }, { statuses: ['active'] });
+}
+
+/**
+ * Record progress reported by a device
+ * 
+ * status: 'downloading' | 'installing' | 'succeeded' | 'failed' | 'rolled_back'
+ * Returns { ok: true, update, rollback } or { ok: false, reason } where
+ * reason is 'not_found' or 'invalid_transition'. rollback is
+ * { version } when the device should go back to its previous firmware.
+ */
+async function reportProgress(device, updateId, { status, error: message }) {
+  const repos = repositories.admin();
+  
+  const update = await repos.firmwareUpdates.get(device.id, updateId);
+  if (!update) return { ok: false, reason: 'not_found' };
+  
+  if (!TRANSITIONS[update.status].includes(status)) {
+    return { ok: false, reason: 'invalid_transition' };
+  }
+  
+  const now = new Date().toISOString();
+  const changes = {
+    status,
+    error: status === 'failed' ? message || null : update.error,
+    started_at: update.started_at || now,
+    updated_at: now,
+  };
+  if (['succeeded', 'failed', 'rolled_back'].includes(status)) {
+    changes.completed_at = now;
+  }
+  
+  const data = await repos.firmwareUpdates.update(update.id, changes, { status: update.status });
+  // Lost a race with another report from the same device
+  if (!data) return { ok: false, reason: 'invalid_transition' };
+  
+  const version = status === 'succeeded'
+    ? update.rollout.release.version
+    : status === 'rolled_back' ? update.from_version : null;
+  
+  if (version) {
+    await repos.devices.update(device.id, { firmware_version: version });
+  }
+  
+  if (status !== 'downloading' && status !== 'installing') {
+    await checkRollout(update.rollout_id);
+  }
+  
+  return {
+    ok: true,
+    update: data,
+    rollback: status === 'failed' ? { version: update.from_version } : null,
+  };
+}
+
+module.exports = {
+  OPEN_UPDATE_STATUSES,
+  storeImage,
+  removeImage,
+  downloadUrl,
+  createRollout,
+  rolloutProgress,
+  findUpdate,
+  haltReason,
+  checkRollout,
+  reportProgress,
+};
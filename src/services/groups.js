@@ -0,0 +1,143 @@
+const repositories = require('../repositories');
+
+/**
+ * Device labels and groups
+ * 
+ * Labels are free-form key/value pairs on a device, e.g.
+ * {"floor": "2", "role": "sensor"}.
+ * 
+ * Group types:
+ *   static  - members are added and removed explicitly
+ *   dynamic - members are the project's devices matching a query over
+ *             labels, tags and hardware type, evaluated when used
+ */
+
+const GROUP_TYPES = ['static', 'dynamic'];
+
+const LABEL_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.\/-]{0,62}$/;
+const MAX_LABELS = 32;
+const MAX_LABEL_VALUE_LENGTH = 100;
+
+const MAX_QUERY_TAGS = 20;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check a labels object
+ * allowNull: null values are allowed (they remove a label in updates)
+ * Returns an error message, or null if valid
+ */
+function checkLabels(labels, { allowNull = false } = {}) {
+  if (!isPlainObject(labels)) return 'labels must be an object';
+  
+  const entries = Object.entries(labels);
+  if (entries.length > MAX_LABELS) return `At most ${MAX_LABELS} labels are allowed`;
+  
+  for (const [key, value] of entries) {
+    if (!LABEL_KEY_PATTERN.test(key)) {
+      return `Invalid label key "${key}": letters, digits, _ . / - (max 63)`;
+    }
+    if (value === null && allowNull) continue;
+    if (typeof value !== 'string' || value.length > MAX_LABEL_VALUE_LENGTH) {
+      return `Label "${key}" must be a string of up to ${MAX_LABEL_VALUE_LENGTH} characters`;
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Merge label changes into a device's labels; null values remove a label
+ */
+function mergeLabels(current, changes) {
+  const merged = { ...(current || {}) };
+  for (const [key, value] of Object.entries(changes)) {
+    if (value === null) delete merged[key];
+    else merged[key] = value;
+  }
+  return merged;
+}
+
+/**
+ * Check and normalize a dynamic group query
+ * { labels?: {key: value}, tags?: [tag], hardware_type? } - at least one
+ * Returns { query } or { error }
+ */
+function normalizeQuery(query) {
+  if (!isPlainObject(query)) return { error: 'query must be an object' };
+  
+  const unknown = Object.keys(query).filter(key => !['labels', 'tags', 'hardware_type'].includes(key));
+  if (unknown.length > 0) return { error: `Unknown query fields: ${unknown.join(', ')}` };
+  
+  const normalized = {};
+  
+  if (query.labels !== undefined) {
+    const labelError = checkLabels(query.labels);
+    if (labelError) return { error: labelError };
+    if (Object.keys(query.labels).length > 0) normalized.labels = query.labels;
+  }
+  
+  if (query.tags !== undefined) {
+    const valid = Array.isArray(query.tags)
+      && query.tags.length <= MAX_QUERY_TAGS
+      && query.tags.every(tag => typeof tag === 'string' && tag.trim() && tag.length <= 50);
+    if (!valid) return { error: `tags must be an array of up to ${MAX_QUERY_TAGS} tags` };
+    if (query.tags.length > 0) normalized.tags = [...new Set(query.tags.map(tag => tag.trim()))];
+  }
+  
+  if (query.hardware_type !== undefined) {
+    if (typeof query.hardware_type !== 'string' || !query.hardware_type.trim()) {
+      return { error: 'hardware_type must be a non-empty string' };
+    }
+    normalized.hardware_type = query.hardware_type.trim();
+  }
+  
+  if (Object.keys(normalized).length === 0) {
+    return { error: 'query must match on labels, tags or hardware_type' };
+  }
+  
+  return { query: normalized };
+}
+
+/**
+ * IDs of every device in a group, up to limit + 1 (so callers can tell
+ * the group is over the limit)
+ */
+async function memberIds(group, limit) {
+  return repositories.admin().devices.idsInGroup(group, limit + 1);
+}
+
+/**
+ * Add devices to a static group
+ * Devices outside the group's project are skipped
+ * Returns { added, skipped } - lists of device IDs
+ */
+async function addMembers(group, deviceIds) {
+  const repos = repositories.admin();
+  
+  const found = new Set(await repos.devices.idsInProject(group.project_id, deviceIds));
+  const added = deviceIds.filter(id => found.has(id));
+  
+  if (added.length > 0) {
+    await repos.groups.addMembers(group.id, added);
+  }
+  
+  return { added, skipped: deviceIds.filter(id => !found.has(id)) };
+}
+
+async function removeMember(groupId, deviceId) {
+  return repositories.admin().groups.removeMember(groupId, deviceId);
+}
+
+module.exports = {
+  GROUP_TYPES,
+  MAX_LABELS,
+  checkLabels,
+  mergeLabels,
+  normalizeQuery,
+  memberIds,
+  addMembers,
+  removeMember,
+};
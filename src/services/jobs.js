@@ -0,0 +1,382 @@
+const config = require('../../config');
+const repositories = require('../repositories');
+const { emqx } = require('./emqx');
+const commands = require('./commands');
+const certificates = require('./certificates');
+const groups = require('./groups');
+const audit = require('./audit');
+const webhooks = require('./webhooks');
+const events = require('./events');
+const { deviceTopicBase } = require('../utils/topics');
+const { logger } = require('../utils/logger');
+
+/**
+ * Group jobs: one operation run over many devices in the background
+ * 
+ * Types and params:
+ *   command          - { name, payload?, ttl_seconds? }
+ *   update_metadata  - { labels?, add_tags?, remove_tags?, hardware_type? }
+ *                      labels are merged; a null value removes a label
+ *   regenerate_token - {}
+ *                      the new tokens are kept apart from the results
+ *                      until collectTokens hands them out, once
+ * 
+ * The target devices are fixed when the job is created, one result row
+ * each. A worker claims queued jobs and works through their pending
+ * results, refreshing its claim before each device; a job whose claim
+ * goes stale (e.g. after a crash) is picked up where it left off, and
+ * the worker that lost it stops. A result is only written while it's
+ * still pending, so no device's outcome is recorded twice.
+ * 
+ * Lifecycle: queued -> running -> completed
+ */
+
+const JOB_TYPES = ['command', 'update_metadata', 'regenerate_token'];
+
+// A job not heard from in this long is picked up by another worker
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Pending devices fetched at a time
+const BATCH_SIZE = 50;
+
+let workerTimer = null;
+let processing = null;
+
+/**
+ * Create a job over the given devices and start it
+ * actor: { type, id } - recorded on each device's audit entries
+ */
+async function createJob({ projectId, groupId, type, params, deviceIds, actor, userId }) {
+  const repos = repositories.admin();
+  
+  // Hold a claim while the results are written so no worker starts early
+  const job = await repos.jobs.create({
+    project_id: projectId,
+    group_id: groupId,
+    type,
+    params,
+    total: deviceIds.length,
+    actor_type: actor.type,
+    actor_id: actor.id,
+    created_by: userId,
+    claimed_at: new Date().toISOString(),
+  });
+  
+  try {
+    await repos.jobs.addResults(job.id, deviceIds);
+  } catch (err) {
+    await repos.jobs.remove(job.id);
+    throw err;
+  }
+  
+  const queued = await repos.jobs.update(job.id, { claimed_at: null });
+  
+  processDue();
+  return queued;
+}
+
+/**
+ * Pending/succeeded/failed counts of a job's results
+ */
+function countResults(jobId) {
+  return repositories.admin().jobs.countResults(jobId);
+}
+
+/**
+ * The new device tokens of a completed regenerate_token job
+ * ([{ device_id, name, device_token }]), for the first caller only:
+ * they're removed from the results once handed out
+ * Returns null if they were collected before
+ */
+async function collectTokens(job) {
+  const repos = repositories.admin();
+  
+  const tokens = await repos.jobs.listTokens(job.id);
+  
+  // Of concurrent callers, only the one who marks the job gets them
+  const collected = await repos.jobs.update(job.id, {
+    tokens_collected_at: new Date().toISOString(),
+  }, { tokens_collected_at: null });
+  if (!collected) return null;
+  
+  await repos.jobs.purgeTokens(job.id);
+  return tokens;
+}
+
+// ===================
+// Operations
+// ===================
+
+// Each takes (job, device) and returns the result to store, or throws
+// an OperationError with a message for the result row
+
+class OperationError extends Error {}
+
+function auditDevice(job, entry) {
+  return audit.record({}, {
+    projectId: job.project_id,
+    targetType: 'device',
+    actor: { type: job.actor_type, id: job.actor_id },
+    ...entry,
+    metadata: { ...entry.metadata, job_id: job.id },
+  });
+}
+
+async function sendCommand(job, device) {
+  if (!device.is_provisioned) {
+    throw new OperationError('Device is not provisioned');
+  }
+  
+  const ttlSeconds = job.params.ttl_seconds || config.commands.defaultTtlSeconds;
+  
+  const command = await repositories.admin().commands.create({
+    device_id: device.id,
+    name: job.params.name,
+    payload: job.params.payload === undefined ? null : job.params.payload,
+    status: 'queued',
+    expires_at: new Date(Date.now() + ttlSeconds * 1000).toISOString(),
+    created_by: job.created_by,
+  });
+  
+  const sent = await commands.dispatch(command, deviceTopicBase(device.project.user_id, device.id));
+  
+  await auditDevice(job, {
+    action: 'device.command_sent',
+    targetId: device.id,
+    metadata: { command_id: sent.id, name: sent.name, status: sent.status },
+  });
+  
+  if (sent.status === 'failed') {
+    throw new OperationError(sent.error || 'Failed to send command');
+  }
+  
+  return { command_id: sent.id, status: sent.status };
+}
+
+async function updateMetadata(job, device) {
+  const updates = {};
+  
+  if (job.params.labels) {
+    updates.labels = groups.mergeLabels(device.labels, job.params.labels);
+    if (Object.keys(updates.labels).length > groups.MAX_LABELS) {
+      throw new OperationError(`Device would have more than ${groups.MAX_LABELS} labels`);
+    }
+  }
+  if (job.params.add_tags || job.params.remove_tags) {
+    const removed = new Set(job.params.remove_tags || []);
+    updates.tags = [...new Set([...(device.tags || []), ...(job.params.add_tags || [])])]
+      .filter(tag => !removed.has(tag));
+    if (updates.tags.length > 20) {
+      throw new OperationError('Device would have more than 20 tags');
+    }
+  }
+  if (job.params.hardware_type) {
+    updates.hardware_type = job.params.hardware_type;
+  }
+  
+  const data = await repositories.admin().devices.update(device.id, updates);
+  
+  if (!data) {
+    throw new OperationError('Device not found');
+  }
+  
+  await auditDevice(job, {
+    action: 'device.updated',
+    targetId: device.id,
+    before: device,
+    after: data,
+  });
+  events.publishDevice('device.updated', data, { changed: Object.keys(updates) });
+  
+  return { labels: data.labels, tags: data.tags, hardware_type: data.hardware_type };
+}
+
+async function regenerateToken(job, device) {
+  const repos = repositories.admin();
+  
+  // Old MQTT credentials stop working on the broker right away
+  if (emqx.isConfigured()) {
+    try {
+      await emqx.revokeDevice({ mqttUsername: device.mqtt_username, clientId: device.id });
+    } catch (err) {
+      logger.error('EMQX revoke failed', { err, job_id: job.id, device_id: device.id });
+      throw new OperationError('Failed to revoke device on MQTT broker');
+    }
+  }
+  
+  await certificates.revokeDeviceCertificates(device.id, 'superseded');
+  
+  // Kept for collectTokens before the device gets it, so a token in
+  // use is never lost; only succeeded results' tokens are handed out
+  const deviceToken = await repos.tokens.generate();
+  const kept = await repos.jobs.updateResult(job.id, device.id, { device_token: deviceToken }, { status: 'pending' });
+  
+  if (!kept) {
+    throw new OperationError('Device was handled by another worker');
+  }
+  
+  const data = await repos.devices.update(device.id, {
+    device_token: deviceToken,
+    is_provisioned: false,
+    mqtt_username: null,
+    mqtt_password_hash: null,
+    auth_method: 'password',
+  });
+  
+  if (!data) {
+    throw new OperationError('Device not found');
+  }
+  
+  await auditDevice(job, {
+    action: 'device.token_regenerated',
+    targetId: device.id,
+    before: device,
+    after: data,
+  });
+  await webhooks.emit(data.project_id, 'device.token_regenerated', webhooks.devicePayload(data));
+  events.publishDevice('device.token_regenerated', data);
+  
+  return { regenerated: true };
+}
+
+const OPERATIONS = {
+  command: sendCommand,
+  update_metadata: updateMetadata,
+  regenerate_token: regenerateToken,
+};
+
+// ===================
+// Worker
+// ===================
+
+/**
+ * Claim a job so only one worker runs it
+ * Returns the job, or null if someone else has it
+ */
+async function claim(job) {
+  return repositories.admin().jobs.update(job.id, {
+    status: 'running',
+    claimed_at: new Date().toISOString(),
+    started_at: job.started_at || new Date().toISOString(),
+  }, { status: job.status, claimed_at: job.claimed_at });
+}
+
+async function runDevice(job, deviceId) {
+  const repos = repositories.admin();
+  
+  let updates;
+  try {
+    const device = await repos.devices.findWithOwner(deviceId);
+    if (!device) {
+      throw new OperationError('Device not found');
+    }
+    
+    const output = await OPERATIONS[job.type](job, device);
+    updates = { status: 'succeeded', result: output };
+  } catch (err) {
+    if (!(err instanceof OperationError)) {
+      logger.error('Job failed on device', { err, job_id: job.id, device_id: deviceId });
+    }
+    updates = {
+      status: 'failed',
+      error: err instanceof OperationError ? err.message : 'Unexpected error',
+    };
+  }
+  
+  // Unless another worker took the job over and got here first
+  await repos.jobs.updateResult(job.id, deviceId, {
+    ...updates,
+    completed_at: new Date().toISOString(),
+  }, { status: 'pending' });
+}
+
+/**
+ * Work through a claimed job's pending devices, then complete it
+ */
+async function runJob(job) {
+  const repos = repositories.admin();
+  let claimedAt = job.claimed_at;
+  
+  // Write to the job while the claim is still ours, refreshing it
+  // Returns false once another worker has taken the job over
+  const touch = async updates => {
+    const now = new Date().toISOString();
+    const updated = await repos.jobs.update(job.id, { claimed_at: now, ...updates }, { claimed_at: claimedAt });
+    claimedAt = now;
+    return Boolean(updated);
+  };
+  
+  for (;;) {
+    const pending = await repos.jobs.pendingResults(job.id, BATCH_SIZE);
+    if (pending.length === 0) break;
+    
+    for (const deviceId of pending) {
+      // One device takes at most a few broker timeouts, well inside
+      // STALE_CLAIM_MS
+      if (!(await touch({}))) return;
+      await runDevice(job, deviceId);
+    }
+    
+    const { succeeded, failed } = await countResults(job.id);
+    if (!(await touch({ succeeded, failed }))) return;
+  }
+  
+  const { succeeded, failed } = await countResults(job.id);
+  await touch({
+    status: 'completed',
+    succeeded,
+    failed,
+    claimed_at: null,
+    completed_at: new Date().toISOString(),
+  });
+}
+
+/**
+ * Run every queued job (and any whose worker went away)
+ * Concurrent calls share the same pass
+ */
+function processDue() {
+  if (!processing) {
+    processing = runDue()
+      .catch(err => logger.error('Job worker error', { err }))
+      .finally(() => {
+        processing = null;
+      });
+  }
+  return processing;
+}
+
+async function runDue() {
+  const staleBefore = new Date(Date.now() - STALE_CLAIM_MS).toISOString();
+  
+  const due = await repositories.admin().jobs.listDue(staleBefore, 10);
+  
+  for (const job of due) {
+    const claimed = await claim(job);
+    if (claimed) await runJob(claimed);
+  }
+}
+
+/**
+ * Poll for queued jobs (including those left by a restart)
+ */
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(processDue, config.jobs.pollIntervalMs);
+  workerTimer.unref();
+}
+
+function stopWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  JOB_TYPES,
+  createJob,
+  countResults,
+  collectTokens,
+  processDue,
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,58 @@
+const repositories = require('../repositories');
+
+/**
+ * Device presence from broker connect/disconnect events
+ * 
+ * Keeps devices.online / last_seen_at / last_ip current and appends
+ * every event to device_connections. Events can arrive out of order,
+ * so an event only changes the device if it's newer than last_seen_at.
+ */
+
+/**
+ * Record a connect or disconnect event
+ * 
+ * event: 'connected' | 'disconnected'
+ * at: Date the broker saw the event
+ * Returns true if the device's presence changed
+ */
+async function recordEvent(deviceId, { event, ip, reason, at }) {
+  const occurredAt = at.toISOString();
+  
+  await repositories.admin().connections.insert({
+    device_id: deviceId,
+    event,
+    ip: ip || null,
+    reason: reason || null,
+    occurred_at: occurredAt,
+  });
+  
+  const updates = {
+    online: event === 'connected',
+    last_seen_at: occurredAt,
+  };
+  if (event === 'connected' && ip) {
+    updates.last_ip = ip;
+  }
+  
+  return repositories.admin().devices.updatePresence(deviceId, updates);
+}
+
+/**
+ * Strip the port from an EMQX peername ("1.2.3.4:5678", "[::1]:5678")
+ */
+function parsePeername(peername) {
+  if (typeof peername !== 'string' || peername.length === 0) return null;
+  
+  const ipv6 = /^\[(.+)\]:\d+$/.exec(peername);
+  if (ipv6) return ipv6[1];
+  
+  const separator = peername.lastIndexOf(':');
+  return separator > 0 && peername.indexOf(':') === separator
+    ? peername.slice(0, separator)
+    : peername;
+}
+
+module.exports = {
+  recordEvent,
+  parsePeername,
+};
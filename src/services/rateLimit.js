@@ -0,0 +1,141 @@
+const config = require('../../config');
+
+/**
+ * Rate limiting and lockouts
+ * 
+ * Counters live in a pluggable store. The default keeps them in
+ * memory, which is fine for a single API instance; run several and
+ * install a shared store (e.g. Redis) with useStore() at startup.
+ * 
+ * A store implements (all async):
+ * - increment(key, windowMs) -> { count, resetAt }
+ *     Add 1 to key's counter, starting a new window of windowMs if
+ *     there is none; resetAt is when the window ends (epoch ms)
+ * - get(key) -> { count, resetAt } | null
+ * - set(key, count, ttlMs)
+ * - delete(key)
+ */
+
+// Expired memory-store entries are swept this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * In-memory store (per process)
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  let sweeper = null;
+  
+  function live(key, now) {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+  
+  function startSweeper() {
+    if (sweeper) return;
+    sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of entries) {
+        if (entry.resetAt <= now) entries.delete(key);
+      }
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+  }
+  
+  return {
+    async increment(key, windowMs) {
+      startSweeper();
+      const now = Date.now();
+      const entry = live(key, now) || { count: 0, resetAt: now + windowMs };
+      entry.count += 1;
+      entries.set(key, entry);
+      return { ...entry };
+    },
+    
+    async get(key) {
+      const entry = live(key, Date.now());
+      return entry && { ...entry };
+    },
+    
+    async set(key, count, ttlMs) {
+      startSweeper();
+      entries.set(key, { count, resetAt: Date.now() + ttlMs });
+    },
+    
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+let store = createMemoryStore();
+
+/**
+ * Replace the counter store (call before the server starts)
+ */
+function useStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Count a request against a limit
+ * Returns { allowed, limit, remaining, resetMs } - resetMs is the time
+ * until the window ends
+ */
+async function hit(name, key, { max, windowMs }) {
+  const { count, resetAt } = await store.increment(`rl:${name}:${key}`, windowMs);
+  
+  return {
+    allowed: count <= max,
+    limit: max,
+    remaining: Math.max(0, max - count),
+    resetMs: Math.max(0, resetAt - Date.now()),
+  };
+}
+
+/**
+ * Time left on a lockout of key, in ms (0 if not locked)
+ */
+async function lockedFor(name, key) {
+  const lock = await store.get(`lock:${name}:${key}`);
+  return lock ? Math.max(0, lock.resetAt - Date.now()) : 0;
+}
+
+/**
+ * Record a failed attempt
+ * From the threshold-th failure on, each one locks key out, for twice
+ * as long as the previous lockout (capped)
+ * Returns the lockout it started in ms (0 if none)
+ */
+async function recordFailure(name, key) {
+  const { threshold, baseMs, maxMs, windowMs } = config.rateLimit.lockout;
+  const { count } = await store.increment(`fail:${name}:${key}`, windowMs);
+  
+  if (count < threshold) return 0;
+  
+  const durationMs = Math.min(baseMs * 2 ** (count - threshold), maxMs);
+  await store.set(`lock:${name}:${key}`, count, durationMs);
+  
+  return durationMs;
+}
+
+/**
+ * Forget failed attempts after a success
+ */
+async function clearFailures(name, key) {
+  await store.delete(`fail:${name}:${key}`);
+  await store.delete(`lock:${name}:${key}`);
+}
+
+module.exports = {
+  createMemoryStore,
+  useStore,
+  hit,
+  lockedFor,
+  recordFailure,
+  clearFailures,
+};
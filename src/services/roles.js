@@ -0,0 +1,37 @@
+const repositories = require('../repositories');
+
+/**
+ * Project roles, lowest to highest
+ * 
+ *   viewer   - read projects, devices, channels, telemetry, commands
+ *   operator - + send commands, set desired state, edit device details
+ *   admin    - + create/delete devices, regenerate tokens, manage
+ *              channels, API keys, members and project settings
+ *   owner    - + delete the project, grant/revoke owner
+ */
+const ROLES = ['viewer', 'operator', 'admin', 'owner'];
+
+function roleAtLeast(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole);
+}
+
+/**
+ * A user's role in a project, or null if they aren't a member
+ */
+async function getProjectRole(userId, projectId) {
+  return repositories.admin().projects.memberRole(projectId, userId);
+}
+
+/**
+ * The project a device belongs to, or null if the device doesn't exist
+ */
+async function getDeviceProjectId(deviceId) {
+  return repositories.admin().devices.projectIdOf(deviceId);
+}
+
+module.exports = {
+  ROLES,
+  roleAtLeast,
+  getProjectRole,
+  getDeviceProjectId,
+};
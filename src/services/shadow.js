@@ -0,0 +1,191 @@
+const { emqx } = require('./emqx');
+const repositories = require('../repositories');
+const { logger } = require('../utils/logger');
+
+/**
+ * Device shadow
+ * 
+ * - reported: last state the device published (merged from partial updates)
+ * - desired:  state users want the device in (replaced as a whole)
+ * - delta:    desired keys whose value differs from reported
+ * 
+ * Each document has its own version. Writes only succeed against the
+ * version they were based on, so concurrent writers can't silently
+ * overwrite each other.
+ */
+
+// Retries for device-side merges that lose a version race
+const MAX_MERGE_ATTEMPTS = 3;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  return keysA.length === keysB.length && keysA.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Keys in desired that reported doesn't match (recursive for objects)
+ */
+function computeDelta(desired, reported) {
+  const delta = {};
+  
+  for (const [key, value] of Object.entries(desired || {})) {
+    const current = reported ? reported[key] : undefined;
+    
+    if (isPlainObject(value) && isPlainObject(current)) {
+      const nested = computeDelta(value, current);
+      if (Object.keys(nested).length > 0) delta[key] = nested;
+    } else if (!isEqual(value, current)) {
+      delta[key] = value;
+    }
+  }
+  
+  return delta;
+}
+
+/**
+ * JSON merge patch (RFC 7386): null removes a key, objects merge
+ */
+function mergePatch(target, patch) {
+  if (!isPlainObject(patch)) return patch;
+  
+  const result = isPlainObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Shape a shadow row for API responses
+ */
+function present(deviceId, row) {
+  const shadow = row || {
+    reported: {},
+    desired: {},
+    reported_version: 0,
+    desired_version: 0,
+    updated_at: null,
+  };
+  
+  return {
+    device_id: deviceId,
+    reported: shadow.reported,
+    desired: shadow.desired,
+    delta: computeDelta(shadow.desired, shadow.reported),
+    reported_version: shadow.reported_version,
+    desired_version: shadow.desired_version,
+    updated_at: shadow.updated_at,
+  };
+}
+
+async function fetchRow(deviceId) {
+  return repositories.admin().shadows.get(deviceId);
+}
+
+/**
+ * Write changes if the row is still at the version we read
+ * Returns the new row, or null if someone else wrote first
+ */
+async function writeIfUnchanged(deviceId, row, versionField, changes) {
+  const updates = {
+    ...changes,
+    [versionField]: (row ? row[versionField] : 0) + 1,
+    updated_at: new Date().toISOString(),
+  };
+  
+  if (!row) {
+    return repositories.admin().shadows.create({ device_id: deviceId, ...updates });
+  }
+  
+  return repositories.admin().shadows.updateIfVersion(deviceId, versionField, row[versionField], updates);
+}
+
+/**
+ * Get a device's shadow
+ */
+async function getShadow(deviceId) {
+  return present(deviceId, await fetchRow(deviceId));
+}
+
+/**
+ * Replace the desired document
+ * expectedVersion must match the current desired_version
+ * Returns { ok, shadow } - on conflict, shadow is the current one
+ */
+async function setDesired(deviceId, desired, expectedVersion) {
+  const row = await fetchRow(deviceId);
+  const currentVersion = row ? row.desired_version : 0;
+  
+  if (currentVersion !== expectedVersion) {
+    return { ok: false, shadow: present(deviceId, row) };
+  }
+  
+  const updated = await writeIfUnchanged(deviceId, row, 'desired_version', { desired });
+  if (!updated) {
+    return { ok: false, shadow: await getShadow(deviceId) };
+  }
+  
+  return { ok: true, shadow: present(deviceId, updated) };
+}
+
+/**
+ * Merge a device's state update into the reported document
+ * Retries a few times if it races another update
+ */
+async function updateReported(deviceId, patch) {
+  for (let attempt = 0; attempt < MAX_MERGE_ATTEMPTS; attempt++) {
+    const row = await fetchRow(deviceId);
+    const reported = mergePatch(row ? row.reported : {}, patch);
+    
+    const updated = await writeIfUnchanged(deviceId, row, 'reported_version', {
+      reported,
+      reported_at: new Date().toISOString(),
+    });
+    if (updated) return present(deviceId, updated);
+  }
+  
+  throw new Error(`Shadow update for device ${deviceId} kept conflicting`);
+}
+
+/**
+ * Push the current delta to the device
+ * Retained, so a device that reconnects still gets it; an empty delta
+ * clears the retained message
+ */
+async function publishDelta(topicBase, shadow) {
+  if (!emqx.isConfigured()) return;
+  
+  const hasDelta = Object.keys(shadow.delta).length > 0;
+  
+  try {
+    await emqx.publish(
+      `${topicBase}/cmd/_shadow/delta`,
+      hasDelta ? { delta: shadow.delta, desired_version: shadow.desired_version } : '',
+      { qos: 1, retain: true }
+    );
+  } catch (err) {
+    logger.error('Shadow delta publish failed', { err, topic_base: topicBase });
+  }
+}
+
+module.exports = {
+  computeDelta,
+  mergePatch,
+  getShadow,
+  setDesired,
+  updateReported,
+  publishDelta,
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { createClient } = require('@supabase/supabase-js');
 const config = require('../../config');
 
@@ -33,7 +34,74 @@ function createUserClient(accessToken) {
   );
 }
 
+// Lifetime of JWTs minted by signUserToken
+const MINTED_TOKEN_TTL_SECONDS = 60;
+
+// Sign a short-lived JWT for a user, so requests that aren't made with
+// the user's own token (e.g. project API keys) still go through RLS
+// email: their email claim, if the token should carry one
+// Requires SUPABASE_JWT_SECRET
+function signUserToken(userId, { email } = {}) {
+  if (!config.supabase.jwtSecret) {
+    throw new Error('SUPABASE_JWT_SECRET is not configured');
+  }
+  
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  
+  const unsigned = [
+    encode({ alg: 'HS256', typ: 'JWT' }),
+    encode({
+      sub: userId,
+      ...(email && { email }),
+      role: 'authenticated',
+      aud: 'authenticated',
+      iat: now,
+      exp: now + MINTED_TOKEN_TTL_SECONDS,
+    }),
+  ].join('.');
+  
+  const signature = crypto
+    .createHmac('sha256', config.supabase.jwtSecret)
+    .update(unsigned)
+    .digest('base64url');
+  
+  return `${unsigned}.${signature}`;
+}
+
+// Verify a user JWT signed with SUPABASE_JWT_SECRET (HS256)
+// Returns its claims, or null if it's invalid or expired
+function verifyUserToken(token) {
+  if (!config.supabase.jwtSecret) {
+    throw new Error('SUPABASE_JWT_SECRET is not configured');
+  }
+  
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) return null;
+  
+  const expected = crypto
+    .createHmac('sha256', config.supabase.jwtSecret)
+    .update(`${header}.${payload}`)
+    .digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+  
+  let claims;
+  try {
+    if (JSON.parse(Buffer.from(header, 'base64url')).alg !== 'HS256') return null;
+    claims = JSON.parse(Buffer.from(payload, 'base64url'));
+  } catch (err) {
+    return null;
+  }
+  
+  if (!claims.sub || claims.aud !== 'authenticated') return null;
+  if (claims.exp && claims.exp <= Math.floor(Date.now() / 1000)) return null;
+  return claims;
+}
+
 module.exports = {
   supabaseAdmin,
   createUserClient,
+  signUserToken,
+  verifyUserToken,
 };
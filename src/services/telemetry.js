@@ -0,0 +1,233 @@
+const config = require('../../config');
+const repositories = require('../repositories');
+const channelSchema = require('./channelSchema');
+const webhooks = require('./webhooks');
+const alerts = require('./alerts');
+const events = require('./events');
+const { logger } = require('../utils/logger');
+
+/**
+ * Telemetry ingestion
+ * 
+ * Readings are buffered in memory and written to the telemetry table
+ * in batches: whenever batchSize readings are waiting, or every
+ * flushIntervalMs, whichever comes first.
+ */
+
+const buffer = [];
+let flushTimer = null;
+let flushing = null;
+
+// "deviceId:channel" keys currently outside their channel bounds, so
+// telemetry.threshold fires once per crossing rather than per reading
+const outOfRangeChannels = new Set();
+
+// Past this many, the oldest keys are forgotten (channels of deleted or
+// silent devices would otherwise stay forever); a forgotten channel
+// fires once more on its next out-of-range reading
+const MAX_OUT_OF_RANGE_CHANNELS = 10000;
+
+/**
+ * Turn a raw reading into a telemetry row
+ * Returns null if the reading isn't usable
+ */
+function toRow(deviceId, { channel, value, ts, flagged }) {
+  if (typeof channel !== 'string' || channel.length === 0 || channel.length > 100) {
+    return null;
+  }
+  if (value === undefined) return null;
+  
+  const timestamp = ts === undefined ? new Date() : new Date(ts);
+  if (Number.isNaN(timestamp.getTime())) return null;
+  
+  return {
+    device_id: deviceId,
+    channel,
+    value,
+    // Numeric copy used for min/max/avg aggregates
+    value_num: typeof value === 'number' && Number.isFinite(value) ? value : null,
+    // Kept despite failing channel validation (project policy "flag")
+    flagged: Boolean(flagged),
+    ts: timestamp.toISOString(),
+  };
+}
+
+/**
+ * Queue readings for a device
+ * readings: [{ channel, value, ts? }]
+ * Returns the number of readings accepted
+ */
+function enqueue(deviceId, readings) {
+  const rows = readings
+    .map(reading => toRow(deviceId, reading))
+    .filter(Boolean);
+  
+  buffer.push(...rows);
+  
+  if (buffer.length >= config.telemetry.batchSize) {
+    flush();
+  } else if (!flushTimer && buffer.length > 0) {
+    flushTimer = setTimeout(flush, config.telemetry.flushIntervalMs);
+    flushTimer.unref();
+  }
+  
+  return rows.length;
+}
+
+/**
+ * Validate readings against the device's channels, then queue them
+ * Returns { accepted, rejected } - accepted is a count, rejected lists
+ * { channel, value, reason } for each dropped reading
+ */
+async function ingest(deviceId, readings) {
+  const { accepted, rejected, outOfRange, projectId } = await channelSchema.validateReadings(
+    deviceId,
+    'telemetry',
+    readings
+  );
+  
+  await emitThresholdCrossings(deviceId, projectId, readings, outOfRange);
+  
+  const queued = enqueue(deviceId, accepted);
+  await alerts.evaluateReadings(deviceId, projectId, accepted);
+  
+  if (accepted.length > 0) {
+    events.publish(projectId, 'telemetry', { deviceId, data: { readings: accepted } });
+  }
+  
+  return {
+    accepted: queued,
+    rejected,
+  };
+}
+
+/**
+ * Emit telemetry.threshold when a channel goes out of range
+ * A channel re-arms once it reports an in-range value again
+ */
+async function emitThresholdCrossings(deviceId, projectId, readings, outOfRange) {
+  const crossed = new Map(outOfRange.map(reading => [reading.channel, reading]));
+  
+  for (const reading of readings) {
+    if (!crossed.has(reading.channel)) {
+      outOfRangeChannels.delete(`${deviceId}:${reading.channel}`);
+    }
+  }
+  
+  for (const reading of crossed.values()) {
+    const key = `${deviceId}:${reading.channel}`;
+    if (outOfRangeChannels.has(key)) continue;
+    outOfRangeChannels.add(key);
+    if (outOfRangeChannels.size > MAX_OUT_OF_RANGE_CHANNELS) {
+      // Sets iterate in insertion order
+      outOfRangeChannels.delete(outOfRangeChannels.values().next().value);
+    }
+    
+    await webhooks.emit(projectId, 'telemetry.threshold', {
+      device: { id: deviceId, project_id: projectId },
+      ...reading,
+    });
+  }
+}
+
+/**
+ * Write everything currently buffered
+ * Concurrent calls share the same in-flight flush
+ */
+function flush() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  
+  if (!flushing) {
+    flushing = drain().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+// Insert batches until the buffer is empty
+// A failed batch is put back (up to maxBuffer readings) and retried later
+async function drain() {
+  while (buffer.length > 0) {
+    const batch = buffer.splice(0, config.telemetry.batchSize);
+    
+    const error = await repositories.admin().telemetry.insert(batch).then(() => null, err => err);
+    
+    if (error) {
+      logger.error('Telemetry batch insert failed', { err: error, readings: batch.length });
+      
+      const room = Math.max(config.telemetry.maxBuffer - buffer.length, 0);
+      if (room < batch.length) {
+        logger.error('Telemetry buffer full, dropping readings', { dropped: batch.length - room });
+      }
+      buffer.unshift(...batch.slice(0, room));
+      
+      // Retry on the next interval instead of spinning
+      if (!flushTimer) {
+        flushTimer = setTimeout(flush, config.telemetry.flushIntervalMs);
+        flushTimer.unref();
+      }
+      return;
+    }
+  }
+}
+
+/**
+ * Write everything buffered before the process exits, retrying failed
+ * batches for up to timeoutMs; what's left after that is logged as lost
+ */
+async function close(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  
+  await flush();
+  while (buffer.length > 0 && Date.now() < deadline) {
+    const wait = Math.min(config.telemetry.flushIntervalMs, deadline - Date.now());
+    await new Promise(resolve => setTimeout(resolve, wait));
+    await flush();
+  }
+  
+  if (buffer.length > 0) {
+    logger.error('Telemetry readings lost at shutdown', { dropped: buffer.length });
+  }
+}
+
+/**
+ * Parse an MQTT telemetry message into readings
+ * 
+ * - Topic .../tel/{channel}: payload is a bare value or { value, ts }
+ * - Topic .../tel/ (no channel): payload is { channel: value, ... }
+ */
+function parseMqttPayload(channel, payload) {
+  let parsed = payload;
+  if (typeof payload === 'string') {
+    try {
+      parsed = JSON.parse(payload);
+    } catch {
+      // Not JSON - keep it as a plain string value
+      parsed = payload;
+    }
+  }
+  
+  if (channel) {
+    if (parsed && typeof parsed === 'object' && !Array.isArray(parsed) && 'value' in parsed) {
+      return [{ channel, value: parsed.value, ts: parsed.ts }];
+    }
+    return [{ channel, value: parsed }];
+  }
+  
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return [];
+  
+  const { ts, ...values } = parsed;
+  return Object.entries(values).map(([key, value]) => ({ channel: key, value, ts }));
+}
+
+module.exports = {
+  ingest,
+  enqueue,
+  flush,
+  close,
+  parseMqttPayload,
+};
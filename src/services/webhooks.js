@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const config = require('../../config');
+const repositories = require('../repositories');
+const { logger } = require('../utils/logger');
+const network = require('../utils/network');
+
+/**
+ * Outbound webhooks
+ * 
+ * emit() stores one delivery per subscribed webhook; a worker posts
+ * due deliveries and retries failures with exponential backoff
+ * (retryBaseMs * 2^(attempt - 1), capped at retryMaxMs) until
+ * maxAttempts is reached.
+ * 
+ * Each request is signed:
+ *   X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ * using the webhook's secret.
+ * 
+ * Receivers must be on public addresses: checked when a webhook is
+ * registered (isAllowedUrl) and again for the address each delivery
+ * connects to, so a DNS change can't point it at internal services.
+ */
+
+const EVENT_TYPES = [
+  'device.created',
+  'device.provisioned',
+  'device.token_regenerated',
+  'device.deleted',
+  'device.online',
+  'device.offline',
+  'telemetry.threshold',
+];
+
+// A delivery stuck in flight this long (e.g. after a crash) is retried
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+
+// Deliveries handled per worker pass
+const BATCH_SIZE = 20;
+
+let workerTimer = null;
+let processing = null;
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Signature header value for a request body
+ */
+function sign(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Device fields included in device.* event payloads (never credentials)
+ */
+function devicePayload(device) {
+  return {
+    device: {
+      id: device.id,
+      project_id: device.project_id,
+      name: device.name,
+      hardware_type: device.hardware_type,
+      is_provisioned: device.is_provisioned,
+    },
+  };
+}
+
+/**
+ * Whether a receiver URL may be registered: its host must resolve to
+ * public addresses only (unless config.webhooks.allowPrivateAddresses)
+ */
+async function isAllowedUrl(url) {
+  if (config.webhooks.allowPrivateAddresses) return true;
+  return network.resolvesPublic(new URL(url).hostname);
+}
+
+/**
+ * POST a body without following redirects
+ * Connects to public addresses only (unless allowPrivateAddresses)
+ * Resolves to the response status code
+ */
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = target.hostname.replace(/^\[(.*)\]$/, '$1');
+    const checked = !config.webhooks.allowPrivateAddresses;
+    
+    // IP literals never go through the lookup
+    if (checked && net.isIP(host) && !network.isPublicAddress(host)) {
+      return reject(new Error(`${host} is not a public address`));
+    }
+    
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: checked ? network.publicLookup : undefined,
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs),
+    }, response => {
+      // Drain the body so the connection is released
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+function backoffMs(attempts) {
+  return Math.min(
+    config.webhooks.retryBaseMs * 2 ** (attempts - 1),
+    config.webhooks.retryMaxMs
+  );
+}
+
+/**
+ * Queue an event for every enabled webhook in the project subscribed to it
+ * Never throws - event delivery must not break the action that caused it
+ */
+async function emit(projectId, type, data) {
+  try {
+    const repos = repositories.admin();
+    
+    const webhookIds = await repos.webhooks.listSubscribed(projectId, type);
+    if (webhookIds.length === 0) return;
+    
+    const event = {
+      id: crypto.randomUUID(),
+      type,
+      project_id: projectId,
+      created_at: new Date().toISOString(),
+      data,
+    };
+    
+    await repos.webhookDeliveries.createMany(webhookIds.map(webhookId => ({
+      webhook_id: webhookId,
+      project_id: projectId,
+      event_id: event.id,
+      event_type: type,
+      payload: event,
+      status: 'pending',
+      next_attempt_at: event.created_at,
+    })));
+    
+    // Don't wait for the next poll
+    processDue();
+  } catch (err) {
+    logger.error('Failed to queue webhook event', { err, project_id: projectId, event_type: type });
+  }
+}
+
+/**
+ * Re-queue a delivery for an immediate attempt
+ */
+async function redeliver(deliveryId) {
+  const data = await repositories.admin().webhookDeliveries.update(deliveryId, {
+    status: 'pending',
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    claimed_at: null,
+  }, { statuses: ['pending', 'succeeded', 'failed'] });
+  
+  if (data) processDue();
+  return data;
+}
+
+/**
+ * Claim a delivery so only one worker sends it
+ * Returns the delivery with its webhook, or null if someone else has it
+ */
+async function claim(delivery) {
+  return repositories.admin().webhookDeliveries.claim(delivery.id, delivery.status, new Date().toISOString());
+}
+
+/**
+ * POST one delivery (a row with its webhook) to the receiver
+ * Returns { statusCode, failure } - failure is null on a 2xx answer
+ */
+async function deliver(delivery) {
+  if (!delivery.webhook || !delivery.webhook.enabled) {
+    return { statusCode: null, failure: 'Webhook is disabled or deleted' };
+  }
+  
+  const body = JSON.stringify(delivery.payload);
+  
+  try {
+    const statusCode = await post(delivery.webhook.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'iot-paas-webhooks/1.0',
+      'X-Webhook-Id': delivery.id,
+      'X-Webhook-Event': delivery.event_type,
+      'X-Webhook-Signature': sign(delivery.webhook.secret, body),
+    }, body);
+    
+    const failure = statusCode < 200 || statusCode >= 300 ? `Receiver responded with ${statusCode}` : null;
+    return { statusCode, failure };
+  } catch (err) {
+    return { statusCode: null, failure: err.message };
+  }
+}
+
+/**
+ * Delivery row updates after an attempt: succeeded, pending with the
+ * next retry time, or failed once maxAttempts is reached (at once if
+ * the webhook is gone)
+ */
+function nextState(delivery, { statusCode, failure }, now = new Date()) {
+  const attempts = delivery.attempts + 1;
+  
+  let updates;
+  if (!failure) {
+    updates = { status: 'succeeded', delivered_at: now.toISOString() };
+  } else if (attempts >= config.webhooks.maxAttempts || !delivery.webhook || !delivery.webhook.enabled) {
+    updates = { status: 'failed' };
+  } else {
+    updates = {
+      status: 'pending',
+      next_attempt_at: new Date(now.getTime() + backoffMs(attempts)).toISOString(),
+    };
+  }
+  
+  return {
+    ...updates,
+    attempts,
+    last_status_code: statusCode,
+    last_error: failure,
+    last_attempt_at: now.toISOString(),
+    claimed_at: null,
+  };
+}
+
+/**
+ * POST one delivery and record the outcome
+ */
+async function attempt(delivery) {
+  const result = await deliver(delivery);
+  
+  await repositories.admin().webhookDeliveries.update(delivery.id, nextState(delivery, result));
+}
+
+/**
+ * Send every delivery that is due
+ * Concurrent calls share the same pass
+ */
+function processDue() {
+  if (!processing) {
+    processing = runDue()
+      .catch(err => logger.error('Webhook worker error', { err }))
+      .finally(() => {
+        processing = null;
+      });
+  }
+  return processing;
+}
+
+async function runDue() {
+  const now = new Date();
+  const staleBefore = new Date(now.getTime() - STALE_CLAIM_MS).toISOString();
+  
+  const due = await repositories.admin().webhookDeliveries.listDue(now.toISOString(), staleBefore, BATCH_SIZE);
+  
+  for (const delivery of due) {
+    const claimed = await claim(delivery);
+    if (claimed) await attempt(claimed);
+  }
+}
+
+/**
+ * Poll for due deliveries (retries, and anything queued elsewhere)
+ */
+function startWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(processDue, config.webhooks.pollIntervalMs);
+  workerTimer.unref();
+}
+
+function stopWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  generateSecret,
+  isAllowedUrl,
+  sign,
+  devicePayload,
+  deliver,
+  nextState,
+  emit,
+  redeliver,
+  processDue,
+  startWorker,
+  stopWorker,
+};
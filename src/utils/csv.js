@@ -0,0 +1,115 @@
+/**
+ * Minimal CSV (RFC 4180) parsing and writing
+ * 
+ * Fields may be quoted with ", with "" for a literal quote; quoted
+ * fields may contain commas and line breaks. Lines end in \n or \r\n.
+ */
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings)
+ * Throws on an unterminated quoted field
+ */
+function parse(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;  // Skip a BOM
+  
+  for (; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.length === 0) {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  
+  if (quoted) throw new Error('Unterminated quoted field');
+  
+  // Last line without a trailing newline
+  if (field.length > 0 || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  
+  // Drop blank lines
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by (lower-cased) header
+ * Returns { columns, records }
+ */
+function parseRecords(text) {
+  const [header = [], ...rows] = parse(text);
+  const columns = header.map(name => name.trim().toLowerCase());
+  
+  const records = rows.map(cells =>
+    Object.fromEntries(columns.map((column, index) => [column, cells[index] === undefined ? '' : cells[index]]))
+  );
+  
+  return { columns, records };
+}
+
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  
+  let text = Array.isArray(value) ? value.join(';') : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write objects as CSV with a header row
+ * Arrays become ;-separated lists
+ */
+function stringify(columns, records) {
+  const lines = [
+    columns.map(formatField).join(','),
+    ...records.map(record => columns.map(column => formatField(record[column])).join(',')),
+  ];
+  
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Send records as a CSV file download
+ */
+function send(res, filename, columns, records) {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  // May contain device tokens
+  res.set('Cache-Control', 'no-store');
+  res.send(stringify(columns, records));
+}
+
+module.exports = {
+  parse,
+  parseRecords,
+  stringify,
+  send,
+};
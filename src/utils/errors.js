@@ -0,0 +1,137 @@
+const http = require('http');
+
+/**
+ * API errors
+ * 
+ * Every error response has the same body:
+ * 
+ *   {
+ *     "error": {
+ *       "code": "not_found",
+ *       "message": "Device not found",
+ *       "details": null,
+ *       "request_id": "5f0c..."
+ *     }
+ *   }
+ * 
+ * code is stable and machine-readable; message is for people and may
+ * change. details is extra structured data (e.g. each failed validation)
+ * or null.
+ */
+
+// Default code for each status
+const STATUS_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'internal_error',
+  502: 'bad_gateway',
+  503: 'service_unavailable',
+};
+
+class ApiError extends Error {
+  /**
+   * options: { code, details } - code defaults to one for the status
+   */
+  constructor(status, message, { code, details = null } = {}) {
+    super(message || http.STATUS_CODES[status]);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+    this.details = details;
+  }
+}
+
+// Postgres and PostgREST error codes that mean the request was wrong,
+// not the server
+const DATABASE_ERRORS = {
+  // .single() found no row
+  PGRST116: [404, 'not_found', 'Resource not found'],
+  // unique_violation
+  '23505': [409, 'conflict', 'Resource already exists'],
+  // foreign_key_violation
+  '23503': [409, 'conflict', 'Resource is referenced by, or refers to, a missing resource'],
+  // not_null_violation
+  '23502': [400, 'bad_request', 'A required value is missing'],
+  // check_violation
+  '23514': [400, 'bad_request', 'A value is not allowed'],
+  // invalid_text_representation (e.g. a malformed UUID)
+  '22P02': [400, 'bad_request', 'A value has the wrong format'],
+  // insufficient_privilege (row-level security)
+  '42501': [403, 'forbidden', 'Not allowed to change this resource'],
+};
+
+// What a unique violation means, by constraint name (Postgres names
+// the constraint in the error message)
+const UNIQUE_CONSTRAINTS = {
+  device_groups_project_id_name_key: 'A group with this name already exists',
+  factory_devices_mac_address_key: 'This MAC address is already registered',
+  factory_devices_serial_number_key: 'This serial number is already registered',
+  factory_devices_claim_code_hash_key: 'This claim code is already registered',
+  firmware_releases_project_id_hardware_type_version_key: 'This version already exists for the hardware type',
+  firmware_rollouts_running_idx: 'A rollout is already running for this hardware type',
+  project_invitations_open_idx: 'This email already has a pending invitation',
+  project_members_pkey: 'User is already a member of this project',
+};
+
+/**
+ * The ApiError for a Postgres/PostgREST error, or null if it isn't one
+ * we map (supabase-js errors are plain objects with a code)
+ */
+function fromDatabaseError(err) {
+  if (!err || typeof err.code !== 'string' || !Object.hasOwn(DATABASE_ERRORS, err.code)) return null;
+  
+  const [status, code, message] = DATABASE_ERRORS[err.code];
+  
+  const constraint = (/constraint "([^"]+)"/.exec(err.message || '') || [])[1];
+  const known = err.code === '23505' && constraint && Object.hasOwn(UNIQUE_CONSTRAINTS, constraint);
+  
+  return new ApiError(status, known ? UNIQUE_CONSTRAINTS[constraint] : message, { code });
+}
+
+/**
+ * Any thrown value as an ApiError
+ * Errors that aren't ours or the database's become a 500, except
+ * express's own client errors (bad JSON, body too large)
+ */
+function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  
+  const databaseError = fromDatabaseError(err);
+  if (databaseError) return databaseError;
+  
+  const status = err && (err.status || err.statusCode);
+  if (err && err.expose && status >= 400 && status < 500) {
+    const code = err.type === 'entity.parse.failed' ? 'invalid_json' : undefined;
+    return new ApiError(status, err.message, { code });
+  }
+  
+  return new ApiError(500, 'An unexpected error occurred');
+}
+
+/**
+ * Response body for an error
+ */
+function errorBody(err, requestId) {
+  return {
+    error: {
+      code: err.code,
+      message: err.message,
+      details: err.details === undefined ? null : err.details,
+      request_id: requestId || null,
+    },
+  };
+}
+
+module.exports = {
+  STATUS_CODES,
+  ApiError,
+  fromDatabaseError,
+  toApiError,
+  errorBody,
+};
@@ -0,0 +1,78 @@
+const config = require('../../config');
+
+/**
+ * Structured logs: one JSON object per line
+ * 
+ *   {"time":"2024-05-01T12:00:00.000Z","level":"error","msg":"Request failed",
+ *    "request_id":"5f0c...","err":{"name":"Error","message":"..."}}
+ * 
+ * logger.child(fields) adds fields to every entry it writes; each
+ * request gets one carrying its request ID as req.log. An Error (or a
+ * supabase-js error object) goes in the err field.
+ * 
+ * warn and error go to stderr, the rest to stdout. LOG_LEVEL sets the
+ * lowest level written (default info).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const threshold = LEVELS[config.logging.level] || LEVELS.info;
+
+/**
+ * Plain-object form of an error, for JSON
+ */
+function serializeError(err) {
+  if (!err || typeof err !== 'object') return err;
+  
+  return Object.fromEntries(Object.entries({
+    name: err.name,
+    message: err.message,
+    code: err.code,
+    // PostgREST errors
+    details: err.details,
+    hint: err.hint,
+    status: err.status,
+    stack: err.stack,
+  }).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+function write(level, bindings, message, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...bindings,
+    ...fields,
+  };
+  if (fields.err !== undefined) entry.err = serializeError(fields.err);
+  
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (err) {
+    // Circular or otherwise unserializable fields
+    line = JSON.stringify({ time: entry.time, level, msg: message, ...bindings, log_error: err.message });
+  }
+  
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (message, fields) => write('debug', bindings, message, fields),
+    info: (message, fields) => write('info', bindings, message, fields),
+    warn: (message, fields) => write('warn', bindings, message, fields),
+    error: (message, fields) => write('error', bindings, message, fields),
+    child: fields => createLogger({ ...bindings, ...fields }),
+  };
+}
+
+const logger = createLogger();
+
+module.exports = {
+  LEVELS,
+  logger,
+  serializeError,
+};
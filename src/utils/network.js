@@ -0,0 +1,83 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Addresses outbound requests (webhooks) must never reach: loopback,
+ * private (RFC 1918, unique local), link-local (including the cloud
+ * metadata service at 169.254.169.254), shared, multicast and reserved
+ * ranges. IPv4-mapped IPv6 addresses match the IPv4 rules.
+ */
+const BLOCKED = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+  
+  return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Whether a URL hostname (name or IP literal) resolves to public
+ * addresses only; false if it doesn't resolve
+ */
+async function resolvesPublic(hostname) {
+  // URL keeps the brackets around IPv6 literals
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  
+  if (net.isIP(host)) return isPublicAddress(host);
+  
+  try {
+    const addresses = await dns.promises.lookup(host, { all: true });
+    return addresses.length > 0 && addresses.every(entry => isPublicAddress(entry.address));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * dns.lookup replacement for http(s).request that refuses non-public
+ * addresses, so the check applies to the address actually connected
+ * to (a second DNS answer can't swap in a private one)
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a non-public address (${blocked.address})`));
+    }
+    
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPublicAddress,
+  resolvesPublic,
+  publicLookup,
+};
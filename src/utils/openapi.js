@@ -0,0 +1,432 @@
+const { checkSchema } = require('express-validator');
+
+/**
+ * OpenAPI 3 document built from the routers themselves
+ * 
+ * - paths and methods: the Express route definitions
+ * - parameters and request bodies: the express-validator schemas the
+ *   routes validate their input with, through validateInput()
+ * - security and permissions: the authentication middleware
+ *   (authenticate, authenticateDevice, ...), requireUser, requireScope()
+ *   and requireRole() in front of each route
+ * - summary, description and responses: declared on each route with
+ *   docs(), plus the validation, authentication and permission failures
+ *   of its middleware
+ * 
+ * Routes the document can't describe fully (no docs(), validation
+ * chains it can't read, unvalidated path parameters) are listed as
+ * problems rather than failing the build; test/openapi.test.js fails
+ * on them.
+ */
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Schema keywords for the validators of an express-validator schema,
+// from their options
+const VALIDATOR_KEYWORDS = {
+  isUUID: () => ({ type: 'string', format: 'uuid' }),
+  isInt: (options = {}) => ({ type: 'integer', minimum: options.min, maximum: options.max }),
+  isFloat: (options = {}) => ({ type: 'number', minimum: options.min, maximum: options.max }),
+  isBoolean: () => ({ type: 'boolean' }),
+  isString: () => ({ type: 'string' }),
+  isArray: (options = {}) => ({ type: 'array', minItems: options.min, maxItems: options.max }),
+  isObject: () => ({ type: 'object' }),
+  isIn: values => ({ enum: values }),
+  isLength: (options = {}) => ({ minLength: options.min, maxLength: options.max }),
+  isISO8601: () => ({ type: 'string', format: 'date-time' }),
+  isBase64: (options = {}) => ({ type: 'string', format: options.urlSafe ? 'base64url' : 'byte' }),
+  isEmail: () => ({ type: 'string', format: 'email' }),
+  isURL: () => ({ type: 'string', format: 'uri' }),
+  matches: pattern => ({ type: 'string', pattern: pattern instanceof RegExp ? pattern.source : String(pattern) }),
+};
+
+const SANITIZER_TYPES = {
+  toInt: 'integer',
+  toFloat: 'number',
+  toBoolean: 'boolean',
+};
+
+// Security schemes of the authentication middleware, by function name
+const AUTHENTICATION = {
+  authenticate: 'bearerAuth',
+  authenticateDevice: 'deviceAuth',
+  authenticateBroker: 'brokerSecret',
+  authenticateFactory: 'factorySecret',
+};
+
+const LOCATIONS = {
+  params: 'path',
+  query: 'query',
+  headers: 'header',
+};
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Validate a route's input with express-validator schemas, one per
+ * location, which the document describes the route's parameters and
+ * body from
+ * input: { params, query, body } - each a checkSchema() schema; "" in
+ * body validates the body as a whole
+ * Follow it with validate to answer 400 on failures
+ */
+function validateInput(input) {
+  const chains = Object.entries(input).flatMap(([location, schema]) => checkSchema(schema, [location]));
+  
+  const middleware = async (req, res, next) => {
+    try {
+      for (const chain of chains) {
+        await chain.run(req);
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+  middleware.input = input;
+  return middleware;
+}
+
+/**
+ * Schema of one validated field, from its checkSchema() definition
+ * Returns { schema, required }
+ */
+function fieldSchema(definition) {
+  const schema = {};
+  const descriptions = [];
+  let sanitizedType;
+  
+  if (typeof definition.errorMessage === 'string') descriptions.push(definition.errorMessage);
+  
+  for (const [name, config] of Object.entries(definition)) {
+    if (!config) continue;
+    
+    if (SANITIZER_TYPES[name]) {
+      sanitizedType = sanitizedType || SANITIZER_TYPES[name];
+      continue;
+    }
+    if (typeof config.errorMessage === 'string') descriptions.push(config.errorMessage);
+    if (!VALIDATOR_KEYWORDS[name] || config.negated) continue;
+    
+    // As checkSchema() passes them: an options array is spread
+    let options = [];
+    if (config !== true && config.options !== undefined) {
+      options = Array.isArray(config.options) ? config.options : [config.options];
+    }
+    const keywords = withoutUndefined(VALIDATOR_KEYWORDS[name](...options));
+    
+    // The first validator to name a type wins (isString, then isIn)
+    if (schema.type && keywords.type) delete keywords.type;
+    Object.assign(schema, keywords);
+  }
+  
+  if (!schema.type && sanitizedType) schema.type = sanitizedType;
+  if (!schema.type && schema.enum && schema.enum.every(value => typeof value === 'string')) {
+    schema.type = 'string';
+  }
+  if (descriptions.length > 0) schema.description = descriptions.join('; ');
+  
+  return { schema, required: !definition.optional };
+}
+
+/**
+ * Add a (possibly nested) body field to an object schema
+ * "tags.*" is an item of the tags array, "params.name" a property of params
+ */
+function addBodyField(root, field, schema, required) {
+  const segments = field.split('.');
+  let node = root;
+  
+  segments.forEach((segment, i) => {
+    if (segment === '*') {
+      node.type = 'array';
+      node.items = node.items || {};
+      node = node.items;
+      return;
+    }
+    
+    node.type = node.type || 'object';
+    node.properties = node.properties || {};
+    node.properties[segment] = node.properties[segment] || {};
+    
+    if (required && i === segments.length - 1) {
+      node.required = [...new Set([...(node.required || []), segment])];
+    }
+    node = node.properties[segment];
+  });
+  
+  Object.assign(node, schema);
+}
+
+/**
+ * Declare a route's documentation
+ * - summary: one line
+ * - description: more, in Markdown (optional)
+ * - responses: { 201: 'The new device', 404: 'Project not found', ... } -
+ *   what the handler sends and throws; validation, authentication and
+ *   permission failures are added from the route's middleware
+ * Returns a middleware that does nothing but carry the declaration
+ */
+function docs(declaration) {
+  const middleware = (req, res, next) => next();
+  middleware.docs = declaration;
+  return middleware;
+}
+
+/**
+ * A route's responses: its declared ones plus those of its middleware
+ */
+function routeResponses(declared, { validated, authenticated, restricted, role }) {
+  const descriptions = new Map();
+  
+  const add = (status, description) => {
+    if (!descriptions.has(status)) descriptions.set(status, []);
+    descriptions.get(status).push(description);
+  };
+  
+  if (validated) add('400', 'Invalid request parameters (details lists each one)');
+  if (authenticated) add('401', 'Missing or invalid credentials');
+  if (restricted) add('403', 'Not allowed for this role or API key');
+  // Non-members get the same 404 as for a missing project or device
+  if (role && !declared[404]) add('404', 'Not found');
+  
+  for (const [status, description] of Object.entries(declared)) add(status, description);
+  
+  const result = {};
+  for (const status of [...descriptions.keys()].sort()) {
+    result[status] = { description: descriptions.get(status).join('; ') };
+    if (Number(status) >= 400) {
+      result[status].content = { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } };
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Describe one route
+ * middleware: router-level middleware that runs before it
+ * problems: what the document can't describe is added to it
+ */
+function operation(route, method, mount, middleware, problems) {
+  const handles = [...middleware, ...route.stack.map(layer => layer.handle)];
+  const fullPath = joinPath(mount.path, route.path);
+  const name = `${method.toUpperCase()} ${fullPath}`;
+  
+  const declared = (handles.find(handle => handle.docs) || {}).docs;
+  if (!declared) {
+    problems.push(`${name} has no docs()`);
+  }
+  // Chains (query('x').isInt(), ...) keep their rules to themselves
+  if (handles.some(handle => typeof handle.run === 'function')) {
+    problems.push(`${name} validates with express-validator chains; use validateInput()`);
+  }
+  
+  const security = handles.map(handle => AUTHENTICATION[handle.name]).filter(Boolean);
+  const userOnly = handles.some(handle => handle.name === 'requireUser');
+  // A router can require one scope for all its routes and a route another
+  const scopes = [...new Set(handles.filter(handle => handle.scope).map(handle => handle.scope))];
+  const role = (handles.find(handle => handle.role) || {}).role;
+  
+  const parameters = new Map();
+  const requestBody = {};
+  const inputs = handles.filter(handle => handle.input).map(handle => handle.input);
+  
+  for (const input of inputs) {
+    for (const [location, fields] of Object.entries(input)) {
+      for (const [field, definition] of Object.entries(fields)) {
+        const { schema, required } = fieldSchema(definition);
+        
+        if (location === 'body') {
+          if (field) addBodyField(requestBody, field, schema, required);
+          continue;
+        }
+        
+        const where = LOCATIONS[location];
+        if (!where) continue;
+        
+        parameters.set(`${where}:${field}`, withoutUndefined({
+          name: field,
+          in: where,
+          required: where === 'path' || required || undefined,
+          description: schema.description,
+          schema: { type: 'string', ...schema, description: undefined },
+        }));
+      }
+    }
+  }
+  
+  for (const [, param] of fullPath.matchAll(/:(\w+)/g)) {
+    if (!parameters.has(`path:${param}`)) {
+      problems.push(`${name} doesn't validate its ${param} parameter`);
+      parameters.set(`path:${param}`, { name: param, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+  
+  const permissions = [];
+  if (role) permissions.push(`Requires the **${role}** role (or higher) in the project.`);
+  if (scopes.length > 0) {
+    const names = scopes.map(scope => `\`${scope}\``).join(' and ');
+    permissions.push(`API keys need the ${names} scope${scopes.length > 1 ? 's' : ''}.`);
+  }
+  if (userOnly) permissions.push('Needs a user session; API keys are refused.');
+  
+  const { summary, description, responses = {} } = declared || {};
+  const fullDescription = [description, permissions.join(' ')].filter(Boolean).join('\n\n');
+  
+  return withoutUndefined({
+    tags: [mount.tag],
+    summary,
+    description: fullDescription || undefined,
+    security: security.map(scheme => ({ [scheme]: [] })),
+    parameters: parameters.size > 0
+      ? [...parameters.values()].sort((a, b) => (a.in === 'path' ? 0 : 1) - (b.in === 'path' ? 0 : 1))
+      : undefined,
+    requestBody: requestBody.properties
+      ? { required: true, content: { 'application/json': { schema: requestBody } } }
+      : undefined,
+    responses: routeResponses(responses, {
+      validated: inputs.length > 0,
+      authenticated: security.length > 0,
+      restricted: Boolean(role || scopes.length > 0 || userOnly),
+      role,
+    }),
+    'x-required-role': role,
+    'x-api-key-scope': scopes[scopes.length - 1],
+  });
+}
+
+function joinPath(base, path) {
+  const joined = `${base}${path === '/' ? '' : path}`;
+  return joined || '/';
+}
+
+// /api/devices/:id -> /api/devices/{id}, and /:action(pause|resume) ->
+// /{action} (the parameter's schema lists the values)
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)(\([^)]*\))?/g, '{$1}');
+}
+
+/**
+ * Build the OpenAPI document
+ * mounts: [{ path, router, tag }] - routers and where they're mounted
+ * Returns { spec, problems } - problems lists what the document can't
+ * describe (e.g. a route without docs()), described as far as it can
+ */
+function buildSpec({ title, version, description, mounts }) {
+  const paths = {};
+  const problems = [];
+  
+  for (const mount of mounts) {
+    const middleware = [];
+    
+    for (const layer of mount.router.stack) {
+      if (!layer.route) {
+        middleware.push(layer.handle);
+        continue;
+      }
+      if (typeof layer.route.path !== 'string') continue;
+      
+      const path = toOpenApiPath(joinPath(mount.path, layer.route.path));
+      for (const method of METHODS.filter(method => layer.route.methods[method])) {
+        paths[path] = paths[path] || {};
+        paths[path][method] = operation(layer.route, method, mount, middleware, problems);
+      }
+    }
+  }
+  
+  const spec = {
+    openapi: '3.0.3',
+    info: withoutUndefined({ title, version, description }),
+    tags: [...new Set(mounts.map(mount => mount.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'A Supabase access token, or a project API key (iotk_<prefix>_<secret>)',
+        },
+        deviceAuth: {
+          type: 'http',
+          scheme: 'basic',
+          description: 'A device\'s MQTT credentials (mqtt_username:mqtt_password from /api/provision)',
+        },
+        brokerSecret: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Webhook-Secret',
+          description: 'EMQX_WEBHOOK_SECRET, sent by the broker\'s HTTP authentication, authorization and rule hooks',
+        },
+        factorySecret: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Factory-Secret',
+          description: 'FACTORY_API_SECRET, held by manufacturing',
+        },
+      },
+      schemas: {
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              properties: {
+                code: { type: 'string', description: 'Machine-readable, e.g. not_found or validation_failed' },
+                message: { type: 'string' },
+                details: { nullable: true, description: 'Extra data, e.g. each failed validation' },
+                request_id: { type: 'string', description: 'Also in the X-Request-Id header' },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+  
+  return { spec, problems };
+}
+
+/**
+ * Every operation in a document, in path order: [{ method, path }]
+ */
+function operations(spec) {
+  return Object.entries(spec.paths).flatMap(([path, methods]) =>
+    METHODS.filter(method => methods[method]).map(method => ({ method: method.toUpperCase(), path }))
+  );
+}
+
+/**
+ * HTML page showing a document with Swagger UI
+ * assetsUrl: where swagger-ui-dist is served from
+ * nonce: CSP nonce for the inline script
+ */
+function docsPage({ title, specUrl, assetsUrl, nonce }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+  <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+  <script nonce="${nonce}">
+    SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#docs' });
+  </script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  validateInput,
+  docs,
+  buildSpec,
+  operations,
+  docsPage,
+};
@@ -0,0 +1,159 @@
+/**
+ * Cursor (keyset) pagination for list endpoints
+ * 
+ * Lists are ordered by a whitelisted sort field with the row id as a
+ * tie-breaker. A cursor is the sort value and id of the last row of a
+ * page, base64url-encoded; the next page starts strictly after it, so
+ * inserts and deletes between requests never shift rows across pages.
+ * Null sort values come last in either direction.
+ */
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Values for a ?sort= param: the field for ascending order, -field for
+ * descending
+ */
+function sortOptions(fields) {
+  return fields.flatMap(field => [field, `-${field}`]);
+}
+
+/**
+ * Parse a validated ?sort= value
+ * Returns { field, ascending }
+ */
+function parseSort(value, defaultSort) {
+  const sort = value || defaultSort;
+  return sort.startsWith('-')
+    ? { field: sort.slice(1), ascending: false }
+    : { field: sort, ascending: true };
+}
+
+function sortKey(sort) {
+  return sort.ascending ? sort.field : `-${sort.field}`;
+}
+
+function encodeCursor(row, sort) {
+  const value = row[sort.field] === undefined ? null : row[sort.field];
+  return Buffer.from(JSON.stringify([sortKey(sort), value, row.id])).toString('base64url');
+}
+
+/**
+ * Returns { value, id }, or null if the cursor is malformed or was
+ * issued for a different sort order
+ */
+function decodeCursor(cursor, sort) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 3) return null;
+    
+    const [key, value, id] = decoded;
+    if (key !== sortKey(sort)) return null;
+    if (typeof id !== 'string' || !id) return null;
+    if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) return null;
+    
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Quote a value for a PostgREST or() filter
+ */
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Order a query by the sort field, then id
+ */
+function applySort(queryBuilder, sort) {
+  return queryBuilder
+    .order(sort.field, { ascending: sort.ascending, nullsFirst: false })
+    .order('id', { ascending: sort.ascending });
+}
+
+/**
+ * Restrict a query to the rows after a decoded cursor
+ */
+function applyCursor(queryBuilder, sort, cursor) {
+  const op = sort.ascending ? 'gt' : 'lt';
+  const id = quote(cursor.id);
+  
+  // Past the last non-null value only the nulls remain
+  if (cursor.value === null) {
+    return queryBuilder.is(sort.field, null).filter('id', op, cursor.id);
+  }
+  
+  const value = quote(cursor.value);
+  return queryBuilder.or([
+    `${sort.field}.${op}.${value}`,
+    `and(${sort.field}.eq.${value},id.${op}.${id})`,
+    `${sort.field}.is.null`,
+  ].join(','));
+}
+
+/**
+ * Pattern for a case-insensitive substring search with ilike
+ */
+function searchPattern(text) {
+  return `%${text.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+/**
+ * Fetch one page of a list
+ * 
+ * build: () => query builder with the list's filters applied; called
+ *   twice - once for the page, once for the total count
+ * options: { select, sort, limit, cursor } - cursor as decoded
+ * 
+ * Returns { rows, total, limit, nextCursor }
+ */
+async function fetchPage(build, { select, sort, limit = DEFAULT_LIMIT, cursor }) {
+  // Fetch one extra row to know whether there's another page
+  let pageQuery = applySort(build(select), sort).limit(limit + 1);
+  if (cursor) {
+    pageQuery = applyCursor(pageQuery, sort, cursor);
+  }
+  
+  const [page, count] = await Promise.all([
+    pageQuery,
+    build('id', { count: 'exact', head: true }),
+  ]);
+  
+  if (page.error) throw page.error;
+  if (count.error) throw count.error;
+  
+  const rows = page.data.slice(0, limit);
+  const nextCursor = page.data.length > limit
+    ? encodeCursor(rows[rows.length - 1], sort)
+    : null;
+  
+  return { rows, total: count.count, limit, nextCursor };
+}
+
+/**
+ * Response body for a page: { [key]: rows, total, limit, next_cursor }
+ */
+function envelope(key, page, rows = page.rows) {
+  return {
+    [key]: rows,
+    total: page.total,
+    limit: page.limit,
+    next_cursor: page.nextCursor,
+  };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  sortOptions,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  searchPattern,
+  fetchPage,
+  envelope,
+};
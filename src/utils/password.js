@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { safeEqual } = require('./secureCompare');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Stored hash format (PHC-style, self-describing):
+ * 
+ *   $scrypt$n=16384,r=8,p=1$<salt base64>$<key base64>
+ * 
+ * Older devices may still have an unsalted SHA-256 hex digest
+ * (64 hex chars, no prefix). Those still verify, and needsRehash()
+ * tells the caller to replace them with a current hash.
+ */
+const SCRYPT_PARAMS = { n: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+const LEGACY_SHA256 = /^[0-9a-f]{64}$/;
+
+/**
+ * Generate a secure random password for MQTT
+ */
+function generateSecurePassword() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Hash password for storage (salted scrypt)
+ */
+async function hashPassword(password) {
+  const { n, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, { N: n, r, p });
+  
+  return `$scrypt$n=${n},r=${r},p=${p}$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+/**
+ * Check a plain password against a stored hash (constant time)
+ * Accepts both scrypt hashes and legacy SHA-256 digests
+ */
+async function verifyPassword(password, storedHash) {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') {
+    return false;
+  }
+  
+  if (LEGACY_SHA256.test(storedHash)) {
+    const digest = crypto.createHash('sha256').update(password).digest();
+    return safeEqual(digest, Buffer.from(storedHash, 'hex'));
+  }
+  
+  const parsed = parseScryptHash(storedHash);
+  if (!parsed) return false;
+  
+  const { n, r, p, salt, key } = parsed;
+  const actual = await scrypt(password, salt, key.length, {
+    N: n,
+    r,
+    p,
+    // Allow the params we write with; default maxmem is too small for larger N
+    maxmem: 256 * n * r + 1024 * 1024,
+  });
+  
+  return safeEqual(actual, key);
+}
+
+/**
+ * Whether a stored hash should be replaced with a current one
+ * (legacy SHA-256, or scrypt with outdated parameters)
+ */
+function needsRehash(storedHash) {
+  const parsed = parseScryptHash(storedHash);
+  if (!parsed) return true;
+  
+  return parsed.n !== SCRYPT_PARAMS.n
+    || parsed.r !== SCRYPT_PARAMS.r
+    || parsed.p !== SCRYPT_PARAMS.p
+    || parsed.key.length !== KEY_BYTES;
+}
+
+// Parse "$scrypt$n=..,r=..,p=..$salt$key", or null if malformed
+function parseScryptHash(storedHash) {
+  if (typeof storedHash !== 'string') return null;
+  
+  const parts = storedHash.split('$');
+  if (parts.length !== 5 || parts[0] !== '' || parts[1] !== 'scrypt') return null;
+  
+  const params = Object.fromEntries(
+    parts[2].split(',').map(pair => pair.split('='))
+  );
+  const n = Number(params.n);
+  const r = Number(params.r);
+  const p = Number(params.p);
+  
+  if (![n, r, p].every(Number.isInteger) || r < 1 || p < 1) return null;
+  if (n < 2 || (n & (n - 1)) !== 0) return null; // N must be a power of two
+  
+  const salt = Buffer.from(parts[3], 'base64');
+  const key = Buffer.from(parts[4], 'base64');
+  if (salt.length === 0 || key.length === 0) return null;
+  
+  return { n, r, p, salt, key };
+}
+
+module.exports = {
+  generateSecurePassword,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+};
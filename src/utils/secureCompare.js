@@ -0,0 +1,17 @@
+const crypto = require('crypto');
+
+/**
+ * Constant-time comparison of two strings or Buffers
+ * Strings are compared as UTF-8 bytes; a length mismatch returns early
+ * (the length of a secret isn't what it protects)
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.isBuffer(a) ? a : Buffer.from(a);
+  const bufB = Buffer.isBuffer(b) ? b : Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
+module.exports = {
+  safeEqual,
+};
@@ -0,0 +1,74 @@
+/**
+ * Semantic version helpers (https://semver.org)
+ * 
+ * Enough for firmware ordering: MAJOR.MINOR.PATCH with an optional
+ * pre-release; build metadata is accepted and ignored.
+ */
+
+const SEMVER_PATTERN = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+
+/**
+ * Parse a version string
+ * Returns { major, minor, patch, prerelease: [] } or null if invalid
+ */
+function parse(version) {
+  const match = SEMVER_PATTERN.exec(typeof version === 'string' ? version.trim() : '');
+  if (!match) return null;
+  
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : [],
+  };
+}
+
+function isValid(version) {
+  return parse(version) !== null;
+}
+
+function compareIdentifiers(a, b) {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+  
+  if (aNumeric && bNumeric) return Math.sign(Number(a) - Number(b));
+  // Numeric identifiers sort before alphanumeric ones
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Compare two versions: -1, 0 or 1
+ * Returns null if either isn't a valid version
+ */
+function compare(a, b) {
+  const left = parse(a);
+  const right = parse(b);
+  if (!left || !right) return null;
+  
+  for (const part of ['major', 'minor', 'patch']) {
+    if (left[part] !== right[part]) return Math.sign(left[part] - right[part]);
+  }
+  
+  // A pre-release sorts before the release itself
+  if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+    return Math.sign(right.prerelease.length - left.prerelease.length);
+  }
+  
+  const length = Math.max(left.prerelease.length, right.prerelease.length);
+  for (let i = 0; i < length; i++) {
+    if (left.prerelease[i] === undefined) return -1;
+    if (right.prerelease[i] === undefined) return 1;
+    
+    const result = compareIdentifiers(left.prerelease[i], right.prerelease[i]);
+    if (result !== 0) return result;
+  }
+  return 0;
+}
+
+module.exports = {
+  parse,
+  isValid,
+  compare,
+};
@@ -0,0 +1,41 @@
+/**
+ * MQTT topic helpers
+ * 
+ * Every device owns the subtree u/{user_id}/d/{device_id}/ on the broker:
+ * - cmd/#   commands sent to the device
+ * - state/  state updates published by the device
+ * - tel/    telemetry published by the device
+ */
+
+function deviceTopicBase(userId, deviceId) {
+  return `u/${userId}/d/${deviceId}`;
+}
+
+/**
+ * Check whether a topic (or topic filter) stays inside a device's subtree
+ */
+function isDeviceTopic(topic, userId, deviceId) {
+  if (typeof topic !== 'string') return false;
+  
+  // The prefix is literal, so wildcards can only match below it
+  return topic.startsWith(`${deviceTopicBase(userId, deviceId)}/`);
+}
+
+/**
+ * Split a device topic into its parts
+ * u/{user_id}/d/{device_id}/{kind}/{rest} -> { userId, deviceId, kind, rest }
+ * Returns null for topics outside the device layout
+ */
+function parseDeviceTopic(topic) {
+  const match = /^u\/([^/]+)\/d\/([^/]+)\/([^/]+)\/?(.*)$/.exec(topic || '');
+  if (!match) return null;
+  
+  const [, userId, deviceId, kind, rest] = match;
+  return { userId, deviceId, kind, rest };
+}
+
+module.exports = {
+  deviceTopicBase,
+  isDeviceTopic,
+  parseDeviceTopic,
+};
@@ -0,0 +1,66 @@
+-- Telemetry readings published by devices
+create table public.telemetry (
+  id bigint generated always as identity primary key,
+  device_id uuid not null references public.devices(id) on delete cascade,
+  channel text not null,
+  value jsonb,
+  -- Numeric copy of value, used for min/max/avg aggregates
+  value_num double precision,
+  ts timestamptz not null default now(),
+  received_at timestamptz not null default now()
+);
+
+create index telemetry_device_channel_ts_idx
+  on public.telemetry (device_id, channel, ts desc);
+
+alter table public.telemetry enable row level security;
+
+-- Rows are written by the API with the service role; users only read
+create policy "Users can read telemetry of their devices"
+  on public.telemetry for select
+  using (
+    exists (
+      select 1
+      from public.devices d
+      join public.projects p on p.id = d.project_id
+      where d.id = telemetry.device_id
+        and p.user_id = auth.uid()
+    )
+  );
+
+-- Downsampled min/max/avg per channel per time bucket
+-- security invoker, so RLS above still applies
+create or replace function public.telemetry_buckets(
+  p_device_id uuid,
+  p_from timestamptz,
+  p_to timestamptz,
+  p_bucket_seconds integer,
+  p_channels text[] default null
+)
+returns table (
+  bucket timestamptz,
+  channel text,
+  min double precision,
+  max double precision,
+  avg double precision,
+  count bigint
+)
+language sql
+stable
+security invoker
+as $$
+  select
+    to_timestamp(floor(extract(epoch from t.ts) / p_bucket_seconds) * p_bucket_seconds) as bucket,
+    t.channel,
+    min(t.value_num),
+    max(t.value_num),
+    avg(t.value_num),
+    count(*)
+  from public.telemetry t
+  where t.device_id = p_device_id
+    and t.ts >= p_from
+    and t.ts < p_to
+    and (p_channels is null or t.channel = any (p_channels))
+  group by 1, 2
+  order by 1, 2;
+$$;
@@ -0,0 +1,52 @@
+-- Commands sent to devices over MQTT
+create table public.device_commands (
+  id uuid primary key default gen_random_uuid(),
+  device_id uuid not null references public.devices(id) on delete cascade,
+  name text not null,
+  payload jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'sent', 'acked', 'failed', 'expired')),
+  result jsonb,
+  error text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz,
+  acked_at timestamptz,
+  expires_at timestamptz not null
+);
+
+create index device_commands_device_created_idx
+  on public.device_commands (device_id, created_at desc);
+
+create index device_commands_open_idx
+  on public.device_commands (expires_at)
+  where status in ('queued', 'sent');
+
+alter table public.device_commands enable row level security;
+
+-- Users read and create commands for their own devices;
+-- status changes are made by the API with the service role
+create policy "Users can read commands of their devices"
+  on public.device_commands for select
+  using (
+    exists (
+      select 1
+      from public.devices d
+      join public.projects p on p.id = d.project_id
+      where d.id = device_commands.device_id
+        and p.user_id = auth.uid()
+    )
+  );
+
+create policy "Users can send commands to their devices"
+  on public.device_commands for insert
+  with check (
+    created_by = auth.uid()
+    and exists (
+      select 1
+      from public.devices d
+      join public.projects p on p.id = d.project_id
+      where d.id = device_commands.device_id
+        and p.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,25 @@
+-- Device shadow: reported vs desired state
+create table public.device_shadows (
+  device_id uuid primary key references public.devices(id) on delete cascade,
+  reported jsonb not null default '{}'::jsonb,
+  reported_version integer not null default 0,
+  reported_at timestamptz,
+  desired jsonb not null default '{}'::jsonb,
+  desired_version integer not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.device_shadows enable row level security;
+
+-- Writes go through the API (service role) so versions are checked
+create policy "Users can read shadows of their devices"
+  on public.device_shadows for select
+  using (
+    exists (
+      select 1
+      from public.devices d
+      join public.projects p on p.id = d.project_id
+      where d.id = device_shadows.device_id
+        and p.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,21 @@
+-- Channel definitions: type, unit, direction and bounds
+alter table public.device_channels
+  add column if not exists key text,
+  add column if not exists name text,
+  add column if not exists data_type text not null default 'number',
+  add column if not exists unit text,
+  add column if not exists direction text not null default 'sensor',
+  add column if not exists min_value double precision,
+  add column if not exists max_value double precision;
+
+alter table public.device_channels
+  add constraint device_channels_data_type_check
+    check (data_type in ('number', 'boolean', 'string', 'json')),
+  add constraint device_channels_direction_check
+    check (direction in ('sensor', 'actuator')),
+  add constraint device_channels_bounds_check
+    check (min_value is null or max_value is null or min_value <= max_value);
+
+-- One channel per key on each device
+alter table public.device_channels
+  add constraint device_channels_device_id_key_key unique (device_id, key);
@@ -0,0 +1,37 @@
+-- What to do with values that fail channel validation
+alter table public.projects
+  add column if not exists invalid_value_policy text not null default 'reject'
+    check (invalid_value_policy in ('reject', 'clamp', 'flag'));
+
+-- Readings kept under the "flag" policy
+alter table public.telemetry
+  add column if not exists flagged boolean not null default false;
+
+-- Per-device log of values that failed validation
+create table public.device_errors (
+  id bigint generated always as identity primary key,
+  device_id uuid not null references public.devices(id) on delete cascade,
+  source text not null check (source in ('telemetry', 'state')),
+  channel text not null,
+  value jsonb,
+  reason text not null,
+  action text not null check (action in ('rejected', 'clamped', 'flagged')),
+  created_at timestamptz not null default now()
+);
+
+create index device_errors_device_created_idx
+  on public.device_errors (device_id, created_at desc);
+
+alter table public.device_errors enable row level security;
+
+create policy "Users can read errors of their devices"
+  on public.device_errors for select
+  using (
+    exists (
+      select 1
+      from public.devices d
+      join public.projects p on p.id = d.project_id
+      where d.id = device_errors.device_id
+        and p.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,35 @@
+-- Presence from broker connect/disconnect events
+alter table public.devices
+  add column if not exists online boolean not null default false,
+  add column if not exists last_seen_at timestamptz,
+  add column if not exists last_ip text;
+
+create index if not exists devices_project_online_idx
+  on public.devices (project_id, online);
+
+create table public.device_connections (
+  id bigint generated always as identity primary key,
+  device_id uuid not null references public.devices(id) on delete cascade,
+  event text not null check (event in ('connected', 'disconnected')),
+  ip text,
+  reason text,
+  occurred_at timestamptz not null,
+  received_at timestamptz not null default now()
+);
+
+create index device_connections_device_occurred_idx
+  on public.device_connections (device_id, occurred_at desc);
+
+alter table public.device_connections enable row level security;
+
+create policy "Users can read connections of their devices"
+  on public.device_connections for select
+  using (
+    exists (
+      select 1
+      from public.devices d
+      join public.projects p on p.id = d.project_id
+      where d.id = device_connections.device_id
+        and p.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,48 @@
+-- Project-scoped API keys for server-to-server access
+create table public.api_keys (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  name text not null,
+  -- Public part of the key, used for lookup
+  prefix text not null unique,
+  -- SHA-256 of the secret part
+  secret_hash text not null,
+  scopes text[] not null
+    check (scopes <@ array['devices:read', 'devices:write', 'commands:send', 'telemetry:read']),
+  expires_at timestamptz,
+  last_used_at timestamptz,
+  revoked_at timestamptz,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index api_keys_project_idx on public.api_keys (project_id);
+
+alter table public.api_keys enable row level security;
+
+create policy "Owners can read their project API keys"
+  on public.api_keys for select
+  using (
+    exists (
+      select 1 from public.projects p
+      where p.id = api_keys.project_id and p.user_id = auth.uid()
+    )
+  );
+
+create policy "Owners can create their project API keys"
+  on public.api_keys for insert
+  with check (
+    exists (
+      select 1 from public.projects p
+      where p.id = api_keys.project_id and p.user_id = auth.uid()
+    )
+  );
+
+create policy "Owners can revoke their project API keys"
+  on public.api_keys for update
+  using (
+    exists (
+      select 1 from public.projects p
+      where p.id = api_keys.project_id and p.user_id = auth.uid()
+    )
+  );
@@ -0,0 +1,233 @@
+-- Project membership and roles
+create table public.project_members (
+  project_id uuid not null references public.projects(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  -- Stored lower-cased, so lookups compare with = (under ILIKE, _ and
+  -- % in an address would match other addresses)
+  email text constraint project_members_email_lowercase check (email = lower(email)),
+  role text not null check (role in ('owner', 'admin', 'operator', 'viewer')),
+  created_at timestamptz not null default now(),
+  primary key (project_id, user_id)
+);
+
+create index project_members_user_idx on public.project_members (user_id);
+
+create table public.project_invitations (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  email text not null constraint project_invitations_email_lowercase check (email = lower(email)),
+  role text not null check (role in ('owner', 'admin', 'operator', 'viewer')),
+  invited_by uuid references auth.users(id) on delete set null,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  accepted_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- One open invitation per email and project
+create unique index project_invitations_open_idx
+  on public.project_invitations (project_id, lower(email))
+  where accepted_at is null;
+
+-- Both tables are managed by the API with the service role
+alter table public.project_members enable row level security;
+alter table public.project_invitations enable row level security;
+
+-- The creator of a project is its first owner
+create or replace function public.add_project_owner()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.project_members (project_id, user_id, email, role)
+  select new.id, new.user_id, lower(u.email), 'owner'
+  from auth.users u
+  where u.id = new.user_id
+  on conflict do nothing;
+  return new;
+end;
+$$;
+
+create trigger projects_add_owner
+  after insert on public.projects
+  for each row execute function public.add_project_owner();
+
+-- Backfill owners of existing projects
+insert into public.project_members (project_id, user_id, email, role)
+select p.id, p.user_id, lower(u.email), 'owner'
+from public.projects p
+join auth.users u on u.id = p.user_id
+on conflict do nothing;
+
+-- The current user's role in a project (null if not a member)
+create or replace function public.project_role(p_project_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select role from public.project_members
+  where project_id = p_project_id and user_id = auth.uid();
+$$;
+
+create or replace function public.device_project_role(p_device_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select m.role
+  from public.devices d
+  join public.project_members m on m.project_id = d.project_id
+  where d.id = p_device_id and m.user_id = auth.uid();
+$$;
+
+-- Access is decided by project membership only. The owner policies
+-- based on projects.user_id would keep granting the project's creator
+-- (and API keys acting as them) full access after they left the project.
+drop policy if exists "Users can read telemetry of their devices" on public.telemetry;
+drop policy if exists "Users can read commands of their devices" on public.device_commands;
+drop policy if exists "Users can send commands to their devices" on public.device_commands;
+drop policy if exists "Users can read shadows of their devices" on public.device_shadows;
+drop policy if exists "Users can read errors of their devices" on public.device_errors;
+drop policy if exists "Users can read connections of their devices" on public.device_connections;
+drop policy if exists "Owners can read their project API keys" on public.api_keys;
+drop policy if exists "Owners can create their project API keys" on public.api_keys;
+drop policy if exists "Owners can revoke their project API keys" on public.api_keys;
+
+-- Owner policies from the base schema on projects, devices and
+-- channels: every policy there that mentions user_id
+do $$
+declare
+  policy record;
+begin
+  for policy in
+    select tablename, policyname
+    from pg_policies
+    where schemaname = 'public'
+      and tablename in ('projects', 'devices', 'device_channels')
+      and (coalesce(qual, '') ~ '\muser_id\M' or coalesce(with_check, '') ~ '\muser_id\M')
+  loop
+    execute format('drop policy %I on public.%I', policy.policyname, policy.tablename);
+  end loop;
+end;
+$$;
+
+-- projects.user_id stays as the creator: anyone may create a project
+-- as themselves and becomes its owner (projects_add_owner trigger)
+create policy "Users can create projects as themselves"
+  on public.projects for insert
+  with check (user_id = auth.uid());
+
+-- insert ... returning is checked before the owner trigger adds the
+-- creator as a member, so the creator may read a project until it
+-- has members
+create or replace function public.project_has_members(p_project_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (select 1 from public.project_members where project_id = p_project_id);
+$$;
+
+create policy "Creators can read their new projects"
+  on public.projects for select
+  using (user_id = auth.uid() and not public.project_has_members(id));
+
+-- The API enforces the finer per-role rules
+create policy "Members can read projects"
+  on public.projects for select
+  using (public.project_role(id) is not null);
+
+create policy "Admins can update projects"
+  on public.projects for update
+  using (public.project_role(id) in ('owner', 'admin'));
+
+create policy "Owners can delete projects"
+  on public.projects for delete
+  using (public.project_role(id) = 'owner');
+
+create policy "Members can read devices"
+  on public.devices for select
+  using (public.project_role(project_id) is not null);
+
+create policy "Admins can create devices"
+  on public.devices for insert
+  with check (public.project_role(project_id) in ('owner', 'admin'));
+
+create policy "Operators can update devices"
+  on public.devices for update
+  using (public.project_role(project_id) in ('owner', 'admin', 'operator'))
+  with check (public.project_role(project_id) in ('owner', 'admin', 'operator'));
+
+create policy "Admins can delete devices"
+  on public.devices for delete
+  using (public.project_role(project_id) in ('owner', 'admin'));
+
+-- Members never read a device's secrets (device_token,
+-- mqtt_password_hash), which would let them provision or impersonate
+-- it, and change only what PATCH /api/devices/:id changes; the API
+-- writes credentials with the service role. Columns added later are
+-- granted where they're added.
+revoke select, update on public.devices from anon, authenticated;
+
+grant select (
+  id, project_id, name, hardware_type, mqtt_username, mac_address, firmware_version,
+  is_provisioned, provisioned_at, online, last_seen_at, last_ip, created_at
+) on public.devices to authenticated;
+
+grant update (name, hardware_type) on public.devices to authenticated;
+
+create policy "Members can read channels"
+  on public.device_channels for select
+  using (public.device_project_role(device_id) is not null);
+
+create policy "Admins can manage channels"
+  on public.device_channels for all
+  using (public.device_project_role(device_id) in ('owner', 'admin'))
+  with check (public.device_project_role(device_id) in ('owner', 'admin'));
+
+create policy "Members can read telemetry"
+  on public.telemetry for select
+  using (public.device_project_role(device_id) is not null);
+
+create policy "Members can read commands"
+  on public.device_commands for select
+  using (public.device_project_role(device_id) is not null);
+
+create policy "Operators can send commands"
+  on public.device_commands for insert
+  with check (
+    created_by = auth.uid()
+    and public.device_project_role(device_id) in ('owner', 'admin', 'operator')
+  );
+
+create policy "Members can read shadows"
+  on public.device_shadows for select
+  using (public.device_project_role(device_id) is not null);
+
+create policy "Members can read device errors"
+  on public.device_errors for select
+  using (public.device_project_role(device_id) is not null);
+
+create policy "Members can read connections"
+  on public.device_connections for select
+  using (public.device_project_role(device_id) is not null);
+
+create policy "Admins can read API keys"
+  on public.api_keys for select
+  using (public.project_role(project_id) in ('owner', 'admin'));
+
+create policy "Admins can create API keys"
+  on public.api_keys for insert
+  with check (public.project_role(project_id) in ('owner', 'admin'));
+
+create policy "Admins can revoke API keys"
+  on public.api_keys for update
+  using (public.project_role(project_id) in ('owner', 'admin'));
@@ -0,0 +1,45 @@
+-- Append-only audit log of security-relevant actions
+-- project_id is deliberately not a foreign key: entries outlive the
+-- projects and devices they describe
+create table public.audit_log (
+  id bigint generated always as identity primary key,
+  project_id uuid not null,
+  actor_type text not null check (actor_type in ('user', 'api_key', 'device', 'anonymous')),
+  actor_id uuid,
+  action text not null,
+  target_type text not null,
+  target_id text,
+  changes jsonb not null default '{}'::jsonb,
+  metadata jsonb not null default '{}'::jsonb,
+  ip text,
+  request_id text,
+  created_at timestamptz not null default now()
+);
+
+create index audit_log_project_id_idx on public.audit_log (project_id, id desc);
+create index audit_log_project_action_idx on public.audit_log (project_id, action, id desc);
+
+-- No updates or deletes, not even with the service role
+create or replace function public.audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+create trigger audit_log_no_update
+  before update or delete on public.audit_log
+  for each row execute function public.audit_log_append_only();
+
+create trigger audit_log_no_truncate
+  before truncate on public.audit_log
+  for each statement execute function public.audit_log_append_only();
+
+alter table public.audit_log enable row level security;
+
+-- Entries are written by the API with the service role
+create policy "Admins can read their project audit log"
+  on public.audit_log for select
+  using (public.project_role(project_id) in ('owner', 'admin'));
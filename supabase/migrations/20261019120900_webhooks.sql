@@ -0,0 +1,56 @@
+-- Outbound webhooks and their delivery log
+create table public.webhooks (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  url text not null,
+  description text,
+  -- HMAC signing secret, shown to the user once
+  secret text not null,
+  events text[] not null check (cardinality(events) > 0),
+  enabled boolean not null default true,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index webhooks_project_idx on public.webhooks (project_id) where enabled;
+
+create table public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null references public.webhooks(id) on delete cascade,
+  project_id uuid not null references public.projects(id) on delete cascade,
+  event_id uuid not null,
+  event_type text not null,
+  payload jsonb not null,
+  status text not null default 'pending'
+    check (status in ('pending', 'in_flight', 'succeeded', 'failed')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  claimed_at timestamptz,
+  last_status_code integer,
+  last_error text,
+  last_attempt_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- Worker polling
+create index webhook_deliveries_due_idx
+  on public.webhook_deliveries (status, next_attempt_at)
+  where status in ('pending', 'in_flight');
+
+-- Delivery log per webhook
+create index webhook_deliveries_webhook_idx
+  on public.webhook_deliveries (webhook_id, created_at desc);
+
+alter table public.webhooks enable row level security;
+alter table public.webhook_deliveries enable row level security;
+
+-- Writes go through the API (service role); admins can read
+create policy "Admins can read their project webhooks"
+  on public.webhooks for select
+  using (public.project_role(project_id) in ('owner', 'admin'));
+
+create policy "Admins can read their project webhook deliveries"
+  on public.webhook_deliveries for select
+  using (public.project_role(project_id) in ('owner', 'admin'));
@@ -0,0 +1,93 @@
+-- Alert rules and the alerts they raise
+create table public.alert_rules (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  -- null = every device in the project
+  device_id uuid references public.devices(id) on delete cascade,
+  name text not null,
+  type text not null
+    check (type in ('threshold', 'rate_of_change', 'no_data', 'offline')),
+  channel text,
+  operator text check (operator in ('gt', 'gte', 'lt', 'lte')),
+  -- Value (threshold) or change per minute (rate_of_change)
+  threshold double precision,
+  -- How far back past the threshold a value must go before the alert resolves
+  hysteresis double precision not null default 0 check (hysteresis >= 0),
+  -- Condition must hold this long before firing (no_data: silence length)
+  duration_seconds integer not null default 0 check (duration_seconds >= 0),
+  severity text not null default 'warning'
+    check (severity in ('info', 'warning', 'critical')),
+  enabled boolean not null default true,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  check (type not in ('threshold', 'rate_of_change')
+    or (channel is not null and operator is not null and threshold is not null))
+);
+
+create index alert_rules_project_idx on public.alert_rules (project_id) where enabled;
+
+create table public.alerts (
+  id uuid primary key default gen_random_uuid(),
+  rule_id uuid not null references public.alert_rules(id) on delete cascade,
+  project_id uuid not null references public.projects(id) on delete cascade,
+  device_id uuid not null references public.devices(id) on delete cascade,
+  status text not null default 'firing'
+    check (status in ('firing', 'acknowledged', 'resolved')),
+  severity text not null,
+  message text not null,
+  -- Value (or rate) that triggered the alert
+  value double precision,
+  fired_at timestamptz not null default now(),
+  acknowledged_at timestamptz,
+  acknowledged_by uuid references auth.users(id) on delete set null,
+  resolved_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- At most one open alert per rule and device
+create unique index alerts_open_idx
+  on public.alerts (rule_id, device_id)
+  where status <> 'resolved';
+
+create index alerts_project_status_idx
+  on public.alerts (project_id, status, fired_at desc);
+
+alter table public.alert_rules enable row level security;
+alter table public.alerts enable row level security;
+
+-- Writes go through the API (service role); members can read
+create policy "Members can read their project alert rules"
+  on public.alert_rules for select
+  using (public.project_role(project_id) is not null);
+
+create policy "Members can read their project alerts"
+  on public.alerts for select
+  using (public.project_role(project_id) is not null);
+
+-- Time of the latest reading of each given device (optionally on one
+-- channel), for alert checks over many devices in one call.
+-- Devices without readings are left out.
+create or replace function public.telemetry_latest(
+  p_device_ids uuid[],
+  p_channel text default null
+)
+returns table (
+  device_id uuid,
+  ts timestamptz
+)
+language sql
+stable
+security invoker
+as $$
+  select d.id, latest.ts
+  from unnest(p_device_ids) as d(id)
+  cross join lateral (
+    select t.ts
+    from public.telemetry t
+    where t.device_id = d.id
+      and (p_channel is null or t.channel = p_channel)
+    order by t.ts desc
+    limit 1
+  ) latest;
+$$;
@@ -0,0 +1,95 @@
+-- Over-the-air firmware releases and rollouts
+
+-- Free-form device tags, used to target rollouts
+alter table public.devices
+  add column if not exists tags text[] not null default '{}';
+
+create index if not exists devices_tags_idx on public.devices using gin (tags);
+
+-- Members read and change tags (PATCH /api/devices/:id)
+grant select (tags), update (tags) on public.devices to authenticated;
+
+create table public.firmware_releases (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  hardware_type text not null,
+  version text not null,
+  -- Object path in the firmware storage bucket
+  storage_path text not null,
+  size_bytes bigint not null check (size_bytes > 0),
+  -- Hex SHA-256 of the image, computed on upload
+  sha256 text not null,
+  -- Detached signature from the publisher's build pipeline, checked on the device
+  signature text,
+  signature_algorithm text,
+  notes text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (project_id, hardware_type, version)
+);
+
+create table public.firmware_rollouts (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  release_id uuid not null references public.firmware_releases(id) on delete restrict,
+  hardware_type text not null,
+  -- Targeting: a percentage of eligible devices, optionally narrowed to a tag
+  target_percentage integer not null default 100
+    check (target_percentage between 1 and 100),
+  target_tag text,
+  status text not null default 'active'
+    check (status in ('active', 'paused', 'halted', 'completed', 'cancelled')),
+  -- Halt once this share of targeted devices has failed
+  max_failure_percent integer not null default 10
+    check (max_failure_percent between 1 and 100),
+  halted_reason text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- One running rollout per hardware type
+create unique index firmware_rollouts_running_idx
+  on public.firmware_rollouts (project_id, hardware_type)
+  where status in ('active', 'paused');
+
+-- Per-device progress of a rollout
+create table public.firmware_updates (
+  id uuid primary key default gen_random_uuid(),
+  rollout_id uuid not null references public.firmware_rollouts(id) on delete cascade,
+  device_id uuid not null references public.devices(id) on delete cascade,
+  -- Version the device ran when targeted, i.e. what it rolls back to
+  from_version text,
+  status text not null default 'pending'
+    check (status in ('pending', 'downloading', 'installing', 'succeeded', 'failed', 'rolled_back')),
+  error text,
+  started_at timestamptz,
+  completed_at timestamptz,
+  updated_at timestamptz not null default now(),
+  unique (rollout_id, device_id)
+);
+
+create index firmware_updates_device_idx
+  on public.firmware_updates (device_id, status);
+
+alter table public.firmware_releases enable row level security;
+alter table public.firmware_rollouts enable row level security;
+alter table public.firmware_updates enable row level security;
+
+-- Writes go through the API (service role); members can read
+create policy "Members can read their project firmware"
+  on public.firmware_releases for select
+  using (public.project_role(project_id) is not null);
+
+create policy "Members can read their project rollouts"
+  on public.firmware_rollouts for select
+  using (public.project_role(project_id) is not null);
+
+create policy "Members can read their project firmware updates"
+  on public.firmware_updates for select
+  using (public.device_project_role(device_id) is not null);
+
+-- Private bucket for firmware images; devices get short-lived signed URLs
+insert into storage.buckets (id, name, public)
+values ('firmware', 'firmware', false)
+on conflict (id) do nothing;
@@ -0,0 +1,52 @@
+-- Factory registry for zero-touch provisioning via claim codes
+create table public.factory_devices (
+  id uuid primary key default gen_random_uuid(),
+  -- Normalized AA:BB:CC:DD:EE:FF
+  mac_address text unique,
+  serial_number text unique,
+  hardware_type text not null default 'ESP32',
+  -- SHA-256 of the normalized claim code printed on the device
+  claim_code_hash text not null unique,
+  status text not null default 'registered'
+    check (status in ('registered', 'pending_claim', 'claimed')),
+  -- SHA-256 of the secret registered by the factory; check-ins must present it
+  bootstrap_secret_hash text,
+  firmware_version text,
+  first_seen_at timestamptz,
+  last_seen_at timestamptz,
+  project_id uuid references public.projects(id) on delete set null,
+  device_id uuid references public.devices(id) on delete set null,
+  claimed_by uuid references auth.users(id) on delete set null,
+  claimed_at timestamptz,
+  created_at timestamptz not null default now(),
+  check (mac_address is not null or serial_number is not null)
+);
+
+create index factory_devices_status_idx on public.factory_devices (status, created_at);
+
+-- Managed by the API with the service role only
+alter table public.factory_devices enable row level security;
+
+-- Deleting a claimed device makes it claimable again; the bootstrap
+-- secret is flashed onto the board, so it stays
+create or replace function public.release_factory_device()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.factory_devices
+  set status = 'registered',
+      project_id = null,
+      device_id = null,
+      claimed_by = null,
+      claimed_at = null
+  where device_id = old.id;
+  return old;
+end;
+$$;
+
+create trigger devices_release_factory_device
+  before delete on public.devices
+  for each row execute function public.release_factory_device();
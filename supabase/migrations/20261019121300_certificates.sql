@@ -0,0 +1,59 @@
+-- X.509 client certificates for devices (mutual TLS)
+
+-- How a provisioned device authenticates to the broker
+alter table public.devices
+  add column if not exists auth_method text not null default 'password'
+    check (auth_method in ('password', 'certificate'));
+
+grant select (auth_method) on public.devices to authenticated;
+
+-- One certificate authority per project, generated by the API or uploaded
+create table public.project_certificate_authorities (
+  project_id uuid primary key references public.projects(id) on delete cascade,
+  certificate_pem text not null,
+  -- PKCS#8 key, AES-256-GCM encrypted with CA_KEY_ENCRYPTION_KEY
+  private_key_encrypted text not null,
+  source text not null check (source in ('generated', 'uploaded')),
+  subject text not null,
+  fingerprint_sha256 text not null,
+  not_before timestamptz not null,
+  not_after timestamptz not null,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+-- Certificates issued to devices; kept after the device is deleted so
+-- revocations stay on the CRL until the certificate expires
+create table public.device_certificates (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  device_id uuid references public.devices(id) on delete set null,
+  -- Lower-case hex, also carried in the subject's serialNumber attribute
+  serial_number text not null unique,
+  fingerprint_sha256 text not null unique,
+  certificate_pem text not null,
+  not_before timestamptz not null,
+  not_after timestamptz not null,
+  status text not null default 'active'
+    check (status in ('active', 'revoked')),
+  revoked_at timestamptz,
+  revocation_reason text,
+  -- Set when the device renewed this certificate
+  replaced_by uuid references public.device_certificates(id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index device_certificates_device_idx
+  on public.device_certificates (device_id, status);
+
+create index device_certificates_revoked_idx
+  on public.device_certificates (project_id, not_after)
+  where status = 'revoked';
+
+alter table public.project_certificate_authorities enable row level security;
+alter table public.device_certificates enable row level security;
+
+-- CA private keys are only ever read by the API (service role)
+create policy "Members can read their project device certificates"
+  on public.device_certificates for select
+  using (public.project_role(project_id) is not null);
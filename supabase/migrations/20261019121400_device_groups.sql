@@ -0,0 +1,103 @@
+-- Device labels, groups and group jobs
+
+-- Free-form key/value labels, e.g. {"floor": "2", "role": "sensor"}
+alter table public.devices
+  add column if not exists labels jsonb not null default '{}'
+    check (jsonb_typeof(labels) = 'object');
+
+create index if not exists devices_labels_idx on public.devices using gin (labels jsonb_path_ops);
+
+-- Members read and change labels (PATCH /api/devices/:id)
+grant select (labels), update (labels) on public.devices to authenticated;
+
+create table public.device_groups (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  name text not null,
+  description text,
+  -- static: members are added and removed explicitly
+  -- dynamic: members are the project's devices matching query
+  type text not null check (type in ('static', 'dynamic')),
+  -- {"labels": {...}, "tags": [...], "hardware_type": "..."} - all must match
+  query jsonb,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (project_id, name),
+  check ((type = 'dynamic') = (query is not null))
+);
+
+create table public.device_group_members (
+  group_id uuid not null references public.device_groups(id) on delete cascade,
+  device_id uuid not null references public.devices(id) on delete cascade,
+  added_at timestamptz not null default now(),
+  primary key (group_id, device_id)
+);
+
+create index device_group_members_device_idx on public.device_group_members (device_id);
+
+-- Operations run over a group's devices in the background
+create table public.device_jobs (
+  id uuid primary key default gen_random_uuid(),
+  project_id uuid not null references public.projects(id) on delete cascade,
+  group_id uuid references public.device_groups(id) on delete set null,
+  type text not null check (type in ('command', 'update_metadata', 'regenerate_token')),
+  params jsonb not null default '{}',
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed')),
+  total integer not null default 0,
+  succeeded integer not null default 0,
+  failed integer not null default 0,
+  -- Who started the job; per-device audit entries are recorded as them
+  actor_type text not null,
+  actor_id text,
+  created_by uuid references auth.users(id) on delete set null,
+  -- Set while a worker runs the job; a stale claim is picked up again
+  claimed_at timestamptz,
+  -- Set when an admin collects a regenerate_token job's new tokens
+  tokens_collected_at timestamptz,
+  created_at timestamptz not null default now(),
+  started_at timestamptz,
+  completed_at timestamptz
+);
+
+create index device_jobs_project_idx on public.device_jobs (project_id, created_at desc);
+create index device_jobs_open_idx on public.device_jobs (status, created_at)
+  where status in ('queued', 'running');
+
+-- Per-device outcome of a job; devices are fixed when the job is created
+create table public.device_job_results (
+  job_id uuid not null references public.device_jobs(id) on delete cascade,
+  device_id uuid not null references public.devices(id) on delete cascade,
+  status text not null default 'pending'
+    check (status in ('pending', 'succeeded', 'failed')),
+  -- Operation output, e.g. the command sent; never holds device tokens
+  result jsonb,
+  error text,
+  -- New token of a regenerate_token job, until collected
+  device_token text,
+  completed_at timestamptz,
+  primary key (job_id, device_id)
+);
+
+create index device_job_results_pending_idx on public.device_job_results (job_id)
+  where status = 'pending';
+
+alter table public.device_groups enable row level security;
+alter table public.device_group_members enable row level security;
+alter table public.device_jobs enable row level security;
+-- Results hold new device tokens until they're collected: service role only
+alter table public.device_job_results enable row level security;
+
+-- Writes go through the API (service role); members can read
+create policy "Members can read their project groups"
+  on public.device_groups for select
+  using (public.project_role(project_id) is not null);
+
+create policy "Members can read their project group members"
+  on public.device_group_members for select
+  using (public.device_project_role(device_id) is not null);
+
+create policy "Members can read their project jobs"
+  on public.device_jobs for select
+  using (public.project_role(project_id) is not null);
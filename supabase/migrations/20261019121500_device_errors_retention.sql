@@ -0,0 +1,3 @@
+-- Old rows are deleted by age across all devices (see DEVICE_ERROR_RETENTION_DAYS)
+create index device_errors_created_idx
+  on public.device_errors (created_at);
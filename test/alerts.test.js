@@ -0,0 +1,124 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, startServer, userToken, addMember, reset, createProject, provisionDevice } = require('./helpers');
+const repositories = require('../src/repositories');
+const alerts = require('../src/services/alerts');
+
+describe('alerts', () => {
+  let server;
+  let project;
+  let device;
+  const owner = userToken(USERS.owner);
+  const operator = userToken(USERS.operator);
+  const viewer = userToken(USERS.viewer);
+  const outsider = userToken(USERS.outsider);
+  
+  before(async () => {
+    server = await startServer();
+  });
+  
+  after(() => server.close());
+  
+  // A provisioned device with a temperature channel
+  beforeEach(async () => {
+    reset();
+    project = await createProject(server, owner);
+    addMember(project.id, USERS.operator, 'operator');
+    addMember(project.id, USERS.viewer, 'viewer');
+    
+    device = await provisionDevice(server, owner, { project_id: project.id, name: 'Sensor' });
+    await server.request('POST', `/api/devices/${device.id}/channels`, {
+      token: owner,
+      body: { key: 'temperature', data_type: 'number' },
+    });
+  });
+  
+  async function createRule(body) {
+    const response = await server.request('POST', `/api/projects/${project.id}/alert-rules`, { token: owner, body });
+    assert.equal(response.status, 201);
+    return response.body.alert_rule;
+  }
+  
+  function ingest(value) {
+    return server.request('POST', '/api/telemetry', {
+      headers: { Authorization: device.authorization },
+      body: { readings: [{ channel: 'temperature', value }] },
+    });
+  }
+  
+  function listAlerts(token, query = '') {
+    return server.request('GET', `/api/alerts${query}`, { token });
+  }
+  
+  it('fires threshold alerts from telemetry and resolves them past the hysteresis', async () => {
+    const rule = await createRule({
+      name: 'Too warm',
+      type: 'threshold',
+      channel: 'temperature',
+      operator: 'gt',
+      threshold: 30,
+      hysteresis: 2,
+    });
+    
+    await ingest(35);
+    await ingest(36);
+    
+    const firing = await listAlerts(viewer);
+    assert.equal(firing.body.alerts.length, 1);
+    assert.equal(firing.body.alerts[0].status, 'firing');
+    assert.deepEqual(firing.body.alerts[0].rule, { id: rule.id, name: 'Too warm', type: 'threshold' });
+    assert.deepEqual(firing.body.alerts[0].device, { id: device.id, name: 'Sensor' });
+    assert.deepEqual((await listAlerts(outsider)).body.alerts, []);
+    
+    await ingest(29);
+    assert.equal((await listAlerts(viewer)).body.alerts.length, 1);
+    
+    await ingest(27);
+    assert.deepEqual((await listAlerts(viewer)).body.alerts, []);
+    assert.equal((await listAlerts(viewer, '?status=resolved')).body.alerts.length, 1);
+  });
+  
+  it('fires offline alerts from the silence check, for operators to handle', async () => {
+    await createRule({ name: 'Gone', type: 'offline', duration_seconds: 60 });
+    await repositories.admin().devices.update(device.id, {
+      online: false,
+      last_seen_at: new Date(Date.now() - 5 * 60 * 1000).toISOString(),
+    });
+    
+    await alerts.checkSilence();
+    
+    const [alert] = (await listAlerts(viewer)).body.alerts;
+    assert.equal(alert.message, 'Gone: Offline for 60s');
+    
+    const forbidden = await server.request('POST', `/api/alerts/${alert.id}/acknowledge`, { token: viewer });
+    assert.equal(forbidden.status, 403);
+    
+    const acknowledged = await server.request('POST', `/api/alerts/${alert.id}/acknowledge`, { token: operator });
+    assert.equal(acknowledged.body.alert.status, 'acknowledged');
+    const again = await server.request('POST', `/api/alerts/${alert.id}/acknowledge`, { token: operator });
+    assert.equal(again.status, 409);
+    
+    const resolved = await server.request('POST', `/api/alerts/${alert.id}/resolve`, { token: operator });
+    assert.equal(resolved.body.alert.status, 'resolved');
+  });
+  
+  it('only takes devices of the project, and deletes a rule\'s alerts with it', async () => {
+    const other = await server.request('POST', '/api/projects', { token: owner, body: { name: 'Barn' } });
+    const foreign = await server.request('POST', '/api/devices', {
+      token: owner,
+      body: { project_id: other.body.project.id, name: 'Elsewhere' },
+    });
+    const rejected = await server.request('POST', `/api/projects/${project.id}/alert-rules`, {
+      token: owner,
+      body: { name: 'Gone', type: 'offline', device_id: foreign.body.device.id },
+    });
+    assert.equal(rejected.status, 400);
+    
+    const rule = await createRule({ name: 'Hot', type: 'threshold', channel: 'temperature', operator: 'gt', threshold: 0 });
+    await ingest(5);
+    
+    const removed = await server.request('DELETE', `/api/projects/${project.id}/alert-rules/${rule.id}`, { token: owner });
+    assert.equal(removed.status, 204);
+    assert.deepEqual((await listAlerts(viewer)).body.alerts, []);
+  });
+});
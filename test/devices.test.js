@@ -0,0 +1,716 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startReceiver } = require('./receiver');
+
+describe('/api/devices', () => {
+  let broker;
+  let server;
+  let request;
+  let helpers;
+  let repositories;
+  let config;
+  let channelSchema;
+  let owner;
+  let operator;
+  let viewer;
+  let outsider;
+  let project;
+  
+  before(async () => {
+    // Fake EMQX management API; config is read when helpers loads the app
+    broker = await startReceiver();
+    process.env.TEST_EMQX_API_URL = broker.url;
+    helpers = require('./helpers');
+    repositories = require('../src/repositories');
+    config = require('../config');
+    channelSchema = require('../src/services/channelSchema');
+    
+    owner = helpers.userToken(helpers.USERS.owner);
+    operator = helpers.userToken(helpers.USERS.operator);
+    viewer = helpers.userToken(helpers.USERS.viewer);
+    outsider = helpers.userToken(helpers.USERS.outsider);
+    
+    server = await helpers.startServer();
+    request = server.request;
+  });
+  
+  after(async () => {
+    await server.close();
+    await broker.close();
+  });
+  
+  beforeEach(async () => {
+    helpers.reset();
+    broker.requests.length = 0;
+    broker.respond = () => undefined;
+    
+    project = await helpers.createProject(server, owner);
+    helpers.addMember(project.id, helpers.USERS.operator, 'operator');
+    helpers.addMember(project.id, helpers.USERS.viewer, 'viewer');
+  });
+  
+  async function createDevice(fields = {}) {
+    const response = await request('POST', '/api/devices', {
+      token: owner,
+      body: { project_id: project.id, name: 'Sensor', ...fields },
+    });
+    assert.equal(response.status, 201);
+    return response.body.device;
+  }
+  
+  async function provision(device) {
+    const response = await request('POST', '/api/provision', { body: { device_token: device.device_token } });
+    assert.equal(response.status, 200);
+    return response.body;
+  }
+  
+  describe('POST /', () => {
+    it('creates a device and returns its token once', async () => {
+      const response = await request('POST', '/api/devices', {
+        token: owner,
+        body: { project_id: project.id, name: 'Sensor', tags: ['roof', 'roof'], labels: { zone: 'north' } },
+      });
+      
+      assert.equal(response.status, 201);
+      assert.equal(response.body.device.name, 'Sensor');
+      assert.equal(response.body.device.hardware_type, 'ESP32');
+      assert.deepEqual(response.body.device.tags, ['roof']);
+      assert.deepEqual(response.body.device.labels, { zone: 'north' });
+      assert.match(response.body.device.device_token, /^[0-9a-f]{64}$/);
+      assert.equal(response.body.device.mqtt_password_hash, undefined);
+      
+      const fetched = await request('GET', `/api/devices/${response.body.device.id}`, { token: owner });
+      assert.equal(fetched.body.device.device_token, undefined);
+    });
+    
+    it('requires the admin role', async () => {
+      const response = await request('POST', '/api/devices', {
+        token: operator,
+        body: { project_id: project.id, name: 'Sensor' },
+      });
+      
+      assert.equal(response.status, 403);
+    });
+    
+    it('hides other users\' projects', async () => {
+      const response = await request('POST', '/api/devices', {
+        token: outsider,
+        body: { project_id: project.id, name: 'Sensor' },
+      });
+      
+      assert.equal(response.status, 404);
+    });
+    
+    it('validates the body', async () => {
+      const response = await request('POST', '/api/devices', {
+        token: owner,
+        body: { project_id: 'nope', name: '', tags: ['x'.repeat(51)] },
+      });
+      
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.error.details.map(detail => detail.path).sort(), ['name', 'project_id', 'tags[0]']);
+    });
+  });
+  
+  describe('GET /', () => {
+    it('filters, sorts and pages without exposing tokens', async () => {
+      await createDevice({ name: 'Bravo', tags: ['roof', 'north'] });
+      await createDevice({ name: 'Alpha', tags: ['roof'], hardware_type: 'ESP32-S3' });
+      await createDevice({ name: 'Charlie', labels: { zone: 'south' } });
+      
+      const all = await request('GET', `/api/devices?project_id=${project.id}&sort=name`, { token: viewer });
+      assert.equal(all.status, 200);
+      assert.equal(all.body.total, 3);
+      assert.deepEqual(all.body.devices.map(device => device.name), ['Alpha', 'Bravo', 'Charlie']);
+      assert.ok(all.body.devices.every(device => device.device_token === undefined));
+      
+      const tagged = await request('GET', '/api/devices?tags=roof,north', { token: viewer });
+      assert.deepEqual(tagged.body.devices.map(device => device.name), ['Bravo']);
+      
+      const labelled = await request('GET', '/api/devices?labels=zone:south', { token: viewer });
+      assert.deepEqual(labelled.body.devices.map(device => device.name), ['Charlie']);
+      
+      const hardware = await request('GET', '/api/devices?hardware_type=ESP32-S3', { token: viewer });
+      assert.deepEqual(hardware.body.devices.map(device => device.name), ['Alpha']);
+      
+      const search = await request('GET', '/api/devices?search=rav', { token: viewer });
+      assert.deepEqual(search.body.devices.map(device => device.name), ['Bravo']);
+      
+      const first = await request('GET', '/api/devices?sort=-name&limit=2', { token: viewer });
+      assert.deepEqual(first.body.devices.map(device => device.name), ['Charlie', 'Bravo']);
+      const second = await request('GET', `/api/devices?sort=-name&limit=2&cursor=${first.body.next_cursor}`, { token: viewer });
+      assert.deepEqual(second.body.devices.map(device => device.name), ['Alpha']);
+      assert.equal(second.body.next_cursor, null);
+    });
+    
+    it('filters by provisioning and online status', async () => {
+      const provisioned = await createDevice({ name: 'Provisioned' });
+      await createDevice({ name: 'Fresh' });
+      await provision(provisioned);
+      
+      const response = await request('GET', '/api/devices?is_provisioned=true', { token: viewer });
+      const online = await request('GET', '/api/devices?status=online', { token: viewer });
+      
+      assert.deepEqual(response.body.devices.map(device => device.name), ['Provisioned']);
+      assert.equal(online.body.total, 0);
+    });
+    
+    it('lists nothing for non-members', async () => {
+      await createDevice();
+      
+      const response = await request('GET', '/api/devices', { token: outsider });
+      
+      assert.equal(response.body.total, 0);
+    });
+    
+    it('validates the query', async () => {
+      const response = await request('GET', '/api/devices?status=sleeping&labels=zone', { token: viewer });
+      
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.error.details.map(detail => detail.path).sort(), ['labels', 'status']);
+    });
+  });
+  
+  describe('GET /export', () => {
+    it('exports the inventory as CSV without tokens', async () => {
+      const device = await createDevice({ name: 'Sensor, north', tags: ['roof', 'north'] });
+      
+      const response = await request('GET', `/api/devices/export?project_id=${project.id}`, { token: viewer });
+      
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/csv/);
+      assert.match(response.headers.get('content-disposition'), new RegExp(`devices-${project.id}\\.csv`));
+      const [header, row] = response.text.trim().split(/\r?\n/);
+      assert.equal(header, 'id,name,hardware_type,tags,firmware_version,mac_address,is_provisioned,online,last_seen_at,provisioned_at,created_at');
+      assert.ok(row.startsWith(`${device.id},"Sensor, north",ESP32,`));
+      assert.ok(!response.text.includes(device.device_token));
+    });
+    
+    it('exports JSON', async () => {
+      const device = await createDevice();
+      
+      const response = await request('GET', `/api/devices/export?project_id=${project.id}&format=json`, { token: viewer });
+      
+      assert.deepEqual(response.body.devices.map(row => row.id), [device.id]);
+      assert.equal(response.body.devices[0].device_token, undefined);
+    });
+    
+    it('requires membership and a project_id', async () => {
+      const outside = await request('GET', `/api/devices/export?project_id=${project.id}`, { token: outsider });
+      const missing = await request('GET', '/api/devices/export', { token: viewer });
+      
+      assert.equal(outside.status, 404);
+      assert.equal(missing.status, 400);
+    });
+  });
+  
+  describe('GET /:id', () => {
+    it('returns the device with its project and channels', async () => {
+      const device = await createDevice();
+      
+      const response = await request('GET', `/api/devices/${device.id}`, { token: viewer });
+      
+      assert.equal(response.status, 200);
+      assert.equal(response.body.device.id, device.id);
+      assert.equal(response.body.device.project.id, project.id);
+      assert.deepEqual(response.body.device.channels, []);
+      assert.equal(response.body.device.device_token, undefined);
+    });
+    
+    it('hides devices from non-members', async () => {
+      const device = await createDevice();
+      
+      const response = await request('GET', `/api/devices/${device.id}`, { token: outsider });
+      
+      assert.equal(response.status, 404);
+    });
+    
+    it('validates the ID', async () => {
+      const response = await request('GET', '/api/devices/not-a-uuid', { token: viewer });
+      
+      assert.equal(response.status, 400);
+    });
+  });
+  
+  describe('POST /bulk', () => {
+    it('creates devices from JSON', async () => {
+      const response = await request('POST', `/api/devices/bulk?project_id=${project.id}`, {
+        token: owner,
+        body: { devices: [{ name: 'One' }, { name: 'Two', hardware_type: 'ESP8266', tags: ['a', 'a'] }] },
+      });
+      
+      assert.equal(response.status, 201);
+      assert.deepEqual(response.body.devices.map(device => device.name), ['One', 'Two']);
+      assert.deepEqual(response.body.devices[1].tags, ['a']);
+      assert.equal(response.body.devices[1].hardware_type, 'ESP8266');
+      assert.ok(response.body.devices.every(device => /^[0-9a-f]{64}$/.test(device.device_token)));
+    });
+    
+    it('creates devices from CSV and answers with CSV', async () => {
+      const response = await request('POST', `/api/devices/bulk?project_id=${project.id}`, {
+        token: owner,
+        headers: { 'Content-Type': 'text/csv' },
+        body: 'name,hardware_type,tags\nOne,,roof;north\n"Two, spare",ESP8266,\n',
+      });
+      
+      assert.equal(response.status, 201);
+      assert.match(response.headers.get('content-type'), /^text\/csv/);
+      assert.equal(response.headers.get('cache-control'), 'no-store');
+      const lines = response.text.trim().split(/\r?\n/);
+      assert.equal(lines[0], 'id,name,hardware_type,tags,device_token');
+      assert.equal(lines.length, 3);
+      assert.match(lines[1], /^[0-9a-f-]{36},One,ESP32,roof;north,[0-9a-f]{64}$/);
+      assert.match(lines[2], /^[0-9a-f-]{36},"Two, spare",ESP8266,,[0-9a-f]{64}$/);
+      
+      const listed = await request('GET', `/api/devices?project_id=${project.id}`, { token: owner });
+      assert.equal(listed.body.total, 2);
+    });
+    
+    it('returns JSON for a CSV upload with format=json', async () => {
+      const response = await request('POST', `/api/devices/bulk?project_id=${project.id}&format=json`, {
+        token: owner,
+        headers: { 'Content-Type': 'text/csv' },
+        body: 'name\nOne\n',
+      });
+      
+      assert.equal(response.status, 201);
+      assert.deepEqual(response.body.devices.map(device => device.name), ['One']);
+    });
+    
+    it('creates nothing if any row is invalid', async () => {
+      const response = await request('POST', `/api/devices/bulk?project_id=${project.id}`, {
+        token: owner,
+        body: { devices: [{ name: 'One' }, { name: '' }, { name: 'Three', tags: 'a;b' }, 'four'] },
+      });
+      
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, 'invalid_rows');
+      assert.deepEqual(response.body.error.details.map(detail => [detail.row, detail.field]), [[2, 'name'], [4, null]]);
+      
+      const listed = await request('GET', `/api/devices?project_id=${project.id}`, { token: owner });
+      assert.equal(listed.body.total, 0);
+    });
+    
+    it('rejects CSV without a name column and empty uploads', async () => {
+      const noName = await request('POST', `/api/devices/bulk?project_id=${project.id}`, {
+        token: owner,
+        headers: { 'Content-Type': 'text/csv' },
+        body: 'title\nOne\n',
+      });
+      const empty = await request('POST', `/api/devices/bulk?project_id=${project.id}`, {
+        token: owner,
+        body: { devices: [] },
+      });
+      
+      assert.equal(noName.status, 400);
+      assert.equal(noName.body.error.message, 'CSV needs a header row with a name column');
+      assert.equal(empty.status, 400);
+    });
+    
+    it('requires the admin role', async () => {
+      const response = await request('POST', `/api/devices/bulk?project_id=${project.id}`, {
+        token: operator,
+        body: { devices: [{ name: 'One' }] },
+      });
+      
+      assert.equal(response.status, 403);
+    });
+  });
+  
+  describe('POST /claim', () => {
+    async function registerFactoryDevice() {
+      const response = await request('POST', '/api/factory/devices', {
+        headers: { 'X-Factory-Secret': process.env.FACTORY_API_SECRET },
+        body: { devices: [{ mac_address: 'AA:BB:CC:DD:EE:01', hardware_type: 'ESP32-C3' }] },
+      });
+      assert.equal(response.status, 201);
+      return response.body.devices[0];
+    }
+    
+    it('claims a factory-registered device into the project', async () => {
+      const entry = await registerFactoryDevice();
+      
+      const response = await request('POST', '/api/devices/claim', {
+        token: owner,
+        body: { project_id: project.id, claim_code: entry.claim_code.toLowerCase(), name: 'Greenhouse sensor' },
+      });
+      
+      assert.equal(response.status, 201);
+      assert.equal(response.body.device.name, 'Greenhouse sensor');
+      assert.equal(response.body.device.project_id, project.id);
+      assert.equal(response.body.device.hardware_type, 'ESP32-C3');
+      assert.equal(response.body.device.device_token, undefined);
+      
+      const again = await request('POST', '/api/devices/claim', {
+        token: owner,
+        body: { project_id: project.id, claim_code: entry.claim_code },
+      });
+      assert.equal(again.status, 404);
+      assert.equal(again.body.error.code, 'invalid_claim_code');
+    });
+    
+    it('rejects unknown and malformed claim codes', async () => {
+      const unknown = await request('POST', '/api/devices/claim', {
+        token: owner,
+        body: { project_id: project.id, claim_code: 'AAAA-BBBB-CCCC' },
+      });
+      const malformed = await request('POST', '/api/devices/claim', {
+        token: owner,
+        body: { project_id: project.id, claim_code: 'nope' },
+      });
+      
+      assert.equal(unknown.status, 404);
+      assert.equal(malformed.status, 400);
+    });
+    
+    it('requires the admin role', async () => {
+      const entry = await registerFactoryDevice();
+      
+      const response = await request('POST', '/api/devices/claim', {
+        token: operator,
+        body: { project_id: project.id, claim_code: entry.claim_code },
+      });
+      
+      assert.equal(response.status, 403);
+    });
+  });
+  
+  describe('PATCH /:id', () => {
+    it('lets operators update the device', async () => {
+      const device = await createDevice();
+      
+      const response = await request('PATCH', `/api/devices/${device.id}`, {
+        token: operator,
+        body: { name: 'Renamed', tags: ['b', 'b'], labels: { zone: 'east' } },
+      });
+      
+      assert.equal(response.status, 200);
+      assert.equal(response.body.device.name, 'Renamed');
+      assert.deepEqual(response.body.device.tags, ['b']);
+      assert.deepEqual(response.body.device.labels, { zone: 'east' });
+      assert.equal(response.body.device.device_token, undefined);
+    });
+    
+    it('requires the operator role', async () => {
+      const device = await createDevice();
+      
+      const response = await request('PATCH', `/api/devices/${device.id}`, { token: viewer, body: { name: 'Nope' } });
+      
+      assert.equal(response.status, 403);
+    });
+    
+    it('answers 400 without fields and 404 for other users\' devices', async () => {
+      const device = await createDevice();
+      
+      const empty = await request('PATCH', `/api/devices/${device.id}`, { token: owner, body: {} });
+      const hidden = await request('PATCH', `/api/devices/${device.id}`, { token: outsider, body: { name: 'Mine' } });
+      
+      assert.equal(empty.status, 400);
+      assert.equal(hidden.status, 404);
+    });
+    
+    it('keeps device secrets and credentials out of members\' reach', async () => {
+      const device = await createDevice();
+      await provision(device);
+      const repos = repositories.forUser(helpers.USERS.operator);
+      
+      const read = await repos.devices.get(device.id);
+      const listed = await repos.devices.list({ project_id: project.id }, {
+        sort: { field: 'created_at', ascending: true },
+        limit: 10,
+      });
+      
+      assert.ok(read.mqtt_username);
+      for (const row of [read, listed.rows[0]]) {
+        assert.equal(row.device_token, undefined);
+        assert.equal(row.mqtt_password_hash, undefined);
+      }
+      await assert.rejects(repos.devices.update(device.id, { device_token: 'f'.repeat(64) }), { code: '42501' });
+      await assert.rejects(repos.devices.update(device.id, { project_id: project.id }), { code: '42501' });
+      assert.equal((await repos.devices.update(device.id, { name: 'Renamed' })).name, 'Renamed');
+    });
+  });
+  
+  describe('DELETE /:id', () => {
+    it('revokes the device on the broker, then deletes it', async () => {
+      const device = await createDevice();
+      const credentials = await provision(device);
+      broker.requests.length = 0;
+      
+      const response = await request('DELETE', `/api/devices/${device.id}`, { token: owner });
+      
+      assert.equal(response.status, 204);
+      assert.deepEqual(broker.requests.map(call => `${call.method} ${call.url}`), [
+        `DELETE /api/v5/authentication/password_based%3Abuilt_in_database/users/${credentials.mqtt.username}`,
+        `DELETE /api/v5/clients/${device.id}`,
+      ]);
+      assert.equal((await request('GET', `/api/devices/${device.id}`, { token: owner })).status, 404);
+    });
+    
+    it('keeps the device if the broker can\'t be reached', async () => {
+      const device = await createDevice();
+      await provision(device);
+      broker.respond = () => ({ status: 503, body: { code: 'SERVICE_UNAVAILABLE', message: 'Down' } });
+      
+      const response = await request('DELETE', `/api/devices/${device.id}`, { token: owner });
+      
+      assert.equal(response.status, 502);
+      assert.equal((await request('GET', `/api/devices/${device.id}`, { token: owner })).status, 200);
+    });
+    
+    it('requires the admin role', async () => {
+      const device = await createDevice();
+      
+      const response = await request('DELETE', `/api/devices/${device.id}`, { token: operator });
+      
+      assert.equal(response.status, 403);
+    });
+  });
+  
+  describe('POST /:id/regenerate-token', () => {
+    it('replaces the token and resets provisioning', async () => {
+      const device = await createDevice();
+      await provision(device);
+      
+      const response = await request('POST', `/api/devices/${device.id}/regenerate-token`, { token: owner });
+      
+      assert.equal(response.status, 200);
+      assert.match(response.body.device.device_token, /^[0-9a-f]{64}$/);
+      assert.notEqual(response.body.device.device_token, device.device_token);
+      assert.equal(response.body.device.is_provisioned, false);
+      assert.equal(response.body.device.mqtt_username, null);
+      
+      const oldToken = await request('POST', '/api/provision', { body: { device_token: device.device_token } });
+      assert.equal(oldToken.status, 401);
+      await provision(response.body.device);
+    });
+    
+    it('requires the admin role', async () => {
+      const device = await createDevice();
+      
+      const response = await request('POST', `/api/devices/${device.id}/regenerate-token`, { token: operator });
+      
+      assert.equal(response.status, 403);
+    });
+  });
+  
+  describe('GET /:id/telemetry', () => {
+    let device;
+    
+    beforeEach(async () => {
+      device = await createDevice();
+      await repositories.admin().telemetry.insert([
+        { device_id: device.id, channel: 'temp', value: 20, value_num: 20, ts: '2026-01-01T10:00:10.000Z' },
+        { device_id: device.id, channel: 'temp', value: 22, value_num: 22, ts: '2026-01-01T10:00:40.000Z' },
+        { device_id: device.id, channel: 'humidity', value: 55, value_num: 55, ts: '2026-01-01T10:01:10.000Z' },
+        { device_id: device.id, channel: 'temp', value: 30, value_num: 30, ts: '2026-01-01T10:01:20.000Z' },
+      ]);
+    });
+    
+    const range = 'from=2026-01-01T10:00:00Z&to=2026-01-01T11:00:00Z';
+    
+    it('returns raw readings in time order', async () => {
+      const response = await request('GET', `/api/devices/${device.id}/telemetry?${range}&channel=temp&limit=2`, { token: viewer });
+      
+      assert.equal(response.status, 200);
+      assert.equal(response.body.bucket, null);
+      assert.equal(response.body.from, '2026-01-01T10:00:00.000Z');
+      assert.deepEqual(response.body.telemetry, [
+        { channel: 'temp', value: 20, ts: '2026-01-01T10:00:10.000Z' },
+        { channel: 'temp', value: 22, ts: '2026-01-01T10:00:40.000Z' },
+      ]);
+    });
+    
+    it('downsamples into buckets', async () => {
+      const response = await request('GET', `/api/devices/${device.id}/telemetry?${range}&bucket=1m`, { token: viewer });
+      
+      assert.equal(response.body.bucket, '1m');
+      assert.deepEqual(response.body.telemetry, [
+        { bucket: '2026-01-01T10:00:00.000Z', channel: 'temp', min: 20, max: 22, avg: 21, count: 2 },
+        { bucket: '2026-01-01T10:01:00.000Z', channel: 'humidity', min: 55, max: 55, avg: 55, count: 1 },
+        { bucket: '2026-01-01T10:01:00.000Z', channel: 'temp', min: 30, max: 30, avg: 30, count: 1 },
+      ]);
+    });
+    
+    it('rejects a reversed range and unknown buckets', async () => {
+      const reversed = await request('GET', `/api/devices/${device.id}/telemetry?from=2026-01-02T00:00:00Z&to=2026-01-01T00:00:00Z`, { token: viewer });
+      const bucket = await request('GET', `/api/devices/${device.id}/telemetry?bucket=2m`, { token: viewer });
+      
+      assert.equal(reversed.status, 400);
+      assert.equal(bucket.status, 400);
+    });
+    
+    it('hides telemetry from non-members', async () => {
+      const response = await request('GET', `/api/devices/${device.id}/telemetry?${range}`, { token: outsider });
+      
+      assert.equal(response.status, 404);
+    });
+  });
+  
+  describe('commands', () => {
+    it('publishes a command to a provisioned device and lists it', async () => {
+      const device = await createDevice();
+      await provision(device);
+      broker.requests.length = 0;
+      
+      const response = await request('POST', `/api/devices/${device.id}/commands`, {
+        token: operator,
+        body: { name: 'reboot', payload: { delay: 5 }, ttl_seconds: 60 },
+      });
+      
+      assert.equal(response.status, 201);
+      assert.equal(response.body.command.status, 'sent');
+      assert.equal(broker.requests.length, 1);
+      const published = broker.requests[0];
+      assert.equal(published.url, '/api/v5/publish');
+      assert.equal(published.headers.authorization, `Basic ${Buffer.from('test-emqx-key:test-emqx-secret').toString('base64')}`);
+      assert.match(published.body.topic, new RegExp(`/d/${device.id}/cmd/reboot$`));
+      assert.deepEqual(JSON.parse(published.body.payload).payload, { delay: 5 });
+      assert.ok(published.body.properties.message_expiry_interval <= 60);
+      
+      const history = await request('GET', `/api/devices/${device.id}/commands?status=sent`, { token: viewer });
+      assert.deepEqual(history.body.commands.map(command => command.id), [response.body.command.id]);
+      const none = await request('GET', `/api/devices/${device.id}/commands?status=acked`, { token: viewer });
+      assert.deepEqual(none.body.commands, []);
+    });
+    
+    it('records a failed publish', async () => {
+      const device = await createDevice();
+      await provision(device);
+      broker.respond = () => ({ status: 503 });
+      
+      const response = await request('POST', `/api/devices/${device.id}/commands`, { token: operator, body: { name: 'reboot' } });
+      
+      assert.equal(response.status, 502);
+      assert.equal(response.body.error.code, 'command_failed');
+      assert.equal(response.body.error.details.command.status, 'failed');
+    });
+    
+    it('refuses unprovisioned devices, reserved names and viewers', async () => {
+      const device = await createDevice();
+      
+      const unprovisioned = await request('POST', `/api/devices/${device.id}/commands`, { token: operator, body: { name: 'reboot' } });
+      const reserved = await request('POST', `/api/devices/${device.id}/commands`, { token: operator, body: { name: '_shadow' } });
+      const asViewer = await request('POST', `/api/devices/${device.id}/commands`, { token: viewer, body: { name: 'reboot' } });
+      
+      assert.equal(unprovisioned.status, 409);
+      assert.equal(unprovisioned.body.error.code, 'device_not_provisioned');
+      assert.equal(reserved.status, 400);
+      assert.equal(asViewer.status, 403);
+    });
+  });
+  
+  describe('shadow', () => {
+    it('starts empty and updates desired state by version', async () => {
+      const device = await createDevice();
+      
+      const empty = await request('GET', `/api/devices/${device.id}/shadow`, { token: viewer });
+      assert.equal(empty.status, 200);
+      assert.deepEqual(empty.body.shadow.desired, {});
+      assert.equal(empty.body.shadow.desired_version, 0);
+      
+      const updated = await request('PUT', `/api/devices/${device.id}/shadow/desired`, {
+        token: operator,
+        body: { desired: { led: 'on' }, version: 0 },
+      });
+      assert.equal(updated.status, 200);
+      assert.deepEqual(updated.body.shadow.desired, { led: 'on' });
+      assert.deepEqual(updated.body.shadow.delta, { led: 'on' });
+      assert.equal(updated.body.shadow.desired_version, 1);
+      
+      // The delta is retained for the device
+      const published = broker.requests.find(call => call.url === '/api/v5/publish');
+      assert.match(published.body.topic, /\/cmd\/_shadow\/delta$/);
+      assert.equal(published.body.retain, true);
+      
+      const stale = await request('PUT', `/api/devices/${device.id}/shadow/desired`, {
+        token: operator,
+        body: { desired: { led: 'off' }, version: 0 },
+      });
+      assert.equal(stale.status, 409);
+      assert.equal(stale.body.error.code, 'version_conflict');
+      assert.equal(stale.body.error.details.shadow.desired_version, 1);
+    });
+    
+    it('requires the operator role to change desired state', async () => {
+      const device = await createDevice();
+      
+      const response = await request('PUT', `/api/devices/${device.id}/shadow/desired`, {
+        token: viewer,
+        body: { desired: { led: 'on' }, version: 0 },
+      });
+      
+      assert.equal(response.status, 403);
+    });
+    
+    it('validates the body', async () => {
+      const device = await createDevice();
+      
+      const response = await request('PUT', `/api/devices/${device.id}/shadow/desired`, {
+        token: operator,
+        body: { desired: 'on' },
+      });
+      
+      assert.equal(response.status, 400);
+      assert.deepEqual(response.body.error.details.map(detail => detail.path).sort(), ['desired', 'version']);
+    });
+  });
+  
+  describe('GET /:id/errors', () => {
+    it('lists validation errors newest first, filtered by action', async () => {
+      const device = await createDevice();
+      await repositories.admin().deviceErrors.insert([
+        { device_id: device.id, channel: 'temp', value: 900, action: 'rejected', reason: 'Above max' },
+      ]);
+      await repositories.admin().deviceErrors.insert([
+        { device_id: device.id, channel: 'temp', value: -90, action: 'clamped', reason: 'Below min' },
+      ]);
+      
+      const all = await request('GET', `/api/devices/${device.id}/errors`, { token: viewer });
+      const rejected = await request('GET', `/api/devices/${device.id}/errors?action=rejected`, { token: viewer });
+      const invalid = await request('GET', `/api/devices/${device.id}/errors?action=dropped`, { token: viewer });
+      
+      assert.equal(all.status, 200);
+      assert.deepEqual(all.body.errors.map(row => row.action), ['clamped', 'rejected']);
+      assert.deepEqual(rejected.body.errors.map(row => row.value), [900]);
+      assert.equal(invalid.status, 400);
+    });
+    
+    it('keeps errors for the retention period', async () => {
+      const device = await createDevice();
+      await repositories.admin().deviceErrors.insert([
+        { device_id: device.id, channel: 'temp', value: 900, action: 'rejected', reason: 'Above max' },
+      ]);
+      const daysLater = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+      
+      const kept = await channelSchema.pruneErrors(daysLater(config.deviceErrors.retentionDays - 1));
+      const pruned = await channelSchema.pruneErrors(daysLater(config.deviceErrors.retentionDays + 1));
+      const response = await request('GET', `/api/devices/${device.id}/errors`, { token: viewer });
+      
+      assert.equal(kept, 0);
+      assert.equal(pruned, 1);
+      assert.deepEqual(response.body.errors, []);
+    });
+  });
+  
+  describe('GET /:id/connections', () => {
+    it('lists broker connection events newest first', async () => {
+      const device = await createDevice();
+      await repositories.admin().connections.insert({
+        device_id: device.id, event: 'connected', ip: '203.0.113.5', reason: null, occurred_at: '2026-01-01T10:00:00.000Z',
+      });
+      await repositories.admin().connections.insert({
+        device_id: device.id, event: 'disconnected', ip: '203.0.113.5', reason: 'normal', occurred_at: '2026-01-01T11:00:00.000Z',
+      });
+      
+      const response = await request('GET', `/api/devices/${device.id}/connections?limit=1`, { token: viewer });
+      const hidden = await request('GET', `/api/devices/${device.id}/connections`, { token: outsider });
+      
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.connections, [
+        { event: 'disconnected', ip: '203.0.113.5', reason: 'normal', occurred_at: '2026-01-01T11:00:00.000Z' },
+      ]);
+      assert.equal(hidden.status, 404);
+    });
+  });
+});
@@ -0,0 +1,433 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const x509 = require('@peculiar/x509');
+const { USERS, startServer, userToken, reset, createProject, createCsr } = require('./helpers');
+const { startReceiver } = require('./receiver');
+const repositories = require('../src/repositories');
+const telemetry = require('../src/services/telemetry');
+const { createEmqxClient, EmqxError } = require('../src/services/emqx');
+
+const BROKER_SECRET = process.env.EMQX_WEBHOOK_SECRET;
+const EC_P256 = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A self-signed CA, as someone would upload it
+ * Returns { keys, certificate, certificatePem, privateKeyPem }
+ */
+async function createAuthorityKeys(commonName) {
+  const keys = await crypto.webcrypto.subtle.generateKey(EC_P256, true, ['sign', 'verify']);
+  const certificate = await x509.X509CertificateGenerator.createSelfSigned({
+    serialNumber: '01',
+    name: `CN=${commonName}`,
+    notBefore: new Date(),
+    notAfter: new Date(Date.now() + 30 * DAY_MS),
+    keys,
+    signingAlgorithm: EC_P256,
+    extensions: [
+      new x509.BasicConstraintsExtension(true, undefined, true),
+      new x509.KeyUsagesExtension(x509.KeyUsageFlags.keyCertSign | x509.KeyUsageFlags.cRLSign, true),
+    ],
+  });
+  const pkcs8 = await crypto.webcrypto.subtle.exportKey('pkcs8', keys.privateKey);
+  
+  return {
+    keys,
+    certificate,
+    certificatePem: certificate.toString('pem'),
+    privateKeyPem: x509.PemConverter.encode(pkcs8, 'PRIVATE KEY'),
+  };
+}
+
+describe('/api/emqx hooks', () => {
+  let server;
+  let project;
+  const owner = userToken(USERS.owner);
+  
+  before(async () => {
+    server = await startServer();
+  });
+  
+  after(() => server.close());
+  
+  beforeEach(async () => {
+    reset();
+    project = await createProject(server, owner);
+  });
+  
+  // As the broker calls the hooks
+  function hook(path, body, secret = BROKER_SECRET) {
+    return server.request('POST', `/api/emqx${path}`, { headers: { 'X-Webhook-Secret': secret }, body });
+  }
+  
+  // A device provisioned with a password, or a certificate for a CSR
+  async function provisionDevice(csr) {
+    const created = await server.request('POST', '/api/devices', {
+      token: owner,
+      body: { project_id: project.id, name: 'Sensor' },
+    });
+    const response = await server.request('POST', '/api/provision', {
+      body: { device_token: created.body.device.device_token, csr },
+    });
+    assert.equal(response.status, 200);
+    return { id: created.body.device.id, mqtt: response.body.mqtt };
+  }
+  
+  it('refuses calls without the broker secret', async () => {
+    const missing = await server.request('POST', '/api/emqx/auth', { body: { username: 'x', clientid: 'x' } });
+    const wrong = await hook('/auth', { username: 'x', clientid: 'x' }, 'not-the-secret');
+    
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error.message, 'Invalid webhook secret');
+  });
+  
+  describe('POST /auth', () => {
+    it('allows a device with its own password and client ID only', async () => {
+      const device = await provisionDevice();
+      const { username, password } = device.mqtt;
+      
+      const allowed = await hook('/auth', { username, password, clientid: device.id });
+      const cached = await hook('/auth', { username, password, clientid: device.id });
+      const wrongPassword = await hook('/auth', { username, password: `${password}x`, clientid: device.id });
+      const wrongClient = await hook('/auth', { username, password, clientid: crypto.randomUUID() });
+      const unknown = await hook('/auth', { username: 'u_nobody', password, clientid: device.id });
+      
+      assert.deepEqual(allowed.body, { result: 'allow', is_superuser: false });
+      assert.equal(cached.body.result, 'allow');
+      assert.equal(wrongPassword.body.result, 'deny');
+      assert.equal(wrongClient.body.result, 'deny');
+      assert.equal(unknown.body.result, 'deny');
+    });
+    
+    it('upgrades a legacy SHA-256 password hash on success', async () => {
+      const device = await provisionDevice();
+      const { username, password } = device.mqtt;
+      const legacy = crypto.createHash('sha256').update(password).digest('hex');
+      await repositories.admin().devices.update(device.id, { mqtt_password_hash: legacy });
+      
+      const response = await hook('/auth', { username, password, clientid: device.id });
+      
+      assert.equal(response.body.result, 'allow');
+      const stored = await repositories.admin().devices.get(device.id);
+      assert.notEqual(stored.mqtt_password_hash, legacy);
+      assert.equal((await hook('/auth', { username, password, clientid: device.id })).body.result, 'allow');
+    });
+    
+    it('refuses a device whose token was regenerated', async () => {
+      const device = await provisionDevice();
+      const { username, password } = device.mqtt;
+      await hook('/auth', { username, password, clientid: device.id });
+      
+      await server.request('POST', `/api/devices/${device.id}/regenerate-token`, { token: owner });
+      const response = await hook('/auth', { username, password, clientid: device.id });
+      
+      assert.equal(response.body.result, 'deny');
+    });
+    
+    it('allows a device by its client certificate', async () => {
+      await server.request('POST', `/api/projects/${project.id}/pki/ca`, { token: owner, body: {} });
+      const device = await provisionDevice((await createCsr()).csr);
+      const other = await provisionDevice((await createCsr()).csr);
+      const certificateAuth = (commonName, certificate) => hook('/auth', {
+        username: commonName,
+        password: '',
+        clientid: commonName,
+        cert_common_name: commonName,
+        cert_pem: certificate,
+      });
+      
+      const allowed = await certificateAuth(device.id, device.mqtt.certificate);
+      const otherDevices = await certificateAuth(device.id, other.mqtt.certificate);
+      const missing = await certificateAuth(device.id, '');
+      
+      assert.equal(allowed.body.result, 'allow');
+      assert.equal(otherDevices.body.result, 'deny');
+      assert.equal(missing.body.result, 'deny');
+      
+      const [row] = (await server.request('GET', `/api/projects/${project.id}/pki/certificates?device_id=${device.id}`, { token: owner })).body.certificates;
+      await server.request('POST', `/api/projects/${project.id}/pki/certificates/${row.id}/revoke`, { token: owner, body: {} });
+      assert.equal((await certificateAuth(device.id, device.mqtt.certificate)).body.result, 'deny');
+      
+      const bundle = await server.request('GET', '/api/emqx/ca-bundle', { headers: { 'X-Webhook-Secret': BROKER_SECRET } });
+      assert.equal(bundle.status, 200);
+      assert.match(bundle.headers.get('content-type'), /^application\/x-pem-file/);
+      assert.match(bundle.text, /^-----BEGIN CERTIFICATE-----/);
+    });
+    
+    it('refuses a certificate another project\'s CA made for the device', async () => {
+      await server.request('POST', `/api/projects/${project.id}/pki/ca`, { token: owner, body: {} });
+      const device = await provisionDevice((await createCsr()).csr);
+      
+      // The admin of another project uploads a CA, which the broker
+      // then trusts, and signs a certificate with the device's ID as CN
+      const outsider = userToken(USERS.outsider);
+      const rogue = await server.request('POST', '/api/projects', { token: outsider, body: { name: 'Rogue' } });
+      const ca = await createAuthorityKeys('Rogue CA');
+      const uploaded = await server.request('POST', `/api/projects/${rogue.body.project.id}/pki/ca`, {
+        token: outsider,
+        body: { certificate: ca.certificatePem, private_key: ca.privateKeyPem },
+      });
+      assert.equal(uploaded.status, 201);
+      const leafKeys = await crypto.webcrypto.subtle.generateKey(EC_P256, true, ['sign', 'verify']);
+      const forged = await x509.X509CertificateGenerator.create({
+        serialNumber: '0a',
+        subject: `CN=${device.id}`,
+        issuer: ca.certificate.subject,
+        notBefore: new Date(),
+        notAfter: new Date(Date.now() + DAY_MS),
+        publicKey: leafKeys.publicKey,
+        signingKey: ca.keys.privateKey,
+        signingAlgorithm: EC_P256,
+      });
+      
+      const response = await hook('/auth', {
+        username: device.id,
+        password: '',
+        clientid: device.id,
+        cert_common_name: device.id,
+        cert_pem: forged.toString('pem'),
+      });
+      
+      assert.equal(response.body.result, 'deny');
+    });
+    
+    it('validates the body', async () => {
+      const response = await hook('/auth', { password: 'x' });
+      
+      assert.equal(response.status, 400);
+    });
+  });
+  
+  describe('POST /acl', () => {
+    it('limits a device to its own topics', async () => {
+      const device = await provisionDevice();
+      const other = await provisionDevice();
+      const { username } = device.mqtt;
+      const own = `u/${USERS.owner}/d/${device.id}/tel/temp`;
+      
+      const allowed = await hook('/acl', { username, clientid: device.id, action: 'publish', topic: own });
+      const subscribe = await hook('/acl', { username, clientid: device.id, action: 'subscribe', topic: `u/${USERS.owner}/d/${device.id}/cmd/#` });
+      const otherDevice = await hook('/acl', { username, clientid: device.id, action: 'publish', topic: `u/${USERS.owner}/d/${other.id}/tel/temp` });
+      const wrongClient = await hook('/acl', { username, clientid: other.id, action: 'publish', topic: own });
+      const wildcard = await hook('/acl', { username, clientid: device.id, action: 'subscribe', topic: 'u/#' });
+      
+      assert.deepEqual(allowed.body, { result: 'allow' });
+      assert.equal(subscribe.body.result, 'allow');
+      assert.equal(otherDevice.body.result, 'deny');
+      assert.equal(wrongClient.body.result, 'deny');
+      assert.equal(wildcard.body.result, 'deny');
+    });
+    
+    it('validates the action', async () => {
+      const response = await hook('/acl', { username: 'x', clientid: 'x', action: 'retain', topic: 'x' });
+      
+      assert.equal(response.status, 400);
+    });
+  });
+  
+  describe('POST /telemetry', () => {
+    it('stores readings the device publishes on its own topics', async () => {
+      const device = await provisionDevice();
+      const other = await provisionDevice();
+      await server.request('POST', `/api/devices/${device.id}/channels`, {
+        token: owner,
+        body: { key: 'temperature', data_type: 'number', min_value: -40, max_value: 85 },
+      });
+      const topic = `u/${USERS.owner}/d/${device.id}/tel/temperature`;
+      
+      const stored = await hook('/telemetry', { clientid: device.id, topic, payload: 21.5 });
+      const outOfRange = await hook('/telemetry', { clientid: device.id, topic, payload: 120 });
+      const wrongClient = await hook('/telemetry', { clientid: other.id, topic, payload: 20 });
+      const wrongOwner = await hook('/telemetry', {
+        clientid: device.id,
+        topic: `u/${USERS.admin}/d/${device.id}/tel/temperature`,
+        payload: 20,
+      });
+      
+      assert.equal(stored.status, 202);
+      assert.deepEqual(stored.body, { accepted: 1, rejected: 0 });
+      assert.deepEqual(outOfRange.body, { accepted: 0, rejected: 1 });
+      assert.equal(wrongClient.status, 404);
+      assert.equal(wrongOwner.status, 404);
+      
+      await telemetry.flush();
+      const readings = await server.request('GET', `/api/devices/${device.id}/telemetry`, { token: owner });
+      const errors = await server.request('GET', `/api/devices/${device.id}/errors`, { token: owner });
+      assert.deepEqual(readings.body.telemetry.map(row => row.value), [21.5]);
+      assert.equal(errors.body.errors.length, 1);
+      assert.equal(errors.body.errors[0].reason, 'above_max');
+      assert.equal(errors.body.errors[0].action, 'rejected');
+    });
+    
+    it('applies the project\'s invalid value policy', async () => {
+      await server.request('PATCH', `/api/projects/${project.id}`, { token: owner, body: { invalid_value_policy: 'clamp' } });
+      const device = await provisionDevice();
+      await server.request('POST', `/api/devices/${device.id}/channels`, {
+        token: owner,
+        body: { key: 'humidity', data_type: 'number', min_value: 0, max_value: 100 },
+      });
+      
+      const response = await hook('/telemetry', {
+        clientid: device.id,
+        topic: `u/${USERS.owner}/d/${device.id}/tel/`,
+        payload: { humidity: 140 },
+      });
+      
+      assert.deepEqual(response.body, { accepted: 1, rejected: 0 });
+      await telemetry.flush();
+      const readings = await server.request('GET', `/api/devices/${device.id}/telemetry`, { token: owner });
+      assert.deepEqual(readings.body.telemetry.map(row => row.value), [100]);
+    });
+  });
+  
+  describe('POST /presence', () => {
+    const at = offsetMs => Date.parse('2026-01-01T12:00:00.000Z') + offsetMs;
+    
+    it('tracks whether a device is online, ignoring stale events', async () => {
+      const device = await provisionDevice();
+      const { username } = device.mqtt;
+      
+      const connected = await hook('/presence', {
+        event: 'client.connected', clientid: device.id, username, peername: '203.0.113.7:51234', connected_at: at(0),
+      });
+      const stale = await hook('/presence', {
+        event: 'client.disconnected', clientid: device.id, username, reason: 'normal', disconnected_at: at(-1000),
+      });
+      
+      assert.deepEqual(connected.body, { changed: true });
+      assert.deepEqual(stale.body, { changed: false });
+      let stored = await repositories.admin().devices.get(device.id);
+      assert.equal(stored.online, true);
+      assert.equal(stored.last_ip, '203.0.113.7');
+      assert.equal(stored.last_seen_at, new Date(at(0)).toISOString());
+      
+      const disconnected = await hook('/presence', {
+        event: 'client.disconnected', clientid: device.id, username, reason: 'keepalive_timeout', disconnected_at: at(60000),
+      });
+      
+      assert.deepEqual(disconnected.body, { changed: true });
+      stored = await repositories.admin().devices.get(device.id);
+      assert.equal(stored.online, false);
+      
+      // Every event is logged, stale ones too
+      const history = await server.request('GET', `/api/devices/${device.id}/connections`, { token: owner });
+      assert.equal(history.body.connections.length, 3);
+    });
+    
+    it('ignores events from other credentials or unknown clients', async () => {
+      const device = await provisionDevice();
+      const other = await provisionDevice();
+      
+      const wrongUser = await hook('/presence', {
+        event: 'client.connected', clientid: device.id, username: other.mqtt.username, connected_at: at(0),
+      });
+      const unknown = await hook('/presence', {
+        event: 'client.connected', clientid: crypto.randomUUID(), username: device.mqtt.username, connected_at: at(0),
+      });
+      const notADevice = await hook('/presence', { event: 'client.connected', clientid: 'dashboard', connected_at: at(0) });
+      
+      assert.deepEqual(wrongUser.body, { ignored: 'unknown_client' });
+      assert.deepEqual(unknown.body, { ignored: 'unknown_client' });
+      assert.deepEqual(notADevice.body, { ignored: 'unknown_client' });
+      assert.equal((await repositories.admin().devices.get(device.id)).online, false);
+    });
+  });
+});
+
+describe('EMQX management client', () => {
+  let broker;
+  let client;
+  
+  before(async () => {
+    broker = await startReceiver();
+    client = createEmqxClient({ apiUrl: `${broker.url}/`, apiKey: 'key', apiSecret: 'secret' });
+  });
+  
+  after(() => broker.close());
+  
+  beforeEach(() => {
+    broker.requests.length = 0;
+    broker.respond = () => undefined;
+  });
+  
+  const calls = () => broker.requests.map(request => `${request.method} ${request.url}`);
+  
+  it('authenticates with the API key', async () => {
+    await client.kickClient('device-1');
+    
+    assert.equal(broker.requests[0].headers.authorization, `Basic ${Buffer.from('key:secret').toString('base64')}`);
+  });
+  
+  it('creates a user, replacing the password of an existing one', async () => {
+    broker.respond = request => (request.method === 'POST'
+      ? { status: 409, body: { code: 'ALREADY_EXISTS', message: 'User already exists' } }
+      : { status: 200, body: { user_id: 'u_1' } });
+    
+    const result = await client.createUser('u_1', 'password-1');
+    
+    assert.deepEqual(result, { user_id: 'u_1' });
+    assert.deepEqual(calls(), [
+      'POST /api/v5/authentication/password_based%3Abuilt_in_database/users',
+      'PUT /api/v5/authentication/password_based%3Abuilt_in_database/users/u_1',
+    ]);
+    assert.deepEqual(broker.requests[0].body, { user_id: 'u_1', password: 'password-1', is_superuser: false });
+    assert.deepEqual(broker.requests[1].body, { password: 'password-1', is_superuser: false });
+  });
+  
+  it('treats a missing user or client as already removed', async () => {
+    broker.respond = () => ({ status: 404, body: { code: 'NOT_FOUND', message: 'Not found' } });
+    
+    await client.revokeDevice({ mqttUsername: 'u_1', clientId: 'device 1' });
+    
+    assert.deepEqual(calls(), [
+      'DELETE /api/v5/authentication/password_based%3Abuilt_in_database/users/u_1',
+      'DELETE /api/v5/clients/device%201',
+    ]);
+  });
+  
+  it('throws EmqxError with the broker\'s status and code', async () => {
+    broker.respond = () => ({ status: 500, body: { code: 'INTERNAL_ERROR', message: 'Database down' } });
+    
+    await assert.rejects(client.deleteUser('u_1'), error => {
+      assert.ok(error instanceof EmqxError);
+      assert.equal(error.status, 500);
+      assert.equal(error.code, 'INTERNAL_ERROR');
+      assert.equal(error.message, 'Database down');
+      return true;
+    });
+  });
+  
+  it('publishes JSON payloads with a message expiry', async () => {
+    await client.publish('u/1/d/2/cmd/reboot', { id: 'c1' }, { expirySeconds: 30 });
+    await client.publish('u/1/d/2/cmd/_shadow/delta', '', { retain: true });
+    
+    assert.deepEqual(broker.requests.map(request => request.body), [
+      {
+        topic: 'u/1/d/2/cmd/reboot',
+        payload: '{"id":"c1"}',
+        payload_encoding: 'plain',
+        qos: 1,
+        retain: false,
+        properties: { message_expiry_interval: 30 },
+      },
+      {
+        topic: 'u/1/d/2/cmd/_shadow/delta',
+        payload: '',
+        payload_encoding: 'plain',
+        qos: 1,
+        retain: true,
+      },
+    ]);
+  });
+  
+  it('fails without configuration or a reachable broker', async () => {
+    const unconfigured = createEmqxClient({ apiUrl: '', apiKey: 'key', apiSecret: 'secret' });
+    const unreachable = createEmqxClient({ apiUrl: 'http://127.0.0.1:9', apiKey: 'key', apiSecret: 'secret' });
+    
+    assert.equal(unconfigured.isConfigured(), false);
+    await assert.rejects(unconfigured.kickClient('device-1'), { name: 'EmqxError', status: 0 });
+    await assert.rejects(unreachable.kickClient('device-1'), { name: 'EmqxError', status: 0 });
+  });
+});
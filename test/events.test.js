@@ -0,0 +1,160 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { USERS, startServer, userToken, reset, createProject } = require('./helpers');
+const config = require('../config');
+const events = require('../src/services/events');
+
+describe('/api/projects/:id/events', () => {
+  let server;
+  let project;
+  let streams = [];
+  const owner = userToken(USERS.owner);
+  
+  before(async () => {
+    server = await startServer();
+  });
+  
+  after(() => {
+    streams.forEach(stream => stream.close());
+    return server.close();
+  });
+  
+  beforeEach(async () => {
+    reset();
+    streams.forEach(stream => stream.close());
+    streams = [];
+    project = await createProject(server, owner);
+  });
+  
+  // A stream ticket as an API key with these scopes would get
+  function keyTicket(scopes) {
+    const apiKey = { id: crypto.randomUUID(), project_id: project.id, name: 'Dashboard', scopes };
+    return events.issueTicket({ user: { id: USERS.owner }, apiKey, projectId: project.id }).ticket;
+  }
+  
+  /**
+   * Open the event stream
+   * Returns { status, body (error responses), next(type), close() };
+   * next(type) reads up to the next event of that type and resolves to
+   * { event, skipped } with the types of the events read past
+   */
+  async function openStream(query, headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(`${server.url}/api/projects/${project.id}/events?${query}`, {
+      headers,
+      signal: controller.signal,
+    });
+    const stream = { status: response.status, close: () => controller.abort() };
+    streams.push(stream);
+    
+    if (response.status !== 200) {
+      stream.body = await response.json();
+      return stream;
+    }
+    
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffered = '';
+    stream.next = async type => {
+      const skipped = [];
+      for (;;) {
+        const end = buffered.indexOf('\n\n');
+        if (end === -1) {
+          const { value, done } = await reader.read();
+          if (done) throw new Error('Stream ended');
+          buffered += value;
+          continue;
+        }
+        
+        const message = buffered.slice(0, end);
+        buffered = buffered.slice(end + 2);
+        const fields = Object.fromEntries(message.split('\n')
+          .filter(line => /^(event|data): /.test(line))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (!fields.event) continue;
+        
+        if (fields.event === type) return { skipped, event: JSON.parse(fields.data) };
+        skipped.push(fields.event);
+      }
+    };
+    
+    return stream;
+  }
+  
+  function publishBoth() {
+    events.publish(project.id, 'telemetry', { data: { readings: [{ channel: 'temp', value: 21.5 }] } });
+    events.publish(project.id, 'device.updated', { data: { device: { id: 'd1' } } });
+  }
+  
+  it('streams telemetry to users', async () => {
+    const stream = await openStream('', { Authorization: `Bearer ${owner}` });
+    
+    publishBoth();
+    
+    const { event } = await stream.next('telemetry');
+    assert.deepEqual(event.data.readings, [{ channel: 'temp', value: 21.5 }]);
+    assert.equal(event.project_id, project.id);
+  });
+  
+  it('leaves telemetry out for API keys without telemetry:read', async () => {
+    const stream = await openStream(`ticket=${keyTicket(['devices:read'])}`);
+    
+    publishBoth();
+    
+    const { skipped } = await stream.next('device.updated');
+    assert.deepEqual(skipped, []);
+  });
+  
+  it('streams telemetry to API keys with telemetry:read', async () => {
+    const stream = await openStream(`ticket=${keyTicket(['devices:read', 'telemetry:read'])}`);
+    
+    publishBoth();
+    
+    const { skipped } = await stream.next('device.updated');
+    assert.deepEqual(skipped, ['telemetry']);
+  });
+  
+  it('refuses to filter for telemetry without the scope', async () => {
+    const refused = await openStream(`types=telemetry&ticket=${keyTicket(['devices:read'])}`);
+    const unscoped = await openStream(`ticket=${keyTicket(['telemetry:read'])}`);
+    
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.error.code, 'missing_scope');
+    assert.equal(refused.body.error.message, 'API key is missing the "telemetry:read" scope');
+    assert.equal(unscoped.status, 403);
+  });
+});
+
+describe('event buffers', () => {
+  const projectId = crypto.randomUUID();
+  const idle = () => Date.now() + config.events.replayWindowMs + 1;
+  
+  it('keeps a project\'s events while a stream is open, and drops them once idle', () => {
+    const first = events.publish(projectId, 'device.updated');
+    const second = events.publish(projectId, 'device.updated');
+    const unsubscribe = events.subscribe(projectId, () => {});
+    
+    events.sweep(idle());
+    assert.deepEqual(events.since(projectId, first.id).map(event => event.id), [second.id]);
+    
+    unsubscribe();
+    events.sweep(Date.now());
+    assert.equal(events.since(projectId, first.id).length, 1);
+    
+    events.sweep(idle());
+    assert.equal(events.since(projectId, first.id), null);
+  });
+  
+  it('forgets a project\'s listeners once the last one leaves', () => {
+    const received = [];
+    const unsubscribeFirst = events.subscribe(projectId, () => received.push('first'));
+    unsubscribeFirst();
+    events.subscribe(projectId, () => received.push('second'));
+    
+    // Unsubscribing twice leaves the newer listener alone
+    unsubscribeFirst();
+    events.publish(projectId, 'device.updated');
+    
+    assert.deepEqual(received, ['second']);
+  });
+});
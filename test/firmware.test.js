@@ -0,0 +1,165 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+// Test environment; must come before anything that reads config
+const { USERS, startServer, userToken, addMember, reset, createProject, provisionDevice } = require('./helpers');
+const config = require('../config');
+const { haltReason } = require('../src/services/firmware');
+
+const IMAGE = 'firmware image 1.1.0';
+
+// Rollout progress as rolloutProgress() counts it
+function progress(counts) {
+  const statuses = { pending: 0, downloading: 0, installing: 0, succeeded: 0, failed: 0, rolled_back: 0, ...counts };
+  return { total: Object.values(statuses).reduce((sum, count) => sum + count, 0), ...statuses };
+}
+
+describe('rollout halting', () => {
+  it('rates failures over finished devices, not all targeted ones', () => {
+    // 2 of 1000 targeted, but 2 of the 10 that finished
+    const reason = haltReason(progress({ pending: 990, succeeded: 8, failed: 1, rolled_back: 1 }), 10);
+    
+    assert.equal(reason, '2 of 10 finished devices failed (limit 10%)');
+    assert.equal(haltReason(progress({ pending: 990, succeeded: 9, failed: 1 }), 20), null);
+  });
+  
+  it('waits for the minimum sample', () => {
+    const sample = config.firmware.rolloutMinSample;
+    
+    assert.equal(haltReason(progress({ pending: 100, failed: sample - 1 }), 10), null);
+    assert.ok(haltReason(progress({ pending: 100, failed: sample }), 10));
+  });
+  
+  it('uses what finished when fewer devices were targeted', () => {
+    assert.ok(haltReason(progress({ failed: 1, succeeded: 1 }), 50));
+    assert.equal(haltReason(progress({ pending: 1, failed: 1 }), 50), null);
+    assert.equal(haltReason(progress({}), 10), null);
+  });
+});
+
+describe('/api/projects/:projectId/rollouts', () => {
+  let server;
+  let project;
+  let release;
+  const owner = userToken(USERS.owner);
+  const viewer = userToken(USERS.viewer);
+  
+  before(async () => {
+    server = await startServer();
+  });
+  
+  after(() => server.close());
+  
+  // A 1.1.0 release for ESP32 devices running 1.0.0
+  beforeEach(async () => {
+    reset();
+    project = await createProject(server, owner);
+    addMember(project.id, USERS.viewer, 'viewer');
+    
+    const uploaded = await server.request('POST', `/api/projects/${project.id}/firmware?hardware_type=ESP32&version=1.1.0`, {
+      token: owner,
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: IMAGE,
+    });
+    release = uploaded.body.release;
+  });
+  
+  function createDevice(fields = {}) {
+    return provisionDevice(server, owner, { project_id: project.id, name: 'Sensor', ...fields }, {
+      firmware_version: '1.0.0',
+    });
+  }
+  
+  function startRollout(body = {}) {
+    return server.request('POST', `/api/projects/${project.id}/rollouts`, {
+      token: owner,
+      body: { release_id: release.id, ...body },
+    });
+  }
+  
+  function report(device, updateId, body) {
+    return server.request('POST', `/api/ota/updates/${updateId}/progress`, {
+      headers: { Authorization: device.authorization },
+      body,
+    });
+  }
+  
+  async function updateFor(device, rollout) {
+    const response = await server.request('GET', `/api/projects/${project.id}/rollouts/${rollout.id}/devices`, {
+      token: viewer,
+    });
+    return response.body.devices.find(update => update.device_id === device.id);
+  }
+  
+  it('targets devices of the release\'s hardware type and completes as they update', async () => {
+    const device = await createDevice();
+    await createDevice({ hardware_type: 'ESP8266' });
+    
+    const started = await startRollout();
+    assert.equal(started.status, 201);
+    assert.equal(started.body.targeted, 1);
+    const { rollout } = started.body;
+    
+    // A device already running the release reports it instead of downloading
+    const check = await server.request('GET', '/api/ota/update?current_version=1.1.0', {
+      headers: { Authorization: device.authorization },
+    });
+    assert.equal(check.status, 204);
+    
+    const fetched = await server.request('GET', `/api/projects/${project.id}/rollouts/${rollout.id}`, { token: viewer });
+    assert.equal(fetched.body.rollout.status, 'completed');
+    assert.equal(fetched.body.rollout.release.version, '1.1.0');
+    assert.equal(fetched.body.progress.succeeded, 1);
+    
+    const updated = await server.request('GET', `/api/devices/${device.id}`, { token: owner });
+    assert.equal(updated.body.device.firmware_version, '1.1.0');
+  });
+  
+  it('offers the stored image for download', async () => {
+    const device = await createDevice();
+    await startRollout();
+    
+    const check = await server.request('GET', '/api/ota/update?current_version=1.0.0', {
+      headers: { Authorization: device.authorization },
+    });
+    assert.equal(check.status, 200);
+    assert.equal(check.body.update.version, '1.1.0');
+    assert.equal(check.body.update.sha256, crypto.createHash('sha256').update(IMAGE).digest('hex'));
+    
+    const download = await fetch(check.body.update.url);
+    assert.equal(await download.text(), IMAGE);
+  });
+  
+  it('halts on failures and rolls devices back', async () => {
+    const device = await createDevice();
+    const { rollout } = (await startRollout()).body;
+    const update = await updateFor(device, rollout);
+    
+    assert.equal((await report(device, update.id, { status: 'downloading' })).status, 200);
+    const failed = await report(device, update.id, { status: 'failed', error: 'Bad signature' });
+    assert.deepEqual(failed.body.rollback, { version: '1.0.0' });
+    
+    const halted = await server.request('GET', `/api/projects/${project.id}/rollouts/${rollout.id}`, { token: viewer });
+    assert.equal(halted.body.rollout.status, 'halted');
+    
+    assert.equal((await report(device, update.id, { status: 'rolled_back' })).status, 200);
+    const invalid = await report(device, update.id, { status: 'installing' });
+    assert.equal(invalid.status, 409);
+    assert.equal((await updateFor(device, rollout)).status, 'rolled_back');
+  });
+  
+  it('runs one rollout per hardware type and keeps its release', async () => {
+    await createDevice();
+    const { rollout } = (await startRollout()).body;
+    
+    assert.equal((await startRollout()).status, 409);
+    const removed = await server.request('DELETE', `/api/projects/${project.id}/firmware/${release.id}`, { token: owner });
+    assert.equal(removed.status, 409);
+    
+    const cancelled = await server.request('POST', `/api/projects/${project.id}/rollouts/${rollout.id}/cancel`, {
+      token: owner,
+    });
+    assert.equal(cancelled.body.rollout.status, 'cancelled');
+    assert.equal((await startRollout()).status, 201);
+  });
+});
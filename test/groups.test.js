@@ -0,0 +1,246 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, startServer, userToken, addMember, reset, createProject } = require('./helpers');
+const repositories = require('../src/repositories');
+const jobs = require('../src/services/jobs');
+const events = require('../src/services/events');
+
+describe('/api/projects/:projectId/groups', () => {
+  let server;
+  let project;
+  const owner = userToken(USERS.owner);
+  const viewer = userToken(USERS.viewer);
+  
+  before(async () => {
+    server = await startServer();
+  });
+  
+  after(() => server.close());
+  
+  beforeEach(async () => {
+    reset();
+    project = await createProject(server, owner);
+    addMember(project.id, USERS.viewer, 'viewer');
+  });
+  
+  async function createDevice(fields = {}, projectId = project.id) {
+    const response = await server.request('POST', '/api/devices', {
+      token: owner,
+      body: { project_id: projectId, name: 'Sensor', ...fields },
+    });
+    assert.equal(response.status, 201);
+    return response.body.device;
+  }
+  
+  function createGroup(body) {
+    return server.request('POST', `/api/projects/${project.id}/groups`, { token: owner, body });
+  }
+  
+  describe('static groups', () => {
+    it('adds devices of the project and lists them', async () => {
+      const north = await createDevice({ name: 'North' });
+      const south = await createDevice({ name: 'South' });
+      const other = await server.request('POST', '/api/projects', { token: owner, body: { name: 'Barn' } });
+      const foreign = await createDevice({}, other.body.project.id);
+      
+      const created = await createGroup({ name: 'Floor 2', type: 'static', device_ids: [north.id, foreign.id] });
+      
+      assert.equal(created.status, 201);
+      assert.deepEqual(created.body.added, [north.id]);
+      assert.deepEqual(created.body.skipped, [foreign.id]);
+      
+      const group = created.body.group;
+      const added = await server.request('POST', `/api/projects/${project.id}/groups/${group.id}/devices`, {
+        token: owner,
+        body: { device_ids: [south.id, north.id] },
+      });
+      assert.deepEqual(added.body, { added: [south.id, north.id], skipped: [] });
+      
+      const fetched = await server.request('GET', `/api/projects/${project.id}/groups/${group.id}`, { token: viewer });
+      assert.equal(fetched.body.group.device_count, 2);
+      
+      const listed = await server.request('GET', `/api/projects/${project.id}/groups/${group.id}/devices`, { token: viewer });
+      assert.deepEqual(listed.body.devices.map(device => device.name), ['North', 'South']);
+      assert.equal(listed.body.devices[0].device_token, undefined);
+    });
+    
+    it('removes a member once', async () => {
+      const device = await createDevice();
+      const created = await createGroup({ name: 'Floor 2', type: 'static', device_ids: [device.id] });
+      const path = `/api/projects/${project.id}/groups/${created.body.group.id}/devices/${device.id}`;
+      
+      assert.equal((await server.request('DELETE', path, { token: owner })).status, 204);
+      assert.equal((await server.request('DELETE', path, { token: owner })).status, 404);
+    });
+  });
+  
+  it('matches dynamic groups on labels, tags and hardware type as devices change', async () => {
+    const match = await createDevice({ name: 'Match', labels: { floor: '2' }, tags: ['sensor'] });
+    await createDevice({ name: 'Other floor', labels: { floor: '3' }, tags: ['sensor'] });
+    await createDevice({ name: 'Other board', labels: { floor: '2' }, tags: ['sensor'], hardware_type: 'ESP8266' });
+    
+    const created = await createGroup({
+      name: 'Floor 2 sensors',
+      type: 'dynamic',
+      query: { labels: { floor: '2' }, tags: ['sensor'], hardware_type: 'ESP32' },
+    });
+    assert.equal(created.status, 201);
+    const path = `/api/projects/${project.id}/groups/${created.body.group.id}`;
+    
+    const listed = await server.request('GET', `${path}/devices`, { token: viewer });
+    assert.deepEqual(listed.body.devices.map(device => device.id), [match.id]);
+    
+    await server.request('PATCH', `/api/devices/${match.id}`, { token: owner, body: { labels: { floor: '1' } } });
+    const fetched = await server.request('GET', path, { token: viewer });
+    assert.equal(fetched.body.group.device_count, 0);
+  });
+  
+  it('rejects a taken name', async () => {
+    await createGroup({ name: 'Floor 2', type: 'static' });
+    const duplicate = await createGroup({ name: 'Floor 2', type: 'static' });
+    
+    assert.equal(duplicate.status, 409);
+  });
+  
+  describe('jobs', () => {
+    let group;
+    let devices;
+    
+    beforeEach(async () => {
+      devices = [await createDevice({ name: 'A', tags: ['old'] }), await createDevice({ name: 'B', tags: ['old'] })];
+      const created = await createGroup({ name: 'All', type: 'static', device_ids: devices.map(device => device.id) });
+      group = created.body.group;
+    });
+    
+    function startJob(body, token = owner) {
+      return server.request('POST', `/api/projects/${project.id}/groups/${group.id}/jobs`, { token, body });
+    }
+    
+    it('updates every device\'s metadata in the background', async () => {
+      const started = await startJob({
+        type: 'update_metadata',
+        params: { labels: { floor: '3' }, add_tags: ['moved'], remove_tags: ['old'] },
+      });
+      assert.equal(started.status, 202);
+      assert.equal(started.body.job.total, 2);
+      
+      await jobs.processDue();
+      
+      const job = await server.request('GET', `/api/projects/${project.id}/jobs/${started.body.job.id}`, { token: viewer });
+      assert.equal(job.body.job.status, 'completed');
+      assert.equal(job.body.job.succeeded, 2);
+      assert.deepEqual(job.body.progress, { pending: 0, succeeded: 2, failed: 0 });
+      
+      const device = await server.request('GET', `/api/devices/${devices[0].id}`, { token: owner });
+      assert.deepEqual(device.body.device.labels, { floor: '3' });
+      assert.deepEqual(device.body.device.tags, ['moved']);
+    });
+    
+    it('stops once another worker takes the job over', async () => {
+      // Queued without starting, so it runs below
+      const repos = repositories.admin();
+      const { id: jobId } = await repos.jobs.create({
+        project_id: project.id,
+        type: 'update_metadata',
+        params: { add_tags: ['moved'] },
+        total: 2,
+        actor_type: 'user',
+      });
+      await repos.jobs.addResults(jobId, devices.map(device => device.id));
+      
+      // The claim goes stale while the first device is handled
+      const unsubscribe = events.subscribe(project.id, event => {
+        if (event.type === 'device.updated') {
+          repos.jobs.update(jobId, { claimed_at: new Date(0).toISOString() });
+        }
+      });
+      await jobs.processDue();
+      unsubscribe();
+      
+      const job = await repos.jobs.get(project.id, jobId);
+      assert.equal(job.status, 'running');
+      assert.deepEqual(await jobs.countResults(jobId), { pending: 1, succeeded: 1, failed: 0 });
+      
+      // The next worker finishes it
+      await jobs.processDue();
+      assert.deepEqual(await jobs.countResults(jobId), { pending: 0, succeeded: 2, failed: 0 });
+    });
+    
+    it('pages results by device ID', async () => {
+      const started = await startJob({ type: 'update_metadata', params: { hardware_type: 'ESP32-S3' } });
+      await jobs.processDue();
+      const path = `/api/projects/${project.id}/jobs/${started.body.job.id}/results`;
+      
+      const first = await server.request('GET', `${path}?limit=1`, { token: viewer });
+      const second = await server.request('GET', `${path}?limit=1&cursor=${first.body.next_cursor}`, { token: viewer });
+      
+      const ids = [...first.body.results, ...second.body.results].map(result => result.device.id);
+      assert.deepEqual(ids, devices.map(device => device.id).sort());
+      assert.equal(second.body.next_cursor, null);
+      assert.equal(first.body.results[0].status, 'succeeded');
+    });
+    
+    it('needs the operator role', async () => {
+      const response = await startJob({ type: 'update_metadata', params: { add_tags: ['x'] } }, viewer);
+      
+      assert.equal(response.status, 403);
+    });
+    
+    it('hands the regenerated device tokens out once', async () => {
+      const started = await startJob({ type: 'regenerate_token' });
+      assert.equal(started.status, 202);
+      const path = `/api/projects/${project.id}/jobs/${started.body.job.id}`;
+      
+      await jobs.processDue();
+      
+      const results = await server.request('GET', `${path}/results`, { token: viewer });
+      assert.deepEqual(results.body.results.map(result => result.result), [{ regenerated: true }, { regenerated: true }]);
+      assert.ok(results.body.results.every(result => !('device_token' in result)));
+      
+      const forbidden = await server.request('POST', `${path}/tokens`, { token: viewer });
+      assert.equal(forbidden.status, 403);
+      
+      const collected = await server.request('POST', `${path}/tokens`, { token: owner });
+      assert.equal(collected.status, 200);
+      assert.equal(collected.body.tokens.length, 2);
+      for (const { device_id: deviceId, device_token: deviceToken } of collected.body.tokens) {
+        assert.notEqual(deviceToken, devices.find(device => device.id === deviceId).device_token);
+        const provisioned = await server.request('POST', '/api/provision', { body: { device_token: deviceToken } });
+        assert.equal(provisioned.status, 200);
+      }
+      
+      const again = await server.request('POST', `${path}/tokens?format=csv`, { token: owner });
+      assert.equal(again.status, 410);
+    });
+    
+    it('only hands out tokens of completed token jobs', async () => {
+      const metadata = await startJob({ type: 'update_metadata', params: { add_tags: ['x'] } });
+      await jobs.processDue();
+      const notTokens = await server.request('POST', `/api/projects/${project.id}/jobs/${metadata.body.job.id}/tokens`, {
+        token: owner,
+      });
+      assert.equal(notTokens.status, 404);
+      
+      const running = await repositories.admin().jobs.create({
+        project_id: project.id,
+        type: 'regenerate_token',
+        status: 'running',
+        actor_type: 'user',
+      });
+      const early = await server.request('POST', `/api/projects/${project.id}/jobs/${running.id}/tokens`, {
+        token: owner,
+      });
+      assert.equal(early.status, 409);
+    });
+    
+    it('keeps jobs when their group is deleted', async () => {
+      const started = await startJob({ type: 'update_metadata', params: { add_tags: ['x'] } });
+      await jobs.processDue();
+      
+      await server.request('DELETE', `/api/projects/${project.id}/groups/${group.id}`, { token: owner });
+      
+      const listed = await server.request('GET', `/api/projects/${project.id}/jobs`, { token: viewer });
+      assert.deepEqual(listed.body.jobs.map(job => [job.id, job.group_id]), [[started.body.job.id, null]]);
+    });
+  });
+});
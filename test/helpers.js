@@ -0,0 +1,195 @@
+/**
+ * Integration test setup
+ *
+ * The app runs against the in-memory data backend (DATA_BACKEND=memory)
+ * on a random local port, so no Supabase project is needed. Require
+ * this module before anything that reads config: it fixes the
+ * environment first, overriding .env and the shell.
+ *
+ * Supabase itself is unreachable (port 1); nothing should reach it.
+ * Rate limits are off (see TEST_RATE_LIMIT_ENABLED).
+ */
+
+const crypto = require('crypto');
+const x509 = require('@peculiar/x509');
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: process.env.TEST_LOG_LEVEL || 'error',
+  DATA_BACKEND: 'memory',
+  SUPABASE_URL: 'http://127.0.0.1:1',
+  SUPABASE_ANON_KEY: 'test-anon-key',
+  SUPABASE_SERVICE_ROLE_KEY: 'test-service-role-key',
+  SUPABASE_JWT_SECRET: 'test-jwt-secret',
+  FACTORY_API_SECRET: 'test-factory-secret',
+  EMQX_WEBHOOK_SECRET: 'test-broker-secret',
+  EMQX_BROKER_HOST: 'mqtt.test',
+  EMQX_BROKER_PORT: '8883',
+  CA_KEY_ENCRYPTION_KEY: 'test-ca-key-encryption-key',
+  // Rate limits are off unless a test of them sets TEST_RATE_LIMIT_ENABLED
+  // (and any RATE_LIMIT_* / LOCKOUT_* thresholds) before requiring this module
+  RATE_LIMIT_ENABLED: process.env.TEST_RATE_LIMIT_ENABLED || 'false',
+  // Tests that need the broker's management API set TEST_EMQX_API_URL
+  // to a fake (test/receiver.js) before requiring this module
+  EMQX_API_URL: process.env.TEST_EMQX_API_URL || '',
+  EMQX_API_KEY: 'test-emqx-key',
+  EMQX_API_SECRET: 'test-emqx-secret',
+  WEBHOOK_ALLOW_PRIVATE_ADDRESSES: 'false',
+});
+
+const app = require('../src/index');
+const repositories = require('../src/repositories');
+const { signUserToken } = require('../src/services/supabase');
+
+x509.cryptoProvider.set(crypto.webcrypto);
+
+const EC_P256 = { name: 'ECDSA', namedCurve: 'P-256', hash: 'SHA-256' };
+
+const USERS = {
+  owner: '11111111-1111-4111-8111-111111111111',
+  admin: '22222222-2222-4222-8222-222222222222',
+  operator: '33333333-3333-4333-8333-333333333333',
+  viewer: '44444444-4444-4444-8444-444444444444',
+  outsider: '55555555-5555-4555-8555-555555555555',
+};
+
+/**
+ * Start the app on a free port
+ * Returns { url, request(method, path, options), close() }
+ */
+async function startServer() {
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  
+  return {
+    url,
+    request: (method, path, options) => send(url, method, path, options),
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    }),
+  };
+}
+
+/**
+ * One HTTP request
+ * options: { token, body, headers } - a non-string body is sent as JSON
+ * Resolves to { status, headers, body (parsed JSON or null), text }
+ */
+async function send(url, method, path, { token, body, headers = {} } = {}) {
+  const requestHeaders = { ...headers };
+  if (token) requestHeaders.Authorization = `Bearer ${token}`;
+  
+  let payload;
+  if (typeof body === 'string') {
+    payload = body;
+  } else if (body !== undefined) {
+    payload = JSON.stringify(body);
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+  
+  const response = await fetch(`${url}${path}`, { method, headers: requestHeaders, body: payload });
+  const text = await response.text();
+  
+  let parsed = null;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch {
+    // CSV and other non-JSON bodies are checked through text
+  }
+  
+  return { status: response.status, headers: response.headers, body: parsed, text };
+}
+
+/**
+ * Bearer token for a test user
+ * options: { email } - the token's email claim
+ */
+function userToken(userId, options) {
+  return signUserToken(userId, options);
+}
+
+/**
+ * Give a user a role in a project
+ */
+function addMember(projectId, userId, role, email) {
+  repositories.currentBackend().addMember(projectId, userId, role, email);
+}
+
+/**
+ * Forget all stored data
+ */
+function reset() {
+  repositories.currentBackend().reset();
+}
+
+/**
+ * A new project, "Greenhouse", owned by the token's user
+ */
+async function createProject(server, token) {
+  const response = await server.request('POST', '/api/projects', { token, body: { name: 'Greenhouse' } });
+  return response.body.project;
+}
+
+/**
+ * A new device, provisioned with MQTT credentials
+ * device: the POST /api/devices body (project_id, name, ...)
+ * provision: more of the POST /api/provision body (firmware_version, ...)
+ * Returns { id, username, password, authorization (the Basic header
+ * for the device API) }
+ */
+async function provisionDevice(server, token, device, provision = {}) {
+  const created = await server.request('POST', '/api/devices', { token, body: device });
+  const provisioned = await server.request('POST', '/api/provision', {
+    body: { device_token: created.body.device.device_token, ...provision },
+  });
+  const { username, password } = provisioned.body.mqtt;
+  
+  return {
+    id: created.body.device.id,
+    username,
+    password,
+    authorization: `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`,
+  };
+}
+
+/**
+ * A new P-256 key and a CSR for it
+ * Returns { csr (PEM), privateKey (KeyObject) }
+ */
+async function createCsr() {
+  const keys = await crypto.webcrypto.subtle.generateKey(EC_P256, true, ['sign', 'verify']);
+  const csr = await x509.Pkcs10CertificateRequestGenerator.create({
+    name: 'CN=ignored',
+    keys,
+    signingAlgorithm: EC_P256,
+  });
+  const pkcs8 = await crypto.webcrypto.subtle.exportKey('pkcs8', keys.privateKey);
+  
+  return {
+    csr: csr.toString('pem'),
+    privateKey: crypto.createPrivateKey({ key: Buffer.from(pkcs8), format: 'der', type: 'pkcs8' }),
+  };
+}
+
+/**
+ * Proof of the current key for a certificate renewal: its signature
+ * over the new CSR's PEM text
+ */
+function signCsr(csr, privateKey) {
+  return crypto.sign('sha256', Buffer.from(csr), privateKey).toString('base64');
+}
+
+module.exports = {
+  USERS,
+  startServer,
+  userToken,
+  addMember,
+  reset,
+  createProject,
+  provisionDevice,
+  createCsr,
+  signCsr,
+};
@@ -0,0 +1,210 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, startServer, userToken, addMember, reset, createProject } = require('./helpers');
+
+describe('project members, invitations and API keys', () => {
+  let server;
+  let request;
+  let project;
+  const owner = userToken(USERS.owner);
+  const admin = userToken(USERS.admin);
+  const viewer = userToken(USERS.viewer);
+  
+  before(async () => {
+    server = await startServer();
+    request = server.request;
+  });
+  
+  after(() => server.close());
+  
+  beforeEach(async () => {
+    reset();
+    project = await createProject(server, owner);
+    addMember(project.id, USERS.admin, 'admin', 'admin@example.com');
+  });
+  
+  const membersPath = () => `/api/projects/${project.id}/members`;
+  
+  describe('members', () => {
+    it('lists members with their roles, to members only', async () => {
+      const listed = await request('GET', membersPath(), { token: admin });
+      const outsider = await request('GET', membersPath(), { token: userToken(USERS.outsider) });
+      
+      assert.equal(listed.status, 200);
+      assert.deepEqual(
+        listed.body.members.map(({ user_id, role, email }) => ({ user_id, role, email })),
+        [
+          { user_id: USERS.owner, role: 'owner', email: null },
+          { user_id: USERS.admin, role: 'admin', email: 'admin@example.com' },
+        ]
+      );
+      assert.equal(outsider.status, 404);
+    });
+    
+    it('changes roles, keeping at least one owner', async () => {
+      const byAdmin = await request('PATCH', `${membersPath()}/${USERS.owner}`, { token: admin, body: { role: 'viewer' } });
+      const lastOwner = await request('PATCH', `${membersPath()}/${USERS.owner}`, { token: owner, body: { role: 'admin' } });
+      const promoted = await request('PATCH', `${membersPath()}/${USERS.admin}`, { token: owner, body: { role: 'owner' } });
+      const unknown = await request('PATCH', `${membersPath()}/${USERS.viewer}`, { token: owner, body: { role: 'admin' } });
+      
+      assert.equal(byAdmin.status, 403);
+      assert.equal(lastOwner.status, 409);
+      assert.equal(promoted.status, 200);
+      assert.equal(promoted.body.member.role, 'owner');
+      assert.equal(unknown.status, 404);
+      
+      const demoted = await request('PATCH', `${membersPath()}/${USERS.owner}`, { token: admin, body: { role: 'operator' } });
+      assert.equal(demoted.status, 200);
+    });
+    
+    it('lets members leave and admins remove them', async () => {
+      addMember(project.id, USERS.viewer, 'viewer');
+      addMember(project.id, USERS.operator, 'operator');
+      
+      const removedByViewer = await request('DELETE', `${membersPath()}/${USERS.operator}`, { token: viewer });
+      const left = await request('DELETE', `${membersPath()}/${USERS.viewer}`, { token: viewer });
+      const removed = await request('DELETE', `${membersPath()}/${USERS.operator}`, { token: admin });
+      const lastOwner = await request('DELETE', `${membersPath()}/${USERS.owner}`, { token: owner });
+      
+      assert.equal(removedByViewer.status, 403);
+      assert.equal(left.status, 204);
+      assert.equal(removed.status, 204);
+      assert.equal(lastOwner.status, 409);
+      
+      const listed = await request('GET', membersPath(), { token: owner });
+      assert.deepEqual(listed.body.members.map(member => member.user_id), [USERS.owner, USERS.admin]);
+    });
+  });
+  
+  describe('invitations', () => {
+    const viewerByEmail = userToken(USERS.viewer, { email: 'Viewer@Example.com' });
+    
+    function invite(email, role = 'viewer', token = admin) {
+      return request('POST', `${membersPath()}/invitations`, { token, body: { email, role } });
+    }
+    
+    it('invites by email and lets the invitee join', async () => {
+      const invited = await invite('Viewer@Example.com');
+      const again = await invite('viewer@example.com', 'operator');
+      const member = await invite('admin@example.com');
+      
+      assert.equal(invited.status, 201);
+      assert.equal(invited.body.invitation.email, 'viewer@example.com');
+      assert.equal(again.status, 409);
+      assert.equal(again.body.error.message, 'This email already has a pending invitation');
+      assert.equal(member.status, 409);
+      
+      const pending = await request('GET', '/api/invitations', { token: viewerByEmail });
+      assert.equal(pending.body.invitations.length, 1);
+      assert.deepEqual(pending.body.invitations[0].project, { id: project.id, name: 'Greenhouse', slug: project.slug });
+      
+      const { id } = invited.body.invitation;
+      const stranger = await request('POST', `/api/invitations/${id}/accept`, {
+        token: userToken(USERS.outsider, { email: 'outsider@example.com' }),
+      });
+      const accepted = await request('POST', `/api/invitations/${id}/accept`, { token: viewerByEmail });
+      const twice = await request('POST', `/api/invitations/${id}/accept`, { token: viewerByEmail });
+      
+      assert.equal(stranger.status, 404);
+      assert.equal(accepted.status, 200);
+      assert.equal(accepted.body.member.role, 'viewer');
+      assert.equal(accepted.body.member.email, 'viewer@example.com');
+      assert.equal(twice.status, 409);
+      
+      const joined = await request('GET', `/api/projects/${project.id}`, { token: viewer });
+      assert.equal(joined.body.project.role, 'viewer');
+      const open = await request('GET', `${membersPath()}/invitations`, { token: admin });
+      assert.deepEqual(open.body.invitations, []);
+    });
+    
+    it('keeps the address as written, apart from case', async () => {
+      const tagged = await invite(' Viewer+IoT@gmail.com ');
+      const googlemail = await invite('operator@googlemail.com', 'operator');
+      
+      assert.equal(tagged.body.invitation.email, 'viewer+iot@gmail.com');
+      assert.equal(googlemail.body.invitation.email, 'operator@googlemail.com');
+      
+      const other = await request('POST', `/api/invitations/${tagged.body.invitation.id}/accept`, {
+        token: userToken(USERS.outsider, { email: 'viewer@gmail.com' }),
+      });
+      const taggedAccepted = await request('POST', `/api/invitations/${tagged.body.invitation.id}/accept`, {
+        token: userToken(USERS.viewer, { email: 'Viewer+IoT@gmail.com' }),
+      });
+      const googlemailAccepted = await request('POST', `/api/invitations/${googlemail.body.invitation.id}/accept`, {
+        token: userToken(USERS.operator, { email: 'operator@googlemail.com' }),
+      });
+      
+      assert.equal(other.status, 404);
+      assert.equal(taggedAccepted.status, 200);
+      assert.equal(googlemailAccepted.status, 200);
+    });
+    
+    it('only lets owners invite owners, and admins cancel invitations', async () => {
+      const ownerByAdmin = await invite('new-owner@example.com', 'owner');
+      const invited = await invite('operator@example.com', 'operator');
+      const path = `${membersPath()}/invitations/${invited.body.invitation.id}`;
+      
+      const byViewer = await request('GET', `${membersPath()}/invitations`, { token: viewer });
+      const cancelled = await request('DELETE', path, { token: admin });
+      const gone = await request('DELETE', path, { token: admin });
+      
+      assert.equal(ownerByAdmin.status, 403);
+      assert.equal(byViewer.status, 404);
+      assert.equal(cancelled.status, 204);
+      assert.equal(gone.status, 404);
+    });
+  });
+  
+  describe('API keys', () => {
+    const keysPath = () => `/api/projects/${project.id}/api-keys`;
+    
+    it('creates keys that act for the project until revoked', async () => {
+      const created = await request('POST', keysPath(), {
+        token: admin,
+        body: { name: 'Dashboard', scopes: ['devices:read', 'devices:read'] },
+      });
+      
+      assert.equal(created.status, 201);
+      assert.match(created.body.key, /^iotk_[0-9a-f]{12}_/);
+      assert.deepEqual(created.body.api_key.scopes, ['devices:read']);
+      assert.equal(created.body.api_key.secret_hash, undefined);
+      
+      const listed = await request('GET', keysPath(), { token: owner });
+      assert.deepEqual(listed.body.api_keys.map(key => key.name), ['Dashboard']);
+      assert.equal(listed.body.api_keys[0].secret_hash, undefined);
+      
+      const devices = await request('GET', `/api/devices?project_id=${project.id}`, { token: created.body.key });
+      const forged = await request('GET', '/api/devices', { token: created.body.key.replace(/.$/, last => (last === 'A' ? 'B' : 'A')) });
+      assert.equal(devices.status, 200);
+      assert.equal(forged.status, 401);
+      
+      const keyPath = `${keysPath()}/${created.body.api_key.id}`;
+      const revoked = await request('DELETE', keyPath, { token: admin });
+      const again = await request('DELETE', keyPath, { token: admin });
+      const afterRevoke = await request('GET', '/api/devices', { token: created.body.key });
+      
+      assert.equal(revoked.status, 204);
+      assert.equal(again.status, 404);
+      assert.equal(afterRevoke.status, 401);
+    });
+    
+    it('stops working when its creator is no longer an admin', async () => {
+      const created = await request('POST', keysPath(), { token: admin, body: { name: 'CI', scopes: ['devices:read'] } });
+      await request('PATCH', `${membersPath()}/${USERS.admin}`, { token: owner, body: { role: 'viewer' } });
+      
+      const response = await request('GET', '/api/devices', { token: created.body.key });
+      
+      assert.equal(response.status, 401);
+    });
+    
+    it('is managed by admins only', async () => {
+      addMember(project.id, USERS.viewer, 'viewer');
+      
+      const listed = await request('GET', keysPath(), { token: viewer });
+      const created = await request('POST', keysPath(), { token: viewer, body: { name: 'Mine', scopes: ['devices:read'] } });
+      
+      assert.equal(listed.status, 403);
+      assert.equal(created.status, 403);
+    });
+  });
+});
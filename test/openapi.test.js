@@ -0,0 +1,521 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { body } = require('express-validator');
+const { USERS, startServer, userToken, addMember, reset, provisionDevice, createCsr, signCsr } = require('./helpers');
+const config = require('../config');
+const app = require('../src/index');
+const { validate } = require('../src/middleware/errors');
+const openapi = require('../src/utils/openapi');
+
+describe('OpenAPI document', () => {
+  let server;
+  let spec;
+  
+  before(async () => {
+    server = await startServer();
+    spec = (await server.request('GET', '/api/openapi.json')).body;
+  });
+  
+  after(() => server.close());
+  
+  it('describes every documented route', () => {
+    assert.deepEqual(app.locals.apiSpecProblems, []);
+  });
+  
+  it('takes parameters and request bodies from the routes\' input schemas', () => {
+    const list = spec.paths['/api/devices'].get;
+    const create = spec.paths['/api/devices'].post;
+    const limit = list.parameters.find(parameter => parameter.name === 'limit');
+    const body = create.requestBody.content['application/json'].schema;
+    
+    assert.deepEqual(limit, { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200 } });
+    assert.deepEqual(body.required, ['project_id', 'name']);
+    assert.deepEqual(body.properties.tags, {
+      type: 'array',
+      maxItems: 20,
+      items: { type: 'string', minLength: 1, maxLength: 50 },
+    });
+    assert.equal(create.summary, 'Create a new device');
+    assert.equal(create['x-required-role'], 'admin');
+  });
+  
+  it('adds the failures of a route\'s middleware to its declared responses', () => {
+    const renew = spec.paths['/api/provision/certificate/renew'].post.responses;
+    const device = spec.paths['/api/devices/{id}'].get.responses;
+    
+    assert.deepEqual(Object.keys(renew), ['200', '400', '401', '409', '429']);
+    assert.match(renew['400'].description, /^Invalid request parameters .*; Invalid CSR/);
+    assert.equal(renew['400'].content['application/json'].schema.$ref, '#/components/schemas/Error');
+    assert.equal(renew['200'].content, undefined);
+    assert.deepEqual(Object.keys(device), ['200', '400', '401', '403', '404']);
+    assert.equal(device['404'].description, 'Device not found');
+  });
+  
+  it('reports the routes it can\'t describe, and describes them as far as it can', () => {
+    const router = express.Router();
+    router.get('/:id', (req, res) => res.json({}));
+    router.post('/',
+      openapi.docs({ summary: 'Create a thing', responses: { 201: 'The new thing' } }),
+      body('name').isString(),
+      validate,
+      (req, res) => res.status(201).json({})
+    );
+    
+    const { spec: things, problems } = openapi.buildSpec({
+      title: 'Test',
+      version: '1',
+      mounts: [{ path: '/api/things', router, tag: 'Things' }],
+    });
+    
+    assert.deepEqual(problems, [
+      'GET /api/things/:id has no docs()',
+      'GET /api/things/:id doesn\'t validate its id parameter',
+      'POST /api/things validates with express-validator chains; use validateInput()',
+    ]);
+    assert.deepEqual(things.paths['/api/things/{id}'].get.parameters, [
+      { name: 'id', in: 'path', required: true, schema: { type: 'string' } },
+    ]);
+    assert.equal(things.paths['/api/things'].post.summary, 'Create a thing');
+  });
+  
+  describe('the handlers\' answers', () => {
+    const owner = userToken(USERS.owner);
+    const viewer = userToken(USERS.viewer);
+    const outsider = userToken(USERS.outsider);
+    const missing = '00000000-0000-4000-8000-000000000000';
+    const factory = { 'X-Factory-Secret': process.env.FACTORY_API_SECRET };
+    const broker = { 'X-Webhook-Secret': process.env.EMQX_WEBHOOK_SECRET };
+    const exercised = new Set();
+    let project;
+    
+    /**
+     * The document's operation for a request; literal path segments
+     * win over parameters (/api/devices/export over /api/devices/{id})
+     */
+    function operationFor(method, url) {
+      const pathname = new URL(url, server.url).pathname;
+      const [path] = Object.keys(spec.paths)
+        .filter(candidate => spec.paths[candidate][method.toLowerCase()])
+        .filter(candidate => new RegExp(`^${candidate.replace(/\{\w+\}/g, '[^/]+')}$`).test(pathname))
+        .sort((a, b) => a.split('{').length - b.split('{').length);
+      
+      return path && { path, operation: spec.paths[path][method.toLowerCase()] };
+    }
+    
+    /**
+     * Make a request, which must answer with the given status and one
+     * the document lists for the route
+     */
+    async function call(status, method, url, options) {
+      const found = operationFor(method, url);
+      assert.ok(found, `${method} ${url} isn't in the document`);
+      
+      const response = await server.request(method, url, options);
+      
+      assert.equal(response.status, status, `${method} ${url}: ${response.text}`);
+      assert.ok(found.operation.responses[status], `${method} ${found.path} answers ${status} undocumented`);
+      exercised.add(`${method} ${found.path}`);
+      return response;
+    }
+    
+    /**
+     * Open an event stream, which must answer like call(), and close it
+     * once it has
+     */
+    async function openStream(status, url, token) {
+      const found = operationFor('GET', url);
+      assert.ok(found, `GET ${url} isn't in the document`);
+      
+      const controller = new AbortController();
+      const response = await fetch(`${server.url}${url}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal: controller.signal,
+      });
+      controller.abort();
+      
+      assert.equal(response.status, status, `GET ${url}`);
+      assert.ok(found.operation.responses[status], `GET ${found.path} answers ${status} undocumented`);
+      exercised.add(`GET ${found.path}`);
+    }
+    
+    before(async () => {
+      reset();
+      project = (await call(201, 'POST', '/api/projects', { token: owner, body: { name: 'Greenhouse' } })).body.project;
+      addMember(project.id, USERS.viewer, 'viewer');
+    });
+    
+    it('for projects', async () => {
+      const path = `/api/projects/${project.id}`;
+      const other = await call(201, 'POST', '/api/projects', { token: owner, body: { name: 'Barn' } });
+      
+      await call(409, 'POST', '/api/projects', { token: owner, body: { name: 'Barn again', slug: 'barn' } });
+      await call(401, 'GET', '/api/projects');
+      await call(400, 'GET', '/api/projects?limit=0', { token: owner });
+      await call(400, 'GET', `/api/projects?cursor=${Buffer.from('nonsense').toString('base64url')}`, { token: owner });
+      await call(200, 'GET', '/api/projects', { token: owner });
+      await call(200, 'GET', path, { token: viewer });
+      await call(404, 'GET', path, { token: outsider });
+      await call(403, 'PATCH', path, { token: viewer, body: { name: 'Hothouse' } });
+      await call(400, 'PATCH', path, { token: owner, body: {} });
+      await call(409, 'PATCH', path, { token: owner, body: { slug: 'barn' } });
+      await call(200, 'PATCH', path, { token: owner, body: { description: 'Tomatoes' } });
+      await call(200, 'GET', `${path}/audit`, { token: owner });
+      await call(400, 'GET', `${path}/audit?cursor=${Buffer.from('nonsense').toString('base64url')}`, { token: owner });
+      await call(204, 'DELETE', `/api/projects/${other.body.project.id}`, { token: owner });
+    });
+    
+    it('for devices', async () => {
+      const created = await call(201, 'POST', '/api/devices', {
+        token: owner,
+        body: { project_id: project.id, name: 'Sensor' },
+      });
+      const path = `/api/devices/${created.body.device.id}`;
+      
+      await call(404, 'POST', '/api/devices', { token: outsider, body: { project_id: project.id, name: 'Sensor' } });
+      await call(200, 'GET', '/api/devices', { token: viewer });
+      await call(200, 'GET', `/api/devices/export?project_id=${project.id}`, { token: viewer });
+      await call(404, 'GET', `/api/devices/export?project_id=${project.id}`, { token: outsider });
+      await call(400, 'POST', `/api/devices/bulk?project_id=${project.id}`, { token: owner, body: { devices: [{}] } });
+      await call(201, 'POST', `/api/devices/bulk?project_id=${project.id}`, {
+        token: owner,
+        body: 'name\nNorth\nSouth\n',
+        headers: { 'Content-Type': 'text/csv' },
+      });
+      await call(200, 'GET', path, { token: viewer });
+      await call(404, 'GET', `/api/devices/${missing}`, { token: owner });
+      await call(400, 'PATCH', path, { token: owner, body: {} });
+      await call(200, 'PATCH', path, { token: owner, body: { labels: { floor: '2' } } });
+      await call(200, 'GET', `${path}/telemetry`, { token: viewer });
+      await call(400, 'GET', `${path}/telemetry?from=2026-02-01T00:00:00Z&to=2026-01-01T00:00:00Z`, { token: viewer });
+      await call(503, 'POST', `${path}/commands`, { token: owner, body: { name: 'reboot' } });
+      await call(200, 'GET', `${path}/commands`, { token: viewer });
+      await call(200, 'GET', `${path}/shadow`, { token: viewer });
+      await call(200, 'PUT', `${path}/shadow/desired`, { token: owner, body: { desired: { led: 'on' }, version: 0 } });
+      await call(409, 'PUT', `${path}/shadow/desired`, { token: owner, body: { desired: { led: 'off' }, version: 0 } });
+      await call(200, 'GET', `${path}/errors`, { token: viewer });
+      await call(200, 'GET', `${path}/connections`, { token: viewer });
+      await call(200, 'POST', `${path}/regenerate-token`, { token: owner });
+      await call(204, 'DELETE', path, { token: owner });
+      await call(404, 'DELETE', path, { token: owner });
+    });
+    
+    it('for provisioning and claims', async () => {
+      const registered = await call(201, 'POST', '/api/factory/devices', {
+        headers: factory,
+        body: { devices: [{ mac_address: 'AA:BB:CC:DD:EE:01' }] },
+      });
+      const [entry] = registered.body.devices;
+      const checkIn = { mac_address: 'AA:BB:CC:DD:EE:01', bootstrap_secret: entry.bootstrap_secret };
+      
+      await call(400, 'POST', '/api/provision/bootstrap', { body: { bootstrap_secret: entry.bootstrap_secret } });
+      await call(404, 'POST', '/api/provision/bootstrap', { body: { ...checkIn, mac_address: 'AA:BB:CC:DD:EE:02' } });
+      await call(401, 'POST', '/api/provision/bootstrap', { body: { ...checkIn, bootstrap_secret: 'x'.repeat(43) } });
+      await call(202, 'POST', '/api/provision/bootstrap', { body: checkIn });
+      await call(400, 'POST', '/api/devices/claim', { token: owner, body: { project_id: project.id, claim_code: 'nope' } });
+      await call(201, 'POST', '/api/devices/claim', {
+        token: owner,
+        body: { project_id: project.id, claim_code: entry.claim_code },
+      });
+      await call(404, 'POST', '/api/devices/claim', {
+        token: owner,
+        body: { project_id: project.id, claim_code: entry.claim_code },
+      });
+      const { device_token: deviceToken } = (await call(200, 'POST', '/api/provision/bootstrap', { body: checkIn })).body;
+      
+      await call(401, 'POST', '/api/provision', { body: { device_token: 'f'.repeat(64) } });
+      await call(409, 'POST', '/api/provision', { body: { device_token: deviceToken, csr: (await createCsr()).csr } });
+      await call(201, 'POST', `/api/projects/${project.id}/pki/ca`, { token: owner, body: {} });
+      await call(400, 'POST', '/api/provision', { body: { device_token: deviceToken, csr: 'not a csr' } });
+      
+      const { csr, privateKey } = await createCsr();
+      const provisioned = await call(200, 'POST', '/api/provision', { body: { device_token: deviceToken, csr } });
+      await call(409, 'POST', '/api/provision', { body: { device_token: deviceToken } });
+      await call(409, 'POST', '/api/provision/bootstrap', { body: checkIn });
+      
+      const { certificate } = provisioned.body.mqtt;
+      const next = await createCsr();
+      await call(400, 'POST', '/api/provision/certificate/renew', { body: { certificate } });
+      await call(401, 'POST', '/api/provision/certificate/renew', {
+        body: { certificate, csr: next.csr, signature: signCsr(next.csr, next.privateKey) },
+      });
+      await call(200, 'POST', '/api/provision/certificate/renew', {
+        body: { certificate, csr: next.csr, signature: signCsr(next.csr, privateKey) },
+      });
+    });
+    
+    it('for manufacturing', async () => {
+      const scrapped = await call(201, 'POST', '/api/factory/devices', {
+        headers: factory,
+        body: { devices: [{ serial_number: 'SN-0001' }] },
+      });
+      const path = `/api/factory/devices/${scrapped.body.devices[0].id}`;
+      
+      await call(401, 'GET', '/api/factory/devices');
+      await call(400, 'POST', '/api/factory/devices', { headers: factory, body: { devices: [] } });
+      await call(409, 'POST', '/api/factory/devices', {
+        headers: factory,
+        body: { devices: [{ serial_number: 'SN-0001' }] },
+      });
+      await call(200, 'GET', '/api/factory/devices', { headers: factory });
+      await call(204, 'DELETE', path, { headers: factory });
+      await call(404, 'DELETE', path, { headers: factory });
+    });
+    
+    it('for members and invitations', async () => {
+      const path = `/api/projects/${project.id}/members`;
+      const admin = userToken(USERS.admin, { email: 'admin@example.com' });
+      const invite = body => call(201, 'POST', `${path}/invitations`, { token: owner, body });
+      const invitation = (await invite({ email: 'Admin@Example.com', role: 'admin' })).body.invitation;
+      const cancelled = (await invite({ email: 'operator@example.com', role: 'operator' })).body.invitation;
+      const accept = `/api/invitations/${invitation.id}/accept`;
+      
+      await call(400, 'POST', `${path}/invitations`, { token: owner, body: { email: 'nobody', role: 'admin' } });
+      await call(403, 'POST', `${path}/invitations`, {
+        token: viewer,
+        body: { email: 'x@example.com', role: 'viewer' },
+      });
+      await call(200, 'GET', `${path}/invitations`, { token: owner });
+      await call(204, 'DELETE', `${path}/invitations/${cancelled.id}`, { token: owner });
+      await call(404, 'DELETE', `${path}/invitations/${cancelled.id}`, { token: owner });
+      await call(200, 'GET', '/api/invitations', { token: admin });
+      await call(404, 'POST', accept, { token: outsider });
+      await call(200, 'POST', accept, { token: admin });
+      await call(409, 'POST', accept, { token: admin });
+      await call(409, 'POST', `${path}/invitations`, {
+        token: owner,
+        body: { email: 'admin@example.com', role: 'viewer' },
+      });
+      await call(200, 'GET', path, { token: viewer });
+      await call(200, 'PATCH', `${path}/${USERS.admin}`, { token: owner, body: { role: 'operator' } });
+      await call(404, 'PATCH', `${path}/${USERS.outsider}`, { token: owner, body: { role: 'viewer' } });
+      await call(409, 'PATCH', `${path}/${USERS.owner}`, { token: owner, body: { role: 'admin' } });
+      await call(403, 'DELETE', `${path}/${USERS.admin}`, { token: viewer });
+      await call(204, 'DELETE', `${path}/${USERS.admin}`, { token: owner });
+    });
+    
+    it('for API keys', async () => {
+      const path = `/api/projects/${project.id}/api-keys`;
+      const body = { name: 'CI', scopes: ['devices:read'] };
+      const created = await call(201, 'POST', path, { token: owner, body });
+      const keyPath = `${path}/${created.body.api_key.id}`;
+      
+      await call(400, 'POST', path, { token: owner, body: { ...body, expires_at: '2020-01-01T00:00:00Z' } });
+      await call(403, 'GET', path, { token: created.body.key });
+      await call(403, 'GET', path, { token: viewer });
+      await call(200, 'GET', path, { token: owner });
+      await call(204, 'DELETE', keyPath, { token: owner });
+      await call(404, 'DELETE', keyPath, { token: owner });
+    });
+    
+    it('for channels', async () => {
+      const device = await call(201, 'POST', '/api/devices', {
+        token: owner,
+        body: { project_id: project.id, name: 'Thermometer' },
+      });
+      const path = `/api/devices/${device.body.device.id}/channels`;
+      const body = { key: 'temperature', data_type: 'number' };
+      const created = await call(201, 'POST', path, { token: owner, body });
+      const channelPath = `${path}/${created.body.channel.id}`;
+      
+      await call(409, 'POST', path, { token: owner, body });
+      await call(400, 'POST', path, { token: owner, body: { key: 'mode', data_type: 'string', min_value: 0 } });
+      await call(403, 'POST', path, { token: viewer, body: { key: 'humidity', data_type: 'number' } });
+      await call(200, 'GET', path, { token: viewer });
+      await call(404, 'GET', `/api/devices/${missing}/channels`, { token: owner });
+      await call(200, 'GET', channelPath, { token: viewer });
+      await call(400, 'PATCH', channelPath, { token: owner, body: {} });
+      await call(200, 'PATCH', channelPath, { token: owner, body: { unit: '°C' } });
+      await call(204, 'DELETE', channelPath, { token: owner });
+      await call(404, 'GET', channelPath, { token: viewer });
+    });
+    
+    it('for groups and jobs', async () => {
+      const device = await call(201, 'POST', '/api/devices', {
+        token: owner,
+        body: { project_id: project.id, name: 'Lamp' },
+      });
+      const path = `/api/projects/${project.id}/groups`;
+      const group = await call(201, 'POST', path, { token: owner, body: { name: 'Floor 2', type: 'static' } });
+      const groupPath = `${path}/${group.body.group.id}`;
+      const job = { type: 'update_metadata', params: { add_tags: ['floor-2'] } };
+      
+      await call(400, 'POST', path, { token: owner, body: { name: 'Floor 3', type: 'static', query: {} } });
+      await call(200, 'GET', path, { token: viewer });
+      await call(200, 'GET', groupPath, { token: viewer });
+      await call(404, 'GET', `${path}/${missing}`, { token: viewer });
+      await call(400, 'PATCH', groupPath, { token: owner, body: { query: {} } });
+      await call(200, 'PATCH', groupPath, { token: owner, body: { name: 'Second floor' } });
+      await call(409, 'POST', `${groupPath}/jobs`, { token: owner, body: job });
+      await call(200, 'POST', `${groupPath}/devices`, { token: owner, body: { device_ids: [device.body.device.id] } });
+      await call(200, 'GET', `${groupPath}/devices`, { token: viewer });
+      await call(403, 'POST', `${groupPath}/jobs`, { token: viewer, body: job });
+      
+      const jobsPath = `/api/projects/${project.id}/jobs`;
+      const started = await call(202, 'POST', `${groupPath}/jobs`, { token: owner, body: job });
+      const jobPath = `${jobsPath}/${started.body.job.id}`;
+      
+      await call(200, 'GET', jobsPath, { token: viewer });
+      await call(200, 'GET', jobPath, { token: viewer });
+      await call(404, 'GET', `${jobsPath}/${missing}`, { token: viewer });
+      await call(200, 'GET', `${jobPath}/results`, { token: viewer });
+      const cursor = Buffer.from('nonsense').toString('base64url');
+      await call(400, 'GET', `${jobPath}/results?cursor=${cursor}`, { token: viewer });
+      await call(404, 'POST', `${jobPath}/tokens`, { token: owner });
+      
+      await call(204, 'DELETE', `${groupPath}/devices/${device.body.device.id}`, { token: owner });
+      await call(404, 'DELETE', `${groupPath}/devices/${device.body.device.id}`, { token: owner });
+      await call(204, 'DELETE', groupPath, { token: owner });
+    });
+    
+    it('for event streams', async () => {
+      const path = `/api/projects/${project.id}/events`;
+      const { ticket } = (await call(201, 'POST', `${path}/ticket`, { token: viewer })).body;
+      
+      await openStream(401, `${path}?ticket=nope`);
+      await openStream(400, `${path}?types=nope`, viewer);
+      await openStream(404, `${path}?device_id=${missing}`, viewer);
+      await openStream(200, `${path}?ticket=${ticket}`);
+    });
+    
+    it('for webhooks', async () => {
+      const path = `/api/projects/${project.id}/webhooks`;
+      const body = { url: 'http://127.0.0.1:9/hooks', events: ['device.created'] };
+      
+      await call(400, 'POST', path, { token: owner, body });
+      
+      // Receivers on private addresses are refused otherwise
+      config.webhooks.allowPrivateAddresses = true;
+      let created;
+      try {
+        created = await call(201, 'POST', path, { token: owner, body });
+      } finally {
+        config.webhooks.allowPrivateAddresses = false;
+      }
+      const hookPath = `${path}/${created.body.webhook.id}`;
+      
+      await call(403, 'GET', path, { token: viewer });
+      await call(200, 'GET', path, { token: owner });
+      await call(400, 'PATCH', hookPath, { token: owner, body: {} });
+      await call(404, 'PATCH', `${path}/${missing}`, { token: owner, body: { enabled: false } });
+      await call(200, 'PATCH', hookPath, { token: owner, body: { enabled: false } });
+      await call(200, 'GET', `${hookPath}/deliveries`, { token: owner });
+      await call(404, 'POST', `${hookPath}/deliveries/${missing}/redeliver`, { token: owner });
+      await call(204, 'DELETE', hookPath, { token: owner });
+    });
+    
+    it('for alerts', async () => {
+      const path = `/api/projects/${project.id}/alert-rules`;
+      const body = { name: 'Too warm', type: 'threshold', channel: 'temperature', operator: 'gt', threshold: 30 };
+      const created = await call(201, 'POST', path, { token: owner, body });
+      const rulePath = `${path}/${created.body.alert_rule.id}`;
+      
+      await call(400, 'POST', path, { token: owner, body: { name: 'Too warm', type: 'threshold' } });
+      await call(200, 'GET', path, { token: viewer });
+      await call(404, 'PATCH', `${path}/${missing}`, { token: owner, body: { threshold: 35 } });
+      await call(200, 'PATCH', rulePath, { token: owner, body: { threshold: 35 } });
+      await call(200, 'GET', '/api/alerts', { token: viewer });
+      await call(404, 'POST', `/api/alerts/${missing}/acknowledge`, { token: owner });
+      await call(404, 'POST', `/api/alerts/${missing}/resolve`, { token: owner });
+      await call(204, 'DELETE', rulePath, { token: owner });
+      await call(404, 'DELETE', rulePath, { token: owner });
+    });
+    
+    it('for certificates', async () => {
+      const path = `/api/projects/${project.id}/pki`;
+      
+      await call(409, 'POST', `${path}/ca`, { token: owner, body: {} });
+      await call(400, 'POST', `${path}/ca`, { token: owner, body: { certificate: 'only half' } });
+      await call(200, 'GET', `${path}/ca`, { token: viewer });
+      await call(200, 'GET', `/api/pki/${project.id}/ca.pem`);
+      await call(404, 'GET', `/api/pki/${missing}/ca.pem`);
+      await call(200, 'GET', `/api/pki/${project.id}/crl?format=pem`);
+      await call(409, 'DELETE', `${path}/ca`, { token: owner });
+      await call(404, 'POST', `${path}/certificates/${missing}/revoke`, { token: owner, body: {} });
+      
+      const active = await call(200, 'GET', `${path}/certificates?status=active`, { token: viewer });
+      for (const certificate of active.body.certificates) {
+        await call(200, 'POST', `${path}/certificates/${certificate.id}/revoke`, { token: owner, body: {} });
+      }
+      await call(204, 'DELETE', `${path}/ca`, { token: owner });
+      await call(404, 'GET', `${path}/ca`, { token: viewer });
+    });
+    
+    it('for firmware and the device API', async () => {
+      const device = await provisionDevice(server, owner, {
+        project_id: project.id,
+        name: 'Sensor',
+        hardware_type: 'ESP32-C3',
+      }, { firmware_version: '1.0.0' });
+      const headers = { Authorization: device.authorization };
+      const firmwarePath = `/api/projects/${project.id}/firmware`;
+      const upload = (status, query, body) => call(status, 'POST', `${firmwarePath}?${query}`, {
+        token: owner,
+        headers: { 'Content-Type': 'application/octet-stream' },
+        body,
+      });
+      
+      const readings = [{ channel: 'temperature', value: 21.5 }];
+      await call(401, 'POST', '/api/telemetry', { body: { readings } });
+      await call(202, 'POST', '/api/telemetry', { headers, body: { readings } });
+      await call(400, 'POST', '/api/telemetry', { headers, body: { readings: [] } });
+      await call(404, 'POST', `/api/commands/${missing}/ack`, { headers, body: {} });
+      await call(204, 'GET', '/api/ota/update', { headers });
+      await call(404, 'POST', `/api/ota/updates/${missing}/progress`, { headers, body: { status: 'downloading' } });
+      
+      const release = (await upload(201, 'hardware_type=ESP32-C3&version=1.1.0', 'firmware 1.1.0')).body.release;
+      const unused = (await upload(201, 'hardware_type=ESP32-S3&version=1.1.0', 'firmware 1.1.0')).body.release;
+      await upload(409, 'hardware_type=ESP32-C3&version=1.1.0', 'firmware 1.1.0');
+      await upload(400, 'hardware_type=ESP32-C3&version=1.2.0', '');
+      await call(200, 'GET', firmwarePath, { token: viewer });
+      await call(200, 'GET', `${firmwarePath}/${release.id}`, { token: viewer });
+      await call(404, 'GET', `${firmwarePath}/${missing}`, { token: viewer });
+      
+      const rollouts = `/api/projects/${project.id}/rollouts`;
+      await call(404, 'POST', rollouts, { token: owner, body: { release_id: missing } });
+      await call(409, 'POST', rollouts, { token: owner, body: { release_id: unused.id } });
+      await call(204, 'DELETE', `${firmwarePath}/${unused.id}`, { token: owner });
+      const started = await call(201, 'POST', rollouts, { token: owner, body: { release_id: release.id } });
+      const rolloutPath = `${rollouts}/${started.body.rollout.id}`;
+      
+      await call(409, 'DELETE', `${firmwarePath}/${release.id}`, { token: owner });
+      await call(200, 'GET', rollouts, { token: viewer });
+      await call(200, 'GET', rolloutPath, { token: viewer });
+      await call(404, 'GET', `${rollouts}/${missing}`, { token: viewer });
+      await call(200, 'GET', `${rolloutPath}/devices`, { token: viewer });
+      
+      const { update } = (await call(200, 'GET', '/api/ota/update', { headers })).body;
+      await call(200, 'POST', `/api/ota/updates/${update.id}/progress`, { headers, body: { status: 'downloading' } });
+      await call(200, 'POST', `${rolloutPath}/pause`, { token: owner });
+      await call(409, 'POST', `${rolloutPath}/pause`, { token: owner });
+    });
+    
+    it('for the broker', async () => {
+      const device = await provisionDevice(server, owner, { project_id: project.id, name: 'Sensor' });
+      const unknown = { clientid: device.id, topic: 'nowhere', payload: {} };
+      
+      const credentials = { username: 'nobody', password: 'x', clientid: 'x' };
+      await call(401, 'POST', '/api/emqx/auth', { body: credentials });
+      await call(400, 'POST', '/api/emqx/auth', { headers: broker, body: { username: 'nobody' } });
+      await call(200, 'POST', '/api/emqx/auth', { headers: broker, body: credentials });
+      await call(200, 'POST', '/api/emqx/acl', {
+        headers: broker,
+        body: { username: 'nobody', clientid: 'x', action: 'publish', topic: 'nowhere' },
+      });
+      await call(404, 'POST', '/api/emqx/telemetry', { headers: broker, body: unknown });
+      await call(404, 'POST', '/api/emqx/command-ack', { headers: broker, body: unknown });
+      await call(404, 'POST', '/api/emqx/state', { headers: broker, body: unknown });
+      await call(200, 'POST', '/api/emqx/presence', {
+        headers: broker,
+        body: { event: 'client.connected', clientid: device.id, username: 'nobody' },
+      });
+      await call(200, 'GET', '/api/emqx/ca-bundle', { headers: broker });
+    });
+    
+    it('for every documented route', () => {
+      const operations = openapi.operations(spec).map(({ method, path }) => `${method} ${path}`);
+      
+      assert.deepEqual(operations.filter(operation => !exercised.has(operation)), []);
+    });
+  });
+});
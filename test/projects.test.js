@@ -0,0 +1,245 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, startServer, userToken, addMember, reset } = require('./helpers');
+
+describe('/api/projects', () => {
+  let server;
+  let request;
+  const owner = userToken(USERS.owner);
+  const viewer = userToken(USERS.viewer);
+  const admin = userToken(USERS.admin);
+  const outsider = userToken(USERS.outsider);
+  
+  before(async () => {
+    server = await startServer();
+    request = server.request;
+  });
+  
+  after(() => server.close());
+  
+  beforeEach(reset);
+  
+  async function createProject(name = 'Greenhouse', fields = {}) {
+    const response = await request('POST', '/api/projects', { token: owner, body: { name, ...fields } });
+    assert.equal(response.status, 201);
+    return response.body.project;
+  }
+  
+  describe('authentication', () => {
+    it('rejects requests without a token', async () => {
+      const response = await request('GET', '/api/projects');
+      
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error.code, 'unauthorized');
+      assert.ok(response.body.error.request_id);
+    });
+    
+    it('rejects invalid tokens', async () => {
+      const response = await request('GET', '/api/projects', { token: 'not-a-jwt' });
+      
+      assert.equal(response.status, 401);
+    });
+  });
+  
+  describe('POST /', () => {
+    it('creates a project with a slug from its name, owned by the caller', async () => {
+      const response = await request('POST', '/api/projects', {
+        token: owner,
+        body: { name: 'My Greenhouse!', description: 'Tomatoes' },
+      });
+      
+      assert.equal(response.status, 201);
+      assert.equal(response.body.project.name, 'My Greenhouse!');
+      assert.equal(response.body.project.slug, 'my-greenhouse');
+      assert.equal(response.body.project.user_id, USERS.owner);
+      
+      const fetched = await request('GET', `/api/projects/${response.body.project.id}`, { token: owner });
+      assert.equal(fetched.body.project.role, 'owner');
+    });
+    
+    it('answers 409 slug_taken for a duplicate slug', async () => {
+      await createProject('Greenhouse');
+      
+      const response = await request('POST', '/api/projects', { token: owner, body: { name: 'Greenhouse' } });
+      
+      assert.equal(response.status, 409);
+      assert.equal(response.body.error.code, 'slug_taken');
+    });
+    
+    it('validates the body', async () => {
+      const response = await request('POST', '/api/projects', {
+        token: owner,
+        body: { name: '', invalid_value_policy: 'ignore' },
+      });
+      
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, 'validation_failed');
+      assert.deepEqual(response.body.error.details.map(detail => detail.path).sort(), ['invalid_value_policy', 'name']);
+    });
+  });
+  
+  describe('GET /', () => {
+    it('lists only projects the caller is a member of', async () => {
+      const project = await createProject('Greenhouse');
+      await createProject('Barn');
+      addMember(project.id, USERS.viewer, 'viewer');
+      
+      const own = await request('GET', '/api/projects', { token: owner });
+      const shared = await request('GET', '/api/projects', { token: viewer });
+      const none = await request('GET', '/api/projects', { token: outsider });
+      
+      assert.equal(own.status, 200);
+      assert.equal(own.body.total, 2);
+      assert.deepEqual(shared.body.projects.map(row => row.id), [project.id]);
+      assert.equal(none.body.total, 0);
+    });
+    
+    it('searches, sorts and pages', async () => {
+      for (const name of ['Alpha', 'Bravo', 'Charlie', 'Alpine']) {
+        await createProject(name);
+      }
+      
+      const search = await request('GET', '/api/projects?search=alp&sort=name', { token: owner });
+      assert.deepEqual(search.body.projects.map(row => row.name), ['Alpha', 'Alpine']);
+      
+      const first = await request('GET', '/api/projects?sort=name&limit=3', { token: owner });
+      assert.deepEqual(first.body.projects.map(row => row.name), ['Alpha', 'Alpine', 'Bravo']);
+      assert.ok(first.body.next_cursor);
+      
+      const second = await request('GET', `/api/projects?sort=name&limit=3&cursor=${first.body.next_cursor}`, { token: owner });
+      assert.deepEqual(second.body.projects.map(row => row.name), ['Charlie']);
+      assert.equal(second.body.next_cursor, null);
+    });
+    
+    it('rejects a bad cursor', async () => {
+      const response = await request('GET', '/api/projects?cursor=bm9wZQ', { token: owner });
+      
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, 'invalid_cursor');
+    });
+  });
+  
+  describe('GET /:id', () => {
+    it('returns the project with its device count and the caller\'s role', async () => {
+      const project = await createProject();
+      addMember(project.id, USERS.viewer, 'viewer');
+      await request('POST', '/api/devices', { token: owner, body: { project_id: project.id, name: 'Sensor' } });
+      
+      const response = await request('GET', `/api/projects/${project.id}`, { token: viewer });
+      
+      assert.equal(response.status, 200);
+      assert.equal(response.body.project.id, project.id);
+      assert.equal(response.body.project.role, 'viewer');
+      assert.deepEqual(response.body.project.devices, [{ count: 1 }]);
+    });
+    
+    it('hides projects from non-members', async () => {
+      const project = await createProject();
+      
+      const response = await request('GET', `/api/projects/${project.id}`, { token: outsider });
+      
+      assert.equal(response.status, 404);
+      assert.equal(response.body.error.message, 'Project not found');
+    });
+    
+    it('validates the ID', async () => {
+      const response = await request('GET', '/api/projects/not-a-uuid', { token: owner });
+      
+      assert.equal(response.status, 400);
+    });
+  });
+  
+  describe('PATCH /:id', () => {
+    it('lets admins update the project', async () => {
+      const project = await createProject();
+      addMember(project.id, USERS.admin, 'admin');
+      
+      const response = await request('PATCH', `/api/projects/${project.id}`, {
+        token: admin,
+        body: { name: 'Renamed', invalid_value_policy: 'clamp' },
+      });
+      
+      assert.equal(response.status, 200);
+      assert.equal(response.body.project.name, 'Renamed');
+      assert.equal(response.body.project.invalid_value_policy, 'clamp');
+    });
+    
+    it('requires the admin role', async () => {
+      const project = await createProject();
+      addMember(project.id, USERS.viewer, 'viewer');
+      
+      const response = await request('PATCH', `/api/projects/${project.id}`, { token: viewer, body: { name: 'Nope' } });
+      
+      assert.equal(response.status, 403);
+      assert.equal(response.body.error.code, 'insufficient_role');
+    });
+    
+    it('answers 400 without fields and 409 for a taken slug', async () => {
+      const project = await createProject('Greenhouse');
+      await createProject('Barn');
+      
+      const empty = await request('PATCH', `/api/projects/${project.id}`, { token: owner, body: {} });
+      const taken = await request('PATCH', `/api/projects/${project.id}`, { token: owner, body: { slug: 'barn' } });
+      
+      assert.equal(empty.status, 400);
+      assert.equal(taken.status, 409);
+      assert.equal(taken.body.error.code, 'slug_taken');
+    });
+  });
+  
+  describe('DELETE /:id', () => {
+    it('lets the owner delete the project and its devices', async () => {
+      const project = await createProject();
+      const device = await request('POST', '/api/devices', { token: owner, body: { project_id: project.id, name: 'Sensor' } });
+      
+      const response = await request('DELETE', `/api/projects/${project.id}`, { token: owner });
+      
+      assert.equal(response.status, 204);
+      assert.equal((await request('GET', `/api/projects/${project.id}`, { token: owner })).status, 404);
+      assert.equal((await request('GET', `/api/devices/${device.body.device.id}`, { token: owner })).status, 404);
+    });
+    
+    it('requires the owner role', async () => {
+      const project = await createProject();
+      addMember(project.id, USERS.admin, 'admin');
+      
+      const response = await request('DELETE', `/api/projects/${project.id}`, { token: admin });
+      
+      assert.equal(response.status, 403);
+    });
+  });
+  
+  describe('GET /:id/audit', () => {
+    it('lists changes newest first, filtered and paged', async () => {
+      const project = await createProject();
+      await request('PATCH', `/api/projects/${project.id}`, { token: owner, body: { name: 'Renamed' } });
+      await request('POST', '/api/devices', { token: owner, body: { project_id: project.id, name: 'Sensor' } });
+      
+      const all = await request('GET', `/api/projects/${project.id}/audit`, { token: owner });
+      assert.equal(all.status, 200);
+      assert.deepEqual(all.body.entries.map(entry => entry.action), ['device.created', 'project.updated', 'project.created']);
+      assert.equal(all.body.entries[0].actor_type, 'user');
+      assert.equal(all.body.entries[0].actor_id, USERS.owner);
+      // Secrets never reach the log
+      assert.equal(all.body.entries[0].changes.device_token.to, '[redacted]');
+      
+      const filtered = await request('GET', `/api/projects/${project.id}/audit?action=project.updated`, { token: owner });
+      assert.deepEqual(filtered.body.entries.map(entry => entry.action), ['project.updated']);
+      
+      const first = await request('GET', `/api/projects/${project.id}/audit?limit=2`, { token: owner });
+      assert.equal(first.body.entries.length, 2);
+      const second = await request('GET', `/api/projects/${project.id}/audit?limit=2&cursor=${first.body.next_cursor}`, { token: owner });
+      assert.deepEqual(second.body.entries.map(entry => entry.action), ['project.created']);
+      assert.equal(second.body.next_cursor, null);
+    });
+    
+    it('requires the admin role', async () => {
+      const project = await createProject();
+      addMember(project.id, USERS.viewer, 'viewer');
+      
+      const response = await request('GET', `/api/projects/${project.id}/audit`, { token: viewer });
+      
+      assert.equal(response.status, 403);
+    });
+  });
+});
@@ -0,0 +1,298 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const x509 = require('@peculiar/x509');
+const { USERS, startServer, userToken, reset, createProject, createCsr, signCsr } = require('./helpers');
+
+describe('/api/provision', () => {
+  let server;
+  let request;
+  let project;
+  const owner = userToken(USERS.owner);
+  
+  before(async () => {
+    server = await startServer();
+    request = server.request;
+  });
+  
+  after(() => server.close());
+  
+  beforeEach(async () => {
+    reset();
+    project = await createProject(server, owner);
+  });
+  
+  async function createDevice() {
+    const response = await request('POST', '/api/devices', {
+      token: owner,
+      body: { project_id: project.id, name: 'Sensor' },
+    });
+    assert.equal(response.status, 201);
+    return response.body.device;
+  }
+  
+  async function createAuthority() {
+    const response = await request('POST', `/api/projects/${project.id}/pki/ca`, { token: owner, body: {} });
+    assert.equal(response.status, 201);
+    return response.body.ca;
+  }
+  
+  describe('POST /', () => {
+    it('exchanges a device token for MQTT credentials', async () => {
+      const device = await createDevice();
+      
+      const response = await request('POST', '/api/provision', {
+        body: { device_token: device.device_token, mac_address: 'AA:BB:CC:DD:EE:FF', firmware_version: '1.0.0' },
+      });
+      
+      assert.equal(response.status, 200);
+      const topicBase = `u/${USERS.owner}/d/${device.id}`;
+      assert.equal(response.body.mqtt.host, 'mqtt.test');
+      assert.equal(response.body.mqtt.port, 8883);
+      assert.equal(response.body.mqtt.client_id, device.id);
+      assert.match(response.body.mqtt.username, /^u_11111111_d_[0-9a-f]{8}$/);
+      assert.equal(typeof response.body.mqtt.password, 'string');
+      assert.equal(response.body.topics.subscribe, `${topicBase}/cmd/#`);
+      assert.equal(response.body.topics.telemetry_prefix, `${topicBase}/tel/`);
+      assert.deepEqual(response.body.device, { id: device.id, name: 'Sensor' });
+      
+      const fetched = await request('GET', `/api/devices/${device.id}`, { token: owner });
+      assert.equal(fetched.body.device.is_provisioned, true);
+      assert.equal(fetched.body.device.auth_method, 'password');
+      assert.equal(fetched.body.device.mac_address, 'AA:BB:CC:DD:EE:FF');
+      assert.equal(fetched.body.device.firmware_version, '1.0.0');
+      
+      const audit = await request('GET', `/api/projects/${project.id}/audit?action=device.provisioned`, { token: owner });
+      assert.equal(audit.body.entries[0].actor_type, 'device');
+      assert.equal(audit.body.entries[0].changes.mqtt_password_hash.to, '[redacted]');
+    });
+    
+    it('provisions a device only once', async () => {
+      const device = await createDevice();
+      await request('POST', '/api/provision', { body: { device_token: device.device_token } });
+      
+      const response = await request('POST', '/api/provision', { body: { device_token: device.device_token } });
+      
+      assert.equal(response.status, 409);
+      assert.equal(response.body.error.code, 'already_provisioned');
+    });
+    
+    it('lets only one of two concurrent calls provision', async () => {
+      const device = await createDevice();
+      
+      const responses = await Promise.all([
+        request('POST', '/api/provision', { body: { device_token: device.device_token } }),
+        request('POST', '/api/provision', { body: { device_token: device.device_token } }),
+      ]);
+      
+      assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+      const winner = responses.find(response => response.status === 200);
+      const loser = responses.find(response => response.status === 409);
+      assert.equal(loser.body.error.code, 'already_provisioned');
+      
+      // The stored credentials are the winner's
+      const auth = await request('POST', '/api/emqx/auth', {
+        headers: { 'X-Webhook-Secret': process.env.EMQX_WEBHOOK_SECRET },
+        body: { username: winner.body.mqtt.username, password: winner.body.mqtt.password, clientid: device.id },
+      });
+      assert.equal(auth.body.result, 'allow');
+    });
+    
+    it('revokes the certificate of a concurrent call that lost', async () => {
+      await createAuthority();
+      const device = await createDevice();
+      const [first, second] = await Promise.all([createCsr(), createCsr()]);
+      
+      const responses = await Promise.all([
+        request('POST', '/api/provision', { body: { device_token: device.device_token, csr: first.csr } }),
+        request('POST', '/api/provision', { body: { device_token: device.device_token, csr: second.csr } }),
+      ]);
+      
+      assert.deepEqual(responses.map(response => response.status).sort(), [200, 409]);
+      const listed = await request('GET', `/api/projects/${project.id}/pki/certificates?device_id=${device.id}`, { token: owner });
+      assert.deepEqual(listed.body.certificates.map(certificate => certificate.status).sort(), ['active', 'revoked']);
+    });
+    
+    it('rejects unknown and malformed tokens', async () => {
+      const unknown = await request('POST', '/api/provision', { body: { device_token: 'a'.repeat(64) } });
+      const malformed = await request('POST', '/api/provision', { body: { device_token: 'short', mac_address: 'nope' } });
+      
+      assert.equal(unknown.status, 401);
+      assert.equal(unknown.body.error.code, 'invalid_device_token');
+      assert.equal(malformed.status, 400);
+      assert.deepEqual(malformed.body.error.details.map(detail => detail.path).sort(), ['device_token', 'mac_address']);
+    });
+    
+    it('issues a client certificate for a CSR', async () => {
+      const ca = await createAuthority();
+      const device = await createDevice();
+      const { csr } = await createCsr();
+      
+      const response = await request('POST', '/api/provision', { body: { device_token: device.device_token, csr } });
+      
+      assert.equal(response.status, 200);
+      assert.equal(response.body.mqtt.username, device.id);
+      assert.equal(response.body.mqtt.password, undefined);
+      assert.equal(response.body.mqtt.ca_certificate, ca.certificate_pem);
+      assert.ok(new Date(response.body.mqtt.renew_after) < new Date(response.body.mqtt.certificate_expires_at));
+      
+      const certificate = new x509.X509Certificate(response.body.mqtt.certificate);
+      assert.match(certificate.subject, new RegExp(`CN=${device.id}`));
+      assert.ok(await certificate.verify({ publicKey: new x509.X509Certificate(ca.certificate_pem).publicKey }));
+      
+      const fetched = await request('GET', `/api/devices/${device.id}`, { token: owner });
+      assert.equal(fetched.body.device.auth_method, 'certificate');
+    });
+    
+    it('refuses a CSR without a project CA, and invalid CSRs', async () => {
+      const device = await createDevice();
+      const { csr } = await createCsr();
+      
+      const noAuthority = await request('POST', '/api/provision', { body: { device_token: device.device_token, csr } });
+      await createAuthority();
+      const invalid = await request('POST', '/api/provision', { body: { device_token: device.device_token, csr: 'not a csr' } });
+      
+      assert.equal(noAuthority.status, 409);
+      assert.equal(noAuthority.body.error.code, 'no_authority');
+      assert.equal(invalid.status, 400);
+      assert.equal(invalid.body.error.code, 'invalid_csr');
+      
+      // Neither attempt provisioned the device
+      const fetched = await request('GET', `/api/devices/${device.id}`, { token: owner });
+      assert.equal(fetched.body.device.is_provisioned, false);
+    });
+  });
+  
+  describe('POST /certificate/renew', () => {
+    let current;
+    
+    beforeEach(async () => {
+      await createAuthority();
+      const device = await createDevice();
+      const { csr, privateKey } = await createCsr();
+      const response = await request('POST', '/api/provision', { body: { device_token: device.device_token, csr } });
+      current = { device, certificate: response.body.mqtt.certificate, privateKey };
+    });
+    
+    it('issues a new certificate when the CSR is signed with the current key', async () => {
+      const { csr, privateKey } = await createCsr();
+      
+      const response = await request('POST', '/api/provision/certificate/renew', {
+        body: { certificate: current.certificate, csr, signature: signCsr(csr, current.privateKey) },
+      });
+      
+      assert.equal(response.status, 200);
+      assert.notEqual(response.body.certificate, current.certificate);
+      const renewed = new x509.X509Certificate(response.body.certificate);
+      assert.match(renewed.subject, new RegExp(`CN=${current.device.id}`));
+      
+      // The new certificate renews in turn
+      const next = await createCsr();
+      const again = await request('POST', '/api/provision/certificate/renew', {
+        body: { certificate: response.body.certificate, csr: next.csr, signature: signCsr(next.csr, privateKey) },
+      });
+      assert.equal(again.status, 200);
+    });
+    
+    it('rejects a signature from another key', async () => {
+      const { csr, privateKey } = await createCsr();
+      
+      const response = await request('POST', '/api/provision/certificate/renew', {
+        body: { certificate: current.certificate, csr, signature: signCsr(csr, privateKey) },
+      });
+      
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error.code, 'invalid_signature');
+    });
+    
+    it('rejects certificates it didn\'t issue', async () => {
+      const ca = await request('GET', `/api/projects/${project.id}/pki/ca`, { token: owner });
+      const { csr } = await createCsr();
+      
+      const response = await request('POST', '/api/provision/certificate/renew', {
+        body: { certificate: ca.body.ca.certificate_pem, csr, signature: signCsr(csr, current.privateKey) },
+      });
+      
+      assert.equal(response.status, 401);
+      assert.equal(response.body.error.code, 'unknown_certificate');
+    });
+    
+    it('validates the body', async () => {
+      const response = await request('POST', '/api/provision/certificate/renew', {
+        body: { certificate: current.certificate, signature: '***' },
+      });
+      
+      assert.equal(response.status, 400);
+      assert.deepEqual([...new Set(response.body.error.details.map(detail => detail.path))].sort(), ['csr', 'signature']);
+    });
+  });
+  
+  describe('POST /bootstrap', () => {
+    let entry;
+    
+    beforeEach(async () => {
+      const response = await request('POST', '/api/factory/devices', {
+        headers: { 'X-Factory-Secret': process.env.FACTORY_API_SECRET },
+        body: { devices: [{ mac_address: 'AA:BB:CC:DD:EE:01', serial_number: 'SN-0001' }] },
+      });
+      assert.equal(response.status, 201);
+      entry = response.body.devices[0];
+    });
+    
+    it('waits for a claim, then hands over the device token', async () => {
+      const checkIn = { mac_address: 'aa-bb-cc-dd-ee-01', bootstrap_secret: entry.bootstrap_secret, firmware_version: '1.2.0' };
+      
+      const pending = await request('POST', '/api/provision/bootstrap', { body: checkIn });
+      assert.equal(pending.status, 202);
+      assert.deepEqual(pending.body, { status: 'pending_claim' });
+      
+      const claimed = await request('POST', '/api/devices/claim', {
+        token: owner,
+        body: { project_id: project.id, claim_code: entry.claim_code },
+      });
+      assert.equal(claimed.status, 201);
+      
+      const ready = await request('POST', '/api/provision/bootstrap', { body: checkIn });
+      assert.equal(ready.status, 200);
+      assert.equal(ready.body.status, 'claimed');
+      assert.equal(ready.body.device_id, claimed.body.device.id);
+      assert.match(ready.body.device_token, /^[0-9a-f]{64}$/);
+      
+      const provisioned = await request('POST', '/api/provision', { body: { device_token: ready.body.device_token } });
+      assert.equal(provisioned.status, 200);
+      
+      const after = await request('POST', '/api/provision/bootstrap', { body: checkIn });
+      assert.equal(after.status, 409);
+      assert.equal(after.body.error.code, 'already_provisioned');
+    });
+    
+    it('checks in by serial number', async () => {
+      const response = await request('POST', '/api/provision/bootstrap', {
+        body: { serial_number: 'SN-0001', bootstrap_secret: entry.bootstrap_secret },
+      });
+      
+      assert.equal(response.status, 202);
+    });
+    
+    it('rejects a wrong bootstrap secret and unregistered devices', async () => {
+      const wrong = await request('POST', '/api/provision/bootstrap', {
+        body: { mac_address: 'AA:BB:CC:DD:EE:01', bootstrap_secret: 'x'.repeat(43) },
+      });
+      const unknown = await request('POST', '/api/provision/bootstrap', {
+        body: { mac_address: 'AA:BB:CC:DD:EE:02', bootstrap_secret: entry.bootstrap_secret },
+      });
+      
+      assert.equal(wrong.status, 401);
+      assert.equal(wrong.body.error.code, 'invalid_bootstrap_secret');
+      assert.equal(unknown.status, 404);
+      assert.equal(unknown.body.error.code, 'device_not_registered');
+    });
+    
+    it('requires an identifier and the bootstrap secret', async () => {
+      const response = await request('POST', '/api/provision/bootstrap', { body: { firmware_version: '1.0.0' } });
+      
+      assert.equal(response.status, 400);
+      assert.deepEqual([...new Set(response.body.error.details.map(detail => detail.path))].sort(), ['', 'bootstrap_secret']);
+      assert.ok(response.body.error.details.some(detail => detail.msg === 'mac_address or serial_number is required'));
+    });
+  });
+});
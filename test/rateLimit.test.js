@@ -0,0 +1,97 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Small limits; must be set before the helpers load config
+Object.assign(process.env, {
+  TEST_RATE_LIMIT_ENABLED: 'true',
+  RATE_LIMIT_IP_MAX: '3',
+  LOCKOUT_THRESHOLD: '2',
+  LOCKOUT_BASE_MS: '2000',
+  LOCKOUT_MAX_MS: '5000',
+});
+
+const { USERS, startServer, userToken, reset, createProject } = require('./helpers');
+const rateLimits = require('../src/services/rateLimit');
+
+const WRONG_TOKEN = 'f'.repeat(64);
+
+describe('rate limits', () => {
+  let server;
+  let project;
+  const owner = userToken(USERS.owner);
+  
+  before(async () => {
+    server = await startServer();
+  });
+  
+  after(() => server.close());
+  
+  // Counters start over after the setup requests
+  beforeEach(async () => {
+    reset();
+    rateLimits.useStore(rateLimits.createMemoryStore());
+    project = await createProject(server, owner);
+    rateLimits.useStore(rateLimits.createMemoryStore());
+  });
+  
+  function provision(deviceToken) {
+    return server.request('POST', '/api/provision', { body: { device_token: deviceToken } });
+  }
+  
+  it('answers 429 with RateLimit headers and Retry-After once the limit is reached', async () => {
+    for (const remaining of ['2', '1', '0']) {
+      const allowed = await server.request('GET', '/api/projects', { token: owner });
+      assert.equal(allowed.status, 200);
+      assert.equal(allowed.headers.get('ratelimit-limit'), '3');
+      assert.equal(allowed.headers.get('ratelimit-remaining'), remaining);
+      assert.equal(allowed.headers.get('ratelimit-policy'), '3;w=60');
+    }
+    
+    const limited = await server.request('GET', '/api/projects', { token: owner });
+    
+    assert.equal(limited.status, 429);
+    assert.equal(limited.headers.get('ratelimit-remaining'), '0');
+    const retryAfter = Number(limited.headers.get('retry-after'));
+    assert.ok(retryAfter >= 1 && retryAfter <= 60);
+    assert.equal(limited.body.error.code, 'rate_limited');
+    assert.deepEqual(limited.body.error.details, { retry_after_seconds: retryAfter });
+  });
+  
+  it('locks out repeated wrong device tokens', async () => {
+    assert.equal((await provision(WRONG_TOKEN)).status, 401);
+    assert.equal((await provision(WRONG_TOKEN)).status, 401);
+    
+    const locked = await provision(WRONG_TOKEN);
+    
+    assert.equal(locked.status, 429);
+    assert.equal(locked.headers.get('retry-after'), '2');
+    assert.equal(locked.body.error.code, 'locked_out');
+    assert.deepEqual(locked.body.error.details, { retry_after_seconds: 2 });
+  });
+  
+  it('doubles each further lockout, up to the maximum', async () => {
+    const durations = [];
+    for (let attempt = 0; attempt < 5; attempt += 1) {
+      durations.push(await rateLimits.recordFailure('test', 'key'));
+    }
+    
+    assert.deepEqual(durations, [0, 2000, 4000, 5000, 5000]);
+    assert.ok(await rateLimits.lockedFor('test', 'key') > 4000);
+  });
+  
+  it('forgets failures after a success', async () => {
+    const created = await server.request('POST', '/api/devices', {
+      token: owner,
+      body: { project_id: project.id, name: 'Sensor' },
+    });
+    
+    assert.equal((await provision('a'.repeat(64))).status, 401);
+    assert.equal((await provision(created.body.device.device_token)).status, 200);
+    
+    // The IP's count starts over (other tokens, so their prefixes don't
+    // count): one more failure isn't enough to lock it out
+    assert.equal((await provision('b'.repeat(64))).status, 401);
+    assert.equal((await provision('c'.repeat(64))).status, 401);
+    assert.equal((await provision('d'.repeat(64))).status, 429);
+  });
+});
@@ -0,0 +1,52 @@
+const http = require('http');
+
+/**
+ * Local HTTP server standing in for an outside service (EMQX's
+ * management API, a webhook receiver); records requests and answers
+ * with respond()
+ * 
+ * Doesn't load the app, so tests can start it before config is read.
+ * respond(request) -> { status, body } (body sent as JSON), or
+ * undefined for 204
+ * Returns { url, requests, respond (replaceable), close() }
+ */
+async function startReceiver(respond = () => undefined) {
+  const receiver = { requests: [], respond };
+  
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      let body = null;
+      try {
+        body = raw ? JSON.parse(raw) : null;
+      } catch {
+        body = null;
+      }
+      
+      const request = { method: req.method, url: req.url, headers: req.headers, raw, body };
+      receiver.requests.push(request);
+      
+      const answer = receiver.respond(request) || { status: 204 };
+      res.statusCode = answer.status;
+      if (answer.body === undefined) return res.end();
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(answer.body));
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  receiver.url = `http://127.0.0.1:${server.address().port}`;
+  receiver.close = () => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  });
+  return receiver;
+}
+
+module.exports = {
+  startReceiver,
+};
@@ -0,0 +1,75 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { USERS, startServer, userToken, reset, createProject, provisionDevice } = require('./helpers');
+const telemetry = require('../src/services/telemetry');
+
+describe('POST /api/telemetry', () => {
+  let server;
+  let device;
+  const owner = userToken(USERS.owner);
+  
+  before(async () => {
+    server = await startServer();
+  });
+  
+  after(() => server.close());
+  
+  // A provisioned device with a temperature channel
+  beforeEach(async () => {
+    reset();
+    const project = await createProject(server, owner);
+    device = await provisionDevice(server, owner, { project_id: project.id, name: 'Sensor' });
+    await server.request('POST', `/api/devices/${device.id}/channels`, {
+      token: owner,
+      body: { key: 'temperature', data_type: 'number', min_value: -40, max_value: 85 },
+    });
+  });
+  
+  function ingest(readings, { username = device.username, password = device.password } = {}) {
+    const credentials = Buffer.from(`${username}:${password}`).toString('base64');
+    return server.request('POST', '/api/telemetry', {
+      headers: { Authorization: `Basic ${credentials}` },
+      body: { readings },
+    });
+  }
+  
+  it('stores valid readings and lists the rejected ones', async () => {
+    const response = await ingest([
+      { channel: 'temperature', value: 21.5, ts: '2026-01-01T12:00:00.000Z' },
+      { channel: 'temperature', value: 'warm' },
+      { channel: 'pressure', value: 1013 },
+    ]);
+    
+    assert.equal(response.status, 202);
+    assert.equal(response.body.accepted, 1);
+    assert.deepEqual(response.body.rejected.map(reading => [reading.channel, reading.reason]), [
+      ['temperature', 'invalid_type'],
+      ['pressure', 'unknown_channel'],
+    ]);
+    
+    await telemetry.flush();
+    const stored = await server.request('GET', `/api/devices/${device.id}/telemetry?from=2026-01-01T00:00:00Z&to=2026-01-02T00:00:00Z`, {
+      token: owner,
+    });
+    assert.deepEqual(stored.body.telemetry.map(row => [row.channel, row.value]), [['temperature', 21.5]]);
+  });
+  
+  it('writes the buffer on close', async () => {
+    await ingest([{ channel: 'temperature', value: 19, ts: '2026-01-01T12:00:00.000Z' }]);
+    
+    await telemetry.close(1000);
+    
+    const stored = await server.request('GET', `/api/devices/${device.id}/telemetry?from=2026-01-01T00:00:00Z&to=2026-01-02T00:00:00Z`, {
+      token: owner,
+    });
+    assert.deepEqual(stored.body.telemetry.map(row => row.value), [19]);
+  });
+  
+  it('requires the device\'s MQTT credentials', async () => {
+    const missing = await server.request('POST', '/api/telemetry', { body: { readings: [{ channel: 'temperature', value: 1 }] } });
+    const wrong = await ingest([{ channel: 'temperature', value: 1 }], { password: 'not-the-password' });
+    
+    assert.equal(missing.status, 401);
+    assert.equal(wrong.status, 401);
+  });
+});
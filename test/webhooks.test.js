@@ -0,0 +1,325 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+// Test environment; must come before anything that reads config
+const { startServer, userToken, addMember, reset, createProject, USERS } = require('./helpers');
+const { startReceiver } = require('./receiver');
+const config = require('../config');
+const webhooks = require('../src/services/webhooks');
+const network = require('../src/utils/network');
+
+const SECRET = 'whsec_test';
+
+// A claimed delivery row with its webhook, as the worker sends it
+function deliveryTo(url, fields = {}) {
+  return {
+    id: crypto.randomUUID(),
+    event_type: 'device.created',
+    attempts: 0,
+    payload: { id: crypto.randomUUID(), type: 'device.created', data: { device: { id: 'd1', name: 'Sensor' } } },
+    webhook: { id: crypto.randomUUID(), url, secret: SECRET, enabled: true },
+    ...fields,
+  };
+}
+
+// What a receiver does: recompute the HMAC over "<t>.<raw body>"
+function verifySignature(header, raw, secret) {
+  const { t, v1 } = Object.fromEntries(header.split(',').map(part => part.split('=')));
+  const expected = crypto.createHmac('sha256', secret).update(`${t}.${raw}`).digest('hex');
+  return crypto.timingSafeEqual(Buffer.from(v1, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+describe('webhook signing', () => {
+  it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update('1700000000.{"a":1}').digest('hex');
+    
+    assert.equal(webhooks.sign(SECRET, '{"a":1}', 1700000000), `t=1700000000,v1=${expected}`);
+  });
+  
+  it('defaults to the current time', () => {
+    const before = Math.floor(Date.now() / 1000);
+    const [, t] = /^t=(\d+),/.exec(webhooks.sign(SECRET, '{}'));
+    
+    assert.ok(Number(t) >= before && Number(t) <= before + 1);
+  });
+});
+
+describe('webhook delivery', () => {
+  let receiver;
+  
+  before(async () => {
+    receiver = await startReceiver();
+    // The receiver is on loopback
+    config.webhooks.allowPrivateAddresses = true;
+  });
+  
+  after(async () => {
+    config.webhooks.allowPrivateAddresses = false;
+    await receiver.close();
+  });
+  
+  beforeEach(() => {
+    receiver.requests.length = 0;
+    receiver.respond = () => undefined;
+  });
+  
+  it('posts the signed event to the receiver', async () => {
+    const delivery = deliveryTo(`${receiver.url}/hooks?source=iot`);
+    
+    const result = await webhooks.deliver(delivery);
+    
+    assert.deepEqual(result, { statusCode: 204, failure: null });
+    assert.equal(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/hooks?source=iot');
+    assert.equal(request.headers['content-type'], 'application/json');
+    assert.equal(request.headers['x-webhook-id'], delivery.id);
+    assert.equal(request.headers['x-webhook-event'], 'device.created');
+    assert.deepEqual(request.body, delivery.payload);
+    assert.ok(verifySignature(request.headers['x-webhook-signature'], request.raw, SECRET));
+    assert.ok(!verifySignature(request.headers['x-webhook-signature'], request.raw, 'whsec_other'));
+  });
+  
+  it('counts non-2xx answers and redirects as failures', async () => {
+    receiver.respond = () => ({ status: 500, body: { error: 'Down' } });
+    const serverError = await webhooks.deliver(deliveryTo(receiver.url));
+    
+    receiver.respond = () => ({ status: 302 });
+    const redirect = await webhooks.deliver(deliveryTo(receiver.url));
+    
+    assert.deepEqual(serverError, { statusCode: 500, failure: 'Receiver responded with 500' });
+    assert.deepEqual(redirect, { statusCode: 302, failure: 'Receiver responded with 302' });
+    assert.equal(receiver.requests.length, 2);
+  });
+  
+  it('reports unreachable receivers and skips disabled webhooks', async () => {
+    const unreachable = await webhooks.deliver(deliveryTo('http://127.0.0.1:9/hooks'));
+    const disabled = await webhooks.deliver(deliveryTo(receiver.url, {
+      webhook: { id: crypto.randomUUID(), url: receiver.url, secret: SECRET, enabled: false },
+    }));
+    
+    assert.equal(unreachable.statusCode, null);
+    assert.match(unreachable.failure, /ECONNREFUSED/);
+    assert.deepEqual(disabled, { statusCode: null, failure: 'Webhook is disabled or deleted' });
+    assert.equal(receiver.requests.length, 0);
+  });
+});
+
+describe('webhook retries', () => {
+  const now = new Date('2026-01-01T00:00:00.000Z');
+  const failed = { statusCode: 500, failure: 'Receiver responded with 500' };
+  const delivery = attempts => ({ ...deliveryTo('https://example.com/hooks'), attempts });
+  const delayMs = state => new Date(state.next_attempt_at).getTime() - now.getTime();
+  
+  it('marks a 2xx delivery succeeded', () => {
+    const state = webhooks.nextState(delivery(2), { statusCode: 200, failure: null }, now);
+    
+    assert.deepEqual(state, {
+      status: 'succeeded',
+      delivered_at: now.toISOString(),
+      attempts: 3,
+      last_status_code: 200,
+      last_error: null,
+      last_attempt_at: now.toISOString(),
+      claimed_at: null,
+    });
+  });
+  
+  it('retries failures with exponential backoff, capped', () => {
+    const { retryBaseMs, retryMaxMs } = config.webhooks;
+    
+    const first = webhooks.nextState(delivery(0), failed, now);
+    const second = webhooks.nextState(delivery(1), failed, now);
+    const third = webhooks.nextState(delivery(2), failed, now);
+    
+    assert.equal(first.status, 'pending');
+    assert.equal(first.attempts, 1);
+    assert.equal(first.last_status_code, 500);
+    assert.equal(first.last_error, 'Receiver responded with 500');
+    assert.equal(delayMs(first), retryBaseMs);
+    assert.equal(delayMs(second), retryBaseMs * 2);
+    assert.equal(delayMs(third), retryBaseMs * 4);
+    
+    const late = webhooks.nextState(delivery(config.webhooks.maxAttempts - 2), failed, now);
+    assert.equal(late.status, 'pending');
+    assert.equal(delayMs(late), Math.min(retryBaseMs * 2 ** (config.webhooks.maxAttempts - 2), retryMaxMs));
+  });
+  
+  it('gives up after maxAttempts', () => {
+    const state = webhooks.nextState(delivery(config.webhooks.maxAttempts - 1), failed, now);
+    
+    assert.equal(state.status, 'failed');
+    assert.equal(state.attempts, config.webhooks.maxAttempts);
+    assert.equal(state.next_attempt_at, undefined);
+  });
+  
+  it('gives up at once when the webhook is gone', () => {
+    const state = webhooks.nextState(
+      { ...delivery(0), webhook: null },
+      { statusCode: null, failure: 'Webhook is disabled or deleted' },
+      now
+    );
+    
+    assert.equal(state.status, 'failed');
+  });
+});
+
+describe('webhook receiver addresses', () => {
+  let receiver;
+  
+  before(async () => {
+    receiver = await startReceiver();
+  });
+  
+  after(() => receiver.close());
+  
+  it('refuses private, loopback and link-local receivers', async () => {
+    for (const url of [
+      'http://127.0.0.1/hooks',
+      'http://10.1.2.3/hooks',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hooks',
+      'http://[::ffff:192.168.0.1]/hooks',
+      'http://[fd00::1]/hooks',
+      'http://localhost/hooks',
+    ]) {
+      assert.equal(await webhooks.isAllowedUrl(url), false, url);
+    }
+  });
+  
+  it('accepts public addresses', async () => {
+    assert.equal(await webhooks.isAllowedUrl('https://93.184.215.14/hooks'), true);
+    assert.equal(await webhooks.isAllowedUrl('https://[2606:4700::1111]/hooks'), true);
+    assert.equal(network.isPublicAddress('8.8.8.8'), true);
+    assert.equal(network.isPublicAddress('not-an-address'), false);
+  });
+  
+  it('never connects to a private receiver at delivery time', async () => {
+    const literal = await webhooks.deliver(deliveryTo(receiver.url));
+    const port = new URL(receiver.url).port;
+    const named = await webhooks.deliver(deliveryTo(`http://localhost:${port}/hooks`));
+    
+    assert.equal(literal.failure, '127.0.0.1 is not a public address');
+    assert.match(named.failure, /^localhost resolves to a non-public address/);
+    assert.equal(receiver.requests.length, 0);
+  });
+});
+
+describe('webhook routes', () => {
+  let server;
+  let receiver;
+  let project;
+  const owner = userToken(USERS.owner);
+  
+  before(async () => {
+    server = await startServer();
+    receiver = await startReceiver();
+    config.webhooks.allowPrivateAddresses = true;
+  });
+  
+  after(async () => {
+    config.webhooks.allowPrivateAddresses = false;
+    await receiver.close();
+    await server.close();
+  });
+  
+  beforeEach(async () => {
+    reset();
+    receiver.requests.length = 0;
+    receiver.respond = () => undefined;
+    project = await createProject(server, owner);
+  });
+  
+  function register(body = {}) {
+    return server.request('POST', `/api/projects/${project.id}/webhooks`, {
+      token: owner,
+      body: { url: `${receiver.url}/hooks`, events: ['device.created'], ...body },
+    });
+  }
+  
+  async function createDevice() {
+    await server.request('POST', '/api/devices', { token: owner, body: { project_id: project.id, name: 'Sensor' } });
+    await webhooks.processDue();
+  }
+  
+  it('shows the secret once and delivers subscribed events signed with it', async () => {
+    const created = await register();
+    assert.equal(created.status, 201);
+    assert.match(created.body.secret, /^whsec_/);
+    assert.equal(created.body.webhook.secret, undefined);
+    
+    const listed = await server.request('GET', `/api/projects/${project.id}/webhooks`, { token: owner });
+    assert.deepEqual(listed.body.webhooks, [created.body.webhook]);
+    
+    await createDevice();
+    
+    assert.equal(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.equal(request.body.type, 'device.created');
+    assert.equal(request.body.data.device.name, 'Sensor');
+    assert.ok(verifySignature(request.headers['x-webhook-signature'], request.raw, created.body.secret));
+    
+    const deliveries = await server.request('GET', `/api/projects/${project.id}/webhooks/${created.body.webhook.id}/deliveries`, {
+      token: owner,
+    });
+    assert.equal(deliveries.body.deliveries.length, 1);
+    assert.equal(deliveries.body.deliveries[0].status, 'succeeded');
+    assert.equal(deliveries.body.deliveries[0].attempts, 1);
+  });
+  
+  it('skips disabled webhooks and ones not subscribed to the event', async () => {
+    const disabled = await register({ enabled: false });
+    await register({ events: ['device.deleted'] });
+    
+    await createDevice();
+    
+    assert.equal(receiver.requests.length, 0);
+    const deliveries = await server.request('GET', `/api/projects/${project.id}/webhooks/${disabled.body.webhook.id}/deliveries`, {
+      token: owner,
+    });
+    assert.deepEqual(deliveries.body.deliveries, []);
+  });
+  
+  it('redelivers a failed delivery', async () => {
+    const { webhook } = (await register()).body;
+    await server.request('PATCH', `/api/projects/${project.id}/webhooks/${webhook.id}`, {
+      token: owner,
+      body: { url: 'http://127.0.0.1:9/hooks' },
+    });
+    await createDevice();
+    
+    const path = `/api/projects/${project.id}/webhooks/${webhook.id}`;
+    const [delivery] = (await server.request('GET', `${path}/deliveries`, { token: owner })).body.deliveries;
+    assert.equal(delivery.status, 'pending');
+    assert.match(delivery.last_error, /ECONNREFUSED/);
+    
+    await server.request('PATCH', path, { token: owner, body: { url: `${receiver.url}/hooks` } });
+    const redelivered = await server.request('POST', `${path}/deliveries/${delivery.id}/redeliver`, { token: owner });
+    assert.equal(redelivered.status, 202);
+    assert.equal(redelivered.body.delivery.attempts, 0);
+    await webhooks.processDue();
+    
+    const [retried] = (await server.request('GET', `${path}/deliveries`, { token: owner })).body.deliveries;
+    assert.equal(retried.status, 'succeeded');
+    assert.equal(receiver.requests.length, 1);
+  });
+  
+  it('is for project admins only, and deleting a webhook drops its deliveries', async () => {
+    addMember(project.id, USERS.operator, 'operator');
+    const { webhook } = (await register()).body;
+    await createDevice();
+    
+    const forbidden = await server.request('GET', `/api/projects/${project.id}/webhooks`, {
+      token: userToken(USERS.operator),
+    });
+    assert.equal(forbidden.status, 403);
+    
+    const path = `/api/projects/${project.id}/webhooks/${webhook.id}`;
+    assert.equal((await server.request('DELETE', path, { token: owner })).status, 204);
+    assert.equal((await server.request('DELETE', path, { token: owner })).status, 404);
+    
+    const deliveries = await server.request('GET', `${path}/deliveries`, { token: owner });
+    assert.deepEqual(deliveries.body.deliveries, []);
+  });
+});